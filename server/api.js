@@ -3,19 +3,43 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
+const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../src/utils/logger');
 const guard = require('../src/secure/guard');
+const auth = require('./middleware/auth');
+const apiKeys = require('./middleware/apiKeys');
 const metrics = require('../src/utils/metrics');
+const registry = require('../src/utils/commandRegistry');
+const stateStore = require('../src/utils/stateStore');
+const threadSettings = require('../src/utils/threadSettings');
+const WebhookManager = require('./routes/webhooks');
+const MessageFeed = require('../src/system/messageFeed');
+const ThreadEvents = require('../src/system/threadEvents');
+const cache = require('../src/utils/cache');
+const stats = require('../src/utils/stats');
+const messageStore = require('../src/utils/messageStore');
+const auditLog = require('../src/system/auditLog');
+const roles = require('../src/secure/roles');
+const ownerVerifier = require('../src/secure/verifyOwner');
+const moderation = require('../src/system/moderation');
+const lockdown = require('../src/secure/lockdown');
+
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024; // Messenger's own limit
+const MAX_MESSAGE_LENGTH = 5000;
 
 class APIServer {
   constructor(botInstance) {
     this.app = express();
     this.bot = botInstance;
     this.port = process.env.API_PORT || 3001;
-    this.jwtSecret = process.env.JWT_SECRET || 'ultra-professional-bot-secret-key-change-in-production';
+    this.webhookManager = new WebhookManager(botInstance);
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { files: MAX_ATTACHMENTS, fileSize: MAX_ATTACHMENT_SIZE }
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -47,7 +71,13 @@ class APIServer {
     }));
     
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Inbound webhook signatures cover the raw body
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true }));
     
     // Static files
@@ -64,6 +94,11 @@ class APIServer {
     // Public routes
     this.app.get('/api/health', this.healthCheck.bind(this));
     this.app.post('/api/auth/login', this.login.bind(this));
+    this.app.post('/api/auth/verify', this.verifyLogin.bind(this));
+    this.app.post('/api/auth/refresh', this.refreshLogin.bind(this));
+    
+    // Inbound webhooks are signed by the sender instead of using a token
+    this.app.post('/api/webhooks/receive/:id', this.webhookManager.receiveWebhook.bind(this.webhookManager));
     
     // Protected routes
     const router = express.Router();
@@ -71,45 +106,88 @@ class APIServer {
     // Auth middleware
     router.use(this.authenticate.bind(this));
     
+    router.post('/auth/logout', this.logout.bind(this));
+    
     // Bot status
-    router.get('/status', this.getStatus.bind(this));
-    router.get('/stats', this.getStats.bind(this));
-    router.get('/metrics', this.getMetrics.bind(this));
+    const scope = this.requireScope.bind(this);
+    const threadParam = req => req.params.id;
+    const threadBody = req => req.body.threadId;
+    
+    router.get('/status', scope('status:read'), this.getStatus.bind(this));
+    router.get('/stats', scope('system:read'), this.getStats.bind(this));
+    router.get('/metrics', scope('system:read'), this.getMetrics.bind(this));
     
     // User management
-    router.get('/users', this.getUsers.bind(this));
-    router.get('/users/:id', this.getUser.bind(this));
+    router.get('/users', scope('users:read'), this.getUsers.bind(this));
+    router.get('/users/:id', scope('users:read'), this.getUser.bind(this));
     
     // Thread management
-    router.get('/threads', this.getThreads.bind(this));
-    router.get('/threads/:id', this.getThread.bind(this));
-    router.delete('/threads/:id', this.leaveThread.bind(this));
+    router.get('/threads', scope('threads:read'), this.getThreads.bind(this));
+    router.get('/threads/:id', scope('threads:read', threadParam), this.getThread.bind(this));
+    router.delete('/threads/:id', scope('threads:write', threadParam), this.leaveThread.bind(this));
+    router.get('/threads/:id/analytics', scope('threads:read', threadParam), this.getThreadAnalytics.bind(this));
+    router.post('/threads/:id/mute', scope('threads:write', threadParam), this.muteThread.bind(this));
+    router.get('/threads/:id/settings', scope('threads:read', threadParam), this.getThreadSettings.bind(this));
+    router.patch('/threads/:id/settings', scope('threads:write', threadParam), this.updateThreadSettings.bind(this));
+    router.get('/threads/:id/messages', scope('threads:read', threadParam), this.searchThreadMessages.bind(this));
+    router.get('/threads/:id/moderation', scope('threads:read', threadParam), this.getModeration.bind(this));
+    router.patch('/threads/:id/moderation', scope('threads:write', threadParam), this.updateModeration.bind(this));
+    router.delete('/threads/:id/moderation/strikes/:uid', scope('threads:write', threadParam), this.pardonUser.bind(this));
+    router.post('/threads/:id/messages', this.requireOwner.bind(this), this.uploadAttachments.bind(this), this.sendThreadMessage.bind(this));
     
     // Command execution
-    router.post('/commands/execute', this.executeCommand.bind(this));
-    router.get('/commands', this.getCommands.bind(this));
+    router.post('/commands/execute', scope('commands:execute', threadBody), this.executeCommand.bind(this));
+    router.get('/commands', scope('commands:read'), this.getCommands.bind(this));
     
     // Fun system
-    router.get('/fun/active', this.getActiveFuns.bind(this));
-    router.post('/fun/start', this.startFun.bind(this));
-    router.post('/fun/stop', this.stopFun.bind(this));
-    router.get('/fun/types', this.getFunTypes.bind(this));
+    router.get('/fun/active', scope('fun:read'), this.getActiveFuns.bind(this));
+    router.post('/fun/start', scope('fun:write', threadBody), this.startFun.bind(this));
+    router.post('/fun/stop', scope('fun:write', threadBody), this.stopFun.bind(this));
+    router.post('/fun/pause', scope('fun:write', threadBody), this.pauseFun.bind(this));
+    router.post('/fun/resume', scope('fun:write', threadBody), this.resumeFun.bind(this));
+    router.post('/fun/stop-all', scope('fun:write'), this.stopAllFuns.bind(this));
+    router.get('/fun/types', scope('fun:read'), this.getFunTypes.bind(this));
+    router.get('/fun/templates/:type', scope('fun:read'), this.getFunTemplate.bind(this));
+    router.post('/fun/templates/:type/lines', scope('fun:write'), this.addFunLine.bind(this));
+    router.patch('/fun/templates/:type/lines/:index', scope('fun:write'), this.editFunLine.bind(this));
+    router.delete('/fun/templates/:type/lines/:index', scope('fun:write'), this.removeFunLine.bind(this));
+    
+    // Outgoing webhooks
+    router.use('/webhooks', scope('webhooks:manage'), this.webhookManager.router);
     
     // Admin management
-    router.get('/admins', this.getAdmins.bind(this));
+    router.get('/admins', scope('admins:read'), this.getAdmins.bind(this));
     router.post('/admins', this.addAdmin.bind(this));
     router.delete('/admins/:id', this.removeAdmin.bind(this));
     
+    // Roles and per-command permissions
+    router.get('/roles', scope('admins:read'), this.getRoles.bind(this));
+    router.put('/roles/users/:uid', this.requireOwner.bind(this), this.setUserRole.bind(this));
+    router.put('/roles/commands/:name', this.requireOwner.bind(this), this.setCommandRole.bind(this));
+    
     // System management
-    router.get('/system/logs', this.getLogs.bind(this));
+    router.get('/system/logs', scope('system:read'), this.getLogs.bind(this));
     router.post('/system/restart', this.restartBot.bind(this));
     router.post('/system/backup', this.createBackup.bind(this));
     router.get('/system/backups', this.listBackups.bind(this));
     
     // Owner only routes
     router.use('/owner', this.requireOwner.bind(this));
+    router.get('/owner/owners', this.getOwners.bind(this));
+    router.post('/owner/owners', this.addOwner.bind(this));
+    router.delete('/owner/owners/:uid', this.removeOwner.bind(this));
+    router.get('/owner/lockdown', this.getLockdown.bind(this));
+    router.post('/owner/lockdown', this.startLockdown.bind(this));
+    router.delete('/owner/lockdown', this.liftLockdown.bind(this));
+    router.get('/owner/audit', this.getAuditLog.bind(this));
+    router.get('/owner/audit/verify', this.verifyAuditLog.bind(this));
     router.post('/owner/shutdown', this.shutdownBot.bind(this));
     router.post('/owner/update', this.updateBot.bind(this));
+    router.get('/owner/apikeys', this.listApiKeys.bind(this));
+    router.post('/owner/apikeys', this.createApiKey.bind(this));
+    router.patch('/owner/apikeys/:id', this.updateApiKey.bind(this));
+    router.post('/owner/apikeys/:id/rotate', this.rotateApiKey.bind(this));
+    router.delete('/owner/apikeys/:id', this.revokeApiKey.bind(this));
     
     this.app.use('/api', router);
   }
@@ -144,60 +222,153 @@ class APIServer {
   }
 
   // Authentication methods
+  // Step one: send a one-time code to the UID's Messenger inbox
   async login(req, res) {
-    const { uid, password } = req.body;
+    const uid = String(req.body.uid || '').trim();
     
     try {
-      // Verify user is owner or admin
-      const isOwner = guard.isOwner(uid);
-      const isAdmin = guard.isAdmin(uid);
-      
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      
-      // Get user info from Facebook API
-      let userInfo = {};
-      try {
-        const info = await this.bot.api.getUserInfo([uid]);
-        userInfo = info[uid] || {};
-      } catch (error) {
-        logger.warn('Could not fetch user info:', error);
-      }
+      auth.checkLoginAttempts(req.ip);
+    } catch (error) {
+      return res.status(429).json({ error: error.message });
+    }
+    
+    if (!/^\d+$/.test(uid)) {
+      return res.status(400).json({ error: 'uid is required' });
+    }
+    
+    // Verify user is owner or admin
+    if (!guard.isOwner(uid) && !guard.isAdmin(uid)) {
+      auth.recordLoginAttempt(req.ip, false);
+      auth.logAuthEvent('login_denied', uid, req.ip);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const cooldown = auth.canRequestCode(uid);
+    if (!cooldown.allowed) {
+      return res.status(429).json({ error: `Wait ${cooldown.retryAfter}s before requesting another code` });
+    }
+    
+    try {
+      const code = await auth.generate2FACode(uid);
       
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          uid,
-          name: userInfo.name || 'Unknown',
-          isOwner,
-          isAdmin,
-          permissions: isOwner ? ['owner', 'admin', 'user'] : ['admin', 'user']
-        },
-        this.jwtSecret,
-        { expiresIn: '24h' }
+      await this.getMessengerApi().sendMessage(
+        `🔐 Dashboard login code: ${code}\n\n` +
+        `It expires in ${Math.round(auth.codeTTL / 60000)} minutes.\n` +
+        `If you didn't try to log in, ignore this message.`,
+        uid
       );
       
-      logger.info('API login successful', { uid, isOwner, isAdmin });
-      
-      res.json({
-        token,
-        user: {
-          uid,
-          name: userInfo.name,
-          profilePic: userInfo.thumbSrc,
-          isOwner,
-          isAdmin
-        }
-      });
+      auth.logAuthEvent('login_code_sent', uid, req.ip);
+      res.json({ success: true, step: 'code', expiresIn: Math.round(auth.codeTTL / 1000) });
       
     } catch (error) {
-      logger.error('Login error:', error);
-      res.status(500).json({ error: 'Login failed' });
+      logger.error('Login code delivery failed:', error);
+      res.status(502).json({ error: 'Could not deliver the login code over Messenger' });
+    }
+  }
+  
+  // Step two: exchange the code for an access/refresh token pair
+  async verifyLogin(req, res) {
+    const uid = String(req.body.uid || '').trim();
+    const code = String(req.body.code || '').trim();
+    const userKey = `uid:${uid}`;
+    
+    try {
+      // Attempts count per IP and per account, so rotating IPs doesn't help
+      auth.checkLoginAttempts(req.ip);
+      auth.checkLoginAttempts(userKey);
+    } catch (error) {
+      return res.status(429).json({ error: error.message });
+    }
+    
+    if (!uid || !code || !auth.verify2FACode(uid, code)) {
+      auth.recordLoginAttempt(req.ip, false);
+      auth.recordLoginAttempt(userKey, false);
+      auth.logAuthEvent('login_failed', uid, req.ip);
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    
+    // Roles can change while the code is pending
+    const isOwner = guard.isOwner(uid);
+    const isAdmin = guard.isAdmin(uid);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    auth.recordLoginAttempt(req.ip, true);
+    auth.recordLoginAttempt(userKey, true);
+    
+    // Get user info from Facebook API
+    let userInfo = {};
+    try {
+      const info = await this.bot.api.getUserInfo([uid]);
+      userInfo = info[uid] || {};
+    } catch (error) {
+      logger.warn('Could not fetch user info:', error);
+    }
+    
+    const tokens = auth.generateTokenPair({ uid, name: userInfo.name || 'Unknown', isOwner, isAdmin });
+    
+    auth.logAuthEvent('login_success', uid, req.ip, { userAgent: req.headers['user-agent'] });
+    logger.info('API login successful', { uid, isOwner, isAdmin });
+    
+    res.json({
+      ...tokens,
+      user: {
+        uid,
+        name: userInfo.name,
+        profilePic: userInfo.thumbSrc,
+        isOwner,
+        isAdmin
+      }
+    });
+  }
+  
+  async refreshLogin(req, res) {
+    const result = auth.refresh(req.body.refreshToken);
+    
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+    
+    auth.logAuthEvent('token_refreshed', result.user.uid, req.ip);
+    res.json({ token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn });
+  }
+  
+  // Revokes the access token used for this request and, if given, its refresh token
+  async logout(req, res) {
+    if (!req.token) {
+      return res.status(400).json({ error: 'API keys are revoked by the owner, not logged out' });
+    }
+    
+    auth.blacklistToken(req.token);
+    
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      const result = auth.verifyToken(refreshToken, 'refresh');
+      if (result.valid && result.data.uid === req.user.uid) {
+        auth.blacklistToken(refreshToken);
+      }
     }
+    
+    auth.logAuthEvent('logout', req.user.uid, req.ip);
+    res.json({ success: true });
   }
 
+  // Accepts a dashboard JWT or an X-API-Key header
   authenticate(req, res, next) {
+    const apiKey = req.headers['x-api-key'];
+    
+    if (apiKey) {
+      const result = auth.validateApiKey(apiKey);
+      if (!result.valid) {
+        return res.status(401).json({ error: result.error });
+      }
+      
+      req.user = result.user;
+      return this.checkLockdown(req, res, next);
+    }
+    
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -205,14 +376,51 @@ class APIServer {
     }
     
     const token = authHeader.split(' ')[1];
+    const result = auth.verifyToken(token);
     
-    try {
-      const decoded = jwt.verify(token, this.jwtSecret);
-      req.user = decoded;
-      next();
-    } catch (error) {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (!result.valid) {
+      return res.status(401).json({ error: result.expired ? 'Token expired' : 'Invalid token', expired: result.expired });
     }
+    
+    req.user = result.data;
+    req.token = token;
+    this.checkLockdown(req, res, next);
+  }
+
+  // Non-owner sessions and API keys are refused while the bot is locked down;
+  // the owner claim is checked again in case the token predates a removal
+  checkLockdown(req, res, next) {
+    if (!lockdown.isActive() || req.path === '/auth/logout') return next();
+    if (req.user.isOwner && guard.isOwner(req.user.uid)) return next();
+    
+    const { reason, since } = lockdown.getState();
+    res.status(423).json({ error: 'Bot is in lockdown', lockdown: { reason, since } });
+  }
+
+  // JWT users pass (handlers check their role). API keys start with no role
+  // and only get admin rights on routes whose scope, and thread, they hold;
+  // routes without a scope stay closed to them.
+  requireScope(scope, getThreadId = null) {
+    return (req, res, next) => {
+      const key = req.user.apiKey;
+      if (!key) return next();
+      
+      if (!apiKeys.hasScope(key, scope)) {
+        return res.status(403).json({ error: `API key lacks scope ${scope}` });
+      }
+      
+      const threadId = getThreadId ? getThreadId(req) : null;
+      if (threadId && !apiKeys.allowsThread(key, threadId)) {
+        return res.status(403).json({ error: 'API key is not allowed in this thread' });
+      }
+      
+      req.user = { ...req.user, isAdmin: true };
+      next();
+    };
+  }
+  
+  canAccessThread(req, threadId) {
+    return !req.user.apiKey || apiKeys.allowsThread(req.user.apiKey, threadId);
   }
 
   requireOwner(req, res, next) {
@@ -223,12 +431,7 @@ class APIServer {
   }
 
   verifyToken(token) {
-    try {
-      jwt.verify(token, this.jwtSecret);
-      return true;
-    } catch {
-      return false;
-    }
+    return auth.verifyToken(token).valid;
   }
 
   // API Route Handlers
@@ -259,7 +462,7 @@ class APIServer {
       },
       connections: {
         activeThreads: global.activeThreads || 0,
-        activeFuns: global.funIntervals ? Object.keys(global.funIntervals).length : 0,
+        activeFuns: require('../src/utils/funEngine').getActiveFuns().length,
         wsClients: this.wss.clients.size
       }
     };
@@ -374,14 +577,23 @@ class APIServer {
     }
   }
 
+  // ?q= matches thread name or ID; member names come through the user cache
   async getThreads(req, res) {
     try {
+      const api = this.getMessengerApi();
+      const funEngine = require('../src/utils/funEngine');
       const limit = parseInt(req.query.limit) || 20;
-      const threadList = await this.bot.api.getThreadList(limit, null, ['INBOX']);
+      const query = String(req.query.q || '').trim().toLowerCase();
+      const threadList = await api.getThreadList(limit, null, ['INBOX']);
+      
+      const matching = threadList.filter(thread =>
+        this.canAccessThread(req, thread.threadID) &&
+        (!query || String(thread.threadID).includes(query) || (thread.name || '').toLowerCase().includes(query))
+      );
       
       const threads = await Promise.all(
-        threadList.map(async (thread) => {
-          const participantInfo = await this.bot.api.getUserInfo(thread.participantIDs.slice(0, 10));
+        matching.map(async (thread) => {
+          const participants = await ThreadEvents.getUsers(api, thread.participantIDs.slice(0, 10).map(String));
           
           return {
             id: thread.threadID,
@@ -389,21 +601,19 @@ class APIServer {
             type: thread.isGroup ? 'group' : 'personal',
             participantCount: thread.participantIDs.length,
             adminCount: thread.adminIDs?.length || 0,
-            participants: Object.values(participantInfo).map(p => ({
-              id: p.id,
-              name: p.name,
-              profilePic: p.thumbSrc
-            })),
-            lastActivity: new Date(thread.timestamp).toISOString(),
+            participants,
+            lastActivity: new Date(Number(thread.timestamp)).toISOString(),
             isArchived: thread.isArchived,
-            unreadCount: thread.unreadCount
+            unreadCount: thread.unreadCount,
+            funActive: funEngine.isActive(thread.threadID),
+            messagesToday: stats.getThreadStats(thread.threadID, 1).totals.messagesReceived
           };
         })
       );
       
       res.json({
         threads,
-        total: threadList.length
+        total: threads.length
       });
       
     } catch (error) {
@@ -416,22 +626,30 @@ class APIServer {
     const { id } = req.params;
     
     try {
-      const threadInfo = await this.bot.api.getThreadInfo(id);
-      const participantInfo = await this.bot.api.getUserInfo(threadInfo.participantIDs);
+      const api = this.getMessengerApi();
+      const threadInfo = await ThreadEvents.getThreadInfo(api, id);
+      if (!threadInfo) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+      
+      const memberIds = (threadInfo.participantIDs || []).map(String);
+      const adminIds = (threadInfo.adminIDs || []).map(admin => String(admin.id || admin));
+      const members = await ThreadEvents.getUsers(api, memberIds);
       
       const thread = {
         id: threadInfo.threadID,
-        name: threadInfo.name || 'Unnamed',
+        name: threadInfo.threadName || threadInfo.name || 'Unnamed',
         type: threadInfo.isGroup ? 'group' : 'personal',
-        participants: Object.values(participantInfo).map(p => ({
-          id: p.id,
-          name: p.name,
-          profilePic: p.thumbSrc,
-          isAdmin: threadInfo.adminIDs?.includes(p.id) || false
+        participants: members.map(member => ({
+          id: member.id,
+          name: member.name,
+          profilePic: (cache.getCachedUserInfo(member.id) || {}).thumbSrc || null,
+          isAdmin: adminIds.includes(member.id),
+          isBlocked: guard.isBlocked(member.id)
         })),
-        participantCount: threadInfo.participantIDs.length,
-        adminCount: threadInfo.adminIDs?.length || 0,
-        created: new Date(threadInfo.timestamp).toISOString(),
+        participantCount: memberIds.length,
+        adminCount: adminIds.length,
+        created: threadInfo.timestamp ? new Date(Number(threadInfo.timestamp)).toISOString() : null,
         emoji: threadInfo.emoji,
         color: threadInfo.color,
         nicknames: threadInfo.nicknames,
@@ -447,6 +665,185 @@ class APIServer {
     }
   }
 
+  // Daily counters, fun state and what is blocked here, for the thread explorer
+  async getThreadAnalytics(req, res) {
+    const { id } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+    const settings = threadSettings.get(id, this.bot.prefix);
+    const funEngine = require('../src/utils/funEngine');
+    
+    res.json({
+      threadId: id,
+      activity: stats.getThreadStats(id, days),
+      fun: funEngine.getFun(id),
+      funAllowed: threadSettings.isFunAllowed(id),
+      blocked: {
+        commands: settings.disabledCommands,
+        allowedOnly: settings.allowedCommands
+      },
+      recentEvents: ThreadEvents.getHistory().filter(activity => activity.threadId === id)
+    });
+  }
+
+  async getThreadSettings(req, res) {
+    const { id } = req.params;
+    
+    res.json({
+      threadId: id,
+      settings: threadSettings.get(id, this.bot.prefix),
+      overrides: threadSettings.getOverrides(id),
+      defaults: threadSettings.getDefaults(this.bot.prefix)
+    });
+  }
+
+  async updateThreadSettings(req, res) {
+    const { id } = req.params;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const changes = req.body || {};
+    const commandLists = [changes.allowedCommands, changes.disabledCommands]
+      .filter(list => Array.isArray(list))
+      .flat();
+    const unknown = commandLists.filter(name => !registry.has(String(name)));
+    
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown commands', details: unknown });
+    }
+    
+    const before = threadSettings.getOverrides(id);
+    const result = threadSettings.update(id, changes);
+    
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid settings', details: result.errors });
+    }
+    
+    logger.info('Thread settings updated via API', {
+      threadId: id,
+      updatedBy: req.user.uid,
+      changes
+    });
+    this.audit(req, { action: 'thread.settings', target: id, before, after: threadSettings.getOverrides(id) });
+    
+    res.json({
+      success: true,
+      threadId: id,
+      settings: threadSettings.get(id, this.bot.prefix),
+      overrides: threadSettings.getOverrides(id)
+    });
+  }
+
+  async getModeration(req, res) {
+    const { id } = req.params;
+    
+    res.json({
+      threadId: id,
+      rules: moderation.getRules(id),
+      overrides: moderation.getOverrides(id),
+      defaults: moderation.getDefaults(),
+      strikes: moderation.getStrikes(id),
+      violations: moderation.getViolations(id, Math.min(parseInt(req.query.limit, 10) || 50, 200))
+    });
+  }
+
+  async updateModeration(req, res) {
+    const { id } = req.params;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const before = moderation.getOverrides(id);
+    const result = moderation.update(id, req.body || {});
+    
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid moderation rules', details: result.errors });
+    }
+    
+    logger.info('Moderation rules updated via API', { threadId: id, updatedBy: req.user.uid });
+    this.audit(req, { action: 'mod.rules', target: id, before, after: moderation.getOverrides(id) });
+    
+    res.json({ success: true, threadId: id, rules: result.rules, overrides: moderation.getOverrides(id) });
+  }
+
+  async pardonUser(req, res) {
+    const { id, uid } = req.params;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    if (!moderation.pardon(id, uid)) {
+      return res.status(404).json({ error: 'User has no strikes in this thread' });
+    }
+    
+    this.audit(req, { action: 'mod.pardon', target: uid, details: { threadId: id } });
+    res.json({ success: true, threadId: id, userId: uid });
+  }
+
+  // Stored history, newest first; ?q= words, ?senderId=, ?before= ISO time, ?limit=
+  async searchThreadMessages(req, res) {
+    const { id } = req.params;
+    
+    if (!messageStore.isEnabled()) {
+      return res.status(404).json({ error: 'Message store is disabled' });
+    }
+    if (req.query.before && Number.isNaN(new Date(req.query.before).getTime())) {
+      return res.status(400).json({ error: 'before must be a date' });
+    }
+    
+    const result = messageStore.search(id, {
+      q: req.query.q,
+      senderId: req.query.senderId,
+      before: req.query.before,
+      limit: req.query.limit
+    });
+    
+    res.json({
+      threadId: id,
+      query: req.query.q || '',
+      total: result.total,
+      messages: result.messages.map(entry => ({ ...entry, body: MessageFeed.redact(entry.body) }))
+    });
+  }
+
+  // multipart/form-data with "body" and up to ten "attachments" files, or plain JSON
+  uploadAttachments(req, res, next) {
+    this.upload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+      if (error) return res.status(400).json({ error: error.message });
+      next();
+    });
+  }
+
+  async sendThreadMessage(req, res) {
+    const { id } = req.params;
+    const body = typeof req.body.body === 'string' ? req.body.body : '';
+    const files = (req.files || []).map(file => ({ buffer: file.buffer, name: file.originalname }));
+    
+    if (!body.trim() && files.length === 0) {
+      return res.status(400).json({ error: 'body or attachments are required' });
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `body is limited to ${MAX_MESSAGE_LENGTH} characters` });
+    }
+    
+    try {
+      const info = await MessageFeed.send(this.getMessengerApi(), id, {
+        body,
+        files,
+        replyTo: req.body.replyTo || null
+      }, req.user.uid);
+      
+      res.json({ success: true, threadId: id, messageId: info.messageID || null, attachments: files.length });
+      
+    } catch (error) {
+      logger.error('Error sending message via API:', error);
+      res.status(502).json({ error: 'Failed to send message', details: error.message });
+    }
+  }
+
   async leaveThread(req, res) {
     const { id } = req.params;
     
@@ -455,23 +852,60 @@ class APIServer {
     }
     
     try {
-      await this.bot.api.removeUserFromGroup(this.bot.api.getCurrentUserID(), id);
+      const api = this.getMessengerApi();
+      await api.removeUserFromGroup(api.getCurrentUserID(), id);
       
       logger.info('Bot left thread via API', {
         threadId: id,
         userId: req.user.uid
       });
+      this.audit(req, { action: 'thread.leave', target: id });
       
       res.json({ success: true, message: 'Left thread successfully' });
       
     } catch (error) {
       logger.error('Error leaving thread:', error);
+      this.audit(req, { action: 'thread.leave', target: id, result: 'failure', details: { error: error.message } });
       res.status(500).json({ error: 'Failed to leave thread' });
     }
   }
 
+  // { seconds }: -1 mutes for good, 0 unmutes
+  async muteThread(req, res) {
+    const { id } = req.params;
+    const seconds = req.body.seconds === undefined ? -1 : req.body.seconds;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    if (!Number.isInteger(seconds) || seconds < -1) {
+      return res.status(400).json({ error: 'seconds must be -1 (forever), 0 (unmute) or a positive whole number' });
+    }
+    
+    try {
+      const api = this.getMessengerApi();
+      await new Promise((resolve, reject) => {
+        api.muteThread(id, seconds, (err) => (err ? reject(err) : resolve()));
+      });
+      
+      logger.info('Thread mute changed via API', {
+        threadId: id,
+        seconds,
+        userId: req.user.uid
+      });
+      this.audit(req, { action: 'thread.mute', target: id, after: { seconds } });
+      
+      res.json({ success: true, threadId: id, muted: seconds !== 0, seconds });
+      
+    } catch (error) {
+      logger.error('Error muting thread:', error);
+      res.status(500).json({ error: 'Failed to mute thread' });
+    }
+  }
+
   async executeCommand(req, res) {
-    const { command, threadId, args = [] } = req.body;
+    const { command, threadId, args = [], confirm = false } = req.body;
     
     if (!req.user.isOwner && !req.user.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
@@ -483,7 +917,9 @@ class APIServer {
         senderID: req.user.uid,
         threadID: threadId,
         body: `!${command} ${args.join(' ')}`.trim(),
-        type: 'message'
+        type: 'message',
+        channel: 'rest',
+        confirmed: confirm === true
       };
       
       // Process command
@@ -511,19 +947,18 @@ class APIServer {
   }
 
   async getCommands(req, res) {
-    const commands = {
-      user: ['help', 'info', 'stats'],
-      admin: ['startfun', 'stopfun', 'managegroups', 'editadminphoto', 'updatefun'],
-      owner: ['emergencystop', 'shutdown', 'addadmin', 'removeadmin', 'diagnostics', 'reloadconfig', 'execute', 'backup', 'cleanup']
-    };
-    
-    res.json(commands);
+    res.json(registry.groupByCategory());
+  }
+
+  // server/main.js wraps the Messenger client; fun loops need the raw one
+  getMessengerApi() {
+    return this.bot.api && this.bot.api.api ? this.bot.api.api : this.bot.api;
   }
 
   async getActiveFuns(req, res) {
     try {
       const funEngine = require('../src/utils/funEngine');
-      const activeFuns = funEngine.getActiveFuns();
+      const activeFuns = funEngine.getActiveFuns().filter(fun => this.canAccessThread(req, fun.threadId));
       
       res.json({
         active: activeFuns,
@@ -537,19 +972,29 @@ class APIServer {
   }
 
   async startFun(req, res) {
-    const { type, threadId } = req.body;
+    const { type, threadId, maxMessages, maxDuration } = req.body;
     
     if (!req.user.isOwner && !req.user.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
     }
     
+    const options = {};
+    for (const [key, value] of Object.entries({ maxMessages, maxDuration })) {
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value <= 0) {
+        return res.status(400).json({ error: `${key} must be a positive whole number` });
+      }
+      options[key] = value;
+    }
+    
     try {
       const funEngine = require('../src/utils/funEngine');
       const result = await funEngine.startFun(
-        this.bot.api,
+        this.getMessengerApi(),
         threadId,
         type,
-        req.user.uid
+        req.user.uid,
+        options
       );
       
       if (result.success) {
@@ -573,7 +1018,7 @@ class APIServer {
     
     try {
       const funEngine = require('../src/utils/funEngine');
-      const result = await funEngine.stopFun(threadId);
+      const result = funEngine.stopFun(threadId, 'api');
       
       if (result.success) {
         res.json(result);
@@ -587,6 +1032,54 @@ class APIServer {
     }
   }
 
+  async pauseFun(req, res) {
+    const { threadId } = req.body;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const funEngine = require('../src/utils/funEngine');
+    const result = funEngine.pauseFun(threadId);
+    
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
+  async resumeFun(req, res) {
+    const { threadId } = req.body;
+    
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const funEngine = require('../src/utils/funEngine');
+    const result = funEngine.resumeFun(threadId);
+    
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
+  // Only the loops this caller can see; API keys limited to some threads stop those
+  async stopAllFuns(req, res) {
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const funEngine = require('../src/utils/funEngine');
+    const stopped = funEngine.getActiveFuns()
+      .filter(fun => this.canAccessThread(req, fun.threadId))
+      .map(fun => funEngine.stopFun(fun.threadId, 'api'))
+      .filter(result => result.success)
+      .map(result => result.stats);
+    
+    logger.info('Fun loops stopped via API', { count: stopped.length, userId: req.user.uid });
+    
+    res.json({
+      success: true,
+      message: `⛔ Stopped ${stopped.length} fun loop${stopped.length === 1 ? '' : 's'}`,
+      stopped
+    });
+  }
+
   async getFunTypes(req, res) {
     try {
       const funEngine = require('../src/utils/funEngine');
@@ -604,6 +1097,91 @@ class APIServer {
     }
   }
 
+  async getFunTemplate(req, res) {
+    const funEngine = require('../src/utils/funEngine');
+    const info = funEngine.getFunInfo(req.params.type);
+    
+    if (!info) {
+      return res.status(404).json({ error: 'Fun type not found' });
+    }
+    
+    res.json({ ...info, lines: funEngine.getTemplateLines(req.params.type) });
+  }
+
+  // Templates are shared by every thread, so keys limited to some threads can't change them
+  checkTemplateAccess(req, res) {
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      res.status(403).json({ error: 'Admin access required' });
+      return false;
+    }
+    if (req.user.apiKey && req.user.apiKey.threads) {
+      res.status(403).json({ error: 'Template changes need an API key valid for all threads' });
+      return false;
+    }
+    return true;
+  }
+
+  parseFunLine(req, res) {
+    const line = typeof req.body.line === 'string' ? req.body.line.trim() : '';
+    if (!line || line.length > 2000) {
+      res.status(400).json({ error: 'line is required (max 2000 characters)' });
+      return null;
+    }
+    return line;
+  }
+
+  async addFunLine(req, res) {
+    if (!this.checkTemplateAccess(req, res)) return;
+    
+    // New types become new template files
+    if (!/^[a-z0-9_-]{1,30}$/i.test(req.params.type)) {
+      return res.status(400).json({ error: 'Invalid fun type name' });
+    }
+    
+    const line = this.parseFunLine(req, res);
+    if (line === null) return;
+    
+    const weight = req.body.weight === undefined ? 1 : Number(req.body.weight);
+    if (!(weight > 0)) {
+      return res.status(400).json({ error: 'weight must be a positive number' });
+    }
+    
+    const funEngine = require('../src/utils/funEngine');
+    const result = await funEngine.addFunLine(req.params.type, line, weight);
+    
+    if (result.success) {
+      logger.info('Fun template changed via API', { type: req.params.type, action: 'add', userId: req.user.uid });
+    }
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
+  async editFunLine(req, res) {
+    if (!this.checkTemplateAccess(req, res)) return;
+    
+    const line = this.parseFunLine(req, res);
+    if (line === null) return;
+    
+    const funEngine = require('../src/utils/funEngine');
+    const result = await funEngine.editFunLine(req.params.type, Number(req.params.index), line);
+    
+    if (result.success) {
+      logger.info('Fun template changed via API', { type: req.params.type, action: 'edit', userId: req.user.uid });
+    }
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
+  async removeFunLine(req, res) {
+    if (!this.checkTemplateAccess(req, res)) return;
+    
+    const funEngine = require('../src/utils/funEngine');
+    const result = await funEngine.removeFunLine(req.params.type, Number(req.params.index));
+    
+    if (result.success) {
+      logger.info('Fun template changed via API', { type: req.params.type, action: 'remove', userId: req.user.uid });
+    }
+    res.status(result.success ? 200 : 400).json(result);
+  }
+
   async getAdmins(req, res) {
     if (!req.user.isOwner) {
       return res.status(403).json({ error: 'Owner access required' });
@@ -611,7 +1189,7 @@ class APIServer {
     
     try {
       const config = require('../config/config.json');
-      const adminIds = config.admins || [];
+      const adminIds = this.getAdminIds();
       
       // Get admin info
       const adminInfo = await Promise.all(
@@ -647,6 +1225,17 @@ class APIServer {
     }
   }
 
+  getAdminIds() {
+    return stateStore.getAdmins() || require('../config/config.json').admins || [];
+  }
+
+  // Keep the running bot's in-memory admin list in step with the store
+  syncBotAdmins() {
+    if (this.bot && Array.isArray(this.bot.admins)) {
+      this.bot.admins = this.getAdminIds();
+    }
+  }
+
   async addAdmin(req, res) {
     if (!req.user.isOwner) {
       return res.status(403).json({ error: 'Owner access required' });
@@ -659,26 +1248,25 @@ class APIServer {
     }
     
     try {
-      const configPath = path.join(__dirname, '../config/config.json');
-      const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
-      
-      if (config.admins.includes(uid)) {
+      const before = this.getAdminIds();
+      if (!stateStore.addAdmin(uid, before)) {
         return res.status(400).json({ error: 'User is already an admin' });
       }
       
-      config.admins.push(uid);
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+      this.syncBotAdmins();
       
       logger.info('Admin added via API', {
         addedBy: req.user.uid,
         newAdmin: uid
       });
+      this.audit(req, { action: 'admin.add', target: uid, before, after: this.getAdminIds() });
+      this.webhookManager.onAdminAction(`admin_added:${uid}`, req.user.uid);
       
       res.json({
         success: true,
         message: 'Admin added successfully',
         uid,
-        totalAdmins: config.admins.length
+        totalAdmins: this.getAdminIds().length
       });
       
     } catch (error) {
@@ -695,27 +1283,25 @@ class APIServer {
     const { id } = req.params;
     
     try {
-      const configPath = path.join(__dirname, '../config/config.json');
-      const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
-      
-      const index = config.admins.indexOf(id);
-      if (index === -1) {
+      const before = this.getAdminIds();
+      if (!stateStore.removeAdmin(id, before)) {
         return res.status(404).json({ error: 'User is not an admin' });
       }
       
-      config.admins.splice(index, 1);
-      await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+      this.syncBotAdmins();
       
       logger.info('Admin removed via API', {
         removedBy: req.user.uid,
         removedAdmin: id
       });
+      this.audit(req, { action: 'admin.remove', target: id, before, after: this.getAdminIds() });
+      this.webhookManager.onAdminAction(`admin_removed:${id}`, req.user.uid);
       
       res.json({
         success: true,
         message: 'Admin removed successfully',
         uid: id,
-        totalAdmins: config.admins.length
+        totalAdmins: this.getAdminIds().length
       });
       
     } catch (error) {
@@ -724,6 +1310,124 @@ class APIServer {
     }
   }
 
+  async getRoles(req, res) {
+    if (!req.user.isOwner && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const commands = {};
+    for (const command of registry.list()) {
+      commands[command.name] = guard.getRequiredRole(command.name);
+    }
+    
+    res.json({
+      hierarchy: roles.roles,
+      owners: ownerVerifier.getOwners(),
+      ...roles.list(),
+      commandOverrides: roles.getCommandOverrides(),
+      commands
+    });
+  }
+  
+  // { role, threadId? }: without threadId the role applies everywhere
+  async setUserRole(req, res) {
+    const { uid } = req.params;
+    const { role, threadId = null } = req.body || {};
+    
+    if (!/^\d{5,20}$/.test(uid)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (guard.isOwner(uid)) {
+      return res.status(400).json({ error: 'Owners are managed under /api/owner/owners' });
+    }
+    
+    const result = roles.setRole(uid, role, threadId ? String(threadId) : null);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    this.syncBotAdmins();
+    this.audit(req, {
+      action: threadId ? 'role.thread' : 'role.global',
+      target: uid,
+      before: result.before,
+      after: result.after,
+      details: threadId ? { threadId: String(threadId) } : null
+    });
+    
+    res.json({ success: true, uid, role: result.after, threadId: threadId ? String(threadId) : null });
+  }
+  
+  // { role } sets the lowest role allowed to run the command; null restores the default
+  async setCommandRole(req, res) {
+    const definition = registry.get(req.params.name);
+    const { role = null } = req.body || {};
+    
+    if (!definition) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+    if (definition.category === 'owner') {
+      return res.status(400).json({ error: 'Owner commands always stay with owners' });
+    }
+    if (role !== null && !roles.isRole(role)) {
+      return res.status(400).json({ error: `role must be one of: ${roles.roles.join(', ')} (or null)` });
+    }
+    
+    const change = roles.setCommandRole(definition.name, role);
+    this.audit(req, { action: 'role.command', target: definition.name, before: change.before, after: change.after });
+    
+    res.json({ success: true, command: definition.name, requiredRole: guard.getRequiredRole(definition.name) });
+  }
+  
+  async getOwners(req, res) {
+    res.json({ primary: ownerVerifier.getPrimaryOwner(), owners: ownerVerifier.getOwners(), keyId: ownerVerifier.keyId, keySource: ownerVerifier.keySource });
+  }
+  
+  // Only the primary owner changes the owner set
+  async addOwner(req, res) {
+    if (!ownerVerifier.isPrimaryOwner(req.user.uid)) {
+      return res.status(403).json({ error: 'Primary owner access required' });
+    }
+    
+    const uid = String((req.body || {}).uid || '');
+    const result = ownerVerifier.addOwner(uid);
+    this.audit(req, {
+      action: 'owner.add',
+      target: uid,
+      before: result.before || null,
+      after: result.owners || null,
+      result: result.success ? 'success' : 'failure',
+      details: result.success ? null : { error: result.error }
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, owners: result.owners });
+  }
+  
+  async removeOwner(req, res) {
+    if (!ownerVerifier.isPrimaryOwner(req.user.uid)) {
+      return res.status(403).json({ error: 'Primary owner access required' });
+    }
+    
+    const { uid } = req.params;
+    const result = ownerVerifier.removeOwner(uid);
+    this.audit(req, {
+      action: 'owner.remove',
+      target: uid,
+      before: result.before || null,
+      after: result.owners || null,
+      result: result.success ? 'success' : 'failure',
+      details: result.success ? null : { error: result.error }
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, owners: result.owners });
+  }
+
   async getLogs(req, res) {
     if (!req.user.isOwner && !req.user.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
@@ -775,6 +1479,7 @@ class APIServer {
     
     try {
       logger.info('Bot restart requested via API', { userId: req.user.uid });
+      this.audit(req, { action: 'bot.restart' });
       
       // Schedule restart in 5 seconds
       setTimeout(() => {
@@ -840,6 +1545,7 @@ class APIServer {
     // Owner only
     try {
       logger.info('Bot shutdown requested via API', { userId: req.user.uid });
+      this.audit(req, { action: 'bot.shutdown', details: { delay: 10 } });
       
       // Schedule shutdown in 10 seconds
       setTimeout(() => {
@@ -890,6 +1596,114 @@ class APIServer {
     }
   }
 
+  // Audit entries for REST actions; see src/system/auditLog
+  audit(req, fields) {
+    auditLog.record({ actor: req.user.uid, channel: 'rest', ...fields });
+  }
+
+  async getLockdown(req, res) {
+    res.json(lockdown.getState());
+  }
+
+  // { reason }
+  async startLockdown(req, res) {
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : 'Manual lockdown';
+    const result = guard.emergencyLockdown(reason, { actor: req.user.uid, channel: 'rest' });
+    
+    if (!result.success) {
+      return res.status(409).json({ error: result.error, lockdown: result.state });
+    }
+    
+    res.json({ success: true, lockdown: result.state, funsStopped: result.funsStopped });
+  }
+
+  async liftLockdown(req, res) {
+    const result = guard.liftLockdown({ actor: req.user.uid, channel: 'rest' });
+    
+    if (!result.success) {
+      return res.status(result.error === 'Lockdown is not active' ? 409 : 403).json({ error: result.error });
+    }
+    
+    res.json({ success: true, lockdown: result.state });
+  }
+
+  // Newest first; ?format=csv downloads the matching entries as CSV
+  async getAuditLog(req, res) {
+    const { actor, channel, action, target, result, since, until, limit } = req.query;
+    
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be a date` });
+      }
+    }
+    
+    const found = auditLog.query({ actor, channel, action, target, result, since, until, limit });
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(auditLog.toCsv(found.entries));
+    }
+    
+    res.json(found);
+  }
+
+  async verifyAuditLog(req, res) {
+    res.json(auditLog.verify());
+  }
+
+  // API keys (owner only); the raw key is only returned by create and rotate
+  async listApiKeys(req, res) {
+    res.json({
+      keys: apiKeys.list(),
+      scopes: apiKeys.scopes
+    });
+  }
+
+  async createApiKey(req, res) {
+    const result = apiKeys.create(req.body || {}, req.user.uid);
+    
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    this.audit(req, { action: 'apikey.create', target: result.apiKey.id, after: result.apiKey });
+    res.status(201).json(result);
+  }
+
+  async updateApiKey(req, res) {
+    const before = apiKeys.list().find(key => key.id === req.params.id) || null;
+    const result = apiKeys.update(req.params.id, req.body || {});
+    
+    if (!result.success) {
+      return res.status(result.error === 'API key not found' ? 404 : 400).json({ error: result.error });
+    }
+    
+    this.audit(req, { action: 'apikey.update', target: req.params.id, before, after: result.apiKey });
+    res.json(result);
+  }
+
+  async rotateApiKey(req, res) {
+    const result = apiKeys.rotate(req.params.id);
+    
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+    
+    this.audit(req, { action: 'apikey.rotate', target: req.params.id });
+    res.json(result);
+  }
+
+  async revokeApiKey(req, res) {
+    if (!apiKeys.revoke(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    logger.info('API key revoked via API', { id: req.params.id, revokedBy: req.user.uid });
+    this.audit(req, { action: 'apikey.revoke', target: req.params.id });
+    res.json({ success: true });
+  }
+
   // WebSocket methods
   sendInitialData(ws) {
     const initialData = {
@@ -1054,6 +1868,8 @@ class APIServer {
   }
 
   stop() {
+    this.webhookManager.stop();
+    
     if (this.server) {
       this.server.close();
       logger.info('API Server stopped');
@@ -9,6 +9,17 @@ const APIServer = require('./api');
 const WebSocketServer = require('./websocket');
 const HealthMonitor = require('../src/system/healthMonitor');
 const MetricsCollector = require('../src/utils/metrics');
+const HotReloader = require('../src/system/hotReloader');
+const FunEngine = require('../src/utils/funEngine');
+const ConversationManager = require('../src/utils/conversationManager');
+const ThreadEvents = require('../src/system/threadEvents');
+const MessageFeed = require('../src/system/messageFeed');
+const MessageStore = require('../src/utils/messageStore');
+const Moderation = require('../src/system/moderation');
+const Lockdown = require('../src/secure/lockdown');
+const OwnerVerifier = require('../src/secure/verifyOwner');
+const StateStore = require('../src/utils/stateStore');
+const BotConfig = require('../config/config.json');
 
 // Configuration
 const CONFIG = {
@@ -16,7 +27,8 @@ const CONFIG = {
   apiPort: process.env.API_PORT || 3001,
   enableAPI: process.env.ENABLE_API !== 'false',
   enableWebSocket: process.env.ENABLE_WEBSOCKET !== 'false',
-  enableMetrics: process.env.ENABLE_METRICS !== 'false'
+  enableMetrics: process.env.ENABLE_METRICS !== 'false',
+  enableHotReload: process.env.ENABLE_HOT_RELOAD !== 'false'
 };
 
 class ExtendedBot {
@@ -28,6 +40,77 @@ class ExtendedBot {
     this.wsServer = null;
     this.healthMonitor = HealthMonitor;
     this.metrics = MetricsCollector;
+    
+    // Command handlers read these from the bot they are given, as in src/index.js
+    this.ownerUID = String(BotConfig.ownerUID);
+    this.prefix = StateStore.getPrefix() || BotConfig.prefix || '!';
+    this.admins = StateStore.getAdmins() || BotConfig.admins || [];
+    this.currentUser = null;
+    this.commandHistory = [];
+    this.commandProcessor.init(this);
+    
+    this.setupFunEvents();
+    this.setupMessageFeed();
+    this.setupLockdownEvents();
+  }
+
+  // Every stop path (manual, limits, errors, shutdown) reports here
+  setupFunEvents() {
+    FunEngine.on('start', (fun) => {
+      if (this.wsServer) this.wsServer.broadcastFunStarted(fun);
+      if (this.apiServer) this.apiServer.webhookManager.onFunStarted(fun);
+    });
+    
+    FunEngine.on('pause', (fun) => {
+      if (this.wsServer) this.wsServer.broadcastFunPaused(fun);
+    });
+    
+    FunEngine.on('resume', (fun) => {
+      if (this.wsServer) this.wsServer.broadcastFunResumed(fun);
+    });
+    
+    FunEngine.on('progress', (fun) => {
+      if (this.wsServer) this.wsServer.broadcastFunProgress(fun);
+    });
+    
+    FunEngine.on('stop', (summary) => {
+      if (this.wsServer) this.wsServer.broadcastFunStopped(summary);
+      if (this.apiServer) this.apiServer.webhookManager.onFunStopped(summary);
+    });
+  }
+
+  // Incoming and outgoing messages, already redacted
+  setupMessageFeed() {
+    MessageFeed.on((record) => {
+      if (this.wsServer) this.wsServer.broadcastMessage(record);
+      if (this.apiServer && record.direction === 'out') this.apiServer.webhookManager.onMessageSent(record);
+    });
+  }
+
+  // Lockdown starts and ends from chat, REST or the guard's threshold
+  setupLockdownEvents() {
+    Lockdown.on('activate', (state) => {
+      if (this.wsServer) {
+        this.wsServer.enforceLockdown();
+        this.wsServer.broadcastBotStatusChange('lockdown');
+      }
+      if (this.apiServer) this.apiServer.webhookManager.queue.pause();
+      
+      // Owners hear about automatic lockdowns in their inbox
+      if (state.trigger === 'automatic' && this.api.api) {
+        for (const ownerId of OwnerVerifier.getOwners()) {
+          const prefix = this.commandProcessor.getPrefix(ownerId);
+          this.api.api.sendMessage(`🚨 ${Lockdown.describe(state)}\n\nUse ${prefix}owner unlock to lift it.`, ownerId, (err) => {
+            if (err) Logger.error('Failed to notify owner of lockdown:', { ownerId, error: err.message || err });
+          });
+        }
+      }
+    });
+    
+    Lockdown.on('lift', () => {
+      if (this.wsServer) this.wsServer.broadcastBotStatusChange('running');
+      if (this.apiServer) this.apiServer.webhookManager.queue.resume();
+    });
   }
 
   async start() {
@@ -46,10 +129,18 @@ class ExtendedBot {
       
       // Login to Facebook
       await this.api.login();
+      this.currentUser = this.api.api.getCurrentUserID();
+      MessageFeed.attach(this.api.api);
+      MessageStore.start();
       
       // Set up event listeners
       this.setupEventListeners();
       
+      // Offer or resume fun loops cut off by the last restart
+      FunEngine.restoreInterrupted(this.api.api).catch(error => {
+        Logger.error('Error restoring interrupted funs:', error);
+      });
+      
       this.isRunning = true;
       Logger.info('✅ Bot is now running and listening for messages');
       
@@ -64,6 +155,14 @@ class ExtendedBot {
       // Start uptime timer
       this.startUptimeTimer();
       
+      // Watch commands and fun templates for changes
+      if (CONFIG.enableHotReload) {
+        HotReloader.start(entry => {
+          if (this.wsServer) this.wsServer.broadcastSystemLog(entry);
+        });
+        Logger.info('✅ Hot reload enabled');
+      }
+      
     } catch (error) {
       Logger.error('Failed to start bot:', error);
       
@@ -92,7 +191,6 @@ class ExtendedBot {
 
   initializeGlobalState() {
     global.activeThreads = 0;
-    global.funIntervals = {};
     global.pendingOperations = [];
     global.commandHistory = [];
     global.userSessions = new Map();
@@ -160,13 +258,28 @@ class ExtendedBot {
     // Mark as read
     await this.api.markAsRead(event.threadID).catch(console.error);
     
+    MessageFeed.incoming(event);
+    Statistics.messageReceived(event.threadID, event.senderID);
+    
+    // Moderated threads may take the message down before anything else sees it
+    if (await Moderation.handle(this.api.api, event, { botID: this.api.api.getCurrentUserID() })) return;
+    
+    // Every kept message reaches message_received webhooks, answers included
+    if (this.apiServer) {
+      this.apiServer.webhookManager.onMessageReceived(event);
+    }
+    
+    // Answers to a command's pending question stop here
+    const prefix = this.commandProcessor.getPrefix(event.threadID);
+    if (ConversationManager.handle(event, prefix)) return;
+    
     // Process command if it's a command
-    if (event.body?.startsWith('!')) {
+    if (event.body?.startsWith(prefix)) {
       await this.commandProcessor.processMessage(this.api.api, event);
       
       // Broadcast via WebSocket if enabled
       if (this.wsServer) {
-        this.wsServer.broadcastMessageSent(event);
+        this.wsServer.broadcastCommandReceived(event);
       }
     }
     
@@ -191,105 +304,55 @@ class ExtendedBot {
   async handleSystemEvent(event) {
     Logger.info('System event received:', { type: event.logMessageType });
     
-    switch (event.logMessageType) {
-      case 'log:subscribe':
-        await this.handleJoinEvent(event);
-        break;
-        
-      case 'log:unsubscribe':
-        await this.handleLeaveEvent(event);
-        break;
-        
-      case 'log:thread-name':
-        await this.handleThreadNameChange(event);
-        break;
-        
-      case 'log:thread-color':
-        await this.handleThreadColorChange(event);
-        break;
-        
-      case 'log:thread-icon':
-        await this.handleThreadIconChange(event);
-        break;
+    if (event.logMessageType === 'log:thread-color') {
+      Logger.info('Thread color changed', {
+        threadID: event.threadID,
+        color: event.logMessageData.color
+      });
+      return;
     }
-  }
-
-  async handleJoinEvent(event) {
-    const addedParticipants = event.logMessageData.addedParticipants || [];
-    
-    for (const participant of addedParticipants) {
-      if (participant.userFbId === this.api.api.getCurrentUserID()) {
-        Logger.info('Bot was added to a new thread', {
-          threadID: event.threadID,
-          adder: event.author
-        });
-        
-        // Send welcome message
-        const welcomeMsg = `🤖 Thank you for adding me!\n\n` +
-          `Use !help to see available commands.\n` +
-          `Use !info for bot information.\n\n` +
-          `🔧 This bot is powered by Ultra Professional Messenger Bot v${require('../package.json').version}`;
-        
-        await this.api.sendMessage(event.threadID, welcomeMsg).catch(console.error);
-        
-        // Broadcast via WebSocket
-        if (this.wsServer) {
-          this.wsServer.broadcastAdminAction('bot_added', event.author);
-        }
+    
+    const activity = await ThreadEvents.handle(this.api.api, event, {
+      botID: this.api.api.getCurrentUserID()
+    });
+    if (!activity) return;
+    
+    if (activity.botAdded || activity.botRemoved) {
+      Logger.info(activity.botAdded ? 'Bot was added to a new thread' : 'Bot was removed from a thread', {
+        threadID: event.threadID,
+        by: event.author
+      });
+      
+      if (this.wsServer) {
+        this.wsServer.broadcastAdminAction(activity.botAdded ? 'bot_added' : 'bot_removed', event.author);
       }
-    }
-  }
-
-  async handleLeaveEvent(event) {
-    const leftParticipants = event.logMessageData.leftParticipants || [];
-    
-    for (const participant of leftParticipants) {
-      if (participant.userFbId === this.api.api.getCurrentUserID()) {
-        Logger.info('Bot was removed from a thread', {
-          threadID: event.threadID,
-          remover: event.author
-        });
-        
-        // Broadcast via WebSocket
-        if (this.wsServer) {
-          this.wsServer.broadcastAdminAction('bot_removed', event.author);
-        }
-        
-        // Update active threads
-        if (global.activeThreadsSet) {
-          global.activeThreadsSet.delete(event.threadID);
-          global.activeThreads = global.activeThreadsSet.size;
-        }
+      
+      if (this.apiServer) {
+        this.apiServer.webhookManager.onAdminAction(activity.botAdded ? 'bot_added' : 'bot_removed', event.author);
       }
     }
+    
+    if (activity.botRemoved && global.activeThreadsSet) {
+      global.activeThreadsSet.delete(event.threadID);
+      global.activeThreads = global.activeThreadsSet.size;
+    }
+    
+    if (this.wsServer) {
+      this.wsServer.broadcastUserActivity(activity);
+    }
+    
+    if (this.apiServer) {
+      this.apiServer.webhookManager.onUserActivity(activity);
+    }
   }
 
-  async handleThreadNameChange(event) {
-    Logger.info('Thread name changed', {
-      threadID: event.threadID,
-      newName: event.logMessageData.name
-    });
-  }
-
-  async handleThreadColorChange(event) {
-    Logger.info('Thread color changed', {
-      threadID: event.threadID,
-      color: event.logMessageData.color
-    });
-  }
-
-  async handleThreadIconChange(event) {
-    Logger.info('Thread icon changed', {
-      threadID: event.threadID,
-      emoji: event.logMessageData.emoji
-    });
-  }
-
+  // Replies answer pending questions first, then run like normal messages
   async handleMessageReply(event) {
     Logger.info('Message reply received', {
       threadID: event.threadID,
       senderID: event.senderID
     });
+    await this.handleMessage(event);
   }
 
   async stop() {
@@ -305,18 +368,17 @@ class ExtendedBot {
     // Stop health monitoring
     this.healthMonitor.stop();
     
+    // Stop file watchers
+    HotReloader.stop();
+    
     // Stop metrics
     if (this.metrics) {
       this.metrics.stop();
     }
     
-    // Clean up fun intervals
-    if (global.funIntervals) {
-      Object.values(global.funIntervals).forEach(interval => {
-        clearInterval(interval);
-      });
-      global.funIntervals = {};
-    }
+    // Stop fun loops
+    FunEngine.stopAllFuns('shutdown');
+    ConversationManager.cancelAll();
     
     // Clean up pending operations
     if (global.pendingOperations) {
@@ -346,7 +408,7 @@ class ExtendedBot {
       apiEnabled: CONFIG.enableAPI,
       wsEnabled: CONFIG.enableWebSocket,
       activeThreads: global.activeThreads || 0,
-      activeFuns: global.funIntervals ? Object.keys(global.funIntervals).length : 0,
+      activeFuns: FunEngine.getActiveFuns().length,
       memory: process.memoryUsage(),
       lastRestart: this.startTime || new Date().toISOString()
     };
@@ -378,6 +440,7 @@ process.on('SIGTERM', () => {
 
 process.on('uncaughtException', (error) => {
   Logger.error('Uncaught exception:', error);
+  if (bot.apiServer) bot.apiServer.webhookManager.onErrorOccurred(error);
   // Don't exit, attempt to recover
 });
 
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const logger = require('../../src/utils/logger');
+const stateStore = require('../../src/utils/stateStore');
+
+const KEY_PREFIX = 'ubk';
+const SCOPES = [
+  'status:read',
+  'users:read',
+  'threads:read',
+  'threads:write',
+  'fun:read',
+  'fun:write',
+  'commands:read',
+  'commands:execute',
+  'webhooks:manage',
+  'admins:read',
+  'system:read'
+];
+const LAST_USED_SAVE_INTERVAL = 60 * 1000;
+
+// API keys for external services. Keys look like ubk_<id>_<secret>; only a
+// SHA-256 of the secret is kept (stateStore section "apiKeys"), so a key is
+// shown once at creation/rotation and can't be recovered afterwards.
+class ApiKeyManager {
+  constructor() {
+    this.scopes = SCOPES;
+    this.lastSaved = new Map(); // key id -> when its lastUsedAt was last written
+  }
+
+  getKeys() {
+    return stateStore.get('apiKeys', {});
+  }
+
+  saveKeys(keys) {
+    return stateStore.set('apiKeys', keys);
+  }
+
+  hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  generate(id) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return { key: `${KEY_PREFIX}_${id}_${secret}`, hash: this.hash(secret) };
+  }
+
+  // Shared by create and update; returns the cleaned fields or { error }
+  validateOptions(options, partial = false) {
+    const fields = {};
+
+    if (options.name !== undefined || !partial) {
+      const name = String(options.name || '').trim();
+      if (!name || name.length > 50) return { error: 'name is required (max 50 characters)' };
+      fields.name = name;
+    }
+
+    if (options.scopes !== undefined || !partial) {
+      if (!Array.isArray(options.scopes) || options.scopes.length === 0) {
+        return { error: 'scopes must be a non-empty array' };
+      }
+      const unknown = options.scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) return { error: `Unknown scopes: ${unknown.join(', ')}` };
+      fields.scopes = [...new Set(options.scopes)];
+    }
+
+    if (options.threads !== undefined) {
+      if (options.threads !== null && !Array.isArray(options.threads)) {
+        return { error: 'threads must be an array of thread IDs or null' };
+      }
+      fields.threads = options.threads && options.threads.length > 0 ? options.threads.map(String) : null;
+    }
+
+    if (options.expiresAt !== undefined) {
+      if (options.expiresAt === null) {
+        fields.expiresAt = null;
+      } else {
+        const expiresAt = new Date(options.expiresAt);
+        if (isNaN(expiresAt) || expiresAt <= Date.now()) return { error: 'expiresAt must be a future date' };
+        fields.expiresAt = expiresAt.toISOString();
+      }
+    }
+
+    return { fields };
+  }
+
+  create(options, createdBy) {
+    const { fields, error } = this.validateOptions(options);
+    if (error) return { success: false, error };
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const { key, hash } = this.generate(id);
+    const keys = this.getKeys();
+
+    keys[id] = {
+      id,
+      threads: null,
+      expiresAt: null,
+      ...fields,
+      hash,
+      createdBy: String(createdBy),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      lastUsedAt: null
+    };
+    this.saveKeys(keys);
+
+    logger.info('API key created', { id, name: fields.name, scopes: fields.scopes, createdBy });
+    return { success: true, key, apiKey: this.describe(keys[id]) };
+  }
+
+  update(id, options) {
+    const keys = this.getKeys();
+    if (!keys[id]) return { success: false, error: 'API key not found' };
+
+    const { fields, error } = this.validateOptions(options, true);
+    if (error) return { success: false, error };
+
+    keys[id] = { ...keys[id], ...fields };
+    this.saveKeys(keys);
+
+    return { success: true, apiKey: this.describe(keys[id]) };
+  }
+
+  // New secret, same id, scopes and limits; the old secret stops working at once
+  rotate(id) {
+    const keys = this.getKeys();
+    if (!keys[id]) return { success: false, error: 'API key not found' };
+
+    const { key, hash } = this.generate(id);
+    keys[id] = { ...keys[id], hash, rotatedAt: new Date().toISOString() };
+    this.saveKeys(keys);
+
+    logger.info('API key rotated', { id });
+    return { success: true, key, apiKey: this.describe(keys[id]) };
+  }
+
+  revoke(id) {
+    const keys = this.getKeys();
+    if (!keys[id]) return false;
+
+    delete keys[id];
+    this.saveKeys(keys);
+
+    logger.info('API key revoked', { id });
+    return true;
+  }
+
+  list() {
+    return Object.values(this.getKeys()).map(record => this.describe(record));
+  }
+
+  // Everything but the hash
+  describe(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, expired: this.isExpired(record) };
+  }
+
+  isExpired(record) {
+    return Boolean(record.expiresAt) && new Date(record.expiresAt) <= Date.now();
+  }
+
+  verify(key) {
+    const match = /^ubk_([a-f0-9]+)_([a-f0-9]{64})$/.exec(String(key || ''));
+    if (!match) return { valid: false, error: 'Malformed API key' };
+
+    const keys = this.getKeys();
+    const record = keys[match[1]];
+    if (!record) return { valid: false, error: 'Invalid API key' };
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(this.hash(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return { valid: false, error: 'Invalid API key' };
+
+    if (this.isExpired(record)) return { valid: false, error: 'API key expired' };
+
+    // Persist lastUsedAt at most once a minute per key
+    const now = Date.now();
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - (this.lastSaved.get(record.id) || 0) > LAST_USED_SAVE_INTERVAL) {
+      this.lastSaved.set(record.id, now);
+      this.saveKeys(keys);
+    }
+
+    return { valid: true, record };
+  }
+
+  hasScope(record, scope) {
+    return record.scopes.includes(scope);
+  }
+
+  // null allow-list means every thread
+  allowsThread(record, threadId) {
+    return !record.threads || record.threads.includes(String(threadId));
+  }
+}
+
+module.exports = new ApiKeyManager();
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const logger = require('../../src/utils/logger');
 const guard = require('../../src/secure/guard');
+const apiKeys = require('./apiKeys');
 
 class AuthManager {
   constructor() {
@@ -10,6 +11,11 @@ class AuthManager {
     this.loginAttempts = new Map();
     this.maxLoginAttempts = 5;
     this.lockoutTime = 15 * 60 * 1000; // 15 minutes
+    this.accessTokenTTL = 60 * 60; // 1 hour
+    this.refreshTokenTTL = 7 * 24 * 60 * 60; // 7 days
+    this.codeTTL = 10 * 60 * 1000; // 10 minutes
+    this.codeCooldown = 60 * 1000; // one code per user per minute
+    this.codeRequests = new Map(); // uid -> last code sent at
     
     // Cleanup blacklist periodically
     setInterval(() => this.cleanupBlacklist(), 3600000); // Every hour
@@ -19,21 +25,58 @@ class AuthManager {
     return crypto.randomBytes(64).toString('hex');
   }
 
-  // Generate JWT token
-  generateToken(userData) {
+  // Generate JWT token. Access tokens are short-lived; refresh tokens only
+  // buy a new pair through refresh() and are rejected everywhere else.
+  generateToken(userData, type = 'access') {
+    const now = Math.floor(Date.now() / 1000);
     const payload = {
       uid: userData.uid,
       name: userData.name,
       isOwner: userData.isOwner,
       isAdmin: userData.isAdmin,
       permissions: this.getPermissions(userData),
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
+      type,
+      jti: crypto.randomBytes(8).toString('hex'),
+      iat: now,
+      exp: now + (type === 'refresh' ? this.refreshTokenTTL : this.accessTokenTTL)
     };
 
     return jwt.sign(payload, this.jwtSecret);
   }
 
+  generateTokenPair(userData) {
+    return {
+      token: this.generateToken(userData),
+      refreshToken: this.generateToken(userData, 'refresh'),
+      expiresIn: this.accessTokenTTL
+    };
+  }
+
+  // Swap a refresh token for a new pair. The old one is blacklisted, and the
+  // role is read again so removed admins can't keep refreshing.
+  refresh(refreshToken) {
+    const result = this.verifyToken(refreshToken, 'refresh');
+    if (!result.valid) {
+      return { success: false, error: result.error };
+    }
+
+    const { uid, name } = result.data;
+    const isOwner = guard.isOwner(uid);
+    const isAdmin = guard.isAdmin(uid);
+
+    if (!isOwner && !isAdmin) {
+      return { success: false, error: 'Access revoked' };
+    }
+
+    this.blacklistToken(refreshToken);
+
+    return {
+      success: true,
+      user: { uid, name, isOwner, isAdmin },
+      ...this.generateTokenPair({ uid, name, isOwner, isAdmin })
+    };
+  }
+
   getPermissions(userData) {
     const permissions = ['read:basic'];
     
@@ -49,7 +92,7 @@ class AuthManager {
   }
 
   // Verify JWT token
-  verifyToken(token) {
+  verifyToken(token, type = 'access') {
     try {
       // Check if token is blacklisted
       if (this.tokenBlacklist.has(token)) {
@@ -57,6 +100,10 @@ class AuthManager {
       }
 
       const decoded = jwt.verify(token, this.jwtSecret);
+      if ((decoded.type || 'access') !== type) {
+        throw new Error(`Expected an ${type} token`);
+      }
+
       return {
         valid: true,
         data: decoded,
@@ -73,7 +120,7 @@ class AuthManager {
 
   // Blacklist token (for logout)
   blacklistToken(token) {
-    const result = this.verifyToken(token);
+    const result = this.verifyToken(token, this.decodeType(token));
     if (result.valid && result.data.exp) {
       // Store until expiration
       const expiresIn = result.data.exp * 1000 - Date.now();
@@ -89,6 +136,11 @@ class AuthManager {
     return false;
   }
 
+  decodeType(token) {
+    const decoded = jwt.decode(token);
+    return (decoded && decoded.type) || 'access';
+  }
+
   // Cleanup expired tokens from blacklist
   cleanupBlacklist() {
     const now = Date.now();
@@ -178,42 +230,63 @@ class AuthManager {
     };
   }
 
-  // API key authentication (for external services)
+  // API key authentication (for external services). Keys carry their own
+  // scopes and thread allow-list; see ./apiKeys.js
   validateApiKey(apiKey) {
-    // In production, store API keys in database
-    const validKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
-    
-    if (validKeys.includes(apiKey)) {
-      return {
-        valid: true,
-        type: 'api_key',
-        permissions: ['read:basic', 'read:admin']
-      };
+    const result = apiKeys.verify(apiKey);
+    if (!result.valid) {
+      return { valid: false, error: result.error };
     }
-    
-    return { valid: false };
+
+    const { id, name, scopes, threads } = result.record;
+    return {
+      valid: true,
+      type: 'api_key',
+      user: {
+        uid: `apikey:${id}`,
+        name: `API key "${name}"`,
+        isOwner: false,
+        isAdmin: false,
+        permissions: scopes,
+        apiKey: { id, scopes, threads }
+      }
+    };
+  }
+
+  // Login codes are sent over Messenger; a user can ask for one per minute
+  canRequestCode(userId) {
+    const last = this.codeRequests.get(String(userId)) || 0;
+    const wait = last + this.codeCooldown - Date.now();
+
+    return wait > 0 ? { allowed: false, retryAfter: Math.ceil(wait / 1000) } : { allowed: true };
   }
 
   // Two-factor authentication (simplified)
   async generate2FACode(userId) {
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+    const code = crypto.randomInt(100000, 1000000).toString();
+    const expiresAt = Date.now() + this.codeTTL;
     
     // Store code (in production, use Redis or database)
     if (!global.twoFACodes) {
       global.twoFACodes = new Map();
     }
     
+    // Only the newest code for a user is valid
+    for (const [key, record] of global.twoFACodes.entries()) {
+      if (record.userId === userId) global.twoFACodes.delete(key);
+    }
+    
     global.twoFACodes.set(`${userId}:${code}`, {
       userId,
       code,
       expiresAt
     });
+    this.codeRequests.set(String(userId), Date.now());
     
     // Cleanup expired codes
     setTimeout(() => {
       global.twoFACodes.delete(`${userId}:${code}`);
-    }, 10 * 60 * 1000);
+    }, this.codeTTL);
     
     return code;
   }
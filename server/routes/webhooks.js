@@ -1,17 +1,70 @@
 const express = require('express');
 const crypto = require('crypto');
 const logger = require('../../src/utils/logger');
+const stateStore = require('../../src/utils/stateStore');
+const rateLimiter = require('../../src/utils/rateLimiter');
+const WebhookQueue = require('../webhookQueue');
+const MessageFeed = require('../../src/system/messageFeed');
+const auditLog = require('../../src/system/auditLog');
+const lockdown = require('../../src/secure/lockdown');
+const roles = require('../../src/secure/roles');
+
+// Inbound protocol: POST /api/webhooks/receive/:id with
+//   { "action": "<action>", "data": { ... } }
+// and headers X-Webhook-Timestamp (unix seconds), X-Webhook-Nonce (unique per
+// request) and X-Webhook-Signature = hex HMAC-SHA256 of
+// "<timestamp>.<nonce>.<raw body>" with the webhook secret.
+const INBOUND_ACTIONS = ['send_message', 'send_image', 'run_command', 'start_fun', 'stop_fun', 'update_template'];
+const DEFAULT_COMMANDS = ['help', 'info', 'stats'];
+const DEFAULT_ROLE = 'user';
+const DEFAULT_RATE_LIMIT = { max: 30, windowSeconds: 60 };
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds either side of our clock
+const ACTIVITY_SAVE_DELAY = 10000;
 
 class WebhookManager {
   constructor(botInstance) {
     this.router = express.Router();
     this.bot = botInstance;
     this.webhooks = new Map(); // webhookId -> {secret, events, callback}
+    this.queue = new WebhookQueue(id => this.webhooks.get(id), { onDelivered: () => this.saveActivity() });
+    this.activityTimer = null;
+    if (lockdown.isActive()) this.queue.pause();
+    this.nonces = new Map(); // `${webhookId}:${nonce}` -> expires at
     
     this.setupRoutes();
+    this.loadWebhooks();
     this.setupBuiltinWebhooks();
   }
 
+  // Registered webhooks live in stateStore; built-ins come from env on every start
+  loadWebhooks() {
+    const saved = stateStore.get('webhooks', {});
+    
+    for (const webhook of Object.values(saved)) {
+      this.webhooks.set(webhook.id, webhook);
+    }
+    
+    if (this.webhooks.size > 0) {
+      logger.info(`Loaded ${this.webhooks.size} registered webhook(s)`);
+    }
+  }
+
+  saveWebhooks() {
+    const custom = Array.from(this.webhooks.values()).filter(wh => wh.type === 'custom');
+    return stateStore.set('webhooks', Object.fromEntries(custom.map(wh => [wh.id, wh])));
+  }
+
+  // lastTriggered/lastReceived change on every delivery; a burst costs one write
+  saveActivity() {
+    if (this.activityTimer) return;
+
+    this.activityTimer = setTimeout(() => {
+      this.activityTimer = null;
+      this.saveWebhooks();
+    }, ACTIVITY_SAVE_DELAY);
+    this.activityTimer.unref();
+  }
+
   setupRoutes() {
     // Register new webhook
     this.router.post('/register', this.registerWebhook.bind(this));
@@ -19,14 +72,19 @@ class WebhookManager {
     // List webhooks
     this.router.get('/', this.listWebhooks.bind(this));
     
+    // Change inbound permissions
+    this.router.patch('/:id', this.updateWebhook.bind(this));
+    
     // Delete webhook
     this.router.delete('/:id', this.deleteWebhook.bind(this));
     
-    // Webhook endpoint (receives events)
-    this.router.post('/receive/:id', this.receiveWebhook.bind(this));
-    
     // Test webhook
     this.router.post('/test/:id', this.testWebhook.bind(this));
+    
+    // Delivery history, dead letters and redelivery
+    this.router.get('/dead-letters', this.listDeadLetters.bind(this));
+    this.router.get('/:id/deliveries', this.listDeliveries.bind(this));
+    this.router.post('/:id/deliveries/:deliveryId/redeliver', this.redeliver.bind(this));
   }
 
   setupBuiltinWebhooks() {
@@ -82,6 +140,14 @@ class WebhookManager {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const inbound = this.validateInbound(req.body);
+    if (inbound.error) {
+      return res.status(400).json({ error: inbound.error });
+    }
+    if (!this.canGrantRole(req, inbound.fields.role)) {
+      return res.status(403).json({ error: 'Only owners can give a webhook a role above user' });
+    }
+    
     // Validate URL
     try {
       new URL(url);
@@ -100,10 +166,17 @@ class WebhookManager {
       url,
       secret: secret || crypto.randomBytes(32).toString('hex'),
       events,
+      actions: [],
+      threads: [],
+      commands: DEFAULT_COMMANDS,
+      role: DEFAULT_ROLE,
+      rateLimit: DEFAULT_RATE_LIMIT,
+      ...inbound.fields,
       active: true,
       createdAt: new Date().toISOString(),
       createdBy: req.user?.uid || 'system'
     });
+    this.saveWebhooks();
     
     logger.info('Webhook registered', {
       webhookId,
@@ -111,6 +184,7 @@ class WebhookManager {
       url,
       events: events.length
     });
+    auditLog.record({ actor: req.user?.uid, channel: 'rest', action: 'webhook.register', target: webhookId, after: this.describe(this.webhooks.get(webhookId)) });
     
     res.json({
       success: true,
@@ -120,17 +194,91 @@ class WebhookManager {
     });
   }
 
-  listWebhooks(req, res) {
-    const webhooks = Array.from(this.webhooks.values()).map(wh => ({
+  // Inbound permissions: which actions, in which threads, which commands with
+  // which role, how often. Everything is opt-in; a new webhook can't act until
+  // actions and threads are set, and its commands run as a plain user.
+  validateInbound(body) {
+    const fields = {};
+    
+    for (const key of ['actions', 'threads', 'commands']) {
+      if (body[key] === undefined) continue;
+      if (!Array.isArray(body[key])) return { error: `${key} must be an array` };
+      fields[key] = [...new Set(body[key].map(String))];
+    }
+    
+    const unknown = (fields.actions || []).filter(action => !INBOUND_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      return { error: `Unknown actions: ${unknown.join(', ')} (use ${INBOUND_ACTIONS.join(', ')})` };
+    }
+    
+    if (body.role !== undefined) {
+      if (!roles.assignable.includes(body.role)) {
+        return { error: `role must be one of ${roles.assignable.join(', ')}` };
+      }
+      fields.role = body.role;
+    }
+    
+    if (body.rateLimit !== undefined) {
+      const { max, windowSeconds } = body.rateLimit || {};
+      if (!Number.isInteger(max) || max < 1 || !Number.isInteger(windowSeconds) || windowSeconds < 1) {
+        return { error: 'rateLimit needs whole numbers max and windowSeconds' };
+      }
+      fields.rateLimit = { max, windowSeconds };
+    }
+    
+    return { fields };
+  }
+
+  updateWebhook(req, res) {
+    const webhook = this.webhooks.get(req.params.id);
+    
+    if (!webhook || webhook.type !== 'custom') {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!this.canManage(req, webhook)) {
+      return res.status(403).json({ error: 'Cannot change a webhook created by another user' });
+    }
+    
+    const inbound = this.validateInbound(req.body || {});
+    if (inbound.error) {
+      return res.status(400).json({ error: inbound.error });
+    }
+    if (!this.canGrantRole(req, inbound.fields.role)) {
+      return res.status(403).json({ error: 'Only owners can give a webhook a role above user' });
+    }
+    
+    const before = this.describe(webhook);
+    Object.assign(webhook, inbound.fields);
+    if (typeof req.body.active === 'boolean') webhook.active = req.body.active;
+    this.saveWebhooks();
+    
+    logger.info('Webhook updated', { webhookId: webhook.id, updatedBy: req.user?.uid, changes: Object.keys(inbound.fields) });
+    auditLog.record({ actor: req.user?.uid, channel: 'rest', action: 'webhook.update', target: webhook.id, before, after: this.describe(webhook) });
+    
+    res.json({ success: true, webhook: this.describe(webhook) });
+  }
+
+  describe(wh) {
+    return {
       id: wh.id,
       name: wh.name,
       type: wh.type,
       url: wh.url,
       events: wh.events,
+      actions: wh.actions || [],
+      threads: wh.threads || [],
+      commands: wh.commands || [],
+      role: wh.role || DEFAULT_ROLE,
+      rateLimit: wh.rateLimit || DEFAULT_RATE_LIMIT,
       active: wh.active,
       createdAt: wh.createdAt,
-      lastTriggered: wh.lastTriggered
-    }));
+      lastTriggered: wh.lastTriggered,
+      lastReceived: wh.lastReceived
+    };
+  }
+
+  listWebhooks(req, res) {
+    const webhooks = Array.from(this.webhooks.values()).map(wh => this.describe(wh));
     
     res.json({
       success: true,
@@ -154,8 +302,11 @@ class WebhookManager {
     }
     
     this.webhooks.delete(id);
+    this.queue.cancelWebhook(id);
+    this.saveWebhooks();
     
     logger.info('Webhook deleted', { webhookId: id, deletedBy: req.user?.uid });
+    auditLog.record({ actor: req.user?.uid, channel: 'rest', action: 'webhook.delete', target: id, before: this.describe(webhook) });
     
     res.json({
       success: true,
@@ -164,138 +315,272 @@ class WebhookManager {
   }
 
   async receiveWebhook(req, res) {
-    const { id } = req.params;
+    const webhook = this.webhooks.get(req.params.id);
     
-    if (!this.webhooks.has(id)) {
+    if (!webhook || !webhook.active) {
       return res.status(404).json({ error: 'Webhook not found' });
     }
     
-    const webhook = this.webhooks.get(id);
+    const verified = this.verifyInbound(webhook, req);
+    if (!verified.valid) {
+      logger.warn('Rejected inbound webhook', { webhookId: webhook.id, reason: verified.error });
+      return res.status(401).json({ error: verified.error });
+    }
     
-    // Verify signature if secret is set
-    if (webhook.secret) {
-      const signature = req.headers['x-webhook-signature'];
-      const payload = JSON.stringify(req.body);
-      
-      const expectedSignature = crypto
-        .createHmac('sha256', webhook.secret)
-        .update(payload)
-        .digest('hex');
-      
-      if (signature !== expectedSignature) {
-        logger.warn('Invalid webhook signature', { webhookId: id });
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
+    if (lockdown.isActive()) {
+      return res.status(423).json({ error: 'Bot is in lockdown' });
+    }
+    
+    const { max, windowSeconds } = webhook.rateLimit || DEFAULT_RATE_LIMIT;
+    if (!rateLimiter.check(`webhook:${webhook.id}`, max, windowSeconds * 1000)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
     }
     
-    // Process webhook event
-    const event = req.body;
+    const { action, data = {} } = req.body || {};
+    const denied = this.checkInboundAction(webhook, action, data);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
     
     try {
-      await this.processWebhookEvent(webhook, event);
+      const result = await this.processWebhookEvent(webhook, action, data);
       
-      // Update last triggered
-      webhook.lastTriggered = new Date().toISOString();
+      webhook.lastReceived = new Date().toISOString();
+      this.saveActivity();
+      logger.info('Inbound webhook action', { webhookId: webhook.id, action, threadId: data.threadId });
+      this.auditInbound(webhook, action, data, 'success');
       
-      res.json({ success: true, message: 'Webhook processed' });
+      res.json({ success: true, action, result });
       
     } catch (error) {
+      this.auditInbound(webhook, action, data, 'failure', error.message);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       logger.error('Error processing webhook:', error);
       res.status(500).json({ error: 'Failed to process webhook' });
     }
   }
 
-  async processWebhookEvent(webhook, event) {
-    // This is where external services send events TO our bot
-    // For example, another service might trigger a bot command
+  // Only what was asked for; message text stays out of the audit log
+  auditInbound(webhook, action, data, result, error = null) {
+    auditLog.record({
+      actor: `webhook:${webhook.id}`,
+      channel: 'webhook',
+      action: `webhook.${action}`,
+      target: data.threadId || data.funType || null,
+      result,
+      details: {
+        command: data.command,
+        funType: data.funType,
+        ...(error ? { error } : {})
+      }
+    });
+  }
+
+  // Signature over timestamp, nonce and raw body; stale or repeated requests fail
+  verifyInbound(webhook, req) {
+    if (!webhook.secret) {
+      return { valid: false, error: 'Webhook has no secret' };
+    }
     
-    const { type, data } = event;
+    const timestamp = Number(req.headers['x-webhook-timestamp']);
+    const nonce = req.headers['x-webhook-nonce'];
+    const signature = String(req.headers['x-webhook-signature'] || '');
     
-    switch (type) {
-      case 'execute_command':
-        await this.executeCommandFromWebhook(webhook, data);
-        break;
-        
+    if (!Number.isInteger(timestamp) || !nonce || !signature) {
+      return { valid: false, error: 'Missing timestamp, nonce or signature header' };
+    }
+    
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+      return { valid: false, error: 'Timestamp outside the allowed window' };
+    }
+    
+    const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    const expected = this.queue.sign(webhook.secret, `${timestamp}.${nonce}.${body}`);
+    
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+    
+    // Nonces only need remembering while their timestamp is still accepted
+    const now = Date.now();
+    for (const [key, expiresAt] of this.nonces) {
+      if (expiresAt < now) this.nonces.delete(key);
+    }
+    
+    const key = `${webhook.id}:${nonce}`;
+    if (this.nonces.has(key)) {
+      return { valid: false, error: 'Nonce already used' };
+    }
+    this.nonces.set(key, now + SIGNATURE_TOLERANCE * 2 * 1000);
+    
+    return { valid: true };
+  }
+
+  // Returns { status, error } when the webhook may not do this, otherwise null
+  checkInboundAction(webhook, action, data) {
+    if (!INBOUND_ACTIONS.includes(action)) {
+      return { status: 400, error: `Unknown action (use ${INBOUND_ACTIONS.join(', ')})` };
+    }
+    
+    if (!(webhook.actions || []).includes(action)) {
+      return { status: 403, error: `Webhook is not allowed to ${action}` };
+    }
+    
+    if (action !== 'update_template' && !(webhook.threads || []).includes(String(data.threadId))) {
+      return { status: 403, error: 'Webhook is not allowed in this thread' };
+    }
+    
+    if (action === 'run_command' && !(webhook.commands || []).includes(String(data.command))) {
+      return { status: 403, error: 'Webhook is not allowed to run this command' };
+    }
+    
+    return null;
+  }
+
+  async processWebhookEvent(webhook, action, data) {
+    switch (action) {
       case 'send_message':
-        await this.sendMessageFromWebhook(webhook, data);
-        break;
+        return this.sendMessageFromWebhook(webhook, data);
         
-      case 'update_status':
-        await this.updateStatusFromWebhook(webhook, data);
-        break;
+      case 'send_image':
+        return this.sendImageFromWebhook(webhook, data);
         
-      default:
-        logger.warn('Unknown webhook event type:', type);
+      case 'run_command':
+        return this.executeCommandFromWebhook(webhook, data);
+        
+      case 'start_fun':
+        return this.startFunFromWebhook(webhook, data);
+        
+      case 'stop_fun':
+        return this.stopFunFromWebhook(webhook, data);
+        
+      case 'update_template':
+        return this.updateTemplateFromWebhook(webhook, data);
     }
   }
 
-  async executeCommandFromWebhook(webhook, data) {
-    const { command, args, threadId } = data;
+  // server/main.js wraps the Messenger client; sending needs the raw one
+  getMessengerApi() {
+    return this.bot.api && this.bot.api.api ? this.bot.api.api : this.bot.api;
+  }
+
+  // Errors with a status are the sender's fault and are returned to it
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  async sendMessageFromWebhook(webhook, data) {
+    const { threadId, message } = data;
+    
+    if (typeof message !== 'string' || !message.trim() || message.length > 2000) {
+      throw this.badRequest('message must be 1-2000 characters');
+    }
+    
+    await this.getMessengerApi().sendMessage(message, threadId);
+    
+    return { threadId, messageLength: message.length };
+  }
+
+  async sendImageFromWebhook(webhook, data) {
+    const { threadId, url, message = '' } = data;
     
-    if (!command || !threadId) {
-      throw new Error('Missing command or threadId');
+    // Only remote images; a local path would let the sender read our disk
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      throw this.badRequest('url must be an http(s) image URL');
+    }
+    if (typeof message !== 'string' || message.length > 2000) {
+      throw this.badRequest('message must be at most 2000 characters');
     }
     
-    // Verify webhook has permission for this command
-    if (!this.checkWebhookPermission(webhook, command)) {
-      throw new Error('Webhook not authorized for this command');
+    const photoManager = require('../../src/utils/photo');
+    await photoManager.sendPhotoWithMessage(this.getMessengerApi(), threadId, url, message);
+    
+    return { threadId, url };
+  }
+
+  // Commands run as a service identity with the webhook's role (user unless
+  // an owner raised it), limited to the webhook's command list; never as the owner
+  async executeCommandFromWebhook(webhook, data) {
+    const { command, threadId } = data;
+    const args = data.args === undefined ? [] : data.args;
+    
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      throw this.badRequest('args must be an array of strings');
     }
     
-    // Execute command
+    const api = this.getMessengerApi();
     const event = {
       senderID: `webhook:${webhook.id}`,
       threadID: threadId,
       body: `!${command} ${args.join(' ')}`.trim(),
-      type: 'message'
+      type: 'message',
+      channel: 'webhook',
+      confirmed: data.confirm === true,
+      service: { id: webhook.id, role: webhook.role || DEFAULT_ROLE }
     };
     
     const commandProcessor = require('../../src/middleware/commandProcessor');
-    await commandProcessor.process(this.bot.api, event, command, args);
+    const response = await commandProcessor.process(api, event, command, args);
     
-    logger.info('Command executed from webhook', {
-      webhookId: webhook.id,
-      command,
-      threadId
-    });
+    if (typeof response === 'string' && response) {
+      await api.sendMessage(response, threadId);
+    }
+    
+    return { command, threadId, response: typeof response === 'string' ? response : null };
   }
 
-  async sendMessageFromWebhook(webhook, data) {
-    const { threadId, message } = data;
-    
-    if (!threadId || !message) {
-      throw new Error('Missing threadId or message');
+  async startFunFromWebhook(webhook, data) {
+    const { threadId, funType, maxMessages, maxDuration } = data;
+    const options = {};
+    
+    for (const [key, value] of Object.entries({ maxMessages, maxDuration })) {
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value <= 0) {
+        throw this.badRequest(`${key} must be a positive whole number`);
+      }
+      options[key] = value;
     }
     
-    await this.bot.api.sendMessage(message, threadId);
+    const funEngine = require('../../src/utils/funEngine');
+    const result = await funEngine.startFun(this.getMessengerApi(), threadId, funType, `webhook:${webhook.id}`, options);
     
-    logger.info('Message sent from webhook', {
-      webhookId: webhook.id,
-      threadId,
-      messageLength: message.length
-    });
+    if (!result.success) throw this.badRequest(result.error);
+    return result;
   }
 
-  async updateStatusFromWebhook(webhook, data) {
-    // Update bot status based on webhook
-    // For example, maintenance mode, etc.
+  async stopFunFromWebhook(webhook, data) {
+    const funEngine = require('../../src/utils/funEngine');
+    const result = funEngine.stopFun(data.threadId, 'webhook');
     
-    logger.info('Status updated from webhook', {
-      webhookId: webhook.id,
-      data
-    });
+    if (!result.success) throw this.badRequest(result.error || result.message);
+    return result;
   }
 
-  checkWebhookPermission(webhook, command) {
-    // Define which commands webhooks can execute
-    const allowedCommands = [
-      'help',
-      'info',
-      'stats',
-      'startfun',
-      'stopfun'
-    ];
+  // data.template is file content in either template format
+  async updateTemplateFromWebhook(webhook, data) {
+    const { funType, template } = data;
+    
+    if (typeof funType !== 'string' || !/^[a-z0-9_-]{1,30}$/.test(funType)) {
+      throw this.badRequest('funType must be 1-30 lowercase letters, digits, _ or -');
+    }
+    
+    const funTemplate = require('../../src/utils/funTemplate');
+    const funEngine = require('../../src/utils/funEngine');
+    const checked = funTemplate.validate(template);
+    
+    if (!checked.valid) {
+      throw this.badRequest(funTemplate.formatErrors(checked.errors));
+    }
+    
+    const result = await funEngine.saveTemplate(funType, checked.template);
+    if (!result.success) throw this.badRequest(result.error);
     
-    return allowedCommands.includes(command);
+    return { funType, totalLines: result.totalLines };
   }
 
   async testWebhook(req, res) {
@@ -326,8 +611,73 @@ class WebhookManager {
     }
   }
 
-  // Trigger webhook for internal events
-  async triggerWebhookForEvent(eventType, eventData) {
+  // Custom webhooks are managed by whoever created them, or the owner
+  canManage(req, webhook) {
+    return webhook.type !== 'custom' || webhook.createdBy === req.user?.uid || req.user?.isOwner;
+  }
+
+  // Commands a webhook runs with moderator or admin rights need an owner's say-so
+  canGrantRole(req, role) {
+    return !role || role === DEFAULT_ROLE || Boolean(req.user?.isOwner);
+  }
+
+  listDeliveries(req, res) {
+    const webhook = this.webhooks.get(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!this.canManage(req, webhook)) {
+      return res.status(403).json({ error: 'Cannot view deliveries of a webhook created by another user' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const deliveries = this.queue.list(webhook.id, req.query.status || null);
+    
+    res.json({
+      success: true,
+      deliveries: deliveries.slice(0, limit),
+      total: deliveries.length
+    });
+  }
+
+  listDeadLetters(req, res) {
+    const deadLetters = this.queue.getDeadLetters().filter(delivery => {
+      const webhook = this.webhooks.get(delivery.webhookId);
+      return !webhook || this.canManage(req, webhook);
+    });
+    
+    res.json({
+      success: true,
+      deadLetters,
+      total: deadLetters.length
+    });
+  }
+
+  redeliver(req, res) {
+    const { id, deliveryId } = req.params;
+    const webhook = this.webhooks.get(id);
+    const delivery = this.queue.get(deliveryId);
+    
+    if (!webhook || !delivery || delivery.webhookId !== id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!this.canManage(req, webhook)) {
+      return res.status(403).json({ error: 'Cannot redeliver for a webhook created by another user' });
+    }
+    
+    const queued = this.queue.redeliver(deliveryId);
+    
+    logger.info('Webhook delivery requeued', { webhookId: id, deliveryId, newDeliveryId: queued.id, by: req.user?.uid });
+    
+    res.json({
+      success: true,
+      delivery: queued
+    });
+  }
+
+  // Queue an internal event for every webhook subscribed to it
+  triggerWebhookForEvent(eventType, eventData) {
     const relevantWebhooks = Array.from(this.webhooks.values()).filter(wh => 
       wh.active && (wh.events.includes('all') || wh.events.includes(eventType))
     );
@@ -339,53 +689,12 @@ class WebhookManager {
       source: 'ultra_professional_bot'
     };
     
-    // Trigger all relevant webhooks in parallel
-    const promises = relevantWebhooks.map(webhook => 
-      this.triggerWebhook(webhook, event).catch(error => {
-        logger.error('Failed to trigger webhook:', { webhookId: webhook.id, error });
-      })
-    );
-    
-    await Promise.allSettled(promises);
+    return relevantWebhooks.map(webhook => this.queue.enqueue(webhook.id, event));
   }
 
+  // Immediate, unqueued send (used by the test endpoint)
   async triggerWebhook(webhook, event) {
-    const payload = JSON.stringify(event);
-    const headers = {
-      'Content-Type': 'application/json',
-      'User-Agent': 'Ultra-Professional-Bot/1.0'
-    };
-    
-    // Add signature if secret is set
-    if (webhook.secret) {
-      const signature = crypto
-        .createHmac('sha256', webhook.secret)
-        .update(payload)
-        .digest('hex');
-      
-      headers['X-Webhook-Signature'] = signature;
-    }
-    
-    // Add webhook ID for identification
-    headers['X-Webhook-ID'] = webhook.id;
-    
-    const response = await fetch(webhook.url, {
-      method: 'POST',
-      headers,
-      body: payload,
-      timeout: 10000 // 10 second timeout
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Webhook responded with ${response.status}`);
-    }
-    
-    // Update last triggered
-    webhook.lastTriggered = new Date().toISOString();
-    webhook.lastResponse = {
-      status: response.status,
-      timestamp: new Date().toISOString()
-    };
+    const response = await this.queue.send(webhook, event);
     
     logger.debug('Webhook triggered successfully', {
       webhookId: webhook.id,
@@ -397,11 +706,25 @@ class WebhookManager {
   }
 
   // Event handlers for bot events
-  onMessageSent(message) {
+  // Outgoing MessageFeed record, already redacted
+  onMessageSent(record) {
     this.triggerWebhookForEvent('message_sent', {
+      messageId: record.messageId,
+      threadId: record.threadId,
+      message: record.body.substring(0, 200),
+      hasAttachments: record.attachments.length > 0,
+      timestamp: record.timestamp
+    });
+  }
+
+  // Only id, sender and a short redacted preview leave the bot
+  onMessageReceived(message) {
+    this.triggerWebhookForEvent('message_received', {
+      messageId: message.messageID,
       threadId: message.threadID,
       senderId: message.senderID,
-      message: message.body?.substring(0, 200),
+      message: MessageFeed.redact(message.body).substring(0, 200),
+      hasAttachments: (message.attachments || []).length > 0,
       timestamp: new Date().toISOString()
     });
   }
@@ -438,6 +761,19 @@ class WebhookManager {
     });
   }
 
+  onUserActivity(activity) {
+    this.triggerWebhookForEvent('user_activity', activity);
+    
+    if (activity.type === 'members_added' && activity.users.length > 0) {
+      this.triggerWebhookForEvent('member_joined', {
+        threadId: activity.threadId,
+        users: activity.users,
+        addedBy: activity.author,
+        timestamp: activity.timestamp
+      });
+    }
+  }
+
   // Get webhook statistics
   getStats() {
     const webhooks = Array.from(this.webhooks.values());
@@ -452,9 +788,19 @@ class WebhookManager {
       last24Hours: webhooks.filter(wh => 
         wh.lastTriggered && 
         new Date(wh.lastTriggered) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-      ).length
+      ).length,
+      deliveries: this.queue.getStats()
     };
   }
+
+  stop() {
+    if (this.activityTimer) {
+      clearTimeout(this.activityTimer);
+      this.activityTimer = null;
+      this.saveWebhooks();
+    }
+    this.queue.stop();
+  }
 }
 
 module.exports = WebhookManager;
\ No newline at end of file
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../src/utils/logger');
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY = 5000; // 5s, 10s, 20s, 40s, 80s between attempts
+const REQUEST_TIMEOUT = 10000;
+const HISTORY_PER_WEBHOOK = 100;
+const MAX_DEAD_LETTERS = 200;
+const SAVE_DELAY = 1000;
+
+// Outbound webhook deliveries. Every event becomes a delivery record that is
+// retried with exponential backoff; after MAX_ATTEMPTS it moves to the
+// dead-letter list, where it stays until redelivered or pushed out by newer
+// failures. Records survive restarts in data/webhook-deliveries.json.
+class WebhookQueue {
+  constructor(getWebhook, options = {}) {
+    this.getWebhook = getWebhook;
+    this.onDelivered = options.onDelivered || (() => {});
+    this.filePath = options.filePath || path.join(__dirname, '../data/webhook-deliveries.json');
+    this.deliveries = [];   // pending and finished, oldest first
+    this.deadLetters = [];  // deliveries that ran out of attempts
+    this.timer = null;
+    this.saveTimer = null;
+    this.processing = false;
+    this.paused = false;
+
+    this.load();
+    this.schedule();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.deliveries = data.deliveries || [];
+      this.deadLetters = data.deadLetters || [];
+    } catch (error) {
+      logger.error('Webhook delivery log unreadable, starting empty:', error.message);
+    }
+  }
+
+  // Debounced; many events in a burst cost one write
+  save() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    const tmpPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ deliveries: this.deliveries, deadLetters: this.deadLetters }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save webhook deliveries:', error.message);
+    }
+  }
+
+  enqueue(webhookId, event, extra = {}) {
+    const delivery = {
+      id: `dl_${crypto.randomBytes(8).toString('hex')}`,
+      webhookId,
+      event,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      lastStatus: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      ...extra
+    };
+
+    this.deliveries.push(delivery);
+    this.save();
+    this.schedule();
+    return delivery;
+  }
+
+  // Paused deliveries stay pending (lockdown) and go out once resumed
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+  }
+
+  resume() {
+    this.paused = false;
+    this.schedule();
+  }
+
+  // One timer for the earliest due delivery
+  schedule() {
+    if (this.processing) return;
+    clearTimeout(this.timer);
+    if (this.paused) return;
+
+    const pending = this.deliveries.filter(delivery => delivery.status === 'pending');
+    if (pending.length === 0) return;
+
+    const next = Math.min(...pending.map(delivery => delivery.nextAttemptAt));
+    this.timer = setTimeout(() => this.process(), Math.max(0, next - Date.now()));
+    this.timer.unref();
+  }
+
+  async process() {
+    if (this.processing || this.paused) return;
+    this.processing = true;
+
+    try {
+      const due = this.deliveries.filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= Date.now());
+      for (const delivery of due) {
+        await this.attempt(delivery);
+      }
+    } finally {
+      this.processing = false;
+      this.prune();
+      this.save();
+      this.schedule();
+    }
+  }
+
+  async attempt(delivery) {
+    const webhook = this.getWebhook(delivery.webhookId);
+
+    // Webhook deleted or switched off while the delivery waited
+    if (!webhook || !webhook.active) {
+      delivery.status = 'cancelled';
+      return;
+    }
+
+    delivery.attempts++;
+
+    try {
+      const response = await this.send(webhook, delivery.event, delivery.id);
+      delivery.status = 'delivered';
+      delivery.lastStatus = response.status;
+      delivery.lastError = null;
+      delivery.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      delivery.lastError = error.message;
+      delivery.lastStatus = error.status || null;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        this.kill(delivery);
+      } else {
+        delivery.nextAttemptAt = Date.now() + BASE_DELAY * 2 ** (delivery.attempts - 1);
+        logger.debug('Webhook delivery failed, retrying', {
+          deliveryId: delivery.id,
+          webhookId: webhook.id,
+          attempts: delivery.attempts,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  kill(delivery) {
+    delivery.status = 'dead';
+    this.deadLetters.push(delivery.id);
+    if (this.deadLetters.length > MAX_DEAD_LETTERS) this.deadLetters.shift();
+
+    logger.warn('Webhook delivery moved to dead letters', {
+      deliveryId: delivery.id,
+      webhookId: delivery.webhookId,
+      error: delivery.lastError
+    });
+  }
+
+  // Signed the way receiveWebhook expects inbound requests: hex HMAC-SHA256 of
+  // "<timestamp>.<nonce>.<body>", so receivers can reject stale or replayed posts
+  async send(webhook, event, deliveryId = null) {
+    const payload = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Ultra-Professional-Bot/1.0',
+      'X-Webhook-ID': webhook.id,
+      'X-Webhook-Event': event.type
+    };
+
+    if (webhook.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const nonce = crypto.randomBytes(16).toString('hex');
+      headers['X-Webhook-Timestamp'] = String(timestamp);
+      headers['X-Webhook-Nonce'] = nonce;
+      headers['X-Webhook-Signature'] = this.sign(webhook.secret, `${timestamp}.${nonce}.${payload}`);
+    }
+    if (deliveryId) {
+      headers['X-Webhook-Delivery'] = deliveryId;
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body: payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Webhook responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    webhook.lastTriggered = new Date().toISOString();
+    webhook.lastResponse = {
+      status: response.status,
+      timestamp: new Date().toISOString()
+    };
+    this.onDelivered(webhook);
+
+    return response;
+  }
+
+  sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  // Keep pending and dead-lettered records, plus recent history per webhook
+  prune() {
+    const kept = new Set(this.deadLetters);
+    const counts = {};
+
+    this.deliveries = this.deliveries
+      .reverse()
+      .filter(delivery => {
+        if (delivery.status === 'pending' || kept.has(delivery.id)) return true;
+        counts[delivery.webhookId] = (counts[delivery.webhookId] || 0) + 1;
+        return counts[delivery.webhookId] <= HISTORY_PER_WEBHOOK;
+      })
+      .reverse();
+  }
+
+  get(deliveryId) {
+    return this.deliveries.find(delivery => delivery.id === deliveryId) || null;
+  }
+
+  // Newest first
+  list(webhookId, status = null) {
+    return this.deliveries
+      .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+      .reverse();
+  }
+
+  getDeadLetters() {
+    return this.deadLetters.map(id => this.get(id)).filter(Boolean).reverse();
+  }
+
+  // Queue the same event again as a fresh delivery
+  redeliver(deliveryId) {
+    const original = this.get(deliveryId);
+    if (!original) return null;
+
+    this.deadLetters = this.deadLetters.filter(id => id !== deliveryId);
+    return this.enqueue(original.webhookId, original.event, { redeliveryOf: original.id });
+  }
+
+  // Drop pending work for a removed webhook
+  cancelWebhook(webhookId) {
+    for (const delivery of this.deliveries) {
+      if (delivery.webhookId === webhookId && delivery.status === 'pending') {
+        delivery.status = 'cancelled';
+      }
+    }
+    this.save();
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const delivery of this.deliveries) {
+      byStatus[delivery.status] = (byStatus[delivery.status] || 0) + 1;
+    }
+
+    return { total: this.deliveries.length, byStatus, deadLetters: this.deadLetters.length, paused: this.paused };
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.flush();
+  }
+}
+
+module.exports = WebhookQueue;
@@ -1,14 +1,60 @@
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
 const logger = require('../src/utils/logger');
+const auth = require('./middleware/auth');
+const ThreadEvents = require('../src/system/threadEvents');
+const MessageFeed = require('../src/system/messageFeed');
+const lockdown = require('../src/secure/lockdown');
+const guard = require('../src/secure/guard');
+
+// Protocol v2. Every frame is a JSON envelope:
+//   server -> client: { v, id, type, data, timestamp, replyTo?, channel?, seq?, replay? }
+//   client -> server: { id?, type, ...payload }
+// Replies carry replyTo = the request id. Failures are { type: 'error',
+// error: { code, message } }. Channel events get a global, increasing seq and
+// are kept in a ring buffer per channel, so a reconnecting client can send
+// { type: 'subscribe', channels, since: <last seq seen> } and receive what it
+// missed. The token comes with the connection request or in a first
+// { type: 'auth', token } message, and is checked again when it expires.
+// message_updates can be narrowed to some threads with a threads list on
+// subscribe; owners reply into a thread with { type: 'send_message' }.
+// During a lockdown non-owner clients are closed with code 4004.
+// Channel access follows the user's current role, not just the token's claims:
+// removed admins and dropped co-owners lose those channels on the next heartbeat.
+const PROTOCOL_VERSION = 2;
+const BUFFER_SIZE = 200;
+const HEARTBEAT_INTERVAL = 30000;
+const AUTH_TIMEOUT = 10000;
+const MAX_TIMER = 2147483647;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const CLOSE_CODES = {
+  unauthorized: 4001,
+  tokenExpired: 4002,
+  authTimeout: 4003,
+  lockdown: 4004
+};
+
+const CHANNEL_ROLES = {
+  'bot_status': ['admin', 'owner'],
+  'message_updates': ['admin', 'owner'],
+  'fun_updates': ['admin', 'owner'],
+  'user_activity': ['admin', 'owner'],
+  'system_logs': ['owner'],
+  'admin_actions': ['owner'],
+  'command_execution': ['admin', 'owner']
+};
 
 class WebSocketServer {
   constructor(server, botInstance) {
     this.wss = new WebSocket.Server({ server });
     this.bot = botInstance;
-    this.clients = new Map(); // clientId -> {ws, subscriptions, userData}
-    this.jwtSecret = process.env.JWT_SECRET || 'ultra-professional-bot-secret-key-change-in-production';
-    
+    this.clients = new Map(); // clientId -> {ws, subscriptions, userData, token, ...}
+    this.buffers = new Map(); // channel -> { events, evictedSeq }
+    this.seq = 0;
+    this.messageCount = 0;
+    this.epoch = Date.now(); // changes on restart; seqs from another epoch can't be replayed
+    this.timers = [];
+
     this.setupEventHandlers();
     this.startBroadcastInterval();
   }
@@ -27,67 +73,172 @@ class WebSocketServer {
     });
   }
 
-  async handleConnection(ws, req) {
+  handleConnection(ws, req) {
     const clientId = this.generateClientId(req);
-    
-    try {
-      // Extract and verify token
-      const token = this.extractToken(req);
-      if (!token) {
-        ws.close(1008, 'No authentication token');
-        return;
+
+    this.clients.set(clientId, {
+      ws,
+      subscriptions: new Set(),
+      threads: null, // message_updates filter; null = every thread
+      userData: null,
+      token: null,
+      tokenTimer: null,
+      authTimer: null,
+      alive: true,
+      connectedAt: new Date(),
+      lastActivity: new Date()
+    });
+
+    ws.on('message', (message) => {
+      this.handleMessage(clientId, message);
+    });
+
+    ws.on('pong', () => {
+      const client = this.clients.get(clientId);
+      if (client) client.alive = true;
+    });
+
+    ws.on('close', () => {
+      this.handleDisconnection(clientId);
+    });
+
+    ws.on('error', (error) => {
+      logger.error('WebSocket client error:', { clientId, error });
+      this.handleDisconnection(clientId);
+    });
+
+    // Token with the upgrade request, or an auth message shortly after
+    const token = this.extractToken(req);
+    if (token) {
+      this.authenticate(clientId, token, null);
+      return;
+    }
+
+    this.clients.get(clientId).authTimer = setTimeout(() => {
+      const client = this.clients.get(clientId);
+      if (client && !client.userData) {
+        client.ws.close(CLOSE_CODES.authTimeout, 'Authentication timeout');
       }
+    }, AUTH_TIMEOUT);
+  }
 
-      const userData = jwt.verify(token, this.jwtSecret);
-      
-      // Store client
-      this.clients.set(clientId, {
-        ws,
-        subscriptions: new Set(),
-        userData,
-        connectedAt: new Date(),
-        lastActivity: new Date()
-      });
+  // First authentication and later token swaps use the same path
+  authenticate(clientId, token, request) {
+    const client = this.clients.get(clientId);
+    if (!client) return false;
 
+    const result = auth.verifyToken(token);
+    if (!result.valid) {
+      this.sendError(clientId, result.expired ? 'token_expired' : 'unauthorized', result.error, request);
+      if (!client.userData || result.expired) {
+        client.ws.close(CLOSE_CODES.unauthorized, result.expired ? 'Token expired' : 'Invalid token');
+      }
+      return false;
+    }
+
+    if (lockdown.isActive() && !this.isOwner(result.data)) {
+      this.sendError(clientId, 'lockdown', 'Bot is in lockdown, only owners can connect', request);
+      client.ws.close(CLOSE_CODES.lockdown, 'Lockdown');
+      return false;
+    }
+
+    // A new token must belong to the same user
+    if (client.userData && client.userData.uid !== result.data.uid) {
+      this.sendError(clientId, 'forbidden', 'Token belongs to another user', request);
+      return false;
+    }
+
+    const firstAuth = !client.userData;
+    clearTimeout(client.authTimer);
+    client.userData = result.data;
+    client.token = token;
+    this.scheduleTokenCheck(clientId);
+
+    // Channels the new token no longer allows are dropped
+    for (const channel of client.subscriptions) {
+      if (!this.checkChannelPermission(client.userData, channel)) client.subscriptions.delete(channel);
+    }
+
+    if (firstAuth) {
       logger.info('WebSocket client connected', {
         clientId,
-        userId: userData.uid,
-        role: userData.isOwner ? 'owner' : 'admin'
+        userId: client.userData.uid,
+        role: client.userData.isOwner ? 'owner' : 'admin'
       });
+    }
 
-      // Send welcome message
-      this.sendToClient(clientId, {
-        type: 'welcome',
-        data: {
-          clientId,
-          user: userData,
-          serverTime: new Date().toISOString(),
-          botStatus: this.bot.isRunning ? 'running' : 'stopped'
-        }
-      });
+    this.send(clientId, firstAuth ? 'welcome' : 'authenticated', {
+      clientId,
+      protocol: PROTOCOL_VERSION,
+      user: client.userData,
+      epoch: this.epoch,
+      latestSeq: this.seq,
+      heartbeatInterval: HEARTBEAT_INTERVAL,
+      tokenExpiresAt: client.userData.exp ? new Date(client.userData.exp * 1000).toISOString() : null,
+      serverTime: new Date().toISOString(),
+      botStatus: this.bot.isRunning ? 'running' : 'stopped'
+    }, request);
+
+    return true;
+  }
 
-      // Set up message handler
-      ws.on('message', (message) => {
-        this.handleMessage(clientId, message);
-      });
+  // Re-check when the token runs out; clients send { type: 'auth' } with a fresh one before that
+  scheduleTokenCheck(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.userData.exp) return;
 
-      // Set up close handler
-      ws.on('close', () => {
-        this.handleDisconnection(clientId);
-      });
+    clearTimeout(client.tokenTimer);
+    const delay = Math.min(Math.max(0, client.userData.exp * 1000 - Date.now()), MAX_TIMER);
+    client.tokenTimer = setTimeout(() => this.checkToken(clientId), delay);
+  }
 
-      // Set up error handler
-      ws.on('error', (error) => {
-        logger.error('WebSocket client error:', { clientId, error });
-        this.handleDisconnection(clientId);
-      });
+  checkToken(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.token) return true;
 
-      // Send initial data
-      this.sendInitialData(clientId);
+    const result = auth.verifyToken(client.token);
+    if (result.valid) return true;
 
-    } catch (error) {
-      logger.error('WebSocket connection error:', error);
-      ws.close(1008, 'Authentication failed');
+    this.sendError(clientId, result.expired ? 'token_expired' : 'unauthorized', result.error);
+    client.ws.close(
+      result.expired ? CLOSE_CODES.tokenExpired : CLOSE_CODES.unauthorized,
+      result.expired ? 'Token expired' : 'Token revoked'
+    );
+    return false;
+  }
+
+  // The token's owner claim, checked again against the current owner set
+  isOwner(userData) {
+    return Boolean(userData && userData.isOwner && guard.isOwner(userData.uid));
+  }
+
+  // The token's admin claim, checked again against the current admin list
+  isAdmin(userData) {
+    return this.isOwner(userData) ||
+      Boolean(userData && (userData.isAdmin || userData.isOwner) && guard.isAdmin(userData.uid));
+  }
+
+  // Drop subscriptions the user's current role no longer allows
+  refreshPermissions(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.userData) return;
+
+    const dropped = Array.from(client.subscriptions)
+      .filter(channel => !this.checkChannelPermission(client.userData, channel));
+    if (dropped.length === 0) return;
+
+    dropped.forEach(channel => client.subscriptions.delete(channel));
+    logger.info('WebSocket subscriptions dropped after a role change', { clientId, userId: client.userData.uid, channels: dropped });
+    this.send(clientId, 'unsubscribed', { channels: dropped, reason: 'role_changed' });
+  }
+
+  // Called when a lockdown starts: everyone but owners is disconnected
+  enforceLockdown() {
+    for (const [clientId, client] of this.clients.entries()) {
+      if (!client.userData || this.isOwner(client.userData)) continue;
+
+      this.sendError(clientId, 'lockdown', 'Bot is in lockdown, only owners can connect');
+      client.ws.close(CLOSE_CODES.lockdown, 'Lockdown');
     }
   }
 
@@ -121,90 +272,158 @@ class WebSocketServer {
 
     client.lastActivity = new Date();
 
+    let request;
     try {
-      const data = JSON.parse(message);
-      
-      switch (data.type) {
+      request = JSON.parse(message);
+    } catch (error) {
+      this.sendError(clientId, 'invalid_json', 'Message is not valid JSON');
+      return;
+    }
+
+    if (!request || typeof request !== 'object' || typeof request.type !== 'string') {
+      this.sendError(clientId, 'invalid_request', 'Message needs a string "type"');
+      return;
+    }
+
+    if (request.type === 'auth') {
+      this.authenticate(clientId, request.token, request);
+      return;
+    }
+
+    if (!client.userData) {
+      this.sendError(clientId, 'unauthorized', 'Send { type: "auth", token } first', request);
+      return;
+    }
+
+    try {
+      switch (request.type) {
         case 'subscribe':
-          this.handleSubscribe(clientId, data);
+          this.handleSubscribe(clientId, request);
           break;
-          
+
         case 'unsubscribe':
-          this.handleUnsubscribe(clientId, data);
+          this.handleUnsubscribe(clientId, request);
           break;
-          
+
         case 'ping':
-          this.sendToClient(clientId, { type: 'pong', timestamp: new Date().toISOString() });
+          this.send(clientId, 'pong', { latestSeq: this.seq }, request);
           break;
-          
+
         case 'command':
-          this.handleCommand(clientId, data);
+          await this.handleCommand(clientId, request);
           break;
-          
+
         case 'get_status':
-          this.sendStatusUpdate(clientId);
+          this.send(clientId, 'bot_status', this.getStatus(), request);
+          break;
+
+        case 'send_message':
+          await this.handleSendMessage(clientId, request);
           break;
-          
+
         default:
-          logger.warn('Unknown WebSocket message type:', { clientId, type: data.type });
-          this.sendToClient(clientId, {
-            type: 'error',
-            message: 'Unknown message type',
-            originalType: data.type
-          });
+          logger.warn('Unknown WebSocket message type:', { clientId, type: request.type });
+          this.sendError(clientId, 'unknown_type', `Unknown message type "${request.type}"`, request);
       }
     } catch (error) {
       logger.error('Error handling WebSocket message:', { clientId, error });
-      this.sendToClient(clientId, {
-        type: 'error',
-        message: 'Invalid message format'
-      });
+      this.sendError(clientId, 'internal', 'Request failed', request);
     }
   }
 
-  handleSubscribe(clientId, data) {
+  // { channels, since?, threads? } - since replays buffered events newer
+  // than that seq; threads (or null for all) filters message_updates
+  handleSubscribe(clientId, request) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    const { channels } = data;
-    
-    if (!channels || !Array.isArray(channels)) {
-      this.sendToClient(clientId, {
-        type: 'error',
-        message: 'Invalid subscription request'
-      });
+    const { channels, since, threads } = request;
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+      this.sendError(clientId, 'invalid_request', 'channels must be a non-empty array', request);
+      return;
+    }
+    if (since !== undefined && !(Number.isInteger(since) && since >= 0)) {
+      this.sendError(clientId, 'invalid_request', 'since must be a sequence number', request);
+      return;
+    }
+    if (threads !== undefined && threads !== null && !Array.isArray(threads)) {
+      this.sendError(clientId, 'invalid_request', 'threads must be an array of thread IDs or null', request);
       return;
     }
 
-    // Check permissions for each channel
-    const allowedChannels = channels.filter(channel => {
-      return this.checkChannelPermission(client.userData, channel);
-    });
+    if (threads !== undefined) {
+      client.threads = threads ? new Set(threads.map(String)) : null;
+    }
+
+    const allowedChannels = channels.filter(channel => this.checkChannelPermission(client.userData, channel));
+    const denied = channels.filter(channel => !allowedChannels.includes(channel));
 
-    // Add subscriptions
     allowedChannels.forEach(channel => {
       client.subscriptions.add(channel);
     });
 
+    const replay = since !== undefined ? this.replay(clientId, allowedChannels, since, request.epoch) : null;
+
     logger.debug('Client subscribed to channels', {
       clientId,
       userId: client.userData.uid,
-      channels: allowedChannels
+      channels: allowedChannels,
+      replayed: replay ? replay.count : 0
     });
 
-    this.sendToClient(clientId, {
-      type: 'subscribed',
+    this.send(clientId, 'subscribed', {
       channels: allowedChannels,
-      timestamp: new Date().toISOString()
-    });
+      denied,
+      threads: client.threads ? Array.from(client.threads) : null,
+      latestSeq: this.seq,
+      epoch: this.epoch,
+      replayed: replay ? replay.count : 0,
+      // Some events were already pushed out of the buffer (or the server restarted)
+      truncated: replay ? replay.truncated : false
+    }, request);
+
+    // Fresh subscribers get the current state instead of a replay
+    if (since === undefined) {
+      allowedChannels.forEach(channel => this.sendSnapshot(clientId, channel));
+    }
+  }
+
+  replay(clientId, channels, since, epoch) {
+    const client = this.clients.get(clientId);
+    const reset = (epoch !== undefined && epoch !== this.epoch) || since > this.seq;
+    const from = reset ? 0 : since;
+    let truncated = reset;
+    const events = [];
+
+    for (const channel of channels) {
+      const buffer = this.buffers.get(channel);
+      if (!buffer) continue;
+      if (buffer.evictedSeq > from) truncated = true;
+      events.push(...buffer.events.filter(event => event.seq > from && this.wants(client, event)));
+    }
+
+    events.sort((a, b) => a.seq - b.seq);
+    events.forEach(event => this.sendRaw(clientId, { ...event, replay: true }));
+
+    return { count: events.length, truncated };
   }
 
-  handleUnsubscribe(clientId, data) {
+  handleUnsubscribe(clientId, request) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    const { channels } = data;
-    
+    const { channels, threads } = request;
+
+    // Only narrows the message_updates filter; the channels stay subscribed
+    if (Array.isArray(threads)) {
+      const removed = threads.map(String);
+      const current = client.threads || new Set();
+      client.threads = new Set(Array.from(current).filter(threadId => !removed.includes(threadId)));
+      this.send(clientId, 'unsubscribed', { threads: removed, remaining: Array.from(client.threads) }, request);
+      return;
+    }
+
     if (channels && Array.isArray(channels)) {
       channels.forEach(channel => {
         client.subscriptions.delete(channel);
@@ -214,61 +433,49 @@ class WebSocketServer {
       client.subscriptions.clear();
     }
 
-    this.sendToClient(clientId, {
-      type: 'unsubscribed',
-      channels: channels || 'all',
-      timestamp: new Date().toISOString()
-    });
+    this.send(clientId, 'unsubscribed', { channels: channels || 'all' }, request);
   }
 
-  checkChannelPermission(userData, channel) {
-    // Define channel permissions
-    const channelPermissions = {
-      'bot_status': ['admin', 'owner'],
-      'message_updates': ['admin', 'owner'],
-      'fun_updates': ['admin', 'owner'],
-      'user_activity': ['admin', 'owner'],
-      'system_logs': ['owner'],
-      'admin_actions': ['owner'],
-      'command_execution': ['admin', 'owner']
-    };
+  // Per-client filters on top of channel subscriptions
+  wants(client, event) {
+    if (event.channel === 'message_updates' && client.threads) {
+      return client.threads.has(String(event.data.threadId));
+    }
+    return true;
+  }
 
-    const requiredRole = channelPermissions[channel];
+  checkChannelPermission(userData, channel) {
+    const requiredRole = CHANNEL_ROLES[channel];
     if (!requiredRole) return false;
 
-    if (requiredRole.includes('owner') && userData.isOwner) return true;
-    if (requiredRole.includes('admin') && (userData.isAdmin || userData.isOwner)) return true;
+    if (requiredRole.includes('owner') && this.isOwner(userData)) return true;
+    if (requiredRole.includes('admin') && this.isAdmin(userData)) return true;
 
     return false;
   }
 
-  async handleCommand(clientId, data) {
+  async handleCommand(clientId, request) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    const { command, args, threadId } = data;
-    
+    const { command, args = [], threadId, confirm = false } = request;
+
     // Check if user can execute commands via WebSocket
-    if (!client.userData.isAdmin && !client.userData.isOwner) {
-      this.sendToClient(clientId, {
-        type: 'command_result',
-        success: false,
-        error: 'Insufficient permissions'
-      });
+    if (!this.isAdmin(client.userData)) {
+      this.sendError(clientId, 'forbidden', 'Insufficient permissions', request);
+      return;
+    }
+
+    if (typeof command !== 'string' || !threadId || !Array.isArray(args)) {
+      this.sendError(clientId, 'invalid_request', 'command, threadId and args[] are required', request);
       return;
     }
 
     try {
       // Execute command through bot
-      const result = await this.executeBotCommand(command, args, threadId, client.userData.uid);
-      
-      this.sendToClient(clientId, {
-        type: 'command_result',
-        success: true,
-        command,
-        result,
-        timestamp: new Date().toISOString()
-      });
+      const result = await this.executeBotCommand(command, args, threadId, client.userData.uid, confirm === true);
+
+      this.send(clientId, 'command_result', { command, result }, request);
 
       // Broadcast to other subscribed clients
       this.broadcastToSubscribed('command_execution', {
@@ -280,132 +487,157 @@ class WebSocketServer {
 
     } catch (error) {
       logger.error('Error executing WebSocket command:', error);
-      
-      this.sendToClient(clientId, {
-        type: 'command_result',
-        success: false,
-        command,
-        error: error.message
-      });
+      this.sendError(clientId, 'command_failed', error.message, request);
     }
   }
 
-  async executeBotCommand(command, args, threadId, userId) {
+  // { threadId, body, replyTo? } - owners answer in a thread from the console;
+  // attachments go through POST /api/threads/:id/messages instead
+  async handleSendMessage(clientId, request) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    if (!this.isOwner(client.userData)) {
+      this.sendError(clientId, 'forbidden', 'Owner access required', request);
+      return;
+    }
+
+    const { threadId, body, replyTo } = request;
+    if (!threadId || typeof body !== 'string' || !body.trim() || body.length > MAX_MESSAGE_LENGTH) {
+      this.sendError(clientId, 'invalid_request', `threadId and a body of 1-${MAX_MESSAGE_LENGTH} characters are required`, request);
+      return;
+    }
+
+    try {
+      const info = await MessageFeed.send(this.getMessengerApi(), threadId, { body, replyTo }, client.userData.uid);
+      this.send(clientId, 'send_message_result', { threadId: String(threadId), messageId: info.messageID || null }, request);
+    } catch (error) {
+      logger.error('Error sending WebSocket message:', error);
+      this.sendError(clientId, 'send_failed', error.message, request);
+    }
+  }
+
+  getMessengerApi() {
+    return this.bot.api && this.bot.api.api ? this.bot.api.api : this.bot.api;
+  }
+
+  async executeBotCommand(command, args, threadId, userId, confirmed = false) {
     // Create mock event
     const event = {
       senderID: userId,
       threadID: threadId,
       body: `!${command} ${args.join(' ')}`.trim(),
-      type: 'message'
+      type: 'message',
+      channel: 'websocket',
+      confirmed
     };
 
     // Use command processor
     const commandProcessor = require('../src/middleware/commandProcessor');
     return await commandProcessor.process(
-      this.bot.api,
+      this.getMessengerApi(),
       event,
       command,
       args
     );
   }
 
-  sendInitialData(clientId) {
-    const client = this.clients.get(clientId);
-    if (!client) return;
-
-    // Send current bot status
-    this.sendStatusUpdate(clientId);
-
-    // Send active fun loops
-    this.sendActiveFuns(clientId);
-
-    // Send recent activity
-    this.sendRecentActivity(clientId);
-  }
-
-  sendStatusUpdate(clientId) {
-    const client = this.clients.get(clientId);
-    if (!client || !client.subscriptions.has('bot_status')) return;
-
-    const status = {
+  getStatus() {
+    return {
       running: this.bot.isRunning,
       uptime: process.uptime(),
       activeThreads: global.activeThreads || 0,
-      activeFuns: global.funIntervals ? Object.keys(global.funIntervals).length : 0,
+      activeFuns: require('../src/utils/funEngine').getActiveFuns().length,
       memoryUsage: process.memoryUsage(),
       timestamp: new Date().toISOString()
     };
-
-    this.sendToClient(clientId, {
-      type: 'bot_status',
-      data: status
-    });
   }
 
-  sendActiveFuns(clientId) {
-    const client = this.clients.get(clientId);
-    if (!client || !client.subscriptions.has('fun_updates')) return;
+  // Current state of a channel for a new subscriber
+  sendSnapshot(clientId, channel) {
+    switch (channel) {
+      case 'bot_status':
+        this.send(clientId, 'bot_status', this.getStatus());
+        break;
 
-    try {
-      const funEngine = require('../src/utils/funEngine');
-      const activeFuns = funEngine.getActiveFuns();
+      case 'fun_updates':
+        this.send(clientId, 'active_funs', require('../src/utils/funEngine').getActiveFuns());
+        break;
 
-      this.sendToClient(clientId, {
-        type: 'active_funs',
-        data: activeFuns
-      });
-    } catch (error) {
-      logger.error('Error sending active funs:', error);
-    }
-  }
+      case 'user_activity':
+        this.send(clientId, 'recent_activity', ThreadEvents.getHistory());
+        break;
 
-  sendRecentActivity(clientId) {
-    const client = this.clients.get(clientId);
-    if (!client || !client.subscriptions.has('user_activity')) return;
-
-    // This would fetch recent activity from logs
-    // For now, send empty array
-    this.sendToClient(clientId, {
-      type: 'recent_activity',
-      data: []
-    });
+      case 'message_updates':
+        this.send(clientId, 'recent_messages', MessageFeed.getHistory(this.clients.get(clientId).threads));
+        break;
+    }
   }
 
   handleDisconnection(clientId) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
+    clearTimeout(client.tokenTimer);
+    clearTimeout(client.authTimer);
+
     logger.info('WebSocket client disconnected', {
       clientId,
-      userId: client.userData.uid,
+      userId: client.userData ? client.userData.uid : null,
       duration: new Date() - client.connectedAt
     });
 
     this.clients.delete(clientId);
   }
 
-  sendToClient(clientId, data) {
+  envelope(type, data, extra = {}) {
+    return {
+      v: PROTOCOL_VERSION,
+      id: `m${++this.messageCount}`,
+      type,
+      data,
+      ...extra,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Direct message to one client, optionally as the reply to a request
+  send(clientId, type, data, request = null) {
+    const extra = request && request.id !== undefined ? { replyTo: request.id } : {};
+    this.sendRaw(clientId, this.envelope(type, data, extra));
+  }
+
+  sendError(clientId, code, message, request = null) {
+    const extra = request && request.id !== undefined ? { replyTo: request.id } : {};
+    this.sendRaw(clientId, { ...this.envelope('error', null, extra), error: { code, message } });
+  }
+
+  sendRaw(clientId, envelope) {
     const client = this.clients.get(clientId);
     if (!client || client.ws.readyState !== WebSocket.OPEN) return;
 
     try {
-      client.ws.send(JSON.stringify(data));
+      client.ws.send(JSON.stringify(envelope));
     } catch (error) {
       logger.error('Error sending WebSocket message:', error);
     }
   }
 
-  broadcastToSubscribed(channel, data) {
-    const message = {
-      type: channel,
-      data,
-      timestamp: new Date().toISOString()
-    };
+  // Every channel event is numbered and buffered before it goes out
+  broadcastToSubscribed(channel, data, type = channel) {
+    const event = this.envelope(type, data, { channel, seq: ++this.seq });
 
-    const messageStr = JSON.stringify(message);
+    const buffer = this.buffers.get(channel) || { events: [], evictedSeq: 0 };
+    buffer.events.push(event);
+    if (buffer.events.length > BUFFER_SIZE) {
+      buffer.evictedSeq = buffer.events.shift().seq;
+    }
+    this.buffers.set(channel, buffer);
+
+    const messageStr = JSON.stringify(event);
 
     this.clients.forEach((client, clientId) => {
-      if (client.subscriptions.has(channel) && client.ws.readyState === WebSocket.OPEN) {
+      if (client.subscriptions.has(channel) && this.wants(client, event) && client.ws.readyState === WebSocket.OPEN) {
         try {
           client.ws.send(messageStr);
         } catch (error) {
@@ -416,28 +648,51 @@ class WebSocketServer {
   }
 
   // Event broadcasting methods
-  broadcastMessageSent(message) {
-    this.broadcastToSubscribed('message_sent', {
-      threadId: message.threadID,
-      senderId: message.senderID,
-      message: message.body?.substring(0, 100),
+  // Redacted records from MessageFeed, both directions
+  broadcastMessage(record) {
+    this.broadcastToSubscribed('message_updates', record, record.direction === 'in' ? 'message_received' : 'message_sent');
+  }
+
+  broadcastCommandReceived(event) {
+    this.broadcastToSubscribed('command_execution', {
+      threadId: event.threadID,
+      senderId: event.senderID,
+      message: MessageFeed.redact(event.body).substring(0, 100),
       timestamp: new Date().toISOString()
-    });
+    }, 'command_received');
   }
 
+  // Fun events go to fun_updates subscribers, typed by event
   broadcastFunStarted(funInfo) {
-    this.broadcastToSubscribed('fun_started', funInfo);
+    this.broadcastToSubscribed('fun_updates', funInfo, 'fun_started');
   }
 
   broadcastFunStopped(funInfo) {
-    this.broadcastToSubscribed('fun_stopped', funInfo);
+    this.broadcastToSubscribed('fun_updates', funInfo, 'fun_stopped');
+  }
+
+  broadcastFunPaused(funInfo) {
+    this.broadcastToSubscribed('fun_updates', funInfo, 'fun_paused');
+  }
+
+  broadcastFunResumed(funInfo) {
+    this.broadcastToSubscribed('fun_updates', funInfo, 'fun_resumed');
+  }
+
+  // After every message a loop sends: live counters for the dashboard
+  broadcastFunProgress(funInfo) {
+    this.broadcastToSubscribed('fun_updates', funInfo, 'fun_progress');
   }
 
   broadcastBotStatusChange(status) {
-    this.broadcastToSubscribed('bot_status_change', {
+    this.broadcastToSubscribed('bot_status', {
       status,
       timestamp: new Date().toISOString()
-    });
+    }, 'bot_status_change');
+  }
+
+  broadcastSystemLog(entry) {
+    this.broadcastToSubscribed('system_logs', entry);
   }
 
   broadcastAdminAction(action, userId) {
@@ -448,56 +703,75 @@ class WebSocketServer {
     });
   }
 
+  // Joins, leaves, renames and admin changes from ThreadEvents
+  broadcastUserActivity(activity) {
+    this.broadcastToSubscribed('user_activity', activity, activity.type);
+  }
+
   // Periodic updates
   startBroadcastInterval() {
     // Send periodic status updates
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       this.clients.forEach((client, clientId) => {
         if (client.subscriptions.has('bot_status')) {
-          this.sendStatusUpdate(clientId);
+          this.send(clientId, 'bot_status', this.getStatus());
         }
       });
-    }, 30000); // Every 30 seconds
+    }, 30000)); // Every 30 seconds
 
-    // Clean up inactive clients
-    setInterval(() => {
-      this.cleanupInactiveClients();
-    }, 60000); // Every minute
+    this.timers.push(setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL));
   }
 
-  cleanupInactiveClients() {
-    const now = new Date();
-    const inactiveThreshold = 5 * 60 * 1000; // 5 minutes
-
+  // Ping frames find dead sockets; the heartbeat message lets browsers (which
+  // never see pings) notice a stalled connection and know the latest seq.
+  // Revoked tokens are caught here too.
+  heartbeat() {
     this.clients.forEach((client, clientId) => {
-      if (now - client.lastActivity > inactiveThreshold) {
-        logger.info('Closing inactive WebSocket client', { clientId });
-        client.ws.close(1000, 'Inactive');
-        this.clients.delete(clientId);
+      if (!client.alive) {
+        logger.info('Closing unresponsive WebSocket client', { clientId });
+        client.ws.terminate();
+        this.handleDisconnection(clientId);
+        return;
+      }
+
+      client.alive = false;
+      client.ws.ping();
+
+      if (client.userData && this.checkToken(clientId)) {
+        this.refreshPermissions(clientId);
+        this.send(clientId, 'heartbeat', { latestSeq: this.seq });
       }
     });
   }
 
   getClientStats() {
+    const clients = Array.from(this.clients.values()).filter(c => c.userData);
+
     return {
       totalClients: this.clients.size,
+      protocol: PROTOCOL_VERSION,
+      latestSeq: this.seq,
       clientsByRole: {
-        owner: Array.from(this.clients.values()).filter(c => c.userData.isOwner).length,
-        admin: Array.from(this.clients.values()).filter(c => c.userData.isAdmin && !c.userData.isOwner).length
+        owner: clients.filter(c => c.userData.isOwner).length,
+        admin: clients.filter(c => c.userData.isAdmin && !c.userData.isOwner).length
       },
-      subscriptions: {
-        bot_status: Array.from(this.clients.values()).filter(c => c.subscriptions.has('bot_status')).length,
-        fun_updates: Array.from(this.clients.values()).filter(c => c.subscriptions.has('fun_updates')).length,
-        message_updates: Array.from(this.clients.values()).filter(c => c.subscriptions.has('message_updates')).length
-      }
+      subscriptions: Object.fromEntries(Object.keys(CHANNEL_ROLES).map(channel => [
+        channel,
+        clients.filter(c => c.subscriptions.has(channel)).length
+      ]))
     };
   }
 
   close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.clients.forEach(client => {
+      clearTimeout(client.tokenTimer);
+      clearTimeout(client.authTimer);
+    });
     this.wss.close();
     this.clients.clear();
     logger.info('WebSocket server closed');
   }
 }
 
-module.exports = WebSocketServer;
\ No newline at end of file
+module.exports = WebSocketServer;
@@ -357,5 +357,49 @@ async function main() {
     }
 }
 
+// Re-encrypt src/secure/owner.lock under a fresh key:
+//   node setup.js rotate-owner-key
+async function rotateOwnerKey() {
+    console.log(chalk.blue('\n🔑 Rotating the owner lock key...'));
+    
+    try {
+        const ownerVerifier = require('./src/secure/verifyOwner');
+        console.log(`  Current key: ${ownerVerifier.keyId} (${ownerVerifier.keySource})`);
+        
+        const proceed = await askQuestion('Re-encrypt the owner lock with a new key? (yes/no):');
+        if (proceed.toLowerCase() !== 'yes') {
+            console.log(chalk.yellow('Rotation cancelled.'));
+            return;
+        }
+        
+        const result = ownerVerifier.rotateKey();
+        if (!result.success) {
+            console.log(chalk.red(`\n❌ Rotation failed: ${result.error}`));
+            process.exitCode = 1;
+            return;
+        }
+        
+        console.log(chalk.green(`\n✅ Owner key rotated: ${result.previousKeyId} → ${result.keyId}`));
+        console.log(`  Old lock kept as: owner.lock.${result.previousKeyId}.bak`);
+        
+        if (result.source === 'env') {
+            console.log(chalk.yellow('\n⚠️ The key comes from OWNER_LOCK_KEY. Set it to this value before the next start:'));
+            console.log(`\n  OWNER_LOCK_KEY=${result.secret}\n`);
+        } else {
+            console.log(`  New key written to: ${result.keyFile} (chmod 600)`);
+            console.log(chalk.yellow('  Copy this key file together with owner.lock when moving the bot to another machine.'));
+        }
+    } catch (error) {
+        console.error(chalk.red('\n❌ Rotation failed:'), error);
+        process.exitCode = 1;
+    } finally {
+        rl.close();
+    }
+}
+
 // Run setup
-main();
\ No newline at end of file
+if (process.argv[2] === 'rotate-owner-key') {
+    rotateOwnerKey();
+} else {
+    main();
+}
\ No newline at end of file
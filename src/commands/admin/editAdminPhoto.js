@@ -2,29 +2,33 @@ const fs = require('fs-extra');
 const path = require('path');
 const photoManager = require('../../utils/photo');
 const delay = require('../../utils/delay');
+const conversations = require('../../utils/conversationManager');
 const logger = require('../../utils/logger');
 const validator = require('../../utils/validator');
 const apiWrapper = require('../../utils/api');
+const auditLog = require('../../system/auditLog');
+const guard = require('../../secure/guard');
 
 module.exports = {
     name: 'adminphoto',
+    aliases: ['editadminphoto'],
     description: 'Manage admin photos',
     usage: '!adminphoto [add/remove/list/set]',
     category: 'admin',
     
-    async execute(api, threadID, args, bot, senderID) {
+    async execute(api, threadID, args, bot, senderID, event = {}) {
         const action = args[0] ? args[0].toLowerCase() : 'list';
         
         try {
             switch (action) {
                 case 'add':
                 case 'upload':
-                    await this.addPhoto(api, threadID, args.slice(1), bot, senderID);
+                    await this.addPhoto(api, threadID, args.slice(1), bot, senderID, event);
                     break;
                     
                 case 'remove':
                 case 'delete':
-                    await this.removePhoto(api, threadID, args[1], bot, senderID);
+                    await this.removePhoto(api, threadID, args[1], bot, senderID, event);
                     break;
                     
                 case 'list':
@@ -52,28 +56,44 @@ module.exports = {
         }
     },
     
-    async addPhoto(api, threadID, args, bot, senderID) {
+    // Photo attachments on a message or reply, as sent by Messenger
+    getPhotoUrl(event) {
+        const attachments = [
+            ...(event.attachments || []),
+            ...((event.messageReply && event.messageReply.attachments) || [])
+        ];
+        const photo = attachments.find(attachment => attachment.type === 'photo');
+        return photo ? photo.largePreviewUrl || photo.url : null;
+    },
+    
+    async addPhoto(api, threadID, args, bot, senderID, event = {}) {
         try {
-            // Check if photo is attached
-            if (!args[0] && !threadID.includes('@')) {
-                await api.sendMessage(
-                    "📸 **HOW TO ADD ADMIN PHOTO**\n\n" +
-                    "**Method 1:** Send photo with caption\n" +
-                    `Caption: ${bot.prefix}adminphoto add\n\n` +
-                    "**Method 2:** Provide URL\n" +
-                    `Usage: ${bot.prefix}adminphoto add <URL>\n\n` +
-                    "**Method 3:** Upload file\n" +
-                    `Usage: ${bot.prefix}adminphoto add /path/to/photo.jpg`,
-                    threadID
+            let photoUrl = args[0] && validator.isValidURL(args[0]) ? args[0] : this.getPhotoUrl(event);
+            
+            // Nothing given yet: wait for the next photo from this user
+            if (!args[0] && !photoUrl) {
+                const reply = await conversations.ask(
+                    api,
+                    threadID,
+                    senderID,
+                    "📸 **ADD ADMIN PHOTO**\n\n" +
+                    "Send the photo now (or reply to this message with it).\n" +
+                    "You can also use:\n" +
+                    `• ${bot.prefix}adminphoto add <URL>\n` +
+                    `• ${bot.prefix}adminphoto add /path/to/photo.jpg\n\n` +
+                    "Type CANCEL to stop.",
+                    { filter: (reply) => Boolean(this.getPhotoUrl(reply)), timeout: 120000 }
                 );
-                return;
+                if (!reply.ok) return;
+                
+                photoUrl = this.getPhotoUrl(reply.event);
             }
             
             let photoPath;
             
-            // Check if URL provided
-            if (args[0] && validator.isValidURL(args[0])) {
-                const url = args[0];
+            // Download a URL or an attached photo
+            if (photoUrl) {
+                const url = photoUrl;
                 await api.sendMessage(
                     `📥 Downloading photo from URL...\n${url}`,
                     threadID
@@ -97,11 +117,8 @@ module.exports = {
                     throw new Error('File not found at provided path');
                 }
             }
-            // Check for attached photo
             else {
-                // This would need to handle message attachments
-                // For now, we'll assume URL or file path
-                throw new Error('Please provide a photo URL or file path');
+                throw new Error('Please provide a photo URL, file path or attachment');
             }
             
             // Validate photo
@@ -143,7 +160,7 @@ module.exports = {
             }
             
             // Clean up temp file if downloaded
-            if (args[0] && validator.isValidURL(args[0])) {
+            if (photoUrl) {
                 await fs.unlink(photoPath).catch(() => {});
             }
             
@@ -177,7 +194,7 @@ module.exports = {
         }
     },
     
-    async removePhoto(api, threadID, indexStr, bot, senderID) {
+    async removePhoto(api, threadID, indexStr, bot, senderID, event) {
         try {
             if (!indexStr) {
                 await api.sendMessage(
@@ -205,23 +222,28 @@ module.exports = {
             const fileName = path.basename(photoPath);
             
             // Confirm removal
-            await api.sendMessage(
+            const confirmed = await conversations.confirm(
+                api,
+                threadID,
+                senderID,
                 `⚠️ **CONFIRM REMOVAL**\n\n` +
                 `Are you sure you want to remove admin photo #${index + 1}?\n` +
-                `File: ${fileName}\n\n` +
-                `Type **CONFIRM** to proceed or **CANCEL** to abort.`,
-                threadID
+                `File: ${fileName}`
             );
-            
-            // Wait for confirmation (simplified - in real bot, you'd need to track state)
-            // For now, we'll just proceed
-            await delay.sleep(2000);
+            if (!confirmed) return;
             
             // Remove the photo
             await photoManager.removeAdminPhoto(index);
             
             // Log the removal
             logger.info(`Admin photo removed by ${senderID}: ${fileName}`);
+            auditLog.record({
+                ...auditLog.fromEvent(event),
+                action: 'adminphoto.remove',
+                target: fileName,
+                before: { index: index + 1, file: fileName },
+                after: { remaining: photoManager.adminPhotos.length }
+            });
             
             await api.sendMessage(
                 `✅ Admin photo removed successfully!\n\n` +
@@ -297,7 +319,7 @@ module.exports = {
     
     async clearPhotos(api, threadID, bot, senderID) {
         // Only owner can clear all photos
-        if (senderID !== bot.ownerUID) {
+        if (!guard.isOwner(senderID)) {
             await api.sendMessage(
                 "❌ Only the bot owner can clear all admin photos!",
                 threadID
@@ -314,16 +336,16 @@ module.exports = {
             }
             
             // Confirm clearance
-            await api.sendMessage(
+            const confirmed = await conversations.confirm(
+                api,
+                threadID,
+                senderID,
                 `🚨 **CONFIRM CLEAR ALL ADMIN PHOTOS**\n\n` +
                 `This will remove ALL ${photoCount} admin photos!\n` +
-                `This action cannot be undone.\n\n` +
-                `Type **CLEAR ALL** to proceed or **CANCEL** to abort.`,
-                threadID
+                `This action cannot be undone.`,
+                { word: 'CLEAR ALL' }
             );
-            
-            // Wait for confirmation
-            await delay.sleep(2000);
+            if (!confirmed) return;
             
             // Clear all photos
             const adminPhotosDir = path.join(__dirname, '../../../data/admin-photos/');
@@ -0,0 +1,95 @@
+const logger = require('../../utils/logger');
+const funEngine = require('../../utils/funEngine');
+
+module.exports = {
+    name: 'funresume',
+    aliases: ['fr'],
+    description: 'List and resume fun loops interrupted by a restart',
+    usage: '!funresume [here/all/<threadID>/clear]',
+    category: 'admin',
+
+    async execute(api, threadID, args, bot, senderID) {
+        const action = args[0] ? args[0].toLowerCase() : 'list';
+        const interrupted = funEngine.getInterrupted();
+
+        try {
+            switch (action) {
+                case 'list':
+                    await this.listInterrupted(api, threadID, interrupted, bot);
+                    break;
+
+                case 'all':
+                    await this.resumeMany(api, threadID, interrupted.map(loop => loop.threadId), senderID);
+                    break;
+
+                case 'clear':
+                    await this.clearInterrupted(api, threadID, args[1], interrupted, senderID);
+                    break;
+
+                case 'here':
+                    await this.resumeMany(api, threadID, [threadID], senderID);
+                    break;
+
+                default:
+                    await this.resumeMany(api, threadID, [args[0]], senderID);
+            }
+        } catch (error) {
+            logger.error('Fun resume error:', error);
+            await api.sendMessage(`❌ Error resuming fun: ${error.message}`, threadID);
+        }
+    },
+
+    async listInterrupted(api, threadID, interrupted, bot) {
+        if (interrupted.length === 0) {
+            await api.sendMessage("✅ No interrupted fun loops.", threadID);
+            return;
+        }
+
+        let message = "⏯️ **INTERRUPTED FUN LOOPS**\n";
+        message += "════════════════════════════\n\n";
+
+        interrupted.forEach((loop, index) => {
+            message += `${index + 1}. ${loop.type.toUpperCase()} in ${loop.threadId}${loop.threadId === threadID ? ' (here)' : ''}\n`;
+            message += `   📊 Sent: ${loop.messageCount} • Left: ${funEngine.describeRemaining(loop)}\n`;
+            message += `   🕒 Stopped: ${loop.interruptedAt || loop.savedAt} (${loop.reason || 'crash'})\n\n`;
+        });
+
+        message += `▶️ ${bot.prefix}funresume here | all | <threadID>\n`;
+        message += `🗑️ ${bot.prefix}funresume clear [threadID]`;
+
+        await api.sendMessage(message, threadID);
+    },
+
+    async resumeMany(api, threadID, threadIds, senderID) {
+        const resumed = [];
+        const failed = [];
+
+        for (const targetId of threadIds) {
+            const result = await funEngine.resumeInterrupted(api, targetId);
+            if (result.success) {
+                resumed.push(targetId);
+            } else {
+                failed.push(`${targetId}: ${result.error}`);
+            }
+        }
+
+        logger.info(`Interrupted funs resumed by ${senderID}`, { resumed, failed });
+
+        // The resumed thread already got its own notice
+        if (resumed.length === 1 && resumed[0] === threadID && failed.length === 0) return;
+
+        let message = resumed.length > 0 ? `✅ Resumed ${resumed.length} fun loop(s).` : "⚠️ Nothing was resumed.";
+        if (failed.length > 0) message += `\n❌ ${failed.join('\n❌ ')}`;
+
+        await api.sendMessage(message, threadID);
+    },
+
+    async clearInterrupted(api, threadID, targetId, interrupted, senderID) {
+        const known = interrupted.map(loop => loop.threadId);
+        const targets = targetId ? known.filter(id => id === targetId) : known;
+        const cleared = targets.filter(id => funEngine.forgetLoop(id));
+
+        logger.info(`Interrupted funs cleared by ${senderID}`, { cleared });
+        await api.sendMessage(`🗑️ Cleared ${cleared.length} interrupted fun loop(s).`, threadID);
+    }
+};
@@ -3,9 +3,14 @@ const path = require('path');
 const delay = require('../../utils/delay');
 const logger = require('../../utils/logger');
 const validator = require('../../utils/validator');
+const threadSettings = require('../../utils/threadSettings');
+const funEngine = require('../../utils/funEngine');
+const conversations = require('../../utils/conversationManager');
+const guard = require('../../secure/guard');
 
 module.exports = {
     name: 'groups',
+    aliases: ['managegroups'],
     description: 'Manage bot groups',
     usage: '!groups [list/add/remove/leave]',
     category: 'admin',
@@ -86,9 +91,9 @@ module.exports = {
                     message += `   Unread: ${group.unreadCount || 0}\n`;
                     
                     // Add fun status if active
-                    if (bot.funThreads.has(group.threadID)) {
-                        const funData = bot.funThreads.get(group.threadID);
-                        message += `   Fun: ${funData.type.toUpperCase()} (${funData.index} msgs)\n`;
+                    const funData = funEngine.getFun(group.threadID);
+                    if (funData) {
+                        message += `   Fun: ${funData.type.toUpperCase()} (${funData.messagesSent} msgs)\n`;
                     }
                     
                     message += "\n";
@@ -197,13 +202,7 @@ module.exports = {
                 logger.info(`Group removed by ${senderID}: ${groupID}`);
                 
                 // Stop any active fun in that group
-                if (bot.funThreads.has(groupID)) {
-                    const funData = bot.funThreads.get(groupID);
-                    if (funData.interval) {
-                        clearInterval(funData.interval);
-                    }
-                    bot.funThreads.delete(groupID);
-                }
+                funEngine.stopFun(groupID, 'group_removed');
                 
                 await api.sendMessage(
                     `✅ Group removed from bot's active list!\n\n` +
@@ -229,7 +228,7 @@ module.exports = {
         }
         
         // Only owner can make bot leave groups
-        if (senderID !== bot.ownerUID) {
+        if (!guard.isOwner(senderID)) {
             await api.sendMessage(
                 "❌ Only the bot owner can make the bot leave groups!",
                 threadID
@@ -237,6 +236,15 @@ module.exports = {
             return;
         }
         
+        const confirmed = await conversations.confirm(
+            api,
+            threadID,
+            senderID,
+            `⚠️ **CONFIRM LEAVE GROUP**\n\nThe bot will leave ${groupID}.`,
+            { word: 'LEAVE' }
+        );
+        if (!confirmed) return;
+        
         try {
             // Send goodbye message first
             await api.sendMessage(
@@ -264,13 +272,7 @@ module.exports = {
                 logger.info(`Bot left group ${groupID} by owner ${senderID}`);
                 
                 // Stop any active fun
-                if (bot.funThreads.has(groupID)) {
-                    const funData = bot.funThreads.get(groupID);
-                    if (funData.interval) {
-                        clearInterval(funData.interval);
-                    }
-                    bot.funThreads.delete(groupID);
-                }
+                funEngine.stopFun(groupID, 'group_removed');
                 
                 api.sendMessage(
                     `✅ Successfully left group ${groupID}!`,
@@ -321,17 +323,29 @@ module.exports = {
                 
                 // Bot status in this group
                 message += "🤖 **BOT STATUS:**\n";
-                if (bot.funThreads.has(groupID)) {
-                    const funData = bot.funThreads.get(groupID);
-                    message += `• Fun Active: ${funData.type.toUpperCase()}\n`;
-                    message += `• Messages Sent: ${funData.index || 0}\n`;
-                    message += `• Started By: ${funData.userID}\n`;
+                const funData = funEngine.getFun(groupID);
+                if (funData) {
+                    message += `• Fun Active: ${funData.type.toUpperCase()}${funData.status === 'paused' ? ' (paused)' : ''}\n`;
+                    message += `• Messages Sent: ${funData.messagesSent}\n`;
+                    message += `• Started By: ${funData.userId}\n`;
                 } else {
                     message += "• Fun Active: No\n";
                 }
                 
-                message += `• Responding: Yes\n`;
-                message += `• Prefix: ${bot.prefix}\n\n`;
+                message += `• Responding: Yes\n\n`;
+                
+                // Per-thread settings (✏️ = overridden for this group)
+                const current = threadSettings.get(groupID, bot.prefix);
+                const overrides = threadSettings.getOverrides(groupID);
+                const mark = (key) => key in overrides ? ' ✏️' : '';
+                
+                message += "⚙️ **SETTINGS:**\n";
+                message += `• Prefix: ${current.prefix}${mark('prefix')}\n`;
+                message += `• Language: ${current.language}${mark('language')}\n`;
+                message += `• Allowed Commands: ${current.allowedCommands.length > 0 ? current.allowedCommands.join(', ') : 'all'}${mark('allowedCommands')}\n`;
+                message += `• Disabled Commands: ${current.disabledCommands.join(', ') || 'none'}${mark('disabledCommands')}\n`;
+                message += `• Fun: ${current.funEnabled ? 'on' : 'off'}${mark('funEnabled')}\n`;
+                message += `• Fun Limits: ${current.funMaxDuration}s / ${current.funMaxMessages} messages${mark('funMaxDuration')}${mark('funMaxMessages')}\n\n`;
                 
                 message += "════════════════════════════════\n";
                 message += `Use ${bot.prefix}groups list to see all groups`;
@@ -384,7 +398,7 @@ ${bot.prefix}groups info
                     };
                     
                     groups.forEach(group => {
-                        if (bot.funThreads.has(group.threadID)) {
+                        if (funEngine.isActive(group.threadID)) {
                             stats.withActiveFun++;
                         }
                         
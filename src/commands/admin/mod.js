@@ -0,0 +1,243 @@
+const logger = require('../../utils/logger');
+const guard = require('../../secure/guard');
+const roles = require('../../secure/roles');
+const stateStore = require('../../utils/stateStore');
+const moderation = require('../../system/moderation');
+const auditLog = require('../../system/auditLog');
+
+// Subcommands that change the rules; the rest only read or forgive
+const RULE_COMMANDS = ['on', 'off', 'word', 'regex', 'links', 'flood', 'repeat', 'actions', 'mutetime', 'exempt', 'reset'];
+
+module.exports = {
+    name: 'mod',
+    aliases: ['moderation'],
+    description: 'Configure message moderation for this group',
+    usage: '!mod [on|off|word|regex|links|flood|repeat|actions|mutetime|exempt|strikes|pardon|unmute|log|reset]',
+    category: 'admin',
+    role: 'moderator',
+
+    async execute(api, threadID, args, bot, senderID, event = {}) {
+        const sub = (args[0] || 'show').toLowerCase();
+        const rest = args.slice(1);
+
+        if (RULE_COMMANDS.includes(sub)) {
+            const actorRole = guard.getRole(senderID, bot.ownerUID, bot.admins, threadID);
+            if (roles.rank(actorRole) < roles.rank('admin')) {
+                await api.sendMessage("❌ Only admins can change moderation rules.", threadID);
+                return;
+            }
+        }
+
+        switch (sub) {
+            case 'show':
+                await this.showRules(api, threadID);
+                return;
+            case 'on':
+            case 'off':
+                await this.change(api, threadID, { enabled: sub === 'on' }, event);
+                return;
+            case 'word':
+                await this.editList(api, threadID, 'words', rest[0], [rest.slice(1).join(' ').toLowerCase()], bot, event);
+                return;
+            case 'regex':
+                await this.editList(api, threadID, 'patterns', rest[0], [rest.slice(1).join(' ')], bot, event);
+                return;
+            case 'links':
+                await this.change(api, threadID, {
+                    links: rest[0],
+                    ...(rest.length > 1 ? { allowedDomains: rest.slice(1).join(',') } : {})
+                }, event);
+                return;
+            case 'flood':
+                await this.change(api, threadID, this.pair(rest, 'floodMessages', 'floodSeconds'), event);
+                return;
+            case 'repeat':
+                await this.change(api, threadID, this.pair(rest, 'repeatCount', 'repeatSeconds'), event);
+                return;
+            case 'actions':
+                await this.change(api, threadID, { actions: rest.join(',') }, event);
+                return;
+            case 'mutetime':
+                await this.change(api, threadID, { muteMinutes: rest[0] }, event);
+                return;
+            case 'exempt':
+                await this.change(api, threadID, { exemptRole: rest[0] }, event);
+                return;
+            case 'reset':
+                await this.reset(api, threadID, event);
+                return;
+            case 'strikes':
+                await this.showStrikes(api, threadID, this.target(rest, event));
+                return;
+            case 'pardon':
+                await this.pardon(api, threadID, this.target(rest, event), bot, event);
+                return;
+            case 'unmute':
+                await this.unmute(api, threadID, this.target(rest, event), bot, event);
+                return;
+            case 'log':
+                await this.showLog(api, threadID);
+                return;
+            default:
+                await this.showHelp(api, threadID, bot);
+        }
+    },
+
+    // "off" turns the check off; otherwise <count> [seconds]
+    pair(args, countKey, secondsKey) {
+        if ((args[0] || '').toLowerCase() === 'off') return { [countKey]: 0 };
+        return { [countKey]: args[0], ...(args[1] !== undefined ? { [secondsKey]: args[1] } : {}) };
+    },
+
+    target(args, event) {
+        const mentioned = Object.keys(event.mentions || {})[0];
+        const target = mentioned || args[0];
+        return /^\d{5,20}$/.test(String(target)) ? String(target) : null;
+    },
+
+    async editList(api, threadID, key, mode, values, bot, event) {
+        const value = values[0].trim();
+        if (!['add', 'remove'].includes((mode || '').toLowerCase()) || !value) {
+            await this.showHelp(api, threadID, bot);
+            return;
+        }
+
+        const current = moderation.getRules(threadID)[key];
+        const next = mode.toLowerCase() === 'add'
+            ? [...current, value]
+            : current.filter(item => item !== value);
+
+        if (next.length === current.length && mode.toLowerCase() === 'remove') {
+            await api.sendMessage(`⚠️ "${value}" is not in the list.`, threadID);
+            return;
+        }
+
+        await this.change(api, threadID, { [key]: next }, event);
+    },
+
+    async change(api, threadID, changes, event) {
+        const before = moderation.getOverrides(threadID);
+        const result = moderation.update(threadID, changes);
+
+        if (!result.success) {
+            await api.sendMessage(`❌ ${result.errors.join('\n')}`, threadID);
+            return;
+        }
+
+        logger.info('Moderation rules updated', { threadId: threadID, by: event.senderID, changes });
+        auditLog.record({
+            ...auditLog.fromEvent(event),
+            action: 'mod.rules',
+            target: threadID,
+            before,
+            after: moderation.getOverrides(threadID)
+        });
+
+        await api.sendMessage("✅ Moderation updated.\n\n" + this.formatRules(result.rules), threadID);
+    },
+
+    async reset(api, threadID, event) {
+        const before = moderation.getOverrides(threadID);
+        moderation.reset(threadID);
+        auditLog.record({ ...auditLog.fromEvent(event), action: 'mod.rules', target: threadID, before, after: {} });
+
+        await api.sendMessage("♻️ Moderation rules reset to defaults (off).", threadID);
+    },
+
+    async pardon(api, threadID, target, bot, event) {
+        if (!target) {
+            await api.sendMessage(`📝 Usage: ${bot.prefix}mod pardon <userID|@mention>`, threadID);
+            return;
+        }
+
+        const had = moderation.pardon(threadID, target);
+        auditLog.record({ ...auditLog.fromEvent(event), action: 'mod.pardon', target, details: { threadId: threadID } });
+
+        await api.sendMessage(had ? `✅ Strikes cleared for ${target}.` : `ℹ️ ${target} has no strikes here.`, threadID);
+    },
+
+    async unmute(api, threadID, target, bot, event) {
+        if (!target) {
+            await api.sendMessage(`📝 Usage: ${bot.prefix}mod unmute <userID|@mention>`, threadID);
+            return;
+        }
+
+        // Only mutes; permanent security blocks stay with the owners
+        const block = stateStore.getBlockedUsers()[target];
+        if (!guard.isBlocked(target) || !block || !block.expiresAt) {
+            await api.sendMessage(`ℹ️ ${target} is not muted.`, threadID);
+            return;
+        }
+
+        guard.unblockUser(target, auditLog.fromEvent(event));
+        await api.sendMessage(`🔊 ${target} is no longer muted.`, threadID);
+    },
+
+    async showStrikes(api, threadID, target) {
+        const strikes = Object.entries(moderation.getStrikes(threadID, target));
+        if (strikes.length === 0) {
+            await api.sendMessage("✅ No strikes in this group.", threadID);
+            return;
+        }
+
+        await api.sendMessage(
+            "📋 Strikes:\n" +
+            strikes.map(([id, entry]) => `• ${id}: ${entry.count} (last: ${entry.lastRule})`).join('\n'),
+            threadID
+        );
+    },
+
+    async showLog(api, threadID) {
+        const violations = moderation.getViolations(threadID, 10);
+        if (violations.length === 0) {
+            await api.sendMessage("✅ No recent violations in this group.", threadID);
+            return;
+        }
+
+        await api.sendMessage(
+            "📜 Recent violations:\n" +
+            violations.map(entry =>
+                `• ${new Date(entry.timestamp).toLocaleString()} — ${entry.userId}: ${entry.rule} → ${entry.action} (strike ${entry.strike})`
+            ).join('\n'),
+            threadID
+        );
+    },
+
+    async showRules(api, threadID) {
+        await api.sendMessage(this.formatRules(moderation.getRules(threadID)), threadID);
+    },
+
+    formatRules(rules) {
+        return `🛡️ Moderation: ${rules.enabled ? 'ON' : 'OFF'}\n` +
+            `• Banned words: ${rules.words.length ? rules.words.join(', ') : 'none'}\n` +
+            `• Patterns: ${rules.patterns.length ? rules.patterns.join('  ') : 'none'}\n` +
+            `• Links: ${rules.links}` +
+            (rules.links === 'allowlist' ? ` (${rules.allowedDomains.join(', ') || 'no domains'})` : '') + '\n' +
+            `• Flood: ${rules.floodMessages ? `${rules.floodMessages} msgs / ${rules.floodSeconds}s` : 'off'}\n` +
+            `• Repeats: ${rules.repeatCount ? `${rules.repeatCount} in ${rules.repeatSeconds}s` : 'off'}\n` +
+            `• Actions: ${rules.actions.join(' → ')}\n` +
+            `• Mute: ${rules.muteMinutes} min, strikes reset after ${rules.strikeResetMinutes} min\n` +
+            `• Exempt: ${rules.exemptRole} and above`;
+    },
+
+    async showHelp(api, threadID, bot) {
+        const p = bot.prefix;
+        await api.sendMessage(
+            "🛡️ Moderation:\n" +
+            `• ${p}mod - Show rules\n` +
+            `• ${p}mod on/off\n` +
+            `• ${p}mod word add/remove <word>\n` +
+            `• ${p}mod regex add/remove <pattern>\n` +
+            `• ${p}mod links allow/block/allowlist [domains...]\n` +
+            `• ${p}mod flood <messages> <seconds> | off\n` +
+            `• ${p}mod repeat <count> <seconds> | off\n` +
+            `• ${p}mod actions warn,delete,mute,remove\n` +
+            `• ${p}mod mutetime <minutes>\n` +
+            `• ${p}mod exempt moderator/admin/owner\n` +
+            `• ${p}mod strikes [userID] | pardon <userID> | unmute <userID>\n` +
+            `• ${p}mod log | reset\n` +
+            "Changing rules needs admin; moderators can view, pardon and unmute.",
+            threadID
+        );
+    }
+};
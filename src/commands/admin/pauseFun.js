@@ -0,0 +1,50 @@
+const logger = require('../../utils/logger');
+const funEngine = require('../../utils/funEngine');
+
+// Pause and resume keep the loop's position and message count
+module.exports = [
+    {
+        name: 'pausefun',
+        aliases: ['pf'],
+        description: 'Pause the fun running in this thread',
+        usage: '!pausefun',
+        category: 'admin',
+        role: 'moderator',
+
+        async execute(api, threadID, args, bot, senderID) {
+            const result = funEngine.pauseFun(threadID);
+
+            if (!result.success) {
+                await api.sendMessage(`⚠️ ${result.error}`, threadID);
+                return;
+            }
+
+            logger.info(`Fun paused in ${threadID} by ${senderID}`);
+            await api.sendMessage(
+                `⏸️ ${result.fun.type.toUpperCase()} fun paused after ${result.fun.messagesSent} messages.\n` +
+                `▶️ Type ${bot.prefix}resumefun to continue.`,
+                threadID
+            );
+        }
+    },
+
+    {
+        name: 'resumefun',
+        aliases: ['rf'],
+        description: 'Resume a paused fun in this thread',
+        usage: '!resumefun',
+        category: 'admin',
+
+        async execute(api, threadID, args, bot, senderID) {
+            const result = funEngine.resumeFun(threadID);
+
+            if (!result.success) {
+                await api.sendMessage(`⚠️ ${result.error}`, threadID);
+                return;
+            }
+
+            logger.info(`Fun resumed in ${threadID} by ${senderID}`);
+            await api.sendMessage(`▶️ ${result.fun.type.toUpperCase()} fun resumed!`, threadID);
+        }
+    }
+];
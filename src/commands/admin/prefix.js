@@ -0,0 +1,31 @@
+const logger = require('../../utils/logger');
+const stateStore = require('../../utils/stateStore');
+const auditLog = require('../../system/auditLog');
+
+module.exports = {
+    name: 'prefix',
+    description: 'Change bot prefix',
+    usage: '!prefix <new>',
+    category: 'admin',
+    
+    async execute(api, threadID, args, bot, senderID, event = {}) {
+        const newPrefix = args[0];
+        
+        if (!newPrefix || newPrefix.length !== 1) {
+            await api.sendMessage(
+                "❌ Prefix must be a single character!\n" +
+                `📝 Usage: ${bot.prefix}prefix <new>`,
+                threadID
+            );
+            return;
+        }
+        
+        const previous = bot.prefix;
+        bot.prefix = newPrefix;
+        stateStore.setPrefix(newPrefix);
+        logger.info(`Prefix changed to ${newPrefix} by ${senderID}`);
+        auditLog.record({ ...auditLog.fromEvent(event), action: 'prefix.set', before: previous, after: newPrefix });
+        
+        await api.sendMessage(`✅ Prefix changed to: ${newPrefix}`, threadID);
+    }
+};
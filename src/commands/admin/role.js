@@ -0,0 +1,162 @@
+const logger = require('../../utils/logger');
+const guard = require('../../secure/guard');
+const roles = require('../../secure/roles');
+const registry = require('../../utils/commandRegistry');
+const stateStore = require('../../utils/stateStore');
+const auditLog = require('../../system/auditLog');
+
+const ROLE_ICONS = {
+    user: '👤',
+    moderator: '🧹',
+    admin: '🛡️',
+    owner: '👑'
+};
+
+module.exports = {
+    name: 'role',
+    aliases: ['roles'],
+    description: 'Show or change user roles and command permissions',
+    usage: '!role [<userID|@mention> <user/moderator/admin> [here]] | !role perm <command> <role/default>',
+    category: 'admin',
+
+    async execute(api, threadID, args, bot, senderID, event = {}) {
+        const actorRole = guard.getRole(senderID, bot.ownerUID, bot.admins, threadID);
+
+        if (args.length === 0) {
+            await this.showRoles(api, threadID);
+            return;
+        }
+
+        if (args[0].toLowerCase() === 'perm') {
+            await this.setCommandRole(api, threadID, args.slice(1), bot, actorRole, event);
+            return;
+        }
+
+        const mentioned = Object.keys(event.mentions || {})[0];
+        const target = mentioned || args[0];
+        const newRole = (args[1] || '').toLowerCase();
+        const scoped = (args[2] || '').toLowerCase() === 'here';
+
+        if (!/^\d{5,20}$/.test(String(target)) || !roles.assignable.includes(newRole)) {
+            await this.showHelp(api, threadID, bot);
+            return;
+        }
+
+        await this.setUserRole(api, threadID, String(target), newRole, scoped, bot, senderID, actorRole, event);
+    },
+
+    async setUserRole(api, threadID, target, newRole, scoped, bot, senderID, actorRole, event) {
+        if (!scoped && actorRole !== 'owner') {
+            await api.sendMessage("❌ Only owners can change roles for every group. Add \"here\" to change it for this group only.", threadID);
+            return;
+        }
+
+        if (guard.isOwner(target)) {
+            await api.sendMessage("❌ Owners are managed with the owner command.", threadID);
+            return;
+        }
+
+        if (target === String(senderID)) {
+            await api.sendMessage("❌ You can't change your own role.", threadID);
+            return;
+        }
+
+        // Only roles below your own, for users below you
+        const currentRole = scoped ? roles.getThreadRole(target, threadID) : roles.getGlobalRole(target, bot.admins);
+        if (roles.rank(actorRole) <= roles.rank(newRole) || roles.rank(actorRole) <= roles.rank(currentRole)) {
+            await api.sendMessage(`❌ A ${actorRole} can only manage roles below ${actorRole}.`, threadID);
+            return;
+        }
+
+        const result = roles.setRole(target, newRole, scoped ? threadID : null);
+        if (!result.success) {
+            await api.sendMessage(`❌ ${result.error}`, threadID);
+            return;
+        }
+
+        if (!scoped) bot.admins = stateStore.getAdmins() || bot.admins;
+
+        logger.info('Role changed', { by: senderID, target, role: newRole, threadId: scoped ? threadID : null });
+        auditLog.record({
+            ...auditLog.fromEvent(event),
+            action: scoped ? 'role.thread' : 'role.global',
+            target,
+            before: result.before,
+            after: result.after,
+            details: scoped ? { threadId: threadID } : null
+        });
+
+        await api.sendMessage(
+            `✅ ${ROLE_ICONS[newRole]} ${target} is now ${newRole === 'user' ? 'a regular user' : `a ${newRole}`}` +
+            (scoped ? ' in this group.' : ' everywhere.'),
+            threadID
+        );
+    },
+
+    async setCommandRole(api, threadID, args, bot, actorRole, event) {
+        if (actorRole !== 'owner') {
+            await api.sendMessage("❌ Only owners can change command permissions.", threadID);
+            return;
+        }
+
+        const definition = registry.get(args[0]);
+        const role = (args[1] || '').toLowerCase();
+
+        if (!definition || !(role === 'default' || roles.isRole(role))) {
+            await api.sendMessage(
+                `📝 Usage: ${bot.prefix}role perm <command> <user/moderator/admin/owner/default>`,
+                threadID
+            );
+            return;
+        }
+
+        if (definition.category === 'owner') {
+            await api.sendMessage("❌ Owner commands always stay with owners.", threadID);
+            return;
+        }
+
+        const change = roles.setCommandRole(definition.name, role === 'default' ? null : role);
+        auditLog.record({
+            ...auditLog.fromEvent(event),
+            action: 'role.command',
+            target: definition.name,
+            before: change.before,
+            after: change.after
+        });
+
+        await api.sendMessage(
+            `✅ ${definition.name} now needs: ${guard.getRequiredRole(definition.name)}` +
+            (role === 'default' ? ' (default)' : ''),
+            threadID
+        );
+    },
+
+    async showRoles(api, threadID) {
+        const { global, thread } = roles.list(threadID);
+        const format = (assignments) => Object.entries(assignments)
+            .map(([id, role]) => `${ROLE_ICONS[role]} ${id} - ${role}`)
+            .join('\n') || '• none';
+        const overrides = Object.entries(roles.getCommandOverrides())
+            .map(([name, role]) => `• ${name}: ${role}`)
+            .join('\n');
+
+        await api.sendMessage(
+            `👑 Owners:\n${guard.getOwners().map(id => `• ${id}`).join('\n')}\n\n` +
+            `🌐 Everywhere:\n${format(global)}\n\n` +
+            `💬 This group only:\n${format(thread)}` +
+            (overrides ? `\n\n🔐 Command permissions:\n${overrides}` : ''),
+            threadID
+        );
+    },
+
+    async showHelp(api, threadID, bot) {
+        await api.sendMessage(
+            "🛡️ Roles (user < moderator < admin < owner):\n" +
+            `• ${bot.prefix}role - List roles\n` +
+            `• ${bot.prefix}role <userID> <user/moderator/admin> - Everywhere (owners)\n` +
+            `• ${bot.prefix}role <userID> <user/moderator/admin> here - This group only\n` +
+            `• ${bot.prefix}role perm <command> <role/default> - Who can run a command (owners)`,
+            threadID
+        );
+    }
+};
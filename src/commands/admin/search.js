@@ -0,0 +1,56 @@
+const messageStore = require('../../utils/messageStore');
+const messageFeed = require('../../system/messageFeed');
+const threadEvents = require('../../system/threadEvents');
+
+const MAX_RESULTS = 10;
+const MAX_PREVIEW = 120;
+
+module.exports = {
+    name: 'search',
+    description: 'Search this thread\'s stored message history',
+    usage: '!search <words>',
+    category: 'admin',
+
+    async execute(api, threadID, args, bot) {
+        if (!messageStore.isEnabled()) {
+            await api.sendMessage(
+                "⚠️ Message history is not being stored.\n" +
+                "Enable messageStore in config.json to use search.",
+                threadID
+            );
+            return;
+        }
+
+        const query = args.join(' ').trim();
+        if (!query) {
+            await api.sendMessage(`📝 Usage: ${bot.prefix}search <words>`, threadID);
+            return;
+        }
+
+        const { total, messages } = messageStore.search(threadID, { q: query, limit: MAX_RESULTS });
+        if (total === 0) {
+            await api.sendMessage(`🔍 No stored messages match "${query}".`, threadID);
+            return;
+        }
+
+        const senderIds = [...new Set(messages.map(entry => entry.senderId).filter(Boolean))];
+        const names = new Map((await threadEvents.getUsers(api, senderIds)).map(user => [user.id, user.name]));
+
+        const lines = messages.map(entry => {
+            const when = new Date(entry.timestamp).toLocaleString();
+            const who = entry.direction === 'out' ? 'Bot' : names.get(entry.senderId) || entry.senderId;
+            let text = messageFeed.redact(entry.body).replace(/\s+/g, ' ');
+            if (text.length > MAX_PREVIEW) text = `${text.slice(0, MAX_PREVIEW)}…`;
+            if (!text && entry.attachments.length > 0) text = `[${entry.attachments.map(a => a.type).join(', ')}]`;
+
+            return `• ${when} — ${who}: ${text}`;
+        });
+
+        await api.sendMessage(
+            `🔍 ${total} message${total === 1 ? '' : 's'} match "${query}"` +
+            (total > messages.length ? ` (newest ${messages.length} shown)` : '') + ':\n\n' +
+            lines.join('\n'),
+            threadID
+        );
+    }
+};
@@ -1,30 +1,25 @@
-const fs = require('fs-extra');
-const path = require('path');
 const delay = require('../../utils/delay');
-const validator = require('../../utils/validator');
 const logger = require('../../utils/logger');
-
-// Import fun command modules
-const chorFun = require('../fun/chor');
-const murgiFun = require('../fun/murgi');
-const abalFun = require('../fun/abal');
-const seniorFun = require('../fun/senior');
-const cowFun = require('../fun/cow');
-const goatFun = require('../fun/goat');
+const funEngine = require('../../utils/funEngine');
 
 module.exports = {
     name: 'startfun',
+    aliases: ['sf'],
     description: 'Start fun commands',
-    usage: '!startfun <type>',
+    usage: '!startfun <type> [messages | 30s/5m/1h]',
     category: 'admin',
     
-    async execute(api, threadID, funType, bot, senderID) {
+    async execute(api, threadID, args, bot, senderID) {
+        let funType = args[0];
+        
         try {
+            const validTypes = funEngine.getFunTypes();
+            
             // Validate fun type
             if (!funType) {
                 await api.sendMessage(
                     "❌ Please specify a fun type!\n" +
-                    "📋 Available types: chor, murgi, abal, senior, cow, goat\n" +
+                    `📋 Available types: ${validTypes.join(', ')}\n` +
                     `📝 Usage: ${bot.prefix}startfun <type>`,
                     threadID
                 );
@@ -35,8 +30,8 @@ module.exports = {
             funType = funType.toLowerCase();
             
             // Check if fun is already active in this thread
-            if (bot.funThreads.has(threadID)) {
-                const activeFun = bot.funThreads.get(threadID);
+            const activeFun = funEngine.getFun(threadID);
+            if (activeFun) {
                 await api.sendMessage(
                     `⚠️ ${activeFun.type.toUpperCase()} fun is already active in this thread!\n` +
                     `Type ${bot.prefix}stopfun to stop it first.`,
@@ -46,7 +41,6 @@ module.exports = {
             }
             
             // Validate fun type exists
-            const validTypes = ['chor', 'murgi', 'abal', 'senior', 'cow', 'goat'];
             if (!validTypes.includes(funType)) {
                 await api.sendMessage(
                     `❌ Invalid fun type: ${funType}\n` +
@@ -56,33 +50,29 @@ module.exports = {
                 return;
             }
             
-            // Check if fun data file exists
-            const funDataPath = path.join(__dirname, '../../../data/fun-json/', `${funType}.json`);
-            if (!await fs.pathExists(funDataPath)) {
-                await api.sendMessage(
-                    `❌ ${funType}.json data file not found!\n` +
-                    "Please check the data/fun-json directory.",
-                    threadID
-                );
-                return;
+            // Optional limit: "50" messages or a duration like "5m"
+            let options = {};
+            if (args[1]) {
+                options = funEngine.parseLimit(args[1]);
+                if (!options) {
+                    await api.sendMessage(
+                        `❌ Invalid limit: ${args[1]}\n` +
+                        `📝 Use a message count (${bot.prefix}startfun ${funType} 50) or a duration (${bot.prefix}startfun ${funType} 5m)`,
+                        threadID
+                    );
+                    return;
+                }
             }
             
-            // Read fun data
-            const funData = await fs.readJson(funDataPath);
-            if (!Array.isArray(funData) || funData.length === 0) {
-                await api.sendMessage(
-                    `❌ ${funType}.json is empty or invalid!\n` +
-                    "Please add some messages to the JSON file.",
-                    threadID
-                );
-                return;
-            }
+            const style = funEngine.getStyle(funType);
+            const totalLines = funEngine.getLines(funType).length;
+            const limits = funEngine.resolveLimits(threadID, options);
             
             // Send starting message
             await api.sendMessage(
-                `🎮 Starting ${funType.toUpperCase()} fun...\n` +
-                `📊 Total messages: ${funData.length}\n` +
-                `⏰ Auto-stop in 5 minutes\n` +
+                `${style.startMessage || `🎮 Starting ${funType.toUpperCase()} fun...`}\n` +
+                `📊 Total messages: ${totalLines}\n` +
+                this.formatLimits(limits) +
                 `🛑 Type ${bot.prefix}stopfun to stop`,
                 threadID
             );
@@ -103,41 +93,18 @@ module.exports = {
                 logger.warn(`Could not get user info for ${senderID}:`, error.message);
             }
             
+            const result = await funEngine.startFun(api, threadID, funType, senderID, options);
+            if (!result.success) {
+                await api.sendMessage(`❌ ${result.error}`, threadID);
+                return;
+            }
+            
             // Log the fun start
             logger.info(
                 `Fun started: ${funType} by ${userName} (${senderID}) in thread ${threadID}`
             );
             
-            // Execute the specific fun command
-            switch (funType) {
-                case 'chor':
-                    await chorFun.execute(api, threadID, bot, senderID);
-                    break;
-                case 'murgi':
-                    await murgiFun.execute(api, threadID, bot, senderID);
-                    break;
-                case 'abal':
-                    await abalFun.execute(api, threadID, bot, senderID);
-                    break;
-                case 'senior':
-                    await seniorFun.execute(api, threadID, bot, senderID);
-                    break;
-                case 'cow':
-                    await cowFun.execute(api, threadID, bot, senderID);
-                    break;
-                case 'goat':
-                    await goatFun.execute(api, threadID, bot, senderID);
-                    break;
-                default:
-                    await api.sendMessage(`❌ Unknown fun type: ${funType}`, threadID);
-                    return;
-            }
-            
-            // Update bot state
-            bot.funActive = true;
-            
             // Send confirmation
-            await delay.humanDelay();
             await api.sendMessage(
                 `✅ ${funType.toUpperCase()} fun is now running!\n` +
                 "Enjoy the fun! 🎉",
@@ -153,78 +120,38 @@ module.exports = {
         }
     },
     
-    async getFunStatus(threadID, bot) {
-        if (!bot.funThreads.has(threadID)) {
-            return {
-                active: false,
-                message: "No active fun in this thread"
-            };
+    formatLimits(limits) {
+        let text = '';
+        if (limits.maxMessages) text += `🔢 Auto-stop after ${limits.maxMessages} messages\n`;
+        if (limits.maxDuration) {
+            const minutes = limits.maxDuration / 60;
+            text += `⏰ Auto-stop in ${minutes >= 1 ? `${Math.round(minutes)} minutes` : `${limits.maxDuration} seconds`}\n`;
         }
+        return text;
+    },
+    
+    getFunStatus(threadID) {
+        const fun = funEngine.getFun(threadID);
         
-        const funThread = bot.funThreads.get(threadID);
-        const funDataPath = path.join(__dirname, '../../../data/fun-json/', `${funThread.type}.json`);
-        
-        try {
-            const funData = await fs.readJson(funDataPath);
-            
-            return {
-                active: true,
-                type: funThread.type,
-                messagesSent: funThread.index || 0,
-                totalMessages: funData.length,
-                loopsCompleted: Math.floor((funThread.index || 0) / funData.length),
-                userID: funThread.userID,
-                running: funThread.active || false
-            };
-        } catch (error) {
+        if (!fun) {
             return {
                 active: false,
-                error: error.message
+                message: "No active fun in this thread"
             };
         }
+        
+        return {
+            active: true,
+            ...fun,
+            totalMessages: (funEngine.getLines(fun.type) || []).length
+        };
     },
     
-    async listFunTypes() {
-        const funDir = path.join(__dirname, '../../../data/fun-json/');
-        
-        try {
-            if (!await fs.pathExists(funDir)) {
-                return [];
-            }
-            
-            const files = await fs.readdir(funDir);
-            const funTypes = files
-                .filter(file => file.endsWith('.json'))
-                .map(file => file.replace('.json', ''))
-                .sort();
-            
-            return funTypes;
-        } catch (error) {
-            logger.error('Error listing fun types:', error);
-            return [];
-        }
+    listFunTypes() {
+        return funEngine.getFunTypes().sort();
     },
     
-    async getFunInfo(funType) {
-        const funDataPath = path.join(__dirname, '../../../data/fun-json/', `${funType}.json`);
-        
-        try {
-            if (!await fs.pathExists(funDataPath)) {
-                return null;
-            }
-            
-            const funData = await fs.readJson(funDataPath);
-            const stats = fs.statSync(funDataPath);
-            
-            return {
-                type: funType,
-                messageCount: funData.length,
-                fileSize: (stats.size / 1024).toFixed(2) + ' KB',
-                lastModified: stats.mtime,
-                sampleMessages: funData.slice(0, 3)
-            };
-        } catch (error) {
-            return null;
-        }
+    getFunInfo(funType) {
+        return funEngine.getFunInfo(funType);
     }
-};
\ No newline at end of file
+};
@@ -1,33 +1,28 @@
 const delay = require('../../utils/delay');
 const logger = require('../../utils/logger');
-
-// Import fun modules for stopping
-const chorFun = require('../fun/chor');
-const murgiFun = require('../fun/murgi');
-const abalFun = require('../fun/abal');
-const seniorFun = require('../fun/senior');
-const cowFun = require('../fun/cow');
-const goatFun = require('../fun/goat');
+const funEngine = require('../../utils/funEngine');
 
 module.exports = {
     name: 'stopfun',
+    aliases: ['stf'],
     description: 'Stop all fun commands in current thread',
     usage: '!stopfun',
     category: 'admin',
+    role: 'moderator',
     
-    async execute(api, threadID, bot, senderID) {
+    async execute(api, threadID, args, bot, senderID) {
         try {
             // Check if any fun is active in this thread
-            if (!bot.funThreads.has(threadID)) {
+            const funThread = funEngine.getFun(threadID);
+            if (!funThread) {
                 await api.sendMessage(
                     "⚠️ No active fun commands in this thread!\n" +
-                    "Use !startfun <type> to start fun.",
+                    `Use ${bot.prefix}startfun <type> to start fun.`,
                     threadID
                 );
                 return;
             }
             
-            const funThread = bot.funThreads.get(threadID);
             const funType = funThread.type;
             
             // Get user info for logging
@@ -44,67 +39,28 @@ module.exports = {
                 logger.warn(`Could not get user info for ${senderID}:`, error.message);
             }
             
-            // Send stopping message
-            await api.sendMessage(
-                `🛑 Stopping ${funType.toUpperCase()} fun...\n` +
-                "Please wait...",
-                threadID
-            );
-            
-            await delay.humanDelay();
-            
-            // Stop the specific fun type
-            let stopped = false;
-            switch (funType) {
-                case 'chor':
-                    stopped = chorFun.stop(threadID, bot);
-                    break;
-                case 'murgi':
-                    stopped = murgiFun.stop(threadID, bot);
-                    break;
-                case 'abal':
-                    stopped = abalFun.stop(threadID, bot);
-                    break;
-                case 'senior':
-                    stopped = seniorFun.stop(threadID, bot);
-                    break;
-                case 'cow':
-                    stopped = cowFun.stop(threadID, bot);
-                    break;
-                case 'goat':
-                    stopped = goatFun.stop(threadID, bot);
-                    break;
-                default:
-                    // Generic stop for unknown types
-                    if (funThread.interval) {
-                        clearInterval(funThread.interval);
-                    }
-                    bot.funThreads.delete(threadID);
-                    stopped = true;
-            }
+            const result = funEngine.stopFun(threadID, 'manual');
             
-            if (stopped) {
+            if (result.success) {
                 // Log the stop
                 logger.info(
                     `Fun stopped: ${funType} by ${userName} (${senderID}) in thread ${threadID}\n` +
-                    `Messages sent: ${funThread.index || 0}`
+                    `Messages sent: ${result.stats.messagesSent}`
                 );
                 
+                await delay.humanDelay();
+                
                 // Send success message
                 await api.sendMessage(
                     `✅ Successfully stopped ${funType.toUpperCase()} fun!\n` +
-                    `📊 Messages sent: ${funThread.index || 0}\n` +
+                    `📊 Messages sent: ${result.stats.messagesSent}\n` +
+                    `⏱️ Duration: ${result.stats.duration}s\n` +
                     "Thanks for using the fun commands! 😊",
                     threadID
                 );
-                
-                // Update bot state if no more active fun threads
-                if (bot.funThreads.size === 0) {
-                    bot.funActive = false;
-                }
             } else {
                 await api.sendMessage(
-                    `❌ Failed to stop ${funType} fun!\n` +
+                    `❌ Failed to stop ${funType} fun: ${result.error}\n` +
                     "Please try again or contact the bot owner.",
                     threadID
                 );
@@ -120,65 +76,43 @@ module.exports = {
         }
     },
     
-    async stopAllFun(bot) {
-        try {
-            let stoppedCount = 0;
-            const threads = Array.from(bot.funThreads.keys());
-            
-            for (const threadID of threads) {
-                const funThread = bot.funThreads.get(threadID);
-                
-                if (funThread && funThread.interval) {
-                    clearInterval(funThread.interval);
-                    bot.funThreads.delete(threadID);
-                    stoppedCount++;
-                }
-            }
-            
-            bot.funActive = false;
-            logger.info(`Stopped all fun commands in ${stoppedCount} threads`);
-            
-            return {
-                success: true,
-                stoppedCount: stoppedCount,
-                message: `Stopped fun in ${stoppedCount} threads`
-            };
-        } catch (error) {
-            logger.error('Error stopping all fun:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    stopAllFun(reason = 'stop_all') {
+        const stopped = funEngine.stopAllFuns(reason);
+        logger.info(`Stopped all fun commands in ${stopped.length} threads`);
+        
+        return {
+            success: true,
+            stoppedCount: stopped.length,
+            stopped,
+            message: `Stopped fun in ${stopped.length} threads`
+        };
     },
     
-    async emergencyStop(api, bot, reason = "Emergency stop by owner") {
+    async emergencyStop(api, reason = "Emergency stop by owner") {
         try {
             logger.warn(`EMERGENCY STOP: ${reason}`);
             
             // Stop all fun threads
-            const stopResult = await this.stopAllFun(bot);
+            const stopResult = this.stopAllFun('emergency');
             
-            // Notify all active threads
-            const threads = Array.from(bot.funThreads.keys());
-            for (const threadID of threads) {
+            // Notify every thread that had fun running
+            for (const { threadId } of stopResult.stopped) {
                 try {
                     await api.sendMessage(
                         `🚨 **EMERGENCY STOP** 🚨\n` +
                         `Reason: ${reason}\n` +
                         `All fun commands have been stopped.\n` +
                         `Contact the bot owner for more information.`,
-                        threadID
+                        threadId
                     );
                 } catch (error) {
-                    logger.warn(`Could not notify thread ${threadID}:`, error.message);
+                    logger.warn(`Could not notify thread ${threadId}:`, error.message);
                 }
             }
             
             return {
-                success: true,
-                threadsNotified: threads.length,
-                ...stopResult
+                ...stopResult,
+                threadsNotified: stopResult.stopped.length
             };
         } catch (error) {
             logger.error('Emergency stop failed:', error);
@@ -189,58 +123,18 @@ module.exports = {
         }
     },
     
-    async getActiveFun(bot) {
-        const activeFun = [];
-        
-        for (const [threadID, funData] of bot.funThreads.entries()) {
-            activeFun.push({
-                threadID,
-                type: funData.type,
-                messagesSent: funData.index || 0,
-                userID: funData.userID,
-                active: funData.active || false
-            });
-        }
-        
-        return activeFun;
+    getActiveFun() {
+        return funEngine.getActiveFuns();
     },
     
-    async stopFunByType(bot, type) {
-        try {
-            let stoppedCount = 0;
-            const threadsToStop = [];
-            
-            for (const [threadID, funData] of bot.funThreads.entries()) {
-                if (funData.type === type) {
-                    threadsToStop.push(threadID);
-                }
-            }
-            
-            for (const threadID of threadsToStop) {
-                const funData = bot.funThreads.get(threadID);
-                if (funData && funData.interval) {
-                    clearInterval(funData.interval);
-                    bot.funThreads.delete(threadID);
-                    stoppedCount++;
-                }
-            }
-            
-            // Update bot state if no more active fun
-            if (bot.funThreads.size === 0) {
-                bot.funActive = false;
-            }
-            
-            return {
-                success: true,
-                type: type,
-                stoppedCount: stoppedCount,
-                message: `Stopped ${type} fun in ${stoppedCount} threads`
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    stopFunByType(type) {
+        const stopped = funEngine.stopFunsByType(type);
+        
+        return {
+            success: true,
+            type: type,
+            stoppedCount: stopped.length,
+            message: `Stopped ${type} fun in ${stopped.length} threads`
+        };
     }
-};
\ No newline at end of file
+};
@@ -1,16 +1,19 @@
 const fs = require('fs-extra');
 const path = require('path');
-const delay = require('../../utils/delay');
+const conversations = require('../../utils/conversationManager');
 const logger = require('../../utils/logger');
 const validator = require('../../utils/validator');
+const funTemplate = require('../../utils/funTemplate');
+const auditLog = require('../../system/auditLog');
 
 module.exports = {
     name: 'funjson',
+    aliases: ['updatefun'],
     description: 'Update fun JSON files',
-    usage: '!funjson [list/view/edit/add/delete]',
+    usage: '!funjson [list/view/check/edit/add/delete]',
     category: 'admin',
     
-    async execute(api, threadID, args, bot, senderID) {
+    async execute(api, threadID, args, bot, senderID, event = {}) {
         const action = args[0] ? args[0].toLowerCase() : 'list';
         
         try {
@@ -23,6 +26,11 @@ module.exports = {
                     await this.viewFunJSON(api, threadID, args[1], bot);
                     break;
                     
+                case 'check':
+                case 'validate':
+                    await this.checkFunJSON(api, threadID, args[1], bot);
+                    break;
+                    
                 case 'edit':
                     await this.editFunJSON(api, threadID, args.slice(1), bot, senderID);
                     break;
@@ -33,7 +41,7 @@ module.exports = {
                     
                 case 'delete':
                 case 'remove':
-                    await this.deleteFunMessage(api, threadID, args.slice(1), bot, senderID);
+                    await this.deleteFunMessage(api, threadID, args.slice(1), bot, senderID, event);
                     break;
                     
                 case 'create':
@@ -83,10 +91,12 @@ module.exports = {
             for (const file of jsonFiles) {
                 const filePath = path.join(funDir, file);
                 const stats = await fs.stat(filePath);
-                const content = await fs.readJson(filePath);
+                const result = funTemplate.parse(await fs.readFile(filePath, 'utf8'));
                 
                 message += `**${file}**\n`;
-                message += `   Messages: ${Array.isArray(content) ? content.length : 'Invalid'}\n`;
+                message += result.valid
+                    ? `   Messages: ${result.template.entries.length} (${this.describeFormat(result.template)})\n`
+                    : `   ❌ Invalid, line ${result.errors[0].line || '?'}: ${result.errors[0].message}\n`;
                 message += `   Size: ${(stats.size / 1024).toFixed(2)} KB\n`;
                 message += `   Modified: ${stats.mtime.toLocaleDateString()}\n\n`;
             }
@@ -94,6 +104,7 @@ module.exports = {
             message += "════════════════════════════════\n";
             message += `**Commands:**\n`;
             message += `• ${bot.prefix}funjson view <name> - View messages\n`;
+            message += `• ${bot.prefix}funjson check <name> - Validate file\n`;
             message += `• ${bot.prefix}funjson edit <name> - Edit file\n`;
             message += `• ${bot.prefix}funjson create <name> - Create new\n`;
             message += `• ${bot.prefix}funjson backup - Backup all files`;
@@ -131,28 +142,26 @@ module.exports = {
                 return;
             }
             
-            const content = await fs.readJson(filePath);
+            const template = await this.readTemplate(api, threadID, funName, filePath);
+            if (!template) return;
             
-            if (!Array.isArray(content)) {
-                await api.sendMessage(
-                    `❌ ${funName}.json is not a valid array!`,
-                    threadID
-                );
-                return;
-            }
+            const texts = funTemplate.getTexts(template);
             
             let message = `📄 **${funName.toUpperCase()}.json**\n`;
-            message += `Total Messages: ${content.length}\n`;
+            message += `Total Messages: ${texts.length}\n`;
+            message += `Format: ${this.describeFormat(template)}\n`;
             message += "════════════════════════════════\n\n";
             
             // Show first 10 messages
-            const previewCount = Math.min(10, content.length);
+            const previewCount = Math.min(10, texts.length);
             for (let i = 0; i < previewCount; i++) {
-                message += `${i + 1}. ${content[i]}\n`;
+                const entry = template.entries[i];
+                const marks = `${entry.scene ? ' 🎬' : ''}${entry.weight !== 1 ? ` ⚖️${entry.weight}` : ''}`;
+                message += `${i + 1}. ${texts[i]}${marks}\n`;
             }
             
-            if (content.length > previewCount) {
-                message += `\n... and ${content.length - previewCount} more messages\n`;
+            if (texts.length > previewCount) {
+                message += `\n... and ${texts.length - previewCount} more messages\n`;
             }
             
             message += "\n════════════════════════════════\n";
@@ -202,33 +211,36 @@ module.exports = {
                 return;
             }
             
-            const content = await fs.readJson(filePath);
+            const template = await this.readTemplate(api, threadID, funName, filePath);
+            if (!template) return;
             
-            if (!Array.isArray(content)) {
+            const content = template.entries;
+            
+            if (index >= content.length) {
                 await api.sendMessage(
-                    `❌ ${funName}.json is not a valid array!`,
+                    `❌ Index ${index + 1} out of range!\n` +
+                    `File has only ${content.length} messages.`,
                     threadID
                 );
                 return;
             }
             
-            if (index >= content.length) {
+            if (content[index].scene) {
                 await api.sendMessage(
-                    `❌ Index ${index + 1} out of range!\n` +
-                    `File has only ${content.length} messages.`,
+                    `❌ Message ${index + 1} is a scene. Edit data/fun-json/${funName}.json directly to change it.`,
                     threadID
                 );
                 return;
             }
             
             // Save old message for logging
-            const oldMessage = content[index];
+            const oldMessage = content[index].text;
             
-            // Update the message
-            content[index] = newMessage;
+            // Update the message, keeping its weight
+            content[index] = { ...content[index], text: newMessage };
             
             // Save back to file
-            await fs.writeJson(filePath, content, { spaces: 2 });
+            if (!await this.writeTemplate(api, threadID, filePath, template)) return;
             
             // Log the edit
             logger.info(
@@ -277,21 +289,16 @@ module.exports = {
                 return;
             }
             
-            const content = await fs.readJson(filePath);
+            const template = await this.readTemplate(api, threadID, funName, filePath);
+            if (!template) return;
             
-            if (!Array.isArray(content)) {
-                await api.sendMessage(
-                    `❌ ${funName}.json is not a valid array!`,
-                    threadID
-                );
-                return;
-            }
+            const content = template.entries;
             
             // Add new message
-            content.push(newMessage);
+            content.push({ text: newMessage, weight: 1 });
             
             // Save back to file
-            await fs.writeJson(filePath, content, { spaces: 2 });
+            if (!await this.writeTemplate(api, threadID, filePath, template)) return;
             
             // Log the addition
             logger.info(
@@ -313,7 +320,7 @@ module.exports = {
         }
     },
     
-    async deleteFunMessage(api, threadID, args, bot, senderID) {
+    async deleteFunMessage(api, threadID, args, bot, senderID, event) {
         if (args.length < 2) {
             await api.sendMessage(
                 "❌ Please provide all parameters!\n" +
@@ -346,15 +353,10 @@ module.exports = {
                 return;
             }
             
-            const content = await fs.readJson(filePath);
+            const template = await this.readTemplate(api, threadID, funName, filePath);
+            if (!template) return;
             
-            if (!Array.isArray(content)) {
-                await api.sendMessage(
-                    `❌ ${funName}.json is not a valid array!`,
-                    threadID
-                );
-                return;
-            }
+            const content = template.entries;
             
             if (index >= content.length) {
                 await api.sendMessage(
@@ -366,31 +368,38 @@ module.exports = {
             }
             
             // Get message to be deleted
-            const deletedMessage = content[index];
+            const deletedMessage = funTemplate.getTexts(template)[index];
             
             // Confirm deletion
-            await api.sendMessage(
+            const confirmed = await conversations.confirm(
+                api,
+                threadID,
+                senderID,
                 `⚠️ **CONFIRM DELETION**\n\n` +
                 `Are you sure you want to delete message #${index + 1}?\n` +
-                `Message: "${deletedMessage}"\n\n` +
-                `Type **DELETE** to proceed or **CANCEL** to abort.`,
-                threadID
+                `Message: "${deletedMessage}"`,
+                { word: 'DELETE' }
             );
-            
-            // Wait for confirmation
-            await delay.sleep(2000);
+            if (!confirmed) return;
             
             // Remove the message
             content.splice(index, 1);
             
             // Save back to file
-            await fs.writeJson(filePath, content, { spaces: 2 });
+            if (!await this.writeTemplate(api, threadID, filePath, template)) return;
             
             // Log the deletion
             logger.info(
                 `Fun JSON message deleted by ${senderID}: ${funName}.json[${index}] ` +
                 `"${deletedMessage}"`
             );
+            auditLog.record({
+                ...auditLog.fromEvent(event),
+                action: 'funjson.delete',
+                target: `${funName}#${index + 1}`,
+                before: deletedMessage,
+                after: { totalLines: content.length }
+            });
             
             await api.sendMessage(
                 `✅ Message deleted successfully!\n\n` +
@@ -442,12 +451,16 @@ module.exports = {
                 return;
             }
             
-            // Create with default messages
-            const defaultMessages = [
-                `${funName} message 1! 🎉`,
-                `${funName} message 2! 🚀`,
-                `${funName} message 3! ⭐`
-            ];
+            // Create with default messages in the current template format
+            const defaultMessages = {
+                version: funTemplate.version,
+                order: 'sequential',
+                lines: [
+                    `${funName} message 1! 🎉`,
+                    `${funName} message 2 for {name}! 🚀`,
+                    { text: `${funName} message {count} from {sender}! ⭐`, weight: 2 }
+                ]
+            };
             
             await fs.writeJson(filePath, defaultMessages, { spaces: 2 });
             
@@ -555,24 +568,31 @@ module.exports = {
             }
             
             // Confirm restoration
-            await api.sendMessage(
+            const confirmed = await conversations.confirm(
+                api,
+                threadID,
+                senderID,
                 `⚠️ **CONFIRM RESTORATION**\n\n` +
                 `This will restore ${backupFiles.length} fun JSON files!\n` +
-                `Current files will be overwritten.\n\n` +
-                `Type **RESTORE** to proceed or **CANCEL** to abort.`,
-                threadID
+                `Current files will be overwritten.`,
+                { word: 'RESTORE' }
             );
+            if (!confirmed) return;
             
-            // Wait for confirmation
-            await delay.sleep(2000);
-            
-            // Restore files
+            // Restore files, skipping any backup that no longer validates
             let restoredCount = 0;
+            const skipped = [];
             for (const file of backupFiles) {
                 const source = path.join(backupDir, file);
                 const originalName = file.replace(`${timestamp}_`, '');
                 const dest = path.join(funDir, originalName);
                 
+                const check = await validator.isValidJSON(source, { schema: 'fun' });
+                if (!check.valid) {
+                    skipped.push(`${originalName}: ${check.error.split('\n')[0]}`);
+                    continue;
+                }
+                
                 await fs.copy(source, dest);
                 restoredCount++;
             }
@@ -585,6 +605,7 @@ module.exports = {
                 `**Restored:** ${restoredCount} files\n` +
                 `**From Backup:** ${timestamp}\n` +
                 `**To:** data/fun-json/\n\n` +
+                (skipped.length > 0 ? `⚠️ Skipped invalid files:\n• ${skipped.join('\n• ')}\n\n` : '') +
                 `Fun JSON files have been restored to their backed up state.`,
                 threadID
             );
@@ -594,6 +615,72 @@ module.exports = {
         }
     },
     
+    async checkFunJSON(api, threadID, funName, bot) {
+        if (!funName) {
+            await api.sendMessage(`❌ Usage: ${bot.prefix}funjson check <name>`, threadID);
+            return;
+        }
+        
+        funName = funName.replace('.json', '');
+        const filePath = path.join(__dirname, '../../../data/fun-json/', `${funName}.json`);
+        
+        if (!await fs.pathExists(filePath)) {
+            await api.sendMessage(`❌ ${funName}.json not found!`, threadID);
+            return;
+        }
+        
+        const result = await validator.isValidJSON(filePath, { schema: 'fun' });
+        
+        if (result.valid) {
+            await api.sendMessage(
+                `✅ ${funName}.json is valid\n` +
+                `Messages: ${result.template.entries.length} (${this.describeFormat(result.template)})`,
+                threadID
+            );
+            return;
+        }
+        
+        await api.sendMessage(
+            `❌ ${funName}.json has ${result.errors.length} error(s):\n\n${result.error}`,
+            threadID
+        );
+    },
+    
+    // Parse a template file, replying with the errors (and their lines) if it is broken
+    async readTemplate(api, threadID, funName, filePath) {
+        const result = funTemplate.parse(await fs.readFile(filePath, 'utf8'));
+        
+        if (!result.valid) {
+            await api.sendMessage(
+                `❌ ${funName}.json is not a valid fun template:\n${funTemplate.formatErrors(result.errors)}`,
+                threadID
+            );
+            return null;
+        }
+        
+        return result.template;
+    },
+    
+    // Validate before writing so a bad edit never reaches the running loops
+    async writeTemplate(api, threadID, filePath, template) {
+        const data = funTemplate.serialize(template);
+        const result = funTemplate.validate(data);
+        
+        if (!result.valid) {
+            await api.sendMessage(`❌ Not saved:\n${funTemplate.formatErrors(result.errors)}`, threadID);
+            return false;
+        }
+        
+        await fs.writeJson(filePath, data, { spaces: 2 });
+        return true;
+    },
+    
+    describeFormat(template) {
+        const scenes = template.entries.filter(entry => entry.scene).length;
+        return `${template.version === 0 ? 'legacy list' : `v${template.version}`}, ${template.order}` +
+            (scenes > 0 ? `, ${scenes} scene(s)` : '');
+    },
+    
     async showHelp(api, threadID, bot) {
         const helpMessage = `📄 **FUN JSON MANAGEMENT**\n
 **Purpose:** Manage the messages used in fun commands
@@ -601,6 +688,7 @@ module.exports = {
 **Available Commands:**
 • ${bot.prefix}funjson list - List all fun JSON files
 • ${bot.prefix}funjson view <name> - View messages in a file
+• ${bot.prefix}funjson check <name> - Validate a file (errors show line numbers)
 • ${bot.prefix}funjson edit <name> <index> <message> - Edit a message
 • ${bot.prefix}funjson add <name> <message> - Add a new message
 • ${bot.prefix}funjson delete <name> <index> - Delete a message
@@ -618,6 +706,12 @@ ${bot.prefix}funjson view chor
 ${bot.prefix}funjson add chor "নতুন বার্তা!"
 ${bot.prefix}funjson edit chor 1 "আপডেটেড বার্তা"
 
+**Template format:**
+• Old files: ["message", "message", ...]
+• New files: {"version": 1, "order": "random", "lines": [...]}
+• A line can be "text", {"text": "...", "weight": 2} or {"scene": ["step", {"text": "...", "delay": 1500}]}
+• Placeholders: {name} {sender} {thread} {count}
+
 **Notes:**
 • Only admins/owner can modify fun JSON
 • Backup regularly to prevent data loss
@@ -642,14 +736,15 @@ ${bot.prefix}funjson edit chor 1 "আপডেটেড বার্তা"
             
             for (const file of jsonFiles) {
                 const filePath = path.join(funDir, file);
-                const content = await fs.readJson(filePath);
+                const result = funTemplate.parse(await fs.readFile(filePath, 'utf8'));
                 const fileStats = await fs.stat(filePath);
                 
-                if (Array.isArray(content)) {
-                    stats.totalMessages += content.length;
+                if (result.valid) {
+                    stats.totalMessages += result.template.entries.length;
                     stats.files.push({
                         name: file,
-                        messageCount: content.length,
+                        messageCount: result.template.entries.length,
+                        version: result.template.version,
                         size: fileStats.size,
                         modified: fileStats.mtime
                     });
@@ -1,119 +1,27 @@
-const fs = require('fs-extra');
-const path = require('path');
-const delay = require('../../utils/delay');
-
+// Chor fun style; FunEngine runs the loop and reads data/fun-json/chor.json
 module.exports = {
     name: 'chor',
     description: 'Chor fun command',
     type: 'fun',
+    startMessage: "🎮 Starting CHOR fun!",
     
-    async execute(api, threadID, bot, userID) {
-        const funDataPath = path.join(__dirname, '../../../data/fun-json/chor.json');
-        
-        if (!await fs.pathExists(funDataPath)) {
-            await api.sendMessage("❌ chor.json data file not found!", threadID);
-            return;
-        }
-        
-        const funData = await fs.readJson(funDataPath);
-        
-        // Store fun data in bot instance
-        if (!bot.funThreads.has(threadID)) {
-            bot.funThreads.set(threadID, {
-                type: 'chor',
-                index: 0,
-                interval: null,
-                active: true,
-                userID: userID
-            });
+    // Add some variation to messages
+    formatMessage(message, iteration) {
+        if (iteration % 5 === 0) {
+            return `🔥 ${message}`;
+        } else if (iteration % 7 === 0) {
+            return `⚡ ${message}`;
         }
-        
-        await api.sendMessage("🎮 Starting CHOR fun! Type !stopfun to stop.", threadID);
-        
-        const funThread = bot.funThreads.get(threadID);
-        let iteration = 0;
-        
-        // Start the fun loop
-        funThread.interval = setInterval(async () => {
-            try {
-                if (!funThread.active) {
-                    clearInterval(funThread.interval);
-                    return;
-                }
-                
-                const message = funData[funThread.index % funData.length];
-                
-                // Add some variation to messages
-                let finalMessage = message;
-                if (iteration % 5 === 0) {
-                    finalMessage = `🔥 ${message}`;
-                } else if (iteration % 7 === 0) {
-                    finalMessage = `⚡ ${message}`;
-                }
-                
-                await api.sendMessage(finalMessage, threadID);
-                
-                // Update stats
-                funThread.index++;
-                iteration++;
-                
-                // Random delay between messages
-                const waitTime = await delay.funDelay(iteration);
-                await delay.sleep(waitTime);
-                
-                // Every 10 messages, send a status update
-                if (iteration % 10 === 0) {
-                    await api.sendMessage(
-                        `📊 Chor Fun Status:\n` +
-                        `• Messages sent: ${iteration}\n` +
-                        `• Loop count: ${Math.floor(funThread.index / funData.length)}\n` +
-                        `• Still going strong! 💪`,
-                        threadID
-                    );
-                    await delay.humanDelay();
-                }
-                
-            } catch (error) {
-                console.error("Chor fun error:", error);
-                clearInterval(funThread.interval);
-                bot.funThreads.delete(threadID);
-            }
-        }, 500); // Base interval, actual delay added inside
-        
-        // Set timeout to auto-stop after 5 minutes
-        setTimeout(() => {
-            if (funThread.active) {
-                clearInterval(funThread.interval);
-                bot.funThreads.delete(threadID);
-                api.sendMessage("⏰ Chor fun auto-stopped after 5 minutes!", threadID);
-            }
-        }, 5 * 60 * 1000);
-    },
-    
-    stop(threadID, bot) {
-        if (bot.funThreads.has(threadID)) {
-            const funThread = bot.funThreads.get(threadID);
-            if (funThread.type === 'chor') {
-                clearInterval(funThread.interval);
-                bot.funThreads.delete(threadID);
-                return true;
-            }
-        }
-        return false;
+        return message;
     },
     
-    getStatus(threadID, bot) {
-        if (bot.funThreads.has(threadID)) {
-            const funThread = bot.funThreads.get(threadID);
-            if (funThread.type === 'chor') {
-                return {
-                    active: true,
-                    type: 'chor',
-                    messagesSent: funThread.index,
-                    userID: funThread.userID
-                };
-            }
-        }
-        return { active: false };
+    // Every 10 messages, send a status update
+    getStatusMessage(count, fun) {
+        if (count % 10 !== 0) return null;
+        
+        return `📊 Chor Fun Status:\n` +
+            `• Messages sent: ${count}\n` +
+            `• Loop count: ${fun.loopsCompleted}\n` +
+            `• Still going strong! 💪`;
     }
-};
\ No newline at end of file
+};
@@ -1,49 +1,57 @@
 const photoManager = require('../../utils/photo');
 const delay = require('../../utils/delay');
+const guard = require('../../secure/guard');
+const registry = require('../../utils/commandRegistry');
+const threadSettings = require('../../utils/threadSettings');
 const config = require('../../../config/config.json');
 
+const SECTIONS = [
+    { category: 'normal', title: '📋 **NORMAL COMMANDS:**' },
+    { category: 'fun', title: '🎮 **FUN COMMANDS:**' },
+    { category: 'admin', title: '🛠️ **ADMIN COMMANDS:**' },
+    { category: 'owner', title: '👑 **OWNER COMMANDS:**' }
+];
+
 module.exports = {
     name: 'help',
+    aliases: ['h'],
     description: 'Show all available commands',
     usage: '!help [command]',
     category: 'normal',
     
-    async execute(api, threadID, senderID, role) {
+    async execute(api, threadID, args, bot, senderID) {
+        const role = guard.getRole(senderID, bot.ownerUID, bot.admins, threadID);
+        const prefix = threadSettings.getPrefix(threadID, bot.prefix);
+        
         try {
             await delay.typingDelay(api, threadID, 1000);
             
+            if (args[0]) {
+                await this.showCommandHelp(api, threadID, args[0], role, prefix);
+                return;
+            }
+            
             let helpMessage = "🤖 **YOUR CRUSH BOT HELP MENU** 🤖\n";
             helpMessage += "══════════════════════════════════\n\n";
             
             // Basic info
             helpMessage += "📌 **BASIC INFO:**\n";
-            helpMessage += `• Prefix: ${config.prefix}\n`;
+            helpMessage += `• Prefix: ${prefix}\n`;
             helpMessage += `• Your Role: ${role.toUpperCase()}\n`;
             helpMessage += `• Owner: ${config.ownerName}\n\n`;
             
-            // Normal commands (everyone can use)
-            helpMessage += "📋 **NORMAL COMMANDS:**\n";
-            helpMessage += `• ${config.prefix}help - Show this help menu\n`;
-            helpMessage += `• ${config.prefix}info - Show bot information\n`;
-            helpMessage += `• ${config.prefix}ping - Check if bot is alive\n\n`;
-            
-            // Admin commands
-            if (role === 'admin' || role === 'owner') {
-                helpMessage += "🛠️ **ADMIN COMMANDS:**\n";
-                helpMessage += `• ${config.prefix}startfun <type> - Start fun commands\n`;
-                helpMessage += `• ${config.prefix}stopfun - Stop fun commands\n`;
-                helpMessage += `• ${config.prefix}stats - Show bot statistics\n`;
-                helpMessage += `• ${config.prefix}prefix <new> - Change bot prefix\n\n`;
-            }
-            
-            // Owner commands
-            if (role === 'owner') {
-                helpMessage += "👑 **OWNER COMMANDS:**\n";
-                helpMessage += `• ${config.prefix}owner stop - Stop the bot\n`;
-                helpMessage += `• ${config.prefix}owner restart - Restart bot\n`;
-                helpMessage += `• ${config.prefix}owner status - Bot status\n`;
-                helpMessage += `• ${config.prefix}addadmin <id> - Add admin\n`;
-                helpMessage += `• ${config.prefix}removeadmin <id> - Remove admin\n\n`;
+            // Commands grouped by category, filtered by role and this thread's settings
+            for (const section of SECTIONS) {
+                const commands = registry.list(section.category)
+                    .filter(cmd => guard.hasPermission(role, cmd.name))
+                    .filter(cmd => role === 'owner' || threadSettings.isCommandAllowed(threadID, cmd.name));
+                if (commands.length === 0) continue;
+                
+                helpMessage += `${section.title}\n`;
+                commands.forEach(cmd => {
+                    helpMessage += `• ${this.formatUsage(cmd, prefix)} - ${cmd.description}\n`;
+                });
+                helpMessage += "\n";
             }
             
             // Fun commands info
@@ -56,9 +64,9 @@ module.exports = {
             helpMessage += "• goat - ছাগল ফান!\n\n";
             
             helpMessage += "📝 **USAGE EXAMPLES:**\n";
-            helpMessage += `• ${config.prefix}startfun chor\n`;
-            helpMessage += `• ${config.prefix}stopfun\n`;
-            helpMessage += `• ${config.prefix}info\n\n`;
+            helpMessage += `• ${prefix}startfun chor\n`;
+            helpMessage += `• ${prefix}stopfun\n`;
+            helpMessage += `• ${prefix}help startfun\n\n`;
             
             helpMessage += "⚠️ **NOTES:**\n";
             helpMessage += "• Fun commands are admin/owner only\n";
@@ -90,5 +98,34 @@ module.exports = {
             console.error("Help command error:", error);
             api.sendMessage("❌ Error showing help. Please try again.", threadID);
         }
+    },
+    
+    async showCommandHelp(api, threadID, name, role, prefix) {
+        const command = registry.get(name);
+        
+        if (!command || !guard.hasPermission(role, command.name)) {
+            await api.sendMessage(
+                `❓ Unknown command: ${name}\n` +
+                `Type ${prefix}help to see available commands.`,
+                threadID
+            );
+            return;
+        }
+        
+        let message = `📖 **${command.name.toUpperCase()}**\n`;
+        message += `${command.description || 'No description'}\n\n`;
+        message += `• Usage: ${this.formatUsage(command, prefix)}\n`;
+        message += `• Category: ${command.category}\n`;
+        if (command.aliases && command.aliases.length > 0) {
+            message += `• Aliases: ${command.aliases.map(a => prefix + a).join(', ')}\n`;
+        }
+        
+        await api.sendMessage(message, threadID);
+    },
+    
+    // Usage strings are written with "!" and shown with the active prefix
+    formatUsage(command, prefix) {
+        const usage = command.usage || `!${command.name}`;
+        return usage.startsWith('!') ? prefix + usage.slice(1) : usage;
     }
 };
\ No newline at end of file
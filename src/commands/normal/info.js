@@ -3,15 +3,25 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../../../config/config.json');
 
-function info(api, event) {
-  const userId = event.senderID;
-  const packageJson = require('../../../package.json');
-  
-  let role = '👤 User';
-  if (guard.isAdmin(userId)) role = '🛡️ Admin';
-  if (guard.isOwner(userId)) role = '👑 Owner';
-  
-  const infoText = `
+module.exports = {
+  name: 'info',
+  aliases: ['about'],
+  description: 'Show bot information',
+  usage: '!info',
+  category: 'normal',
+
+  execute(api, threadID, args, bot, senderID) {
+    const userId = senderID;
+    const packageJson = require('../../../package.json');
+    
+    const role = {
+      user: '👤 User',
+      moderator: '🧹 Moderator',
+      admin: '🛡️ Admin',
+      owner: '👑 Owner'
+    }[guard.getRole(userId, bot.ownerUID, bot.admins, threadID)];
+    
+    const infoText = `
 🤖 BOT INFORMATION
 
 📦 Name: ${packageJson.name}
@@ -19,21 +29,20 @@ function info(api, event) {
 📝 Description: ${packageJson.description}
 
 ⚙️ Configuration:
-• Prefix: ${config.prefix}
+• Prefix: ${bot.prefix}
 • Fun Enabled: ${config.funEnabled ? 'Yes' : 'No'}
 • Max Admin Photos: ${config.maxAdminPhotos}
-• Delay Range: ${config.delayRange[0]}-${config.delayRange[1]}ms
+• Delay Range: ${config.funSettings.delayRange[0]}-${config.funSettings.delayRange[1]}ms
 
 👤 Your Role: ${role}
-🧵 Thread ID: ${event.threadID}
+🧵 Thread ID: ${threadID}
 👤 Your UID: ${userId}
 
 🏗️ Developed with professional security layers
 🔐 Owner-protected system
 🚀 Fast and reliable performance
   `;
-  
-  api.sendMessage(infoText, event.threadID);
-}
-
-module.exports = info;
\ No newline at end of file
+    
+    api.sendMessage(infoText, threadID);
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = {
+    name: 'ping',
+    description: 'Check if bot is alive',
+    usage: '!ping',
+    category: 'normal',
+    
+    async execute(api, threadID) {
+        api.sendMessage("🏓 Pong!", threadID);
+    }
+};
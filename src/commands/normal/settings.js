@@ -0,0 +1,230 @@
+const guard = require('../../secure/guard');
+const logger = require('../../utils/logger');
+const registry = require('../../utils/commandRegistry');
+const threadSettings = require('../../utils/threadSettings');
+
+// Short names accepted in chat for each setting
+const KEY_ALIASES = {
+    prefix: 'prefix',
+    language: 'language',
+    lang: 'language',
+    fun: 'funEnabled',
+    funduration: 'funMaxDuration',
+    duration: 'funMaxDuration',
+    funmessages: 'funMaxMessages',
+    messages: 'funMaxMessages',
+    allowed: 'allowedCommands',
+    disabled: 'disabledCommands',
+    greetings: 'welcomeEnabled',
+    welcome: 'welcomeMessage',
+    goodbye: 'goodbyeMessage',
+    welcomephoto: 'welcomePhoto'
+};
+
+module.exports = {
+    name: 'settings',
+    aliases: ['setting', 'config'],
+    description: 'View or change this group\'s settings',
+    usage: '!settings [show/set/enable/disable/allow/reset]',
+    category: 'normal',
+
+    async execute(api, threadID, args, bot, senderID) {
+        const action = args[0] ? args[0].toLowerCase() : 'show';
+
+        try {
+            if (action === 'show') {
+                await this.showSettings(api, threadID, bot);
+                return;
+            }
+
+            // Everything else changes settings: bot admins or the group's own admins
+            if (!await this.canEdit(api, threadID, senderID, bot)) {
+                await api.sendMessage("❌ Only group admins can change settings.", threadID);
+                return;
+            }
+
+            switch (action) {
+                case 'set':
+                    await this.setValue(api, threadID, args[1], args.slice(2).join(' '), senderID);
+                    break;
+
+                case 'enable':
+                case 'disable':
+                    await this.toggleCommand(api, threadID, action, args[1], senderID);
+                    break;
+
+                case 'allow':
+                    await this.setAllowed(api, threadID, args.slice(1).join(','), senderID);
+                    break;
+
+                case 'reset':
+                    await this.resetSettings(api, threadID, args[1], senderID, bot);
+                    break;
+
+                default:
+                    await this.showHelp(api, threadID, bot);
+            }
+        } catch (error) {
+            logger.error(`Settings command error (${action}):`, error);
+            await api.sendMessage(`❌ Error updating settings: ${error.message}`, threadID);
+        }
+    },
+
+    async canEdit(api, threadID, senderID, bot) {
+        const role = guard.getRole(senderID, bot.ownerUID, bot.admins, threadID);
+        if (role === 'owner' || role === 'admin') return true;
+
+        return new Promise((resolve) => {
+            api.getThreadInfo(threadID, (err, info) => {
+                if (err || !info) {
+                    resolve(false);
+                    return;
+                }
+                const adminIDs = (info.adminIDs || []).map(admin => String(admin.id || admin));
+                resolve(adminIDs.includes(String(senderID)));
+            });
+        });
+    },
+
+    async showSettings(api, threadID, bot) {
+        const current = threadSettings.get(threadID, bot.prefix);
+        const overrides = threadSettings.getOverrides(threadID);
+        const mark = (key) => key in overrides ? ' ✏️' : '';
+        const list = (items) => items.length > 0 ? items.join(', ') : 'none';
+
+        let message = "⚙️ **GROUP SETTINGS**\n";
+        message += "════════════════════════════\n\n";
+        message += `• Prefix: ${current.prefix}${mark('prefix')}\n`;
+        message += `• Language: ${current.language}${mark('language')}\n`;
+        message += `• Allowed commands: ${current.allowedCommands.length > 0 ? current.allowedCommands.join(', ') : 'all'}${mark('allowedCommands')}\n`;
+        message += `• Disabled commands: ${list(current.disabledCommands)}${mark('disabledCommands')}\n`;
+        message += `• Fun: ${current.funEnabled ? 'on' : 'off'}${mark('funEnabled')}\n`;
+        message += `• Fun max duration: ${current.funMaxDuration}s${mark('funMaxDuration')}\n`;
+        message += `• Fun max messages: ${current.funMaxMessages}${mark('funMaxMessages')}\n`;
+        message += `• Greetings: ${current.welcomeEnabled ? 'on' : 'off'}${mark('welcomeEnabled')}\n`;
+        message += `• Welcome: ${current.welcomeMessage}${mark('welcomeMessage')}\n`;
+        message += `• Goodbye: ${current.goodbyeMessage}${mark('goodbyeMessage')}\n`;
+        message += `• Welcome photo: ${current.welcomePhoto}${mark('welcomePhoto')}\n\n`;
+        message += "✏️ = changed for this group\n";
+        message += `Use ${current.prefix}settings help to edit`;
+
+        await api.sendMessage(message, threadID);
+    },
+
+    async applyChanges(api, threadID, changes, senderID) {
+        const result = threadSettings.update(threadID, changes);
+
+        if (!result.success) {
+            await api.sendMessage(`❌ ${result.errors.join('\n❌ ')}`, threadID);
+            return false;
+        }
+
+        logger.info(`Thread settings changed in ${threadID} by ${senderID}`, changes);
+        return true;
+    },
+
+    async setValue(api, threadID, key, value, senderID) {
+        const settingKey = KEY_ALIASES[(key || '').toLowerCase()];
+
+        if (!settingKey || !value) {
+            await api.sendMessage(
+                "❌ Usage: !settings set <key> <value>\n" +
+                `Keys: ${Object.keys(KEY_ALIASES).join(', ')}`,
+                threadID
+            );
+            return;
+        }
+
+        if (await this.applyChanges(api, threadID, { [settingKey]: value }, senderID)) {
+            const updated = threadSettings.get(threadID)[settingKey];
+            await api.sendMessage(`✅ ${settingKey} set to: ${Array.isArray(updated) ? updated.join(', ') : updated}`, threadID);
+        }
+    },
+
+    async toggleCommand(api, threadID, action, commandName, senderID) {
+        const command = registry.get(commandName);
+
+        if (!command) {
+            await api.sendMessage(`❌ Unknown command: ${commandName || '(none)'}`, threadID);
+            return;
+        }
+
+        const disabled = threadSettings.get(threadID).disabledCommands
+            .filter(name => name !== command.name);
+        if (action === 'disable') disabled.push(command.name);
+
+        if (await this.applyChanges(api, threadID, { disabledCommands: disabled }, senderID)) {
+            const allowed = threadSettings.isCommandAllowed(threadID, command.name);
+            await api.sendMessage(
+                allowed ? `✅ ${command.name} is enabled in this group.` : `🚫 ${command.name} is disabled in this group.`,
+                threadID
+            );
+        }
+    },
+
+    async setAllowed(api, threadID, value, senderID) {
+        if (!value) {
+            await api.sendMessage("❌ Usage: !settings allow <cmd1,cmd2,...> or !settings allow all", threadID);
+            return;
+        }
+
+        const names = value.toLowerCase() === 'all' ? [] : value.split(',').map(name => name.trim()).filter(Boolean);
+        const unknown = names.filter(name => !registry.has(name));
+
+        if (unknown.length > 0) {
+            await api.sendMessage(`❌ Unknown command(s): ${unknown.join(', ')}`, threadID);
+            return;
+        }
+
+        const canonical = names.map(name => registry.get(name).name);
+        if (await this.applyChanges(api, threadID, { allowedCommands: canonical }, senderID)) {
+            await api.sendMessage(
+                canonical.length > 0 ? `✅ Only these commands are allowed now: ${canonical.join(', ')}` : "✅ All commands are allowed now.",
+                threadID
+            );
+        }
+    },
+
+    async resetSettings(api, threadID, key, senderID, bot) {
+        if (key) {
+            const settingKey = KEY_ALIASES[key.toLowerCase()];
+            if (!settingKey) {
+                await api.sendMessage(`❌ Unknown setting: ${key}`, threadID);
+                return;
+            }
+
+            if (await this.applyChanges(api, threadID, { [settingKey]: null }, senderID)) {
+                await api.sendMessage(`✅ ${settingKey} reset to default.`, threadID);
+            }
+            return;
+        }
+
+        threadSettings.reset(threadID);
+        logger.info(`Thread settings reset in ${threadID} by ${senderID}`);
+        await api.sendMessage(`✅ All settings reset to defaults. Prefix: ${threadSettings.getPrefix(threadID, bot.prefix)}`, threadID);
+    },
+
+    async showHelp(api, threadID, bot) {
+        const prefix = threadSettings.getPrefix(threadID, bot.prefix);
+
+        await api.sendMessage(
+            `⚙️ **SETTINGS COMMAND HELP**\n\n` +
+            `• ${prefix}settings - Show current settings\n` +
+            `• ${prefix}settings set prefix ?\n` +
+            `• ${prefix}settings set lang en\n` +
+            `• ${prefix}settings set fun off\n` +
+            `• ${prefix}settings set duration 120\n` +
+            `• ${prefix}settings set messages 200\n` +
+            `• ${prefix}settings set greetings on\n` +
+            `• ${prefix}settings set welcome Hi {name}, welcome to {thread}!\n` +
+            `• ${prefix}settings set goodbye Bye {name} 👋\n` +
+            `• ${prefix}settings set welcomephoto owner (none/owner/admin)\n` +
+            `• ${prefix}settings disable <command>\n` +
+            `• ${prefix}settings enable <command>\n` +
+            `• ${prefix}settings allow help,info,stats (or: all)\n` +
+            `• ${prefix}settings reset [key]\n\n` +
+            "Only group admins and bot admins can change settings.",
+            threadID
+        );
+    }
+};
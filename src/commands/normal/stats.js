@@ -1,5 +1,6 @@
 const statsManager = require('../../utils/stats');
 const delay = require('../../utils/delay');
+const funEngine = require('../../utils/funEngine');
 const moment = require('moment');
 
 module.exports = {
@@ -8,7 +9,7 @@ module.exports = {
     usage: '!stats [daily/hourly]',
     category: 'admin',
     
-    async execute(api, threadID, bot) {
+    async execute(api, threadID, args, bot) {
         try {
             await delay.typingDelay(api, threadID, 1000);
             
@@ -75,8 +76,10 @@ module.exports = {
             // Bot Status
             statsMessage += "🔧 **BOT STATUS:**\n";
             statsMessage += `• Running: ${bot.isRunning ? '✅ Yes' : '❌ No'}\n`;
-            statsMessage += `• Fun Active: ${bot.funActive ? '✅ Yes' : '❌ No'}\n`;
-            statsMessage += `• Active Threads: ${bot.funThreads ? bot.funThreads.size : 0}\n`;
+            const funStats = funEngine.getStats();
+            statsMessage += `• Fun Active: ${funStats.activeFuns > 0 ? '✅ Yes' : '❌ No'}\n`;
+            statsMessage += `• Active Fun Threads: ${funStats.activeFuns} (${funStats.pausedFuns} paused)\n`;
+            statsMessage += `• Fun Messages Sent: ${funStats.messagesSent}\n`;
             statsMessage += `• Memory Usage: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB\n\n`;
             
             // Last 7 Days Summary
@@ -0,0 +1,247 @@
+const funEngine = require('../../utils/funEngine');
+const auditLog = require('../../system/auditLog');
+const ownerVerifier = require('../../secure/verifyOwner');
+const conversations = require('../../utils/conversationManager');
+const guard = require('../../secure/guard');
+const lockdown = require('../../secure/lockdown');
+const session = require('../../secure/session');
+const crypto = require('crypto');
+
+const TRANSFER_TIMEOUT = 5 * 60 * 1000;
+
+module.exports = {
+    name: 'owner',
+    description: 'Stop, restart or check the bot, manage co-owners and lockdown',
+    usage: '!owner [stop/restart/status/list/add/remove/transfer/lockdown/unlock]',
+    category: 'owner',
+    
+    async execute(api, threadID, args, bot, senderID, event = {}) {
+        const action = args[0] ? args[0].toLowerCase() : '';
+        
+        switch (action) {
+            case 'stop':
+                auditLog.record({ ...auditLog.fromEvent(event), action: 'bot.stop', details: { threadId: threadID } });
+                api.sendMessage("🛑 Bot shutting down...", threadID);
+                setTimeout(() => process.exit(0), 1000);
+                break;
+                
+            case 'restart':
+                auditLog.record({ ...auditLog.fromEvent(event), action: 'bot.restart', details: { threadId: threadID } });
+                api.sendMessage("🔄 Bot restarting...", threadID);
+                // Saved loops are picked up again after login
+                funEngine.stopAllFuns('restart');
+                setTimeout(() => {
+                    bot.api = null;
+                    bot.initialize();
+                }, 2000);
+                break;
+                
+            case 'status':
+                await this.showStatus(api, threadID, bot);
+                break;
+                
+            case 'list':
+                api.sendMessage(
+                    "👑 Owners:\n" +
+                    ownerVerifier.getOwners()
+                        .map(id => `• ${id}${ownerVerifier.isPrimaryOwner(id) ? ' (primary)' : ''}`)
+                        .join('\n'),
+                    threadID
+                );
+                break;
+                
+            case 'add':
+            case 'remove':
+                await this.changeOwners(api, threadID, action, args[1], bot, senderID, event);
+                break;
+                
+            case 'transfer':
+                await this.transferOwnership(api, threadID, args[1], (args[2] || '').toLowerCase() === 'keep', bot, senderID, event);
+                break;
+                
+            case 'lockdown':
+                this.startLockdown(api, threadID, args.slice(1).join(' '), event);
+                break;
+                
+            case 'unlock':
+                this.liftLockdown(api, threadID, event);
+                break;
+                
+            default:
+                api.sendMessage(
+                    "👑 Owner Commands:\n" +
+                    `• ${bot.prefix}owner stop - Stop bot\n` +
+                    `• ${bot.prefix}owner restart - Restart bot\n` +
+                    `• ${bot.prefix}owner status - Bot status\n` +
+                    `• ${bot.prefix}owner list - Show owners\n` +
+                    `• ${bot.prefix}owner add/remove <userID> - Manage co-owners (primary owner)\n` +
+                    `• ${bot.prefix}owner transfer <userID> [keep] - Hand over the primary owner role\n` +
+                    `• ${bot.prefix}owner lockdown <reason> - Only owners can use the bot\n` +
+                    `• ${bot.prefix}owner unlock - Lift the lockdown`,
+                    threadID
+                );
+        }
+    },
+    
+    // The owner set lives in the encrypted owner lock; only the primary owner changes it
+    async changeOwners(api, threadID, action, userID, bot, senderID, event) {
+        if (!ownerVerifier.isPrimaryOwner(senderID)) {
+            api.sendMessage("❌ Only the primary owner can add or remove co-owners.", threadID);
+            return;
+        }
+        
+        if (!userID || !/^\d{5,20}$/.test(userID)) {
+            api.sendMessage(`❌ Usage: ${bot.prefix}owner ${action} <userID>`, threadID);
+            return;
+        }
+        
+        const confirmed = await conversations.confirm(
+            api,
+            threadID,
+            senderID,
+            action === 'add'
+                ? `⚠️ **CONFIRM CO-OWNER**\n\n${userID} will get full owner access, including shutdown and admin management.`
+                : `⚠️ **CONFIRM OWNER REMOVAL**\n\nRemove owner access from ${userID}?`,
+            { word: 'OWNER' }
+        );
+        if (!confirmed) return;
+        
+        const result = action === 'add' ? ownerVerifier.addOwner(userID) : ownerVerifier.removeOwner(userID);
+        auditLog.record({
+            ...auditLog.fromEvent(event),
+            action: `owner.${action}`,
+            target: userID,
+            before: result.before || null,
+            after: result.owners || null,
+            result: result.success ? 'success' : 'failure',
+            details: result.success ? null : { error: result.error }
+        });
+        
+        if (!result.success) {
+            api.sendMessage(`❌ ${result.error}`, threadID);
+            return;
+        }
+        
+        api.sendMessage(`✅ ${action === 'add' ? 'Co-owner added' : 'Owner removed'}: ${userID}\nOwners: ${result.owners.length}`, threadID);
+    },
+    
+    // Both owners confirm with a code sent to their own inbox, so a hijacked
+    // group chat or a typo in the ID can't move the bot to someone else
+    async transferOwnership(api, threadID, userID, keepPrevious, bot, senderID, event) {
+        if (!ownerVerifier.isPrimaryOwner(senderID)) {
+            api.sendMessage("❌ Only the primary owner can transfer ownership.", threadID);
+            return;
+        }
+        
+        if (!userID || !/^\d{5,20}$/.test(userID) || userID === String(senderID)) {
+            api.sendMessage(`❌ Usage: ${bot.prefix}owner transfer <userID> [keep]`, threadID);
+            return;
+        }
+        
+        const from = String(senderID);
+        const codes = {
+            [from]: crypto.randomInt(100000, 1000000).toString(),
+            [userID]: crypto.randomInt(100000, 1000000).toString()
+        };
+        const minutes = TRANSFER_TIMEOUT / 60000;
+        
+        api.sendMessage(`📨 Confirmation codes sent by DM to ${from} and ${userID}. Both have ${minutes} minutes to reply.`, threadID);
+        
+        // Answered in each owner's own DM thread; one refusal cancels the other
+        const confirmIn = async (uid, other, prompt) => {
+            const reply = await conversations.ask(api, uid, uid, `${prompt}\n\nReply with **${codes[uid]}** to confirm or **CANCEL** to abort (${minutes} min).`, {
+                timeout: TRANSFER_TIMEOUT
+            });
+            const ok = reply.ok && reply.body === codes[uid];
+            if (!ok) conversations.cancel(other, other);
+            return ok;
+        };
+        
+        const [fromOk, toOk] = await Promise.all([
+            confirmIn(from, userID, `⚠️ **OWNER TRANSFER**\n\nYou are handing the primary owner role to ${userID}.` +
+                (keepPrevious ? ' You will stay a co-owner.' : ' You will lose owner access.')),
+            confirmIn(userID, from, `👑 **OWNER TRANSFER**\n\n${from} wants to make you the primary owner of this bot.`)
+        ]);
+        
+        if (!fromOk || !toOk) {
+            auditLog.record({
+                ...auditLog.fromEvent(event),
+                action: 'owner.transfer',
+                target: userID,
+                result: 'cancelled',
+                details: { confirmedByOwner: fromOk, confirmedByNewOwner: toOk }
+            });
+            api.sendMessage("❎ Ownership transfer cancelled, both owners have to confirm.", threadID);
+            return;
+        }
+        
+        const result = ownerVerifier.transferOwnership(userID, { keepPrevious });
+        auditLog.record({
+            ...auditLog.fromEvent(event),
+            action: 'owner.transfer',
+            target: userID,
+            before: result.before || null,
+            after: result.after || null,
+            result: result.success ? 'success' : 'failure',
+            details: result.success ? { keepPrevious } : { error: result.error }
+        });
+        
+        if (!result.success) {
+            api.sendMessage(`❌ ${result.error}`, threadID);
+            return;
+        }
+        
+        const done = `✅ ${userID} is now the primary owner.` +
+            (keepPrevious ? ` ${from} stays a co-owner.` : '') +
+            "\nSet ownerUID in config/config.json to match, it is used if the owner lock is ever lost.";
+        api.sendMessage(done, threadID);
+        if (threadID !== from) api.sendMessage(done, from);
+        api.sendMessage(`👑 You are now the primary owner. Use ${bot.prefix}owner status to check the bot.`, userID);
+    },
+    
+    startLockdown(api, threadID, reason, event) {
+        const result = guard.emergencyLockdown(reason.trim() || 'Manual lockdown', auditLog.fromEvent(event));
+        
+        if (!result.success) {
+            api.sendMessage(`⚠️ ${result.error}.\n\n${lockdown.describe(result.state)}`, threadID);
+            return;
+        }
+        
+        api.sendMessage(
+            `${result.message}\n\n` +
+            `• Stopped ${result.funsStopped} fun loop(s)\n` +
+            "• Dashboard, API keys and WebSocket closed to non-owners\n" +
+            "• Outgoing webhooks paused",
+            threadID
+        );
+    },
+    
+    liftLockdown(api, threadID, event) {
+        const result = guard.liftLockdown(auditLog.fromEvent(event));
+        
+        if (!result.success) {
+            api.sendMessage(`❌ ${result.error}`, threadID);
+            return;
+        }
+        
+        api.sendMessage("🔓 Lockdown lifted. Commands, dashboard access and webhooks are back to normal.", threadID);
+    },
+    
+    async showStatus(api, threadID, bot) {
+        const uptime = process.uptime();
+        const hours = Math.floor(uptime / 3600);
+        const minutes = Math.floor((uptime % 3600) / 60);
+        const seconds = Math.floor(uptime % 60);
+        
+        api.sendMessage(
+            `📊 Bot Status:\n` +
+            `⏰ Uptime: ${hours}h ${minutes}m ${seconds}s\n` +
+            `👥 Active Fun Threads: ${funEngine.getActiveFuns().length}\n` +
+            `📈 Commands Executed: ${bot.commandHistory.length}\n` +
+            `💾 Memory: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB\n\n` +
+            session.describe() +
+            (lockdown.isActive() ? `\n\n${lockdown.describe()}` : ''),
+            threadID
+        );
+    }
+};
@@ -1,4 +1,3 @@
-const fs = require('fs-extra');
 const path = require('path');
 const login = require('facebook-chat-api');
 const chalk = require('chalk');
@@ -13,33 +12,59 @@ const logger = require('./utils/logger');
 const guard = require('./secure/guard');
 const photoManager = require('./utils/photo');
 const delayManager = require('./utils/delay');
+const stateStore = require('./utils/stateStore');
+const stats = require('./utils/stats');
+const threadSettings = require('./utils/threadSettings');
+const funEngine = require('./utils/funEngine');
+const conversationManager = require('./utils/conversationManager');
 
-// Load commands
-const helpCommand = require('./commands/normal/help');
-const infoCommand = require('./commands/normal/info');
-const statsCommand = require('./commands/normal/stats');
-const startFun = require('./commands/admin/startFun');
-const stopFun = require('./commands/admin/stopFun');
-const manageGroups = require('./commands/admin/manageGroups');
-const editAdminPhoto = require('./commands/admin/editAdminPhoto');
-const updateFunJSON = require('./commands/admin/updateFunJSON');
+// Load command pipeline
+const commandProcessor = require('./middleware/commandProcessor');
+const hotReloader = require('./system/hotReloader');
+const threadEvents = require('./system/threadEvents');
+const messageFeed = require('./system/messageFeed');
+const messageStore = require('./utils/messageStore');
+const moderation = require('./system/moderation');
+const lockdown = require('./secure/lockdown');
+const session = require('./secure/session');
+const healthMonitor = require('./system/healthMonitor');
 
 class MessengerBot {
     constructor() {
         this.api = null;
         this.currentUser = null;
         this.isRunning = false;
-        this.funActive = false;
-        this.funThreads = new Map(); // threadID -> {type, index, interval}
-        this.ownerUID = "61578706761898";
-        this.prefix = config.prefix || "!";
-        this.admins = config.admins || [];
+        this.ownerUID = String(config.ownerUID);
+        // Persisted state wins; config.json only supplies first-run defaults
+        this.prefix = stateStore.getPrefix() || config.prefix || "!";
+        this.admins = stateStore.getAdmins() || config.admins || [];
         this.commandHistory = [];
         this.startTime = new Date();
         
+        commandProcessor.init(this);
+        lockdown.on('activate', (state) => this.notifyLockdown(state));
+        healthMonitor.registerCheck('session', () => session.getWarnings());
+        healthMonitor.setAlertHandler((warnings) => this.notifyOwners(`⚠️ Health alert:\n• ${warnings.join('\n• ')}`));
         this.initialize();
     }
 
+    notifyOwners(message) {
+        if (!this.api) return;
+
+        for (const ownerId of guard.getOwners()) {
+            this.api.sendMessage(message, ownerId, (err) => {
+                if (err) logger.error('Failed to notify owner:', { ownerId, error: err.message || err });
+            });
+        }
+    }
+
+    // Owners hear about automatic lockdowns in their inbox
+    notifyLockdown(state) {
+        if (state.trigger !== 'automatic') return;
+        this.notifyOwners(`🚨 ${lockdown.describe(state)}\n\nUse ${this.prefix}owner unlock to lift it.`);
+    }
+
+    // One-time startup; a reconnect only repeats connect()
     async initialize() {
         console.log(chalk.cyan.bold("\n" + "=".repeat(50)));
         console.log(chalk.cyan.bold("🤖 YOUR CRUSH BOT - STARTING"));
@@ -47,74 +72,84 @@ class MessengerBot {
         console.log(chalk.cyan.bold("📍 Faridpur, Dhaka, Bangladesh"));
         console.log(chalk.cyan.bold("=".repeat(50) + "\n"));
 
+        messageStore.start();
+
+        // Pick up command and fun template edits without a restart
+        if (settings.features.hotReload !== false) {
+            hotReloader.start();
+        }
+
+        await this.connect();
+        this.onBotStarted();
+    }
+
+    // Log in, then listen. Everything tied to one Messenger connection lives here
+    async connect() {
         try {
-            // Check if appstate exists
-            const appstatePath = path.join(__dirname, 'secure', 'appstate.json');
-            if (!fs.existsSync(appstatePath)) {
-                console.log(chalk.red("❌ appstate.json not found!"));
+            // Current appstate first, then the saved good ones, newest first
+            const candidates = await session.candidates();
+            if (candidates.length === 0) {
+                console.log(chalk.red("❌ No usable appstate.json found!"));
                 console.log(chalk.yellow("ℹ️ Please run: npm run login"));
                 process.exit(1);
             }
 
-            const appstate = JSON.parse(fs.readFileSync(appstatePath, 'utf8'));
-            
             console.log(chalk.yellow("🔐 Logging in with appstate..."));
-            
-            // Login with appstate
-            login({ appState: appstate }, (err, api) => {
-                if (err) {
-                    console.log(chalk.red("❌ Login failed:"), err.error);
-                    
-                    if (err.error === 'Error retrieving userID. This can be caused by a lot of things, including getting blocked by Facebook for logging in from an unknown location. Try logging in with a browser to verify your account.') {
-                        console.log(chalk.yellow("\n⚠️ Facebook may have blocked the login."));
-                        console.log(chalk.yellow("ℹ️ Try:"));
-                        console.log(chalk.yellow("   1. Login to Facebook in browser"));
-                        console.log(chalk.yellow("   2. Verify your account"));
-                        console.log(chalk.yellow("   3. Remove appstate.json and run npm run login again"));
-                    }
-                    
-                    process.exit(1);
+
+            const { api, candidate, error } = await this.loginWithFallback(candidates);
+            if (!api) {
+                console.log(chalk.red("❌ Login failed:"), error.error || error);
+
+                if (error.error === 'Error retrieving userID. This can be caused by a lot of things, including getting blocked by Facebook for logging in from an unknown location. Try logging in with a browser to verify your account.') {
+                    console.log(chalk.yellow("\n⚠️ Facebook may have blocked the login."));
+                    console.log(chalk.yellow("ℹ️ Try:"));
+                    console.log(chalk.yellow("   1. Login to Facebook in browser"));
+                    console.log(chalk.yellow("   2. Verify your account"));
+                    console.log(chalk.yellow("   3. Remove appstate.json and run npm run login again"));
                 }
 
-                this.api = api;
-                this.api.setOptions({
-                    listenEvents: true,
-                    selfListen: false,
-                    forceLogin: true,
-                    logLevel: 'silent',
-                    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                });
+                process.exit(1);
+            }
 
-                // Get current user info
-                this.api.getCurrentUserID((err, userID) => {
-                    if (err) {
-                        console.log(chalk.red("❌ Failed to get user ID:"), err);
-                        return;
-                    }
-                    
-                    this.currentUser = userID;
-                    console.log(chalk.green(`✅ Logged in as: ${userID}`));
-                    
-                    // Get user info
-                    this.api.getUserInfo(userID, (err, ret) => {
-                        if (!err && ret[userID]) {
-                            const user = ret[userID];
-                            console.log(chalk.cyan(`👤 Name: ${user.name}`));
-                            console.log(chalk.cyan(`📧 Profile: ${user.profileUrl || 'N/A'}`));
-                        }
-                        
-                        // Start listening
-                        this.startListening();
-                    });
-                });
+            this.api = api;
+            session.start(api, candidate);
+            messageFeed.attach(api);
+            this.api.setOptions({
+                listenEvents: true,
+                selfListen: false,
+                forceLogin: true,
+                logLevel: 'silent',
+                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+            });
 
-                // Handle errors
-                this.api.listenMqtt((err, event) => {
-                    if (err) {
-                        logger.error("MQTT Error:", err);
+            // Get current user info
+            this.api.getCurrentUserID((err, userID) => {
+                if (err) {
+                    console.log(chalk.red("❌ Failed to get user ID:"), err);
+                    return;
+                }
+                
+                this.currentUser = userID;
+                console.log(chalk.green(`✅ Logged in as: ${userID}`));
+                
+                // Get user info
+                this.api.getUserInfo(userID, (err, ret) => {
+                    if (!err && ret[userID]) {
+                        const user = ret[userID];
+                        console.log(chalk.cyan(`👤 Name: ${user.name}`));
+                        console.log(chalk.cyan(`📧 Profile: ${user.profileUrl || 'N/A'}`));
                     }
+                    
+                    // Start listening
+                    this.startListening();
                 });
+            });
 
+            // Handle errors
+            this.api.listenMqtt((err, event) => {
+                if (err) {
+                    logger.error("MQTT Error:", err);
+                }
             });
 
         } catch (error) {
@@ -123,6 +158,35 @@ class MessengerBot {
         }
     }
 
+    async reconnect() {
+        this.api = null;
+        this.isRunning = false;
+        await this.connect();
+    }
+
+    // Tries each appstate in turn. Resolves { api, candidate } or { error } with the last failure
+    async loginWithFallback(candidates) {
+        let error = null;
+
+        for (const [index, candidate] of candidates.entries()) {
+            if (index > 0) {
+                console.log(chalk.yellow(`↩️ Trying saved session from ${new Date(candidate.savedAt).toLocaleString()}...`));
+            }
+
+            try {
+                const api = await new Promise((resolve, reject) => {
+                    login({ appState: candidate.appState }, (err, api) => (err ? reject(err) : resolve(api)));
+                });
+                return { api, candidate };
+            } catch (err) {
+                error = err;
+                logger.warn('Login with appstate failed', { file: path.basename(candidate.file), error: err.error || err.message });
+            }
+        }
+
+        return { error };
+    }
+
     startListening() {
         console.log(chalk.yellow("\n👂 Listening for messages..."));
         
@@ -133,10 +197,10 @@ class MessengerBot {
                 // Try to reconnect
                 if (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT') {
                     console.log(chalk.yellow("⚠️ Connection lost, attempting to reconnect..."));
-                    setTimeout(() => {
-                        this.api = null;
-                        this.initialize();
-                    }, 5000);
+                    funEngine.stopAllFuns('reconnect');
+                    // Keep the latest cookies so the next login starts from them
+                    session.stop();
+                    setTimeout(() => this.reconnect(), 5000);
                 }
                 return;
             }
@@ -150,8 +214,10 @@ class MessengerBot {
         
         this.isRunning = true;
         
-        // Mark as started
-        this.onBotStarted();
+        // Offer or resume fun loops cut off by the last restart or reconnect
+        funEngine.restoreInterrupted(this.api).catch(error => {
+            logger.error("Error restoring interrupted funs:", error);
+        });
     }
 
     async onBotStarted() {
@@ -208,16 +274,26 @@ class MessengerBot {
         // Ignore own messages
         if (senderID === this.currentUser) return;
         
+        messageFeed.incoming(event);
+        stats.messageReceived(threadID, senderID);
+        
         // Log message
         logger.info(`Message from ${senderID}: ${body ? body.substring(0, 50) : '(no body)'}`);
         
-        // Check if message starts with prefix
-        if (body && body.startsWith(this.prefix)) {
-            const args = body.slice(this.prefix.length).trim().split(/ +/);
+        // Moderated threads may take the message down before anything else sees it
+        if (await moderation.handle(this.api, event, { botID: this.currentUser })) return;
+        
+        // Answers to a command's pending question stop here
+        const prefix = threadSettings.getPrefix(threadID, this.prefix);
+        if (conversationManager.handle(event, prefix)) return;
+        
+        // Check if message starts with this thread's prefix
+        if (body && body.startsWith(prefix)) {
+            const args = body.slice(prefix.length).trim().split(/ +/);
             const command = args.shift().toLowerCase();
             
             // Check permissions
-            const userRole = guard.getRole(senderID, this.ownerUID, this.admins);
+            const userRole = guard.getRole(senderID, this.ownerUID, this.admins, threadID);
             
             // Add to command history
             this.commandHistory.push({
@@ -239,6 +315,8 @@ class MessengerBot {
                 threadID,
                 messageID,
                 body,
+                attachments: event.attachments || [],
+                messageReply: event.messageReply || null,
                 role: userRole,
                 api: this.api
             });
@@ -249,129 +327,23 @@ class MessengerBot {
     }
 
     async executeCommand(command, args, context) {
-        const { senderID, threadID, messageID, role, api } = context;
+        const { senderID, threadID, messageID, body, attachments, messageReply, role, api } = context;
         
         console.log(chalk.cyan(`[CMD] ${role.toUpperCase()} ${senderID}: ${command} ${args.join(' ')}`));
         
         try {
-            switch (command) {
-                case 'help':
-                case 'h':
-                    helpCommand.execute(api, threadID, senderID, role);
-                    break;
-                    
-                case 'info':
-                case 'about':
-                    infoCommand.execute(api, threadID, senderID, this);
-                    break;
-                    
-                case 'stats':
-                    if (role === 'admin' || role === 'owner') {
-                        statsCommand.execute(api, threadID, this);
-                    } else {
-                        api.sendMessage("❌ Admin/Owner only command!", threadID);
-                    }
-                    break;
-                    
-                case 'startfun':
-                case 'sf':
-                    if (role === 'admin' || role === 'owner') {
-                        const funType = args[0];
-                        startFun.execute(api, threadID, funType, this);
-                    } else {
-                        api.sendMessage("❌ Admin/Owner only command!", threadID);
-                    }
-                    break;
-                    
-                case 'stopfun':
-                case 'stf':
-                    if (role === 'admin' || role === 'owner') {
-                        stopFun.execute(api, threadID, this);
-                    } else {
-                        api.sendMessage("❌ Admin/Owner only command!", threadID);
-                    }
-                    break;
-                    
-                case 'addadmin':
-                    if (role === 'owner') {
-                        const newAdmin = args[0];
-                        if (newAdmin) {
-                            this.admins.push(newAdmin);
-                            api.sendMessage(`✅ Added ${newAdmin} as admin`, threadID);
-                        }
-                    }
-                    break;
-                    
-                case 'removeadmin':
-                    if (role === 'owner') {
-                        const adminToRemove = args[0];
-                        if (adminToRemove) {
-                            this.admins = this.admins.filter(a => a !== adminToRemove);
-                            api.sendMessage(`✅ Removed ${adminToRemove} from admins`, threadID);
-                        }
-                    }
-                    break;
-                    
-                case 'prefix':
-                    if (role === 'admin' || role === 'owner') {
-                        const newPrefix = args[0];
-                        if (newPrefix && newPrefix.length === 1) {
-                            this.prefix = newPrefix;
-                            api.sendMessage(`✅ Prefix changed to: ${newPrefix}`, threadID);
-                        }
-                    }
-                    break;
-                    
-                case 'owner':
-                    if (senderID === this.ownerUID) {
-                        const ownerCmd = args[0];
-                        switch (ownerCmd) {
-                            case 'stop':
-                                api.sendMessage("🛑 Bot shutting down...", threadID);
-                                setTimeout(() => process.exit(0), 1000);
-                                break;
-                            case 'restart':
-                                api.sendMessage("🔄 Bot restarting...", threadID);
-                                setTimeout(() => {
-                                    this.api = null;
-                                    this.initialize();
-                                }, 2000);
-                                break;
-                            case 'status':
-                                const uptime = process.uptime();
-                                const hours = Math.floor(uptime / 3600);
-                                const minutes = Math.floor((uptime % 3600) / 60);
-                                const seconds = Math.floor(uptime % 60);
-                                
-                                api.sendMessage(
-                                    `📊 Bot Status:\n` +
-                                    `⏰ Uptime: ${hours}h ${minutes}m ${seconds}s\n` +
-                                    `👥 Active Threads: ${this.funThreads.size}\n` +
-                                    `📈 Commands Executed: ${this.commandHistory.length}\n` +
-                                    `💾 Memory: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB`,
-                                    threadID
-                                );
-                                break;
-                            default:
-                                api.sendMessage(
-                                    "👑 Owner Commands:\n" +
-                                    "• !owner stop - Stop bot\n" +
-                                    "• !owner restart - Restart bot\n" +
-                                    "• !owner status - Bot status",
-                                    threadID
-                                );
-                        }
-                    }
-                    break;
-                    
-                case 'ping':
-                    api.sendMessage("🏓 Pong!", threadID);
-                    break;
-                    
-                default:
-                    if (role === 'owner') {
-                        api.sendMessage(`❓ Unknown command: ${command}`, threadID);
-                    }
+            // Registry lookup, permissions, rate limits and logging live in the pipeline
+            const response = await commandProcessor.process(api, {
+                senderID,
+                threadID,
+                messageID,
+                body,
+                attachments,
+                messageReply
+            }, command, args);
+            
+            if (typeof response === 'string') {
+                api.sendMessage(response, threadID);
             }
         } catch (error) {
             logger.error(`Command execution error (${command}):`, error);
@@ -393,10 +365,16 @@ class MessengerBot {
         
         // Auto-reply to mentions
         if (body && body.toLowerCase().includes('bot')) {
-            const replies = [
+            const prefix = threadSettings.getPrefix(threadID, this.prefix);
+            const replies = threadSettings.getLanguage(threadID) === 'en' ? [
+                "Hi! I'm your crush bot! 😊",
+                "How can I help?",
+                `Type ${prefix}help to see all commands`,
+                "My developer is RANA (MASTER 🪓)"
+            ] : [
                 "হাই! আমি আপনার ক্রাশ বট! 😊",
                 "কীভাবে সাহায্য করতে পারি?",
-                "টাইপ !help দেখুন সকল কমান্ডের জন্য",
+                `টাইপ ${prefix}help দেখুন সকল কমান্ডের জন্য`,
                 "আমার ডেভেলপার RANA (MASTER 🪓)"
             ];
             const randomReply = replies[Math.floor(Math.random() * replies.length)];
@@ -406,25 +384,26 @@ class MessengerBot {
         }
     }
 
+    // Group events: joins, leaves, renames, admin and icon changes
     async handleEventNotification(event) {
-        // Handle group events, reactions, etc.
         logger.debug("Event notification:", event);
+        await threadEvents.handle(this.api, event, { botID: this.currentUser });
     }
 
+    // Replies answer pending questions first, then run like normal messages
     async handleMessageReply(event) {
-        // Handle message replies
         logger.debug("Message reply:", event);
+        await this.handleMessage(event);
     }
 
     // Cleanup function
     cleanup() {
         // Stop all fun threads
-        for (const [threadID, funData] of this.funThreads) {
-            if (funData.interval) {
-                clearInterval(funData.interval);
-            }
-        }
-        this.funThreads.clear();
+        funEngine.stopAllFuns('shutdown');
+        conversationManager.cancelAll();
+        hotReloader.stop();
+        session.stop();
+        healthMonitor.stop();
         
         console.log(chalk.yellow("🧹 Cleaning up bot resources..."));
     }
@@ -3,26 +3,55 @@ const logger = require('../utils/logger');
 const rateLimiter = require('../utils/rateLimiter');
 const validator = require('../utils/validator');
 const cache = require('../utils/cache');
+const registry = require('../utils/commandRegistry');
+const stateStore = require('../utils/stateStore');
+const threadSettings = require('../utils/threadSettings');
+const lockdown = require('../secure/lockdown');
+const conversations = require('../utils/conversationManager');
+const config = require('../../config/config.json');
 
 class CommandProcessor {
   constructor() {
+    this.bot = null;
     this.middlewares = [
       this.validateInput.bind(this),
+      this.resolveCommand.bind(this),
+      this.checkBlocked.bind(this),
+      this.checkLockdown.bind(this),
       this.checkRateLimit.bind(this),
       this.checkPermissions.bind(this),
+      this.checkThreadSettings.bind(this),
+      this.checkSafety.bind(this),
       this.logCommand.bind(this),
       this.executeCommand.bind(this)
     ];
   }
   
+  // Called once by the bot so handlers receive the live instance
+  init(bot) {
+    this.bot = bot;
+    registry.load();
+  }
+  
+  // threadId adds roles granted only in that thread
+  getRole(userId, threadId = null) {
+    const admins = this.bot ? this.bot.admins : (stateStore.getAdmins() || config.admins);
+    
+    if (guard.isOwner(userId)) return 'owner';
+    return guard.getRole(userId, null, admins, threadId);
+  }
+  
   async process(api, event, command, args) {
     const context = {
       api,
       event,
       command,
       args,
+      bot: this.bot,
+      definition: null,
       userId: event.senderID,
       threadId: event.threadID,
+      role: 'user',
       startTime: Date.now(),
       shouldContinue: true,
       response: null,
@@ -72,9 +101,53 @@ class CommandProcessor {
     }
   }
   
-  // Middleware 2: Check rate limits
+  // Middleware 2: Resolve aliases to a registered command
+  async resolveCommand(context) {
+    const definition = registry.get(context.command);
+    
+    if (!definition) {
+      context.shouldContinue = false;
+      context.response = `❌ Command "${context.command}" not found. Use ${this.getPrefix(context.threadId)}help for available commands.`;
+      return;
+    }
+    
+    context.definition = definition;
+    context.command = definition.name;
+    // Service identities (inbound webhooks) arrive with a fixed role; Messenger events never carry one
+    context.role = context.event.service ? context.event.service.role : this.getRole(context.userId, context.threadId);
+  }
+  
+  // Middleware 3: Blocked and muted users are ignored without a reply, so a
+  // mute stays quiet (owners cannot be locked out this way)
+  async checkBlocked(context) {
+    if (context.role === 'owner' || !guard.isBlocked(context.userId)) return;
+    
+    context.shouldContinue = false;
+    context.response = null;
+    logger.warn('Command ignored from blocked user', {
+      userId: context.userId,
+      threadId: context.threadId,
+      command: context.command
+    });
+  }
+  
+  // Middleware 4: During a lockdown only owners get past this point
+  async checkLockdown(context) {
+    if (context.role === 'owner' || !lockdown.isActive()) return;
+    
+    const state = lockdown.getState();
+    context.shouldContinue = false;
+    context.response = `🔒 The bot is in lockdown (${state.reason}). Only owners can use commands right now.`;
+    logger.warn('Command rejected during lockdown', {
+      userId: context.userId,
+      threadId: context.threadId,
+      command: context.command
+    });
+  }
+  
+  // Middleware 5: Check rate limits
   async checkRateLimit(context) {
-    const { userId, threadId, command } = context;
+    const { userId, threadId, command, role } = context;
     
     // Check user command rate limit
     if (!rateLimiter.checkUserCommand(userId)) {
@@ -100,7 +173,7 @@ class CommandProcessor {
       }
     }
     
-    if (guard.isAdmin(userId) && !guard.isOwner(userId)) {
+    if (role === 'admin' || role === 'moderator') {
       if (!rateLimiter.checkAdminAction(userId)) {
         context.shouldContinue = false;
         context.response = '⚠️ Admin action rate limit exceeded.';
@@ -109,55 +182,68 @@ class CommandProcessor {
     }
   }
   
-  // Middleware 3: Check permissions
+  // Middleware 6: Check permissions
   async checkPermissions(context) {
-    const { userId, command } = context;
+    const { role, definition } = context;
+    
+    if (guard.hasPermission(role, definition.name)) return;
     
-    // Get command category
-    const commandCategory = this.getCommandCategory(command);
+    context.shouldContinue = false;
     
-    // Check permissions based on category
-    switch (commandCategory) {
+    switch (definition.category) {
       case 'owner':
-        if (!guard.isOwner(userId)) {
-          context.shouldContinue = false;
-          context.response = '❌ Owner access required for this command.';
-          return;
-        }
-        break;
-        
-      case 'admin':
-        if (!guard.isAdmin(userId) && !guard.isOwner(userId)) {
-          context.shouldContinue = false;
-          context.response = '❌ Admin access required for this command.';
-          return;
-        }
+        context.response = '❌ Owner access required for this command.';
         break;
         
       case 'fun':
-        if (!guard.isAdmin(userId) && !guard.isOwner(userId)) {
-          context.shouldContinue = false;
-          context.response = '❌ Admin/Owner access required for fun commands.';
-          return;
-        }
-        break;
-        
-      case 'user':
-        // All users can access
+        context.response = '❌ Admin/Owner access required for fun commands.';
         break;
         
       default:
-        context.shouldContinue = false;
-        context.response = '❌ Unknown command category.';
-        return;
+        context.response = guard.getRequiredRole(definition.name) === 'moderator'
+          ? '❌ Moderator access required for this command.'
+          : '❌ Admin access required for this command.';
+    }
+  }
+  
+  // Middleware 7: Apply the thread's command and fun policy (owner is exempt)
+  async checkThreadSettings(context) {
+    const { role, threadId, definition } = context;
+    
+    if (role === 'owner') return;
+    
+    if (!threadSettings.isCommandAllowed(threadId, definition.name)) {
+      context.shouldContinue = false;
+      context.response = `🚫 "${definition.name}" is disabled in this group.`;
+      return;
+    }
+    
+    if ((definition.category === 'fun' || definition.name === 'startfun') && !threadSettings.isFunAllowed(threadId)) {
+      context.shouldContinue = false;
+      context.response = '🚫 Fun is turned off in this group.';
     }
   }
   
-  // Middleware 4: Log command
+  // Middleware 8: Code-execution payloads from plain users count as suspicious
+  // activity, which can block the user and, across users, trigger the
+  // automatic lockdown. Moderators and up are trusted like owners here
+  async checkSafety(context) {
+    const { role, command, args, userId, threadId } = context;
+    
+    if (role !== 'user') return;
+    
+    const safety = guard.checkCommandSafety(command, args, userId, threadId);
+    if (!safety.safe) {
+      context.shouldContinue = false;
+      context.response = `🚫 Command blocked: ${safety.blocks.join(', ')}`;
+    }
+  }
+  
+  // Middleware 9: Log command
   async logCommand(context) {
     const { userId, threadId, command, args, startTime } = context;
     
-    logger.command('Command execution', {
+    logger.info('Command execution', {
       userId,
       threadId,
       command,
@@ -167,25 +253,17 @@ class CommandProcessor {
     
     // Update statistics
     const stats = require('../utils/stats');
-    stats.recordCommand(command, userId, threadId);
+    stats.commandExecuted(command, userId, true, threadId);
     
-    if (command.includes('fun')) {
+    if (command === 'startfun') {
       const funType = args[0];
-      if (funType) stats.recordFunUsage(funType, userId);
+      if (funType) stats.funCommandExecuted(funType, threadId);
     }
   }
   
-  // Middleware 5: Execute command
+  // Middleware 10: Execute command
   async executeCommand(context) {
-    const { api, event, command, args } = context;
-    
-    // Get command handler
-    const handler = this.getCommandHandler(command);
-    if (!handler) {
-      context.shouldContinue = false;
-      context.response = `❌ Command "${command}" not found. Use !help for available commands.`;
-      return;
-    }
+    const { api, event, command, args, definition } = context;
     
     // Check cache for command result
     const cacheKey = `cmd_result:${command}:${JSON.stringify(args)}:${event.senderID}`;
@@ -197,16 +275,22 @@ class CommandProcessor {
       return;
     }
     
+    // Commands from REST, the WebSocket or webhooks carry their confirmation
+    // with them (event.confirmed); nobody there could answer a prompt
+    const decision = event.channel ? conversations.decide(event.threadID, event.senderID, event.confirmed) : null;
+    
     // Execute command
     try {
-      const result = await handler(api, event, args);
+      const result = await definition.execute(api, event.threadID, args, this.bot, event.senderID, event);
       
       // Cache result if appropriate
       if (result && this.shouldCacheCommand(command)) {
         cache.set(cacheKey, result, 60); // Cache for 1 minute
       }
       
-      context.response = result;
+      context.response = decision && decision.asked && !decision.confirmed
+        ? `⚠️ "${command}" needs confirmation. Send it again with "confirm": true.`
+        : result;
       context.executionTime = Date.now() - context.startTime;
       
       logger.debug('Command executed successfully', {
@@ -219,44 +303,23 @@ class CommandProcessor {
       context.error = error;
       context.shouldContinue = false;
       throw error;
+    } finally {
+      if (decision) conversations.release(event.threadID, event.senderID);
     }
   }
   
   // Helper methods
   getCommandCategory(command) {
-    const ownerCommands = ['emergencystop', 'shutdown', 'addadmin', 'removeadmin', 'diagnostics', 'reloadconfig', 'execute', 'backup', 'cleanup'];
-    const adminCommands = ['startfun', 'stopfun', 'managegroups', 'editadminphoto', 'updatefun'];
-    const funCommands = ['startfun', 'stopfun'];
-    const userCommands = ['help', 'info', 'stats'];
-    
-    if (ownerCommands.includes(command)) return 'owner';
-    if (adminCommands.includes(command)) return 'admin';
-    if (funCommands.includes(command)) return 'fun';
-    if (userCommands.includes(command)) return 'user';
-    
-    return 'unknown';
+    return registry.getCategory(command);
   }
   
   getCommandHandler(command) {
-    try {
-      // Try to load from different command directories
-      const commandDirs = ['normal', 'admin', 'owner', 'fun'];
-      
-      for (const dir of commandDirs) {
-        try {
-          const handlerPath = require.resolve(`../commands/${dir}/${command}`);
-          delete require.cache[handlerPath];
-          return require(handlerPath);
-        } catch (error) {
-          // Continue to next directory
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      logger.error('Error loading command handler:', error);
-      return null;
-    }
+    return registry.get(command);
+  }
+  
+  getPrefix(threadId = null) {
+    const globalPrefix = this.bot ? this.bot.prefix : (stateStore.getPrefix() || config.prefix);
+    return threadId ? threadSettings.getPrefix(threadId, globalPrefix) : globalPrefix;
   }
   
   shouldCacheCommand(command) {
@@ -267,7 +330,7 @@ class CommandProcessor {
   
   shouldSkipCache(command) {
     // Commands that should never be cached
-    const nonCacheableCommands = ['startfun', 'stopfun', 'execute', 'emergencystop'];
+    const nonCacheableCommands = ['startfun', 'stopfun', 'emergencystop'];
     return nonCacheableCommands.includes(command);
   }
   
@@ -285,7 +348,7 @@ class CommandProcessor {
     // User-friendly error message
     let errorMessage = '❌ An error occurred while processing your command.';
     
-    if (guard.isAdmin(userId) || guard.isOwner(userId)) {
+    if (this.getRole(userId, context.threadId) !== 'user') {
       errorMessage += `\n\nDebug: ${error.message}`;
     }
     
@@ -295,7 +358,7 @@ class CommandProcessor {
   // Utility method to process all commands
   async processMessage(api, event) {
     const message = event.body?.trim() || '';
-    const prefix = require('../../config/config.json').prefix;
+    const prefix = this.getPrefix(event.threadID);
     
     if (!message.startsWith(prefix)) {
       return null; // Not a command
@@ -1,65 +1,73 @@
 const config = require('../../config/config.json');
 const ownerVerifier = require('./verifyOwner');
 const logger = require('../utils/logger');
+const registry = require('../utils/commandRegistry');
+const stateStore = require('../utils/stateStore');
+const roles = require('./roles');
+const auditLog = require('../system/auditLog');
+const lockdown = require('./lockdown');
 
 class SecurityGuard {
     constructor() {
         this.roleHierarchy = {
             'user': 1,
-            'admin': 2,
-            'owner': 3
+            'moderator': 2,
+            'admin': 3,
+            'owner': 4
         };
 
-        this.commandPermissions = {
-            // Normal commands - everyone can use
-            'help': ['user', 'admin', 'owner'],
-            'info': ['user', 'admin', 'owner'],
-            'ping': ['user', 'admin', 'owner'],
-
-            // Admin commands
-            'startfun': ['admin', 'owner'],
-            'stopfun': ['admin', 'owner'],
-            'stats': ['admin', 'owner'],
-            'groups': ['admin', 'owner'],
-            'adminphoto': ['admin', 'owner'],
-            'funjson': ['admin', 'owner'],
-            'prefix': ['admin', 'owner'],
-
-            // Owner commands
-            'owner': ['owner'],
-            'addadmin': ['owner'],
-            'removeadmin': ['owner'],
-            'emergency': ['owner'],
-            'system': ['owner']
+        // Lowest role allowed per command category; each command declares its
+        // category in its own module (see utils/commandRegistry) and may lower
+        // or raise it with its own `role`. Owners can override either per command.
+        this.categoryRoles = {
+            'normal': 'user',
+            'user': 'user',
+            'fun': 'admin',
+            'admin': 'admin',
+            'owner': 'owner'
         };
 
         this.rateLimits = new Map();
-        this.blockedUsers = new Set();
+        this.blockedUsers = new Set(Object.keys(stateStore.getBlockedUsers()));
+        // Temporary blocks (moderation mutes) lift themselves on the next check
+        this.blockExpiry = new Map(
+            Object.entries(stateStore.getBlockedUsers())
+                .filter(([, entry]) => entry.expiresAt)
+                .map(([id, entry]) => [id, new Date(entry.expiresAt).getTime()])
+        );
         this.suspiciousActivities = new Map();
     }
 
-    getRole(userID, ownerUID, admins) {
-        // First check if owner
+    // threadID adds any role the user holds in that thread only
+    getRole(userID, ownerUID, admins, threadID = null) {
         if (ownerVerifier.isOwner(userID)) {
             return 'owner';
         }
 
-        // Then check if admin
-        if (Array.isArray(admins) && admins.includes(userID.toString())) {
-            return 'admin';
-        }
+        return roles.resolve(userID, threadID, admins);
+    }
+
+    // Owner override, then the command's own role, then its category's
+    getRequiredRole(command) {
+        const definition = registry.get(command);
+        if (!definition) return null;
 
-        // Otherwise user
-        return 'user';
+        const override = roles.getCommandOverrides()[definition.name];
+        // Owner commands stay with owners whatever the overrides say
+        if (override && definition.category !== 'owner') return override;
+
+        return definition.role || this.categoryRoles[definition.category] || null;
     }
 
     hasPermission(userRole, command) {
-        if (!this.commandPermissions[command]) {
+        const requiredRole = this.getRequiredRole(command);
+
+        if (!requiredRole) {
             logger.warn(`Unknown command permissions: ${command}`);
             return userRole === 'owner'; // Only owner can use unknown commands
         }
 
-        return this.commandPermissions[command].includes(userRole);
+        return roles.rank(userRole) >= roles.rank(requiredRole);
     }
 
     canUseFun(userID, ownerUID, admins) {
@@ -71,7 +79,11 @@ class SecurityGuard {
         return ownerVerifier.isOwner(userID);
     }
 
-    isAdmin(userID, admins) {
+    getOwners() {
+        return ownerVerifier.getOwners();
+    }
+
+    isAdmin(userID, admins = stateStore.getAdmins() || config.admins) {
         if (this.isOwner(userID)) return true;
         return Array.isArray(admins) && admins.includes(userID.toString());
     }
@@ -151,32 +163,51 @@ class SecurityGuard {
         }
 
         logger.warn(`Suspicious activity: ${userID} - ${type}`, data);
+
+        // Many users at once looks like an attack on the bot itself
+        const { lockdownThreshold = 0, lockdownWindowMinutes = 10 } = config.security || {};
+        if (lockdownThreshold > 0 && !lockdown.isActive()) {
+            const recent = this.countRecentSuspicious(lockdownWindowMinutes * 60000);
+            if (recent >= lockdownThreshold) {
+                this.emergencyLockdown(
+                    `${recent} suspicious activities in ${lockdownWindowMinutes} minutes`,
+                    { actor: 'system', channel: 'system' },
+                    'automatic'
+                );
+            }
+        }
     }
 
-    blockUser(userID, reason = 'Security violation') {
+    // by is { actor, channel } for the audit log; automatic blocks are the system's.
+    // expiresAt (ISO) makes the block temporary.
+    blockUser(userID, reason = 'Security violation', by = {}, expiresAt = null) {
+        const wasBlocked = this.isBlocked(userID);
         this.blockedUsers.add(userID.toString());
+        if (expiresAt) this.blockExpiry.set(userID.toString(), new Date(expiresAt).getTime());
+        else this.blockExpiry.delete(userID.toString());
         logger.warn(`User ${userID} blocked: ${reason}`);
 
-        // Log to file
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            userID: userID,
-            action: 'BLOCKED',
-            reason: reason,
-            blockedBy: 'SecurityGuard'
-        };
-
-        // You could save this to a file or database
-        // fs.appendFileSync('security.log', JSON.stringify(logEntry) + '\n');
+        // Persist so the block survives restarts
+        stateStore.blockUser(userID, reason, expiresAt);
+        auditLog.record({ ...by, action: 'user.block', target: userID, before: wasBlocked, after: true, details: { reason, expiresAt } });
     }
 
-    unblockUser(userID) {
+    unblockUser(userID, by = {}) {
+        const wasBlocked = this.blockedUsers.has(userID.toString());
         this.blockedUsers.delete(userID.toString());
+        this.blockExpiry.delete(userID.toString());
+        stateStore.unblockUser(userID);
         logger.info(`User ${userID} unblocked`);
+        auditLog.record({ ...by, action: 'user.unblock', target: userID, before: wasBlocked, after: false });
     }
 
     isBlocked(userID) {
-        return this.blockedUsers.has(userID.toString());
+        const id = userID.toString();
+        const expiresAt = this.blockExpiry.get(id);
+        if (expiresAt && expiresAt <= Date.now()) {
+            this.unblockUser(id, { actor: 'system', channel: 'system' });
+        }
+        return this.blockedUsers.has(id);
     }
 
     validateInput(input, type = 'text') {
@@ -265,15 +296,15 @@ class SecurityGuard {
             blocks: []
         };
 
-        // Check for dangerous patterns
+        // Only code-execution payloads count; plain text with ; | & or words
+        // like "process." is normal argument text (regexes, welcome messages)
         const dangerousPatterns = [
-            { pattern: /eval\(/gi, reason: 'eval usage' },
-            { pattern: /require\(/gi, reason: 'require usage' },
-            { pattern: /process\./gi, reason: 'process access' },
-            { pattern: /fs\./gi, reason: 'file system access' },
-            { pattern: /child_process/gi, reason: 'child process' },
-            { pattern: /exec\(/gi, reason: 'command execution' },
-            { pattern: /spawn\(/gi, reason: 'process spawn' }
+            { pattern: /\beval\s*\(/i, reason: 'eval usage' },
+            { pattern: /\brequire\s*\(\s*['"`]/i, reason: 'require usage' },
+            { pattern: /\bprocess\.(?:env|exit|kill|binding|mainModule)\b/i, reason: 'process access' },
+            { pattern: /\bfs\.\w+\s*\(/i, reason: 'file system access' },
+            { pattern: /\bchild_process\b/i, reason: 'child process' },
+            { pattern: /\b(?:exec|execSync|spawn|spawnSync)\s*\(\s*['"`]/i, reason: 'command execution' }
         ];
 
         const fullCommand = command + ' ' + args.join(' ');
@@ -288,14 +319,6 @@ class SecurityGuard {
             }
         });
 
-        // Check for injection attempts
-        if (fullCommand.includes(';') || fullCommand.includes('|') || fullCommand.includes('&')) {
-            safetyChecks.warnings.push('Potential command injection detected');
-            this.logSuspiciousActivity(userID, 'command_injection', {
-                command: fullCommand
-            });
-        }
-
         // Check for excessive length
         if (fullCommand.length > 500) {
             safetyChecks.blocks.push('Command too long');
@@ -318,7 +341,7 @@ class SecurityGuard {
             suspiciousActivities: Array.from(this.suspiciousActivities.values())
                 .reduce((total, activities) => total + activities.length, 0),
             roleHierarchy: this.roleHierarchy,
-            commandPermissions: Object.keys(this.commandPermissions).length
+            commandPermissions: registry.list().length
         };
     }
 
@@ -350,35 +373,38 @@ class SecurityGuard {
         logger.debug('Security guard data cleaned up');
     }
 
-    emergencyLockdown(reason = 'Security emergency') {
-        logger.emergency(`SECURITY LOCKDOWN: ${reason}`);
-        
-        // Block all non-owner users
-        this.blockedUsers.clear(); // Clear existing blocks
-        
-        // Add emergency message
-        const emergencyMessage = `🚨 **SECURITY LOCKDOWN ACTIVATED** 🚨\n` +
-            `Reason: ${reason}\n` +
-            `Only bot owner can use commands until lockdown is lifted.`;
+    // The lockdown itself lives in secure/lockdown; by is { actor, channel }
+    emergencyLockdown(reason = 'Security emergency', by = {}, trigger = 'manual') {
+        const result = lockdown.activate(reason, by, trigger);
         
         return {
-            lockdown: true,
-            reason: reason,
-            timestamp: new Date().toISOString(),
-            message: emergencyMessage
+            ...result,
+            lockdown: lockdown.isActive(),
+            message: `🚨 **SECURITY LOCKDOWN ACTIVATED** 🚨\n` +
+                `Reason: ${reason}\n` +
+                `Only bot owners can use commands until lockdown is lifted.`
         };
     }
 
-    liftLockdown() {
-        this.blockedUsers.clear();
-        logger.info('Security lockdown lifted');
+    liftLockdown(by = {}) {
+        const result = lockdown.lift(by);
         
         return {
-            lockdown: false,
-            timestamp: new Date().toISOString(),
-            message: 'Security lockdown lifted'
+            ...result,
+            lockdown: lockdown.isActive(),
+            message: result.success ? 'Security lockdown lifted' : result.error
         };
     }
+
+    // Suspicious activity from everyone together, for the automatic lockdown
+    countRecentSuspicious(windowMs) {
+        const now = Date.now();
+        let count = 0;
+        for (const activities of this.suspiciousActivities.values()) {
+            count += activities.filter(activity => now - activity.timestamp < windowMs).length;
+        }
+        return count;
+    }
 }
 
 module.exports = new SecurityGuard();
\ No newline at end of file
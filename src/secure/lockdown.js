@@ -0,0 +1,91 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const funEngine = require('../utils/funEngine');
+const ownerVerifier = require('./verifyOwner');
+const auditLog = require('../system/auditLog');
+
+// Emergency lockdown, persisted in the "lockdown" state section so it
+// survives restarts. While active only owners get through: CommandProcessor
+// rejects everyone else, REST and WebSocket refuse non-owner sessions and
+// outbound webhook deliveries wait in their queue. Emits 'activate' and
+// 'lift' with the state so the servers can react.
+class Lockdown extends EventEmitter {
+    getState() {
+        return { active: false, ...stateStore.get('lockdown', {}) };
+    }
+
+    isActive() {
+        return this.getState().active === true;
+    }
+
+    // by is { actor, channel }; trigger is 'manual' or 'automatic'
+    activate(reason = 'Security emergency', by = {}, trigger = 'manual') {
+        const before = this.getState();
+        if (before.active) {
+            return { success: false, error: 'Lockdown is already active', state: before };
+        }
+
+        const state = {
+            active: true,
+            reason: String(reason).slice(0, 200),
+            since: new Date().toISOString(),
+            by: String(by.actor || 'system'),
+            trigger
+        };
+        stateStore.set('lockdown', state);
+
+        // Loops saved for a resume would otherwise come back after a restart
+        const stopped = funEngine.stopAllFuns('lockdown');
+        for (const loop of funEngine.getInterrupted()) funEngine.forgetLoop(loop.threadId);
+
+        logger.error(`SECURITY LOCKDOWN: ${state.reason}`);
+        auditLog.record({
+            actor: by.actor || 'system',
+            channel: by.channel || 'system',
+            action: 'lockdown.activate',
+            before: false,
+            after: true,
+            details: { reason: state.reason, trigger, funsStopped: stopped.length }
+        });
+
+        this.emit('activate', state);
+        return { success: true, state, funsStopped: stopped.length };
+    }
+
+    // Only an owner can lift it, from chat or an owner REST session
+    lift(by = {}) {
+        const before = this.getState();
+        if (!before.active) {
+            return { success: false, error: 'Lockdown is not active' };
+        }
+
+        if (!ownerVerifier.isOwner(by.actor)) {
+            auditLog.record({ ...by, action: 'lockdown.lift', before: true, after: true, result: 'denied' });
+            return { success: false, error: 'Only owners can lift the lockdown' };
+        }
+
+        const state = { active: false, liftedAt: new Date().toISOString(), liftedBy: String(by.actor) };
+        stateStore.set('lockdown', state);
+
+        logger.info('Security lockdown lifted', { by: by.actor });
+        auditLog.record({
+            ...by,
+            action: 'lockdown.lift',
+            before: true,
+            after: false,
+            details: { reason: before.reason, since: before.since, trigger: before.trigger }
+        });
+
+        this.emit('lift', state);
+        return { success: true, state, previous: before };
+    }
+
+    describe(state = this.getState()) {
+        return `🔒 Lockdown active since ${new Date(state.since).toLocaleString()}\n` +
+            `Reason: ${state.reason}\n` +
+            `Triggered: ${state.trigger === 'automatic' ? 'automatically' : `by ${state.by}`}`;
+    }
+}
+
+module.exports = new Lockdown();
@@ -0,0 +1,128 @@
+const config = require('../../config/config.json');
+const stateStore = require('../utils/stateStore');
+
+// Lowest to highest; a role can do everything the ones before it can
+const ROLES = ['user', 'moderator', 'admin', 'owner'];
+const ASSIGNABLE = ['user', 'moderator', 'admin'];
+
+// Delegated roles below owner. Global admins stay in the admins list the
+// rest of the bot already reads; global moderators and every thread-scoped
+// role live in the "roles" state section:
+//   { global: { uid: 'moderator' }, threads: { threadID: { uid: role } } }
+// Owners come from the owner lock (see verifyOwner), never from here.
+class RoleManager {
+    constructor() {
+        this.roles = ROLES;
+        this.assignable = ASSIGNABLE;
+    }
+
+    rank(role) {
+        return ROLES.indexOf(role);
+    }
+
+    isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    highest(...roles) {
+        return roles.reduce((best, role) => (this.rank(role) > this.rank(best) ? role : best), 'user');
+    }
+
+    getAssignments() {
+        const stored = stateStore.get('roles', {});
+        return {
+            global: { ...(stored.global || {}) },
+            threads: { ...(stored.threads || {}) }
+        };
+    }
+
+    getAdmins() {
+        return stateStore.getAdmins() || config.admins || [];
+    }
+
+    getGlobalRole(userID, admins = this.getAdmins()) {
+        const id = String(userID);
+        if (Array.isArray(admins) && admins.includes(id)) return 'admin';
+        return this.getAssignments().global[id] || 'user';
+    }
+
+    getThreadRole(userID, threadID) {
+        if (!threadID) return 'user';
+        const thread = this.getAssignments().threads[String(threadID)] || {};
+        return thread[String(userID)] || 'user';
+    }
+
+    // Highest of the global role and the role in this thread (owners excluded)
+    resolve(userID, threadID = null, admins = this.getAdmins()) {
+        return this.highest(this.getGlobalRole(userID, admins), this.getThreadRole(userID, threadID));
+    }
+
+    // role 'user' removes the assignment. Returns { success, before, after } or { success, error }
+    setRole(userID, role, threadID = null) {
+        const id = String(userID);
+        if (!ASSIGNABLE.includes(role)) {
+            return { success: false, error: `Role must be one of: ${ASSIGNABLE.join(', ')}` };
+        }
+
+        const assignments = this.getAssignments();
+
+        if (threadID) {
+            const key = String(threadID);
+            const thread = { ...(assignments.threads[key] || {}) };
+            const before = thread[id] || 'user';
+
+            if (role === 'user') delete thread[id];
+            else thread[id] = role;
+
+            if (Object.keys(thread).length === 0) delete assignments.threads[key];
+            else assignments.threads[key] = thread;
+
+            stateStore.set('roles', assignments);
+            return { success: true, before, after: role };
+        }
+
+        const admins = this.getAdmins();
+        const before = this.getGlobalRole(id, admins);
+
+        if (role === 'admin') stateStore.addAdmin(id, admins);
+        else stateStore.removeAdmin(id, admins);
+
+        if (role === 'moderator') assignments.global[id] = 'moderator';
+        else delete assignments.global[id];
+
+        stateStore.set('roles', assignments);
+        return { success: true, before, after: role };
+    }
+
+    // Everyone with a delegated role, for chat listings and the REST API
+    list(threadID = null) {
+        const assignments = this.getAssignments();
+        const global = {};
+
+        for (const id of this.getAdmins()) global[id] = 'admin';
+        Object.assign(global, assignments.global);
+
+        if (threadID) {
+            return { global, thread: assignments.threads[String(threadID)] || {} };
+        }
+        return { global, threads: assignments.threads };
+    }
+
+    // Per-command minimum role overrides set by owners
+    getCommandOverrides() {
+        return { ...stateStore.get('commandPermissions', {}) };
+    }
+
+    setCommandRole(commandName, role) {
+        const overrides = this.getCommandOverrides();
+        const before = overrides[commandName] || null;
+
+        if (role === null) delete overrides[commandName];
+        else overrides[commandName] = role;
+
+        stateStore.set('commandPermissions', overrides);
+        return { before, after: role };
+    }
+}
+
+module.exports = new RoleManager();
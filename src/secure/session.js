@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const validator = require('../utils/validator');
+const config = require('../../config/config.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The cookies Facebook needs to keep a session; expiry is judged on these
+const SESSION_COOKIES = ['c_user', 'xs'];
+
+const DEFAULTS = {
+    saveIntervalMinutes: 30,
+    keep: 5,
+    warnDays: 3
+};
+
+// Appstate lifecycle. appstate.json holds the current session; every state
+// the bot saves from a live login is also copied into appstate-history/, so
+// the last `keep` known-good states are always around to fall back to when
+// Facebook rejects the current one. While logged in the refreshed cookies
+// from api.getAppState() are written back every saveIntervalMinutes.
+class SessionManager {
+    constructor() {
+        this.appStatePath = path.join(__dirname, 'appstate.json');
+        this.historyDir = path.join(__dirname, 'appstate-history');
+        this.settings = { ...DEFAULTS, ...(config.session || {}) };
+
+        this.api = null;
+        this.saveInterval = null;
+        this.current = null;
+        this.lastSavedAt = null;
+        this.lastError = null;
+    }
+
+    // Earliest expiry of the session cookies in ms, or null if none say
+    getExpiry(appState) {
+        const times = appState
+            .filter(cookie => SESSION_COOKIES.includes(cookie.key))
+            .map(cookie => this.cookieExpiry(cookie))
+            .filter(time => time !== null);
+
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    // fca exports "expires" (date or "Infinity"), browser exports "expirationDate" in seconds
+    cookieExpiry(cookie) {
+        if (typeof cookie.expirationDate === 'number') return cookie.expirationDate * 1000;
+        if (cookie.expires && cookie.expires !== 'Infinity') {
+            const time = new Date(cookie.expires).getTime();
+            if (!Number.isNaN(time)) return time;
+        }
+        if (cookie.maxAge && cookie.maxAge !== 'Infinity' && cookie.creation) {
+            return new Date(cookie.creation).getTime() + Number(cookie.maxAge) * 1000;
+        }
+        return null;
+    }
+
+    // Structure check from the validator, plus the session cookies and their expiry
+    async validate(filePath) {
+        const result = await validator.isValidAppState(filePath);
+        if (!result.valid) return result;
+
+        const appState = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const keys = appState.map(cookie => cookie.key);
+        const missing = SESSION_COOKIES.filter(key => !keys.includes(key));
+        if (missing.length > 0) {
+            return { valid: false, error: `Missing session cookies: ${missing.join(', ')}` };
+        }
+
+        const expiresAt = this.getExpiry(appState);
+        if (expiresAt !== null && expiresAt <= Date.now()) {
+            return { valid: false, error: `Session expired on ${new Date(expiresAt).toISOString()}`, expiresAt };
+        }
+
+        return {
+            valid: true,
+            count: result.count,
+            userID: appState.find(cookie => cookie.key === 'c_user').value,
+            expiresAt,
+            appState
+        };
+    }
+
+    // Saved history, newest first
+    listHistory() {
+        if (!fs.existsSync(this.historyDir)) return [];
+
+        return fs.readdirSync(this.historyDir)
+            .filter(name => /^appstate-\d+\.json$/.test(name))
+            .sort((a, b) => Number(b.match(/\d+/)[0]) - Number(a.match(/\d+/)[0]))
+            .map(name => path.join(this.historyDir, name));
+    }
+
+    // Every usable appstate to try, current file first, duplicates skipped
+    async candidates() {
+        const found = [];
+        const seen = new Set();
+
+        for (const file of [this.appStatePath, ...this.listHistory()]) {
+            if (!fs.existsSync(file)) continue;
+
+            const result = await this.validate(file);
+            if (!result.valid) {
+                logger.warn('Skipping unusable appstate', { file: path.basename(file), error: result.error });
+                continue;
+            }
+
+            const hash = this.hash(result.appState);
+            if (seen.has(hash)) continue;
+            seen.add(hash);
+
+            found.push({
+                file,
+                source: file === this.appStatePath ? 'current' : 'history',
+                savedAt: fs.statSync(file).mtimeMs,
+                userID: result.userID,
+                expiresAt: result.expiresAt,
+                appState: result.appState
+            });
+        }
+
+        return found;
+    }
+
+    hash(appState) {
+        return crypto.createHash('sha256').update(JSON.stringify(appState)).digest('hex');
+    }
+
+    // Called once a login with `candidate` succeeded
+    start(api, candidate) {
+        this.stop({ save: false });
+        this.api = api;
+        this.current = {
+            source: candidate.source,
+            file: path.basename(candidate.file),
+            userID: candidate.userID,
+            loggedInAt: Date.now(),
+            expiresAt: candidate.expiresAt
+        };
+
+        if (candidate.source !== 'current') {
+            logger.warn('Logged in with an older appstate', { file: this.current.file });
+        }
+
+        this.save('login');
+        this.saveInterval = setInterval(() => this.save('refresh'), this.settings.saveIntervalMinutes * 60 * 1000);
+    }
+
+    // Keep the cookies of the last connection unless told otherwise
+    stop({ save = true } = {}) {
+        if (this.saveInterval) {
+            clearInterval(this.saveInterval);
+            this.saveInterval = null;
+        }
+        if (save && this.api) this.save('stop');
+        this.api = null;
+    }
+
+    // Writes the live appstate to appstate.json and the history. Returns { success, error }
+    save(reason = 'manual') {
+        if (!this.api) return { success: false, error: 'Not logged in' };
+
+        try {
+            const appState = this.api.getAppState();
+            if (!Array.isArray(appState) || appState.length === 0) {
+                throw new Error('api.getAppState() returned no cookies');
+            }
+
+            const content = JSON.stringify(appState, null, 2);
+            const unchanged = fs.existsSync(this.appStatePath) &&
+                this.hash(JSON.parse(fs.readFileSync(this.appStatePath, 'utf8'))) === this.hash(appState);
+
+            if (!unchanged) {
+                this.writeSecure(this.appStatePath, content);
+            }
+
+            const latest = this.listHistory()[0];
+            if (!latest || this.hash(JSON.parse(fs.readFileSync(latest, 'utf8'))) !== this.hash(appState)) {
+                fs.mkdirSync(this.historyDir, { recursive: true, mode: 0o700 });
+                this.writeSecure(path.join(this.historyDir, `appstate-${Date.now()}.json`), content);
+                this.prune();
+            }
+
+            this.current.expiresAt = this.getExpiry(appState);
+            this.lastSavedAt = Date.now();
+            this.lastError = null;
+
+            logger.debug('Appstate saved', { reason, cookies: appState.length, changed: !unchanged });
+            return { success: true };
+        } catch (error) {
+            this.lastError = error.message;
+            logger.error('Failed to save appstate:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    prune() {
+        for (const file of this.listHistory().slice(Math.max(1, this.settings.keep))) {
+            fs.unlinkSync(file);
+        }
+    }
+
+    // Write to a temp file and rename, so a crash never leaves half a session
+    writeSecure(filePath, content) {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, content, { encoding: 'utf8', mode: 0o600 });
+        fs.chmodSync(tmpPath, 0o600);
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    getStatus() {
+        const expiresAt = this.current ? this.current.expiresAt : null;
+        return {
+            loggedIn: Boolean(this.api),
+            ...(this.current || {}),
+            daysLeft: expiresAt ? Math.floor((expiresAt - Date.now()) / DAY) : null,
+            lastSavedAt: this.lastSavedAt,
+            lastError: this.lastError,
+            history: this.listHistory().length
+        };
+    }
+
+    // Health monitor check: expiry close, or saving keeps failing
+    getWarnings() {
+        const status = this.getStatus();
+        const warnings = [];
+        if (!status.loggedIn) return warnings;
+
+        if (status.daysLeft !== null && status.daysLeft < this.settings.warnDays) {
+            warnings.push(
+                `Messenger session expires ${status.daysLeft <= 0 ? 'today' : `in ${status.daysLeft} day(s)`} ` +
+                `(${new Date(status.expiresAt).toLocaleString()}). Run npm run login to refresh it.`
+            );
+        }
+
+        if (status.lastError) {
+            warnings.push(`Could not save the Messenger session: ${status.lastError}`);
+        }
+
+        return warnings;
+    }
+
+    describe() {
+        const status = this.getStatus();
+        if (!status.loggedIn) return '🔑 Session: not logged in';
+
+        return `🔑 Session: ${status.source === 'current' ? 'current appstate' : `fallback (${status.file})`}\n` +
+            `⌛ Expires: ${status.expiresAt ? `${new Date(status.expiresAt).toLocaleString()} (${status.daysLeft}d)` : 'unknown'}\n` +
+            `💾 Saved: ${status.lastSavedAt ? new Date(status.lastSavedAt).toLocaleString() : 'never'}, ${status.history} kept`;
+    }
+}
+
+module.exports = new SessionManager();
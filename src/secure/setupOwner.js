@@ -1,19 +1,17 @@
-const fs = require('fs');
-const path = require('path');
-const { hashUid } = require('./verifyOwner');
+const ownerVerifier = require('./verifyOwner');
 
-const ownerUid = process.argv[2] || "61578706761898";
-const hash = hashUid(ownerUid);
+// Rebuild owner.lock for the primary owner plus any co-owners given:
+//   node src/secure/setupOwner.js [coOwnerUid ...]
+const coOwners = process.argv.slice(2);
 
-const lockData = {
-  ownerHash: hash,
-  ownerUid: ownerUid,
-  lockedAt: new Date().toISOString()
-};
+if (coOwners.some(uid => !/^\d{5,20}$/.test(uid))) {
+  console.error('❌ Owner IDs must be numeric.');
+  process.exit(1);
+}
 
-fs.writeFileSync(
-  path.join(__dirname, 'owner.lock'),
-  JSON.stringify(lockData, null, 2)
-);
+if (!ownerVerifier.createOwnerLock([ownerVerifier.ownerUID, ...coOwners])) {
+  console.error('❌ Could not write the owner lock.');
+  process.exit(1);
+}
 
-console.log('✅ Owner locked successfully.');
\ No newline at end of file
+console.log(`✅ Owner locked successfully (${ownerVerifier.getOwners().length} owner(s)).`);
@@ -2,45 +2,137 @@ const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('../utils/logger');
+const config = require('../../config/config.json');
 
+const LOCK_VERSION = 3;
+const CIPHER = 'aes-256-gcm';
+const KEY_ENV = 'OWNER_LOCK_KEY';
+const KEYFILE_ENV = 'OWNER_LOCK_KEYFILE';
+const MIN_KEY_LENGTH = 32;
+
+// The owner set lives in owner.lock, encrypted with the owner key and signed
+// with an HMAC over the primary owner and every co-owner. A lock that was
+// edited, or can't be decrypted with the current key, leaves only
+// config.ownerUID trusted.
+//
+// The key comes from OWNER_LOCK_KEY, else from a keyfile (OWNER_LOCK_KEYFILE
+// or src/secure/owner.key, chmod 600), else it is derived from the machine
+// ID like older installs did. Version 3 locks are JSON envelopes naming the
+// key ID that encrypted them; version 1 and 2 locks (hex, machine key) are
+// read once and upgraded.
 class OwnerVerifier {
     constructor() {
-        this.ownerUID = "61578706761898";
-        this.secretKey = this.generateSecretKey();
+        this.configOwnerUID = String(config.ownerUID);
+        this.ownerUID = this.configOwnerUID;
         this.ownerLockFile = path.join(__dirname, 'owner.lock');
+        this.keyFile = process.env[KEYFILE_ENV] || path.join(__dirname, 'owner.key');
+        this.loadKey();
+        this.cache = { mtimeMs: null, owners: [this.ownerUID], primary: this.ownerUID, valid: false };
         this.init();
     }
 
     init() {
-        // Create owner.lock file if it doesn't exist
+        // Create owner.lock if it doesn't exist, replace a plain-JSON
+        // placeholder (see owner.lock.example) and upgrade older formats.
+        // owner.lock is never tracked, so this leaves the checkout clean
         if (!fs.existsSync(this.ownerLockFile)) {
             this.createOwnerLock();
+            return;
+        }
+
+        const content = fs.readFileSync(this.ownerLockFile, 'utf8').trim();
+        const envelope = this.parseEnvelope(content);
+        if (content.startsWith('{') && !envelope) {
+            logger.warn('Owner lock is an unencrypted placeholder, recreating it for the primary owner');
+            this.createOwnerLock();
+            return;
+        }
+
+        const lock = this.readLock();
+        if (lock.valid && lock.legacy) {
+            this.createOwnerLock(lock.owners, lock.primary);
+            logger.info(`Owner lock upgraded to version ${LOCK_VERSION} (key ${this.keyId}, ${this.keySource})`);
+        }
+        this.getOwners();
+    }
+
+    // Picks the key source once at startup; see the class comment for the order
+    loadKey() {
+        const fromEnv = process.env[KEY_ENV];
+        if (fromEnv && fromEnv.length >= MIN_KEY_LENGTH) {
+            return this.useKey(fromEnv, 'env');
+        }
+        if (fromEnv) {
+            logger.error(`${KEY_ENV} is shorter than ${MIN_KEY_LENGTH} characters, ignoring it`);
+        }
+
+        const fromFile = this.readKeyFile();
+        if (fromFile) {
+            return this.useKey(fromFile, 'file');
+        }
+
+        return this.useKey(this.generateSecretKey(), 'machine');
+    }
+
+    useKey(secret, source) {
+        this.secretKey = secret;
+        this.keySource = source;
+        this.keyId = this.getKeyId(secret);
+    }
+
+    // Refuses keyfiles other users could read
+    readKeyFile() {
+        try {
+            if (!fs.existsSync(this.keyFile)) return null;
+
+            const { mode } = fs.statSync(this.keyFile);
+            if (process.platform !== 'win32' && (mode & 0o077) !== 0) {
+                logger.error(`Owner key file ${this.keyFile} is readable by other users, run: chmod 600 ${this.keyFile}`);
+                return null;
+            }
+
+            const secret = fs.readFileSync(this.keyFile, 'utf8').trim();
+            if (secret.length < MIN_KEY_LENGTH) {
+                logger.error(`Owner key file ${this.keyFile} holds fewer than ${MIN_KEY_LENGTH} characters, ignoring it`);
+                return null;
+            }
+            return secret;
+        } catch (error) {
+            logger.error('Failed to read owner key file:', error.message);
+            return null;
         }
     }
 
     generateSecretKey() {
-        // Generate a unique secret key for this bot instance
+        // Machine-bound key used by older installs and as the last fallback
         const machineId = require('node-machine-id').machineIdSync();
         const salt = 'YOUR_CRUSH_BOT_SECURE_SYSTEM';
         return crypto
             .createHash('sha256')
-            .update(machineId + salt + this.ownerUID)
+            .update(machineId + salt + this.configOwnerUID)
             .digest('hex');
     }
 
-    createOwnerLock() {
+    // Safe to show and store next to the lock; says which key encrypted it
+    getKeyId(secret) {
+        return crypto.createHash('sha256').update(`owner-lock-key:${secret}`).digest('hex').substring(0, 16);
+    }
+
+    // The primary owner is always part of the set, first
+    createOwnerLock(owners = [this.ownerUID], primary = this.ownerUID, secret = this.secretKey) {
         try {
+            const ownerSet = this.normalizeOwners(owners, primary);
             const lockData = {
-                ownerUID: this.ownerUID,
-                secretKey: this.secretKey,
+                version: LOCK_VERSION,
+                ownerUID: String(primary),
+                owners: ownerSet,
                 createdAt: new Date().toISOString(),
-                hash: this.hashOwnerUID(this.ownerUID)
+                hash: this.hashOwners(ownerSet, primary, secret)
             };
 
-            // Double encryption for owner lock
-            const encryptedData = this.encryptData(JSON.stringify(lockData));
-            fs.writeFileSync(this.ownerLockFile, encryptedData, 'utf8');
-            
+            this.writeSecure(this.ownerLockFile, this.encryptData(JSON.stringify(lockData), secret));
+            this.cache.mtimeMs = null;
+
             logger.success('Owner lock file created successfully');
             return true;
         } catch (error) {
@@ -49,90 +141,268 @@ class OwnerVerifier {
         }
     }
 
-    hashOwnerUID(uid) {
+    // Write to a temp file and rename, so a crash never leaves half a lock
+    writeSecure(filePath, content) {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, content, { encoding: 'utf8', mode: 0o600 });
+        fs.chmodSync(tmpPath, 0o600);
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    hashOwnerUID(uid, secret = this.secretKey) {
         // Create a secure hash of the owner UID
         return crypto
-            .createHmac('sha256', this.secretKey)
+            .createHmac('sha256', secret)
             .update(uid)
             .digest('hex');
     }
 
-    encryptData(data) {
-        const cipher = crypto.createCipher('aes-256-cbc', this.secretKey);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return encrypted;
+    normalizeOwners(owners, primary = this.ownerUID) {
+        return [...new Set([String(primary), ...owners.map(String)])];
+    }
+
+    // Sorted, so the same set always gives the same hash; version 3 also
+    // covers which of them is the primary owner
+    hashOwners(owners, primary = this.ownerUID, secret = this.secretKey) {
+        return this.hashOwnerUID(`${primary}|${[...owners].sort().join(',')}`, secret);
     }
 
-    decryptData(encryptedData) {
+    deriveKey(secret) {
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    encryptData(data, secret = this.secretKey) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, this.deriveKey(secret), iv);
+        const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+        return JSON.stringify({
+            version: LOCK_VERSION,
+            keyId: this.getKeyId(secret),
+            cipher: CIPHER,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            data: encrypted.toString('hex')
+        }, null, 2);
+    }
+
+    parseEnvelope(content) {
         try {
-            const decipher = crypto.createDecipher('aes-256-cbc', this.secretKey);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+            const envelope = JSON.parse(content);
+            return envelope && envelope.cipher && envelope.data ? envelope : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // { lockData, legacy } or null
+    decryptData(content, secret = this.secretKey) {
+        const envelope = this.parseEnvelope(content.trim());
+
+        try {
+            if (envelope) {
+                if (envelope.keyId !== this.getKeyId(secret)) {
+                    logger.error(`Owner lock was encrypted with key ${envelope.keyId}, the current key is ${this.getKeyId(secret)}`);
+                    return null;
+                }
+
+                const decipher = crypto.createDecipheriv(envelope.cipher, this.deriveKey(secret), Buffer.from(envelope.iv, 'hex'));
+                decipher.setAuthTag(Buffer.from(envelope.tag, 'hex'));
+                const decrypted = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'hex')), decipher.final()]);
+                return { lockData: JSON.parse(decrypted.toString('utf8')), legacy: false };
+            }
+
+            // Versions 1 and 2: hex from createCipher with the machine key
+            if (typeof crypto.createDecipher !== 'function') {
+                logger.error('Owner lock uses the old format, which this Node.js version cannot read');
+                return null;
+            }
+            const decipher = crypto.createDecipher('aes-256-cbc', this.generateSecretKey());
+            let decrypted = decipher.update(content.trim(), 'hex', 'utf8');
             decrypted += decipher.final('utf8');
-            return JSON.parse(decrypted);
+            return { lockData: JSON.parse(decrypted), legacy: true };
         } catch (error) {
-            logger.error('Failed to decrypt owner lock:', error);
+            logger.error('Failed to decrypt owner lock:', error.message);
             return null;
         }
     }
 
-    verifyOwner(userID) {
-        // Direct comparison with owner UID
-        if (userID === this.ownerUID) {
-            return {
-                isOwner: true,
-                verified: true,
-                uid: userID,
-                message: 'Owner verified successfully'
-            };
+    // { valid, owners, primary, lockData, legacy, keyId }
+    readLock(secret = this.secretKey) {
+        const fallback = { valid: false, owners: [this.configOwnerUID], primary: this.configOwnerUID, lockData: null, legacy: false };
+        if (!fs.existsSync(this.ownerLockFile)) return fallback;
+
+        const content = fs.readFileSync(this.ownerLockFile, 'utf8');
+        const envelope = this.parseEnvelope(content.trim());
+        const decrypted = this.decryptData(content, secret);
+        if (!decrypted) return { ...fallback, keyId: envelope ? envelope.keyId : null };
+
+        const { lockData, legacy } = decrypted;
+        const owners = Array.isArray(lockData.owners) ? lockData.owners : [lockData.ownerUID];
+        let expected;
+
+        if (legacy) {
+            // Older locks were always for config.ownerUID
+            const machineKey = this.generateSecretKey();
+            if (lockData.ownerUID !== this.configOwnerUID) return { ...fallback, lockData, legacy };
+            expected = lockData.version >= 2
+                ? this.hashOwnerUID([...owners].sort().join(','), machineKey)
+                : this.hashOwnerUID(this.configOwnerUID, machineKey);
+        } else {
+            expected = this.hashOwners(owners, lockData.ownerUID, secret);
+        }
+
+        if (lockData.hash !== expected) {
+            return { ...fallback, lockData, legacy };
         }
 
-        // Check owner.lock file
+        const primary = String(lockData.ownerUID);
+        return {
+            valid: true,
+            owners: this.normalizeOwners(owners, primary),
+            primary,
+            lockData,
+            legacy,
+            keyId: envelope ? envelope.keyId : null
+        };
+    }
+
+    // Decrypted again only when the lock file changes on disk
+    getOwners() {
         try {
-            if (!fs.existsSync(this.ownerLockFile)) {
-                logger.warn('Owner lock file not found, creating new one');
-                this.createOwnerLock();
-                return {
-                    isOwner: false,
-                    verified: false,
-                    message: 'Owner lock file recreated'
-                };
+            const { mtimeMs } = fs.statSync(this.ownerLockFile);
+            if (mtimeMs !== this.cache.mtimeMs) {
+                const lock = this.readLock();
+                if (!lock.valid) logger.warn('Owner lock file tampered or corrupted, trusting the primary owner only');
+                this.cache = { mtimeMs, owners: lock.owners, primary: lock.primary, valid: lock.valid };
             }
+        } catch (error) {
+            this.cache = { mtimeMs: null, owners: [this.configOwnerUID], primary: this.configOwnerUID, valid: false };
+        }
+
+        this.ownerUID = this.cache.primary;
+        return [...this.cache.owners];
+    }
+
+    getPrimaryOwner() {
+        this.getOwners();
+        return this.ownerUID;
+    }
+
+    // Callers check the actor is an owner; these only guard the set itself
+    addOwner(uid) {
+        const id = String(uid);
+        if (!/^\d{5,20}$/.test(id)) return { success: false, error: 'Invalid user ID' };
+
+        const owners = this.getOwners();
+        if (!this.cache.valid) return { success: false, error: 'Owner lock failed verification, reset it first' };
+        if (owners.includes(id)) return { success: false, error: 'User is already an owner' };
 
-            const encryptedData = fs.readFileSync(this.ownerLockFile, 'utf8');
-            const lockData = this.decryptData(encryptedData);
+        if (!this.createOwnerLock([...owners, id])) return { success: false, error: 'Failed to write owner lock' };
+        logger.info(`Co-owner added: ${id}`);
+        return { success: true, before: owners, owners: this.getOwners() };
+    }
+
+    removeOwner(uid) {
+        const id = String(uid);
+        if (id === this.getPrimaryOwner()) return { success: false, error: 'The primary owner cannot be removed' };
+
+        const owners = this.getOwners();
+        if (!this.cache.valid) return { success: false, error: 'Owner lock failed verification, reset it first' };
+        if (!owners.includes(id)) return { success: false, error: 'User is not an owner' };
+
+        if (!this.createOwnerLock(owners.filter(owner => owner !== id))) return { success: false, error: 'Failed to write owner lock' };
+        logger.info(`Co-owner removed: ${id}`);
+        return { success: true, before: owners, owners: this.getOwners() };
+    }
+
+    // Hands the primary role to newUID. Both sides confirm first (see the
+    // owner command); keepPrevious leaves the old primary as a co-owner.
+    transferOwnership(newUID, { keepPrevious = false } = {}) {
+        const id = String(newUID);
+        if (!/^\d{5,20}$/.test(id)) return { success: false, error: 'Invalid user ID' };
+
+        const owners = this.getOwners();
+        const previous = this.ownerUID;
+        if (!this.cache.valid) return { success: false, error: 'Owner lock failed verification, reset it first' };
+        if (id === previous) return { success: false, error: 'User is already the primary owner' };
+
+        const next = owners.filter(owner => keepPrevious || owner !== previous);
+        if (!this.createOwnerLock([id, ...next], id)) return { success: false, error: 'Failed to write owner lock' };
 
-            if (!lockData) {
-                return {
-                    isOwner: false,
-                    verified: false,
-                    message: 'Failed to decrypt owner lock'
-                };
+        logger.warn(`Primary owner transferred: ${previous} -> ${id}`);
+        return { success: true, before: { primary: previous, owners }, after: { primary: this.getPrimaryOwner(), owners: this.getOwners() } };
+    }
+
+    // Re-encrypts the lock under a new random key. A keyfile is replaced in
+    // place (old key and lock kept as .bak); with OWNER_LOCK_KEY the new key
+    // is returned and has to be put in the environment before the next start.
+    rotateKey() {
+        const lock = this.readLock();
+        if (!lock.valid) {
+            return { success: false, error: 'Owner lock failed verification with the current key, fix or reset it before rotating' };
+        }
+
+        const previousKeyId = this.keyId;
+        const secret = crypto.randomBytes(32).toString('hex');
+        const source = this.keySource === 'env' ? 'env' : 'file';
+
+        try {
+            fs.copyFileSync(this.ownerLockFile, `${this.ownerLockFile}.${previousKeyId}.bak`);
+            fs.chmodSync(`${this.ownerLockFile}.${previousKeyId}.bak`, 0o600);
+            if (source === 'file' && fs.existsSync(this.keyFile)) {
+                fs.copyFileSync(this.keyFile, `${this.keyFile}.${previousKeyId}.bak`);
+                fs.chmodSync(`${this.keyFile}.${previousKeyId}.bak`, 0o600);
             }
 
-            // Verify hash
-            const currentHash = this.hashOwnerUID(this.ownerUID);
-            if (lockData.hash === currentHash && lockData.ownerUID === this.ownerUID) {
-                return {
-                    isOwner: userID === this.ownerUID,
-                    verified: userID === this.ownerUID,
-                    uid: userID,
-                    storedUID: lockData.ownerUID,
-                    createdAt: lockData.createdAt,
-                    message: userID === this.ownerUID ? 'Owner verified' : 'Not the owner'
-                };
-            } else {
-                logger.warn('Owner lock file tampered or corrupted');
-                return {
-                    isOwner: false,
-                    verified: false,
-                    message: 'Owner lock verification failed'
-                };
+            if (source === 'file') this.writeSecure(this.keyFile, `${secret}\n`);
+            if (!this.createOwnerLock(lock.owners, lock.primary, secret)) {
+                throw new Error('Failed to write owner lock');
             }
+        } catch (error) {
+            logger.error('Owner key rotation failed:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        this.useKey(secret, source);
+        this.cache.mtimeMs = null;
+        logger.warn(`Owner key rotated: ${previousKeyId} -> ${this.keyId} (${source})`);
+
+        return {
+            success: true,
+            previousKeyId,
+            keyId: this.keyId,
+            source,
+            keyFile: source === 'file' ? this.keyFile : null,
+            // Only handed back when it can't be stored for the operator
+            secret: source === 'env' ? secret : null
+        };
+    }
+
+    verifyOwner(userID) {
+        const uid = userID === undefined || userID === null ? '' : String(userID);
+
+        // Co-owners and a transferred primary only count while the lock verifies
+        try {
+            if (!fs.existsSync(this.ownerLockFile)) {
+                logger.warn('Owner lock file not found, creating new one');
+                this.createOwnerLock([this.configOwnerUID], this.configOwnerUID);
+            }
+
+            const owners = this.getOwners();
+            const isOwner = owners.includes(uid);
+            const primary = uid === this.ownerUID;
+            return {
+                isOwner,
+                verified: isOwner,
+                primary,
+                uid,
+                message: primary ? 'Owner verified successfully' : isOwner ? 'Co-owner verified' : 'Not an owner'
+            };
         } catch (error) {
             logger.error('Owner verification error:', error);
             return {
-                isOwner: false,
+                isOwner: uid === this.configOwnerUID,
                 verified: false,
                 message: `Verification error: ${error.message}`
             };
@@ -144,34 +414,25 @@ class OwnerVerifier {
         return result.isOwner;
     }
 
-    updateOwnerUID(newUID) {
-        // Only current owner can update owner UID
-        if (this.verifyOwner(newUID).isOwner) {
-            this.ownerUID = newUID;
-            this.createOwnerLock(); // Recreate lock with new UID
-            logger.info(`Owner UID updated to: ${newUID}`);
-            return true;
-        }
-        return false;
+    isPrimaryOwner(userID) {
+        return String(userID) === this.getPrimaryOwner();
     }
 
     getOwnerInfo() {
         try {
-            if (!fs.existsSync(this.ownerLockFile)) {
-                return null;
-            }
-
-            const encryptedData = fs.readFileSync(this.ownerLockFile, 'utf8');
-            const lockData = this.decryptData(encryptedData);
-
-            if (!lockData) {
+            const lock = this.readLock();
+            if (!lock.lockData) {
                 return null;
             }
 
             return {
-                uid: lockData.ownerUID,
-                createdAt: lockData.createdAt,
-                hash: lockData.hash.substring(0, 16) + '...' // Show partial hash
+                uid: lock.lockData.ownerUID,
+                owners: lock.lockData.owners || [lock.lockData.ownerUID],
+                version: lock.lockData.version || 1,
+                keyId: lock.keyId,
+                keySource: this.keySource,
+                createdAt: lock.lockData.createdAt,
+                hash: lock.lockData.hash.substring(0, 16) + '...' // Show partial hash
             };
         } catch (error) {
             logger.error('Failed to get owner info:', error);
@@ -189,28 +450,27 @@ class OwnerVerifier {
 
         try {
             if (checks.lockFileExists) {
-                const encryptedData = fs.readFileSync(this.ownerLockFile, 'utf8');
-                const lockData = this.decryptData(encryptedData);
-                
-                if (lockData) {
+                const lock = this.readLock();
+
+                if (lock.lockData) {
                     checks.canDecrypt = true;
-                    
-                    // Verify hash
-                    const currentHash = this.hashOwnerUID(this.ownerUID);
-                    checks.hashValid = lockData.hash === currentHash;
-                    
+
+                    // Hash over the primary and the whole owner set
+                    checks.hashValid = lock.valid;
+
                     // Verify owner UID
-                    checks.ownerUIDValid = lockData.ownerUID === this.ownerUID;
+                    checks.ownerUIDValid = lock.valid && /^\d{5,20}$/.test(lock.primary);
                 }
             }
 
             const allValid = Object.values(checks).every(check => check === true);
-            
+
             return {
                 valid: allValid,
                 checks: checks,
-                message: allValid ? 
-                    'Owner system is secure and valid' : 
+                keySource: this.keySource,
+                message: allValid ?
+                    'Owner system is secure and valid' :
                     'Owner system validation failed'
             };
         } catch (error) {
@@ -231,9 +491,10 @@ class OwnerVerifier {
                 logger.warn(`Owner lock backed up to: ${backupPath}`);
             }
 
-            this.createOwnerLock();
+            // Back to config.ownerUID alone; co-owners have to be added again
+            this.createOwnerLock([this.configOwnerUID], this.configOwnerUID);
             logger.warn('Owner system emergency reset performed');
-            
+
             return {
                 success: true,
                 message: 'Owner system reset successfully',
@@ -259,14 +520,17 @@ class OwnerVerifier {
                 lockFile: this.ownerLockFile
             },
             owner: {
-                uid: this.ownerUID,
+                uid: this.getPrimaryOwner(),
+                owners: this.getOwners(),
                 storedInfo: ownerInfo,
+                keyId: this.keyId,
+                keySource: this.keySource,
                 hashAlgorithm: 'SHA256-HMAC',
-                encryption: 'AES-256-CBC'
+                encryption: 'AES-256-GCM'
             },
             timestamp: new Date().toISOString()
         };
     }
 }
 
-module.exports = new OwnerVerifier();
\ No newline at end of file
+module.exports = new OwnerVerifier();
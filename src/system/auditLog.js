@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['chat', 'rest', 'websocket', 'webhook', 'system'];
+const GENESIS = '0'.repeat(64);
+const MAX_LIMIT = 1000;
+const CSV_COLUMNS = ['seq', 'timestamp', 'actor', 'channel', 'action', 'target', 'result', 'before', 'after', 'details', 'prevHash', 'hash'];
+
+// Append-only record of privileged actions in data/audit/audit.jsonl. Each
+// entry carries the hash of the one before it, so editing or deleting a
+// line breaks the chain from that point on and verify() reports where.
+class AuditLog {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/audit/audit.jsonl');
+    this.seq = 0;
+    this.lastHash = GENESIS;
+    this.loaded = false;
+  }
+
+  // Continue the chain from the last readable entry
+  load() {
+    this.loaded = true;
+
+    const entries = this.readAll();
+    if (entries.length === 0) return;
+
+    const last = entries[entries.length - 1];
+    this.seq = last.seq;
+    this.lastHash = last.hash;
+  }
+
+  hash(prevHash, entry) {
+    return crypto.createHash('sha256').update(`${prevHash}\n${JSON.stringify(entry)}`).digest('hex');
+  }
+
+  // Who did it and through what, from a command event; commands forwarded
+  // by the WebSocket server or an inbound webhook set event.channel
+  fromEvent(event = {}) {
+    return {
+      actor: String(event.senderID || 'unknown'),
+      channel: CHANNELS.includes(event.channel) ? event.channel : 'chat'
+    };
+  }
+
+  // { actor, channel, action, target, before, after, result, details }
+  record({ actor, channel = 'system', action, target = null, before = null, after = null, result = 'success', details = null }) {
+    if (!this.loaded) this.load();
+
+    const entry = {
+      seq: this.seq + 1,
+      timestamp: new Date().toISOString(),
+      actor: String(actor || 'system'),
+      channel: CHANNELS.includes(channel) ? channel : 'system',
+      action,
+      target: target === null ? null : String(target),
+      before,
+      after,
+      result,
+      details,
+      prevHash: this.lastHash
+    };
+    entry.hash = this.hash(entry.prevHash, entry);
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error('Failed to write audit entry:', { action, error: error.message });
+      return null;
+    }
+
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  // Oldest first; with keepCorrupt, unparseable lines come back as { corrupt: line }
+  readAll({ keepCorrupt = false } = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (keepCorrupt) entries.push({ corrupt: line });
+      }
+    }
+    return entries;
+  }
+
+  // Filters: actor, channel, action (exact or "admin." style prefix),
+  // target, result, since/until (ISO). Newest first.
+  query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_LIMIT);
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    const matches = this.readAll().filter(entry => {
+      if (filters.actor && entry.actor !== String(filters.actor)) return false;
+      if (filters.channel && entry.channel !== filters.channel) return false;
+      if (filters.target && entry.target !== String(filters.target)) return false;
+      if (filters.result && entry.result !== filters.result) return false;
+      if (filters.action) {
+        const action = String(filters.action);
+        if (action.endsWith('.') ? !entry.action.startsWith(action) : entry.action !== action) return false;
+      }
+
+      const time = new Date(entry.timestamp).getTime();
+      if (since && time < since) return false;
+      if (until && time > until) return false;
+      return true;
+    });
+
+    return {
+      total: matches.length,
+      entries: matches.slice(-limit).reverse()
+    };
+  }
+
+  // Walks the whole chain; brokenAt is the first seq (or line) that fails
+  verify() {
+    let prevHash = GENESIS;
+    let expectedSeq = 1;
+    const entries = this.readAll({ keepCorrupt: true });
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.corrupt) {
+        return { valid: false, entries: entries.length, brokenAt: { line: i + 1 }, reason: 'Unreadable entry' };
+      }
+
+      const { hash, ...rest } = entry;
+      if (entry.seq !== expectedSeq) {
+        return { valid: false, entries: entries.length, brokenAt: { seq: entry.seq, line: i + 1 }, reason: `Expected seq ${expectedSeq}` };
+      }
+      if (entry.prevHash !== prevHash || this.hash(prevHash, rest) !== hash) {
+        return { valid: false, entries: entries.length, brokenAt: { seq: entry.seq, line: i + 1 }, reason: 'Hash mismatch' };
+      }
+
+      prevHash = hash;
+      expectedSeq++;
+    }
+
+    return { valid: true, entries: entries.length, lastHash: prevHash };
+  }
+
+  toCsv(entries) {
+    const cell = (value) => {
+      let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Spreadsheets run cells starting with these as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [CSV_COLUMNS.join(',')]
+      .concat(entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(',')))
+      .join('\n') + '\n';
+  }
+}
+
+module.exports = new AuditLog();
@@ -9,7 +9,7 @@ class HealthMonitor {
       startTime: Date.now(),
       messagesProcessed: 0,
       commandsExecuted: 0,
-      errors: 0,
+      errors: [],
       memoryUsage: [],
       cpuUsage: []
     };
@@ -20,6 +20,12 @@ class HealthMonitor {
       errors: 10   // 10 errors per minute
     };
     
+    // Extra checks registered by other modules: name -> () => [warnings]
+    this.checks = new Map();
+    this.alertHandler = null;
+    this.alertCooldown = 6 * 60 * 60 * 1000;
+    this.lastAlerts = new Map();
+    
     this.startMonitoring();
   }
   
@@ -100,6 +106,14 @@ class HealthMonitor {
       warnings.push(`High error rate: ${recentErrors.length} errors/minute`);
     }
     
+    for (const [name, check] of this.checks) {
+      try {
+        warnings.push(...check());
+      } catch (error) {
+        logger.error(`Health check "${name}" failed:`, error);
+      }
+    }
+    
     // Log warnings if any
     if (warnings.length > 0) {
       logger.warn('Health check warnings:', { warnings });
@@ -109,16 +123,29 @@ class HealthMonitor {
     }
   }
   
+  registerCheck(name, check) {
+    this.checks.set(name, check);
+  }
+  
+  // The bot supplies how to reach the owners once it has an API
+  setAlertHandler(handler) {
+    this.alertHandler = handler;
+  }
+  
   async sendHealthAlert(warnings) {
     try {
-      const config = require('../../config/config.json');
-      const ownerId = config.ownerUid;
+      // The same warning goes out once per cooldown, not every minute
+      const now = Date.now();
+      const fresh = warnings.filter(warning => now - (this.lastAlerts.get(warning) || 0) > this.alertCooldown);
+      if (fresh.length === 0) return;
       
-      if (!ownerId) return;
+      if (!this.alertHandler) {
+        logger.warn('Health alert (no owner channel):', { warnings: fresh });
+        return;
+      }
       
-      // Get API instance (this would need to be passed or accessed differently)
-      // For now, just log
-      logger.warn('Health alert (would send to owner):', { warnings });
+      fresh.forEach(warning => this.lastAlerts.set(warning, now));
+      await this.alertHandler(fresh);
       
     } catch (error) {
       logger.error('Error sending health alert:', error);
@@ -207,7 +234,7 @@ class HealthMonitor {
       },
       bot: {
         activeThreads: global.activeThreads || 0,
-        activeFuns: global.funIntervals ? Object.keys(global.funIntervals).length : 0,
+        activeFuns: require('../utils/funEngine').getActiveFuns().length,
         cacheStats: global.cacheManager ? global.cacheManager.getStats() : null
       }
     };
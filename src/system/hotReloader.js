@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const registry = require('../utils/commandRegistry');
+const funEngine = require('../utils/funEngine');
+
+// Watches src/commands/** and data/fun-json/*.json and swaps changed files
+// into the running bot without a restart.
+class HotReloader {
+  constructor() {
+    this.commandsDir = path.join(__dirname, '../commands');
+    this.funDir = path.join(__dirname, '../../data/fun-json');
+    this.watchers = [];
+    this.pending = new Map(); // file -> debounce timer
+    this.debounceMs = 300;
+    this.notify = null;
+    this.history = [];
+  }
+
+  // `notify` receives every reload entry, e.g. to forward it to WebSocket clients
+  start(notify = null) {
+    if (this.watchers.length > 0) this.stop();
+    this.notify = notify;
+
+    for (const dir of this.listDirectories(this.commandsDir)) {
+      this.watch(dir, (file) => file.endsWith('.js') && this.schedule(file, () => this.reloadCommand(file)));
+    }
+
+    this.watch(this.funDir, (file) => file.endsWith('.json') && this.schedule(file, () => this.reloadTemplate(file)));
+
+    logger.info(`Hot reload watching ${this.watchers.length} directories`);
+  }
+
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+  }
+
+  listDirectories(dir) {
+    let dirs = [dir];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        dirs = dirs.concat(this.listDirectories(path.join(dir, entry.name)));
+      }
+    }
+
+    return dirs;
+  }
+
+  watch(dir, onChange) {
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename) onChange(path.join(dir, filename.toString()));
+      });
+      watcher.on('error', (error) => logger.error(`Hot reload watcher error (${dir}):`, error.message));
+      this.watchers.push(watcher);
+    } catch (error) {
+      logger.error(`Cannot watch ${dir}:`, error.message);
+    }
+  }
+
+  // Editors fire several events per save; only act once the file settles
+  schedule(file, task) {
+    clearTimeout(this.pending.get(file));
+    this.pending.set(file, setTimeout(() => {
+      this.pending.delete(file);
+      task().catch(error => logger.error(`Hot reload failed for ${file}:`, error));
+    }, this.debounceMs));
+  }
+
+  async reloadCommand(file) {
+    const relative = path.relative(this.commandsDir, file);
+
+    if (!fs.existsSync(file)) {
+      const removed = registry.unloadFile(file);
+      return this.announce('info', `Command module removed: ${relative}`, { file: relative, commands: removed });
+    }
+
+    const result = registry.reloadFile(file);
+
+    if (!result.success) {
+      return this.announce('error', `Command module ${relative} failed to load, keeping previous version`, {
+        file: relative,
+        error: result.error
+      });
+    }
+
+    return this.announce('info', `Command module reloaded: ${relative}`, { file: relative, commands: result.commands });
+  }
+
+  async reloadTemplate(file) {
+    const funType = path.basename(file, '.json');
+
+    if (!fs.existsSync(file)) {
+      funEngine.removeTemplate(funType);
+      return this.announce('info', `Fun template removed: ${funType}`, { funType });
+    }
+
+    const result = await funEngine.reloadTemplate(funType);
+
+    if (!result.success) {
+      return this.announce('error', `Fun template ${funType} is invalid, keeping previous version`, {
+        funType,
+        error: result.error
+      });
+    }
+
+    return this.announce('info', `Fun template reloaded: ${funType} (${result.lineCount} lines)`, {
+      funType,
+      lineCount: result.lineCount
+    });
+  }
+
+  announce(level, message, details = {}) {
+    const entry = {
+      source: 'hot_reload',
+      level,
+      message,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    logger[level === 'error' ? 'error' : 'info'](message, details);
+
+    this.history.push(entry);
+    if (this.history.length > 50) this.history.shift();
+
+    if (this.notify) {
+      try {
+        this.notify(entry);
+      } catch (error) {
+        logger.error('Hot reload notify error:', error.message);
+      }
+    }
+
+    return entry;
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+}
+
+module.exports = new HotReloader();
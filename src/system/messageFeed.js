@@ -0,0 +1,155 @@
+const { Readable } = require('stream');
+const logger = require('../utils/logger');
+
+const MAX_BODY = 500;
+const MAX_HISTORY = 200;
+
+// Text that must never leave the bot in a message event: keys, tokens,
+// login codes, contact details and link paths (which often carry tokens)
+const REDACTIONS = [
+  [/\bubk_[a-f0-9]+_[a-f0-9]+\b/gi, '[key]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+  [/\b[A-Za-z0-9+/_-]{32,}={0,2}/g, '[secret]'],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[email]'],
+  [/\b(https?):\/\/([^\s/?#]+)[^\s]*/gi, (match, scheme, host) => `${scheme}://${host}/…`],
+  [/\+?\d[\d\s().-]{4,}\d/g, match => (match.replace(/\D/g, '').length >= 6 ? '[number]' : match)]
+];
+
+// Every message the bot sees or sends, as a redacted record: the body is
+// scrubbed and cut short, attachments are reduced to type and name. The
+// raw client's sendMessage is wrapped once after login so outgoing messages
+// from any command, loop or console are caught in one place. Listeners get
+// the unredacted body as a second argument, for local use only (the
+// message store); nothing that leaves the bot may include it.
+class MessageFeed {
+  constructor() {
+    this.listeners = [];
+    this.history = [];
+  }
+
+  on(listener) {
+    this.listeners.push(listener);
+  }
+
+  emit(record, rawBody = '') {
+    this.history.push(record);
+    if (this.history.length > MAX_HISTORY) this.history.shift();
+
+    for (const listener of this.listeners) {
+      try {
+        listener(record, rawBody);
+      } catch (error) {
+        logger.error('Message feed listener error:', error.message);
+      }
+    }
+  }
+
+  // Newest last; threadIds (a Set) limits it to those threads
+  getHistory(threadIds = null, limit = 50) {
+    return this.history
+      .filter(record => !threadIds || threadIds.has(record.threadId))
+      .slice(-limit);
+  }
+
+  redact(text) {
+    if (!text) return '';
+
+    let result = String(text);
+    for (const [pattern, replacement] of REDACTIONS) {
+      result = result.replace(pattern, replacement);
+    }
+
+    return result.length > MAX_BODY ? `${result.slice(0, MAX_BODY)}…` : result;
+  }
+
+  describeAttachments(attachments) {
+    return [].concat(attachments || []).map(attachment => ({
+      type: attachment.type || (attachment.path ? 'file' : 'unknown'),
+      name: attachment.filename || attachment.name || (attachment.path ? String(attachment.path).split('/').pop() : null)
+    }));
+  }
+
+  incoming(event) {
+    this.emit({
+      direction: 'in',
+      messageId: event.messageID || null,
+      threadId: String(event.threadID),
+      senderId: String(event.senderID),
+      body: this.redact(event.body),
+      attachments: this.describeAttachments(event.attachments),
+      replyTo: event.messageReply ? event.messageReply.messageID : null,
+      isGroup: Boolean(event.isGroup),
+      timestamp: new Date(Number(event.timestamp) || Date.now()).toISOString()
+    }, event.body || '');
+  }
+
+  outgoing(threadID, message, info, botID = null, replyTo = null) {
+    const content = typeof message === 'object' && message !== null ? message : { body: message };
+
+    // sendMessage accepts one thread ID or an array of user IDs
+    for (const threadId of [].concat(threadID)) {
+      this.emit({
+        direction: 'out',
+        messageId: info && info.messageID ? info.messageID : null,
+        threadId: String(threadId),
+        senderId: botID ? String(botID) : null,
+        body: this.redact(content.body),
+        attachments: this.describeAttachments(content.attachment),
+        replyTo: replyTo || null,
+        sticker: content.sticker || null,
+        timestamp: new Date().toISOString()
+      }, content.body ? String(content.body) : '');
+    }
+  }
+
+  // Idempotent; both entry points call it right after login
+  attach(api) {
+    if (!api || typeof api.sendMessage !== 'function' || api.sendMessage.messageFeed) return;
+
+    const original = api.sendMessage;
+    const botID = () => (typeof api.getCurrentUserID === 'function' ? api.getCurrentUserID() : null);
+
+    const wrapped = (message, threadID, callback, replyTo) => {
+      // Callers may pass the replied-to messageID in the callback slot
+      if (typeof callback === 'string') {
+        replyTo = callback;
+        callback = null;
+      }
+
+      const done = (err, info) => {
+        if (!err) this.outgoing(threadID, message, info, botID(), replyTo);
+        if (typeof callback === 'function') callback(err, info);
+      };
+
+      return original.call(api, message, threadID, done, replyTo);
+    };
+
+    wrapped.messageFeed = true;
+    api.sendMessage = wrapped;
+  }
+
+  // Send on behalf of a console user (WebSocket or REST). Files are
+  // { buffer, name } from a multipart upload. Resolves the message info.
+  send(api, threadId, { body = '', files = [], replyTo = null }, sentBy) {
+    const message = { body: String(body) };
+
+    if (files.length > 0) {
+      message.attachment = files.map(file => {
+        const stream = Readable.from(file.buffer);
+        stream.path = file.name; // the client reads the file name from here
+        return stream;
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      api.sendMessage(message, String(threadId), (err, info) => {
+        if (err) return reject(new Error(err.error || err.message || 'Send failed'));
+
+        logger.info('Console message sent', { threadId, sentBy, attachments: files.length });
+        resolve(info || {});
+      }, replyTo || undefined);
+    });
+  }
+}
+
+module.exports = new MessageFeed();
@@ -0,0 +1,439 @@
+const logger = require('../utils/logger');
+const rateLimiter = require('../utils/rateLimiter');
+const stateStore = require('../utils/stateStore');
+const guard = require('../secure/guard');
+const roles = require('../secure/roles');
+const auditLog = require('./auditLog');
+
+const ACTIONS = ['warn', 'delete', 'mute', 'remove'];
+const LINK_POLICIES = ['allow', 'block', 'allowlist'];
+const EXEMPT_ROLES = ['moderator', 'admin', 'owner'];
+const MAX_PATTERN_LENGTH = 100;
+const MAX_SCAN_LENGTH = 2000;
+const MAX_VIOLATIONS = 200;
+
+// Same rule broken again this soon repeats the action without a new strike,
+// so one burst of flood doesn't walk a user up the whole ladder at once
+const STRIKE_COOLDOWN_MS = 10000;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|me|ly|gg|xyz|info|co|link|app|site)\b(?:\/[^\s<>"']*)?/gi;
+
+// Per-thread message rules, kept in the "moderation" state section as
+// { threadID: overrides }. Each violation is a strike for that user in
+// that thread; the strike count picks the action from the thread's ladder
+// (warn → delete → mute → remove by default). Strikes live in memory and
+// reset after strikeResetMinutes without a violation.
+class Moderation {
+  constructor() {
+    this.schema = {
+      enabled: { type: 'boolean', description: 'Moderate messages in this thread' },
+      words: { type: 'list', description: 'Banned words or phrases' },
+      patterns: { type: 'patterns', description: 'Banned regular expressions' },
+      links: { type: 'enum', options: LINK_POLICIES, description: 'Links: allow, block, or allowlist only' },
+      allowedDomains: { type: 'list', description: 'Domains allowed when links is allowlist' },
+      floodMessages: { type: 'number', min: 0, max: 100, description: 'Messages per window before flood (0 = off)' },
+      floodSeconds: { type: 'number', min: 1, max: 600, description: 'Flood window in seconds' },
+      repeatCount: { type: 'number', min: 0, max: 50, description: 'Identical messages before spam (0 = off)' },
+      repeatSeconds: { type: 'number', min: 1, max: 3600, description: 'Repeat window in seconds' },
+      actions: { type: 'actions', description: `Escalation ladder: ${ACTIONS.join(', ')}` },
+      muteMinutes: { type: 'number', min: 1, max: 10080, description: 'Length of a mute' },
+      strikeResetMinutes: { type: 'number', min: 1, max: 10080, description: 'Forget strikes after this long' },
+      exemptRole: { type: 'enum', options: EXEMPT_ROLES, description: 'This role and above are never moderated' }
+    };
+
+    this.strikes = new Map(); // `${threadID}:${userID}` -> { count, lastAt, lastRule }
+    this.recent = new Map(); // `${threadID}:${userID}` -> [{ text, at }]
+    this.compiled = new Map(); // threadID -> { key, words, patterns }
+    this.violations = [];
+  }
+
+  getDefaults() {
+    return {
+      enabled: false,
+      words: [],
+      patterns: [],
+      links: 'allow',
+      allowedDomains: [],
+      floodMessages: 6,
+      floodSeconds: 10,
+      repeatCount: 3,
+      repeatSeconds: 60,
+      actions: ['warn', 'delete', 'mute'],
+      muteMinutes: 10,
+      strikeResetMinutes: 60,
+      exemptRole: 'moderator'
+    };
+  }
+
+  getOverrides(threadID) {
+    const stored = stateStore.get('moderation', {});
+    return { ...(stored[String(threadID)] || {}) };
+  }
+
+  getRules(threadID) {
+    return { ...this.getDefaults(), ...this.getOverrides(threadID) };
+  }
+
+  // Rejects patterns that don't compile or nest quantifiers, which is the
+  // usual way a regex hangs the event loop on a crafted message
+  validatePattern(source) {
+    if (typeof source !== 'string' || !source.trim()) return 'Pattern is empty';
+    if (source.length > MAX_PATTERN_LENGTH) return `Pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+    if (/\([^)]*[+*}][^)]*\)\s*[+*{]/.test(source)) return `Nested quantifiers are not allowed: ${source}`;
+
+    try {
+      new RegExp(source, 'iu');
+    } catch (error) {
+      return `Invalid pattern ${source}: ${error.message}`;
+    }
+    return null;
+  }
+
+  // Same shape as threadSettings.validate; null resets a key
+  validate(changes) {
+    const errors = [];
+    const data = {};
+
+    for (const [key, value] of Object.entries(changes || {})) {
+      const rule = this.schema[key];
+      if (!rule) {
+        errors.push(`Unknown moderation setting: ${key}`);
+        continue;
+      }
+
+      if (value === null) {
+        data[key] = null;
+        continue;
+      }
+
+      switch (rule.type) {
+        case 'boolean':
+          if (typeof value !== 'boolean') errors.push(`${key} must be true or false`);
+          else data[key] = value;
+          break;
+
+        case 'enum':
+          if (!rule.options.includes(String(value).toLowerCase())) {
+            errors.push(`${key} must be one of: ${rule.options.join(', ')}`);
+          } else {
+            data[key] = String(value).toLowerCase();
+          }
+          break;
+
+        case 'number': {
+          const num = Number(value);
+          if (!Number.isInteger(num) || num < rule.min || num > rule.max) {
+            errors.push(`${key} must be a whole number between ${rule.min} and ${rule.max}`);
+          } else {
+            data[key] = num;
+          }
+          break;
+        }
+
+        case 'list': {
+          const list = Array.isArray(value) ? value : String(value).split(',');
+          data[key] = [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+          break;
+        }
+
+        case 'patterns': {
+          const list = Array.isArray(value) ? value.map(String) : [String(value)];
+          const problems = list.map(source => this.validatePattern(source)).filter(Boolean);
+          if (problems.length > 0) errors.push(...problems);
+          else data[key] = [...new Set(list)];
+          break;
+        }
+
+        case 'actions': {
+          const list = (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+          if (list.length === 0 || list.some(action => !ACTIONS.includes(action))) {
+            errors.push(`actions must be a list of: ${ACTIONS.join(', ')}`);
+          } else {
+            data[key] = list;
+          }
+          break;
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors, data };
+  }
+
+  update(threadID, changes) {
+    const result = this.validate(changes);
+    if (!result.valid) return { success: false, errors: result.errors };
+
+    const stored = stateStore.get('moderation', {});
+    const overrides = { ...(stored[String(threadID)] || {}) };
+    const defaults = this.getDefaults();
+
+    for (const [key, value] of Object.entries(result.data)) {
+      // Only keep what differs from the defaults
+      if (value === null || JSON.stringify(value) === JSON.stringify(defaults[key])) delete overrides[key];
+      else overrides[key] = value;
+    }
+
+    if (Object.keys(overrides).length === 0) delete stored[String(threadID)];
+    else stored[String(threadID)] = overrides;
+
+    stateStore.set('moderation', stored);
+    this.compiled.delete(String(threadID));
+    return { success: true, rules: this.getRules(threadID) };
+  }
+
+  reset(threadID) {
+    const stored = stateStore.get('moderation', {});
+    delete stored[String(threadID)];
+    stateStore.set('moderation', stored);
+    this.compiled.delete(String(threadID));
+    return this.getRules(threadID);
+  }
+
+  // Words match whole words in any script, so "ass" doesn't hit "class"
+  compile(threadID, rules) {
+    const key = JSON.stringify([rules.words, rules.patterns]);
+    const cached = this.compiled.get(String(threadID));
+    if (cached && cached.key === key) return cached;
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const compiled = {
+      key,
+      words: rules.words.map(word => ({
+        word,
+        regex: new RegExp(`(?:^|[^\\p{L}\\p{N}])${escape(word)}(?=$|[^\\p{L}\\p{N}])`, 'iu')
+      })),
+      patterns: rules.patterns
+        .filter(source => !this.validatePattern(source))
+        .map(source => ({ source, regex: new RegExp(source, 'iu') }))
+    };
+
+    this.compiled.set(String(threadID), compiled);
+    return compiled;
+  }
+
+  findLinks(event) {
+    const text = (event.body || '').slice(0, MAX_SCAN_LENGTH);
+    const links = text.match(URL_PATTERN) || [];
+    for (const attachment of event.attachments || []) {
+      if (attachment.type === 'share' && attachment.url) links.push(attachment.url);
+    }
+    return links;
+  }
+
+  hostOf(link) {
+    return String(link).toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[/:?#]/)[0];
+  }
+
+  isAllowedDomain(link, allowedDomains) {
+    const host = this.hostOf(link);
+    return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  // First rule the message breaks as { rule, detail }, or null. Flood and
+  // repeat tracking count every message, so call this once per message.
+  check(event, rules = this.getRules(event.threadID)) {
+    const threadID = String(event.threadID);
+    const userID = String(event.senderID);
+    const text = (event.body || '').slice(0, MAX_SCAN_LENGTH);
+    const compiled = this.compile(threadID, rules);
+
+    const word = compiled.words.find(entry => entry.regex.test(text));
+    if (word) return { rule: 'word', detail: word.word };
+
+    const pattern = compiled.patterns.find(entry => entry.regex.test(text));
+    if (pattern) return { rule: 'pattern', detail: pattern.source };
+
+    if (rules.links !== 'allow') {
+      const links = this.findLinks(event);
+      const blocked = rules.links === 'block'
+        ? links[0]
+        : links.find(link => !this.isAllowedDomain(link, rules.allowedDomains));
+      if (blocked) return { rule: 'link', detail: this.hostOf(blocked) };
+    }
+
+    if (rules.floodMessages > 0 &&
+        !rateLimiter.check(`mod:flood:${threadID}:${userID}`, rules.floodMessages, rules.floodSeconds * 1000)) {
+      return { rule: 'flood', detail: `${rules.floodMessages} messages in ${rules.floodSeconds}s` };
+    }
+
+    if (rules.repeatCount > 0 && text.trim()) {
+      const key = `${threadID}:${userID}`;
+      const now = Date.now();
+      const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+      const recent = (this.recent.get(key) || []).filter(entry => now - entry.at < rules.repeatSeconds * 1000);
+      recent.push({ text: normalized, at: now });
+      this.recent.set(key, recent.slice(-50));
+
+      if (recent.filter(entry => entry.text === normalized).length >= rules.repeatCount) {
+        return { rule: 'repeat', detail: `${rules.repeatCount} identical messages` };
+      }
+    }
+
+    return null;
+  }
+
+  // Adds a strike unless the same rule fired within the cooldown
+  strike(threadID, userID, rule, rules) {
+    const key = `${threadID}:${userID}`;
+    const now = Date.now();
+    let entry = this.strikes.get(key);
+
+    if (!entry || now - entry.lastAt > rules.strikeResetMinutes * 60000) {
+      entry = { count: 0, lastAt: 0, lastRule: null };
+    }
+
+    const repeated = entry.lastRule === rule && now - entry.lastAt < STRIKE_COOLDOWN_MS;
+    if (!repeated) entry.count++;
+    entry.lastAt = now;
+    entry.lastRule = rule;
+    this.strikes.set(key, entry);
+
+    const action = rules.actions[Math.min(entry.count, rules.actions.length) - 1];
+    return { count: entry.count, action, repeated };
+  }
+
+  getStrikes(threadID, userID = null) {
+    const prefix = `${threadID}:`;
+    const result = {};
+    for (const [key, entry] of this.strikes.entries()) {
+      if (!key.startsWith(prefix)) continue;
+      const id = key.slice(prefix.length);
+      if (!userID || id === String(userID)) result[id] = { count: entry.count, lastAt: new Date(entry.lastAt).toISOString(), lastRule: entry.lastRule };
+    }
+    return result;
+  }
+
+  pardon(threadID, userID) {
+    return this.strikes.delete(`${threadID}:${userID}`);
+  }
+
+  getViolations(threadID = null, limit = 50) {
+    const list = threadID ? this.violations.filter(entry => entry.threadId === String(threadID)) : this.violations;
+    return list.slice(-limit).reverse();
+  }
+
+  isExempt(userID, threadID, rules) {
+    const role = guard.getRole(userID, null, roles.getAdmins(), threadID);
+    return roles.rank(role) >= roles.rank(rules.exemptRole);
+  }
+
+  // Entry point for every incoming message. Returns true when the message
+  // was taken down and should not be handled any further.
+  async handle(api, event, { botID = null } = {}) {
+    if (!event || !event.threadID || !event.senderID || event.isGroup === false) return false;
+    if (botID && String(event.senderID) === String(botID)) return false;
+
+    const rules = this.getRules(event.threadID);
+    if (!rules.enabled) return false;
+    if (this.isExempt(event.senderID, event.threadID, rules)) return false;
+
+    // Muted users can still post; their messages just don't stay up
+    if (guard.isBlocked(event.senderID)) {
+      await this.unsend(api, event.messageID);
+      return true;
+    }
+
+    const violation = this.check(event, rules);
+    if (!violation) return false;
+
+    const threadID = String(event.threadID);
+    const userID = String(event.senderID);
+    const { count, action, repeated } = this.strike(threadID, userID, violation.rule, rules);
+
+    this.violations.push({
+      threadId: threadID,
+      userId: userID,
+      rule: violation.rule,
+      detail: violation.detail,
+      strike: count,
+      action,
+      timestamp: new Date().toISOString()
+    });
+    if (this.violations.length > MAX_VIOLATIONS) this.violations.shift();
+
+    logger.warn('Moderation violation', { threadId: threadID, userId: userID, rule: violation.rule, strike: count, action });
+
+    // Within the cooldown only keep taking messages down; no new warnings
+    if (repeated) {
+      if (action === 'warn') return false;
+      await this.unsend(api, event.messageID);
+      return true;
+    }
+
+    await this.apply(api, event, action, violation, count, rules);
+    return action !== 'warn';
+  }
+
+  async apply(api, event, action, violation, count, rules) {
+    const threadID = String(event.threadID);
+    const userID = String(event.senderID);
+    const reason = this.describe(violation);
+
+    if (action === 'warn') {
+      await api.sendMessage(
+        `⚠️ Warning (strike ${count}): ${reason}. Further violations will be acted on.`,
+        threadID,
+        event.messageID
+      );
+    } else {
+      await this.unsend(api, event.messageID);
+    }
+
+    if (action === 'mute') {
+      const until = new Date(Date.now() + rules.muteMinutes * 60000).toISOString();
+      guard.blockUser(userID, `Muted in ${threadID}: ${reason}`, { actor: 'system', channel: 'system' }, until);
+      await api.sendMessage(`🔇 ${userID} is muted for ${rules.muteMinutes} minute(s): ${reason}.`, threadID);
+    }
+
+    if (action === 'remove') {
+      try {
+        await new Promise((resolve, reject) => {
+          api.removeUserFromGroup(userID, threadID, (err) => (err ? reject(err) : resolve()));
+        });
+        await api.sendMessage(`🚫 ${userID} was removed: ${reason}.`, threadID);
+      } catch (error) {
+        logger.error('Moderation remove failed', { threadId: threadID, userId: userID, error: error.message || error });
+      }
+    }
+
+    auditLog.record({
+      actor: 'system',
+      channel: 'system',
+      action: `mod.${action}`,
+      target: userID,
+      details: { threadId: threadID, rule: violation.rule, detail: violation.detail, strike: count }
+    });
+  }
+
+  describe(violation) {
+    switch (violation.rule) {
+      case 'word':
+      case 'pattern':
+        return 'banned content';
+      case 'link':
+        return `links to ${violation.detail} are not allowed`;
+      case 'flood':
+        return 'sending messages too fast';
+      case 'repeat':
+        return 'repeating the same message';
+      default:
+        return violation.rule;
+    }
+  }
+
+  // Unsending fails for messages the bot can't remove; that's only logged
+  async unsend(api, messageID) {
+    if (!messageID || typeof api.unsendMessage !== 'function') return;
+    try {
+      await new Promise((resolve, reject) => {
+        api.unsendMessage(messageID, (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (error) {
+      logger.debug('Moderation unsend failed', { messageId: messageID, error: error.message || error });
+    }
+  }
+}
+
+module.exports = new Moderation();
@@ -0,0 +1,174 @@
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const photoManager = require('../utils/photo');
+const threadSettings = require('../utils/threadSettings');
+const funEngine = require('../utils/funEngine');
+
+// Group notifications (log:* events): greets joins and leaves with the
+// thread's templates, keeps the thread-info cache fresh and describes each
+// change as a user_activity entry for WebSocket clients and webhooks.
+class ThreadEvents {
+  constructor() {
+    this.handlers = {
+      'log:subscribe': this.onSubscribe,
+      'log:unsubscribe': this.onUnsubscribe,
+      'log:thread-name': this.onRename,
+      'log:thread-admins': this.onAdminsChange,
+      'log:thread-icon': this.onIconChange
+    };
+    this.history = [];
+    this.maxHistory = 100;
+  }
+
+  // Returns the activity entry, or null for event types we don't track
+  async handle(api, event, options = {}) {
+    const handler = this.handlers[event.logMessageType];
+    if (!handler) return null;
+
+    cache.invalidateThreadInfo(event.threadID);
+
+    const details = await handler.call(this, api, event, event.logMessageData || {}, options);
+    const activity = {
+      threadId: event.threadID,
+      author: event.author ? String(event.author) : null,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    this.history.push(activity);
+    if (this.history.length > this.maxHistory) this.history.shift();
+
+    logger.info('Thread event', { type: activity.type, threadId: activity.threadId, author: activity.author });
+    return activity;
+  }
+
+  getHistory(limit = 50) {
+    return this.history.slice(-limit);
+  }
+
+  async onSubscribe(api, event, data, { botID }) {
+    const added = (data.addedParticipants || []).map(participant => ({
+      id: String(participant.userFbId),
+      name: participant.fullName || participant.firstName || null
+    }));
+    const botAdded = added.some(user => user.id === String(botID));
+    const members = added.filter(user => user.id !== String(botID));
+
+    if (botAdded) await this.sendIntro(api, event.threadID);
+
+    if (members.length > 0) {
+      funEngine.refreshContext(event.threadID);
+      await this.greet(api, event, 'welcomeMessage', members);
+    }
+
+    return { type: 'members_added', users: members.map(user => user.id), botAdded };
+  }
+
+  async onUnsubscribe(api, event, data, { botID }) {
+    const ids = data.leftParticipantFbId
+      ? [String(data.leftParticipantFbId)]
+      : (data.leftParticipants || []).map(participant => String(participant.userFbId));
+
+    if (ids.includes(String(botID))) {
+      funEngine.stopFun(event.threadID, 'bot_removed');
+      return { type: 'members_removed', users: [], botRemoved: true };
+    }
+
+    funEngine.refreshContext(event.threadID);
+    await this.greet(api, event, 'goodbyeMessage', await this.getUsers(api, ids));
+
+    // Someone other than the leaver removed them
+    const kicked = Boolean(event.author) && !ids.includes(String(event.author));
+    return { type: 'members_removed', users: ids, kicked, botRemoved: false };
+  }
+
+  async onRename(api, event, data) {
+    return { type: 'thread_renamed', name: data.name || null };
+  }
+
+  async onAdminsChange(api, event, data) {
+    return {
+      type: 'admins_changed',
+      action: data.ADMIN_EVENT === 'add_admin' ? 'added' : 'removed',
+      users: data.TARGET_ID ? [String(data.TARGET_ID)] : []
+    };
+  }
+
+  async onIconChange(api, event, data) {
+    return { type: 'icon_changed', icon: data.thread_icon || data.emoji || null };
+  }
+
+  async sendIntro(api, threadID) {
+    const prefix = threadSettings.getPrefix(threadID);
+
+    await api.sendMessage(
+      `🤖 Thank you for adding me!\n\n` +
+      `Use ${prefix}help to see available commands.\n` +
+      `Use ${prefix}info for bot information.`,
+      threadID
+    );
+  }
+
+  async greet(api, event, templateKey, users) {
+    const current = threadSettings.get(event.threadID);
+    if (!current.welcomeEnabled || users.length === 0) return;
+
+    // Names from the event can be missing; fill them from user info
+    const named = users.some(user => !user.name) ? await this.getUsers(api, users.map(user => user.id)) : users;
+    const [info, author] = await Promise.all([
+      this.getThreadInfo(api, event.threadID),
+      event.author ? this.getUsers(api, [String(event.author)]) : []
+    ]);
+
+    const message = this.render(current[templateKey], {
+      name: named.map(user => user.name).join(', '),
+      thread: (info && info.threadName) || 'this group',
+      count: info && info.participantIDs ? info.participantIDs.length : '?',
+      author: author.length > 0 ? author[0].name : ''
+    });
+
+    const photo = templateKey === 'welcomeMessage' ? this.pickPhoto(current.welcomePhoto) : null;
+    await photoManager.sendPhotoWithMessage(api, event.threadID, photo, message);
+  }
+
+  pickPhoto(source) {
+    if (source === 'owner') return photoManager.getRandomOwnerPhoto();
+    if (source === 'admin') return photoManager.getRandomAdminPhoto();
+    return null;
+  }
+
+  render(template, values) {
+    return template.replace(/\{(name|thread|count|author)\}/g, (match, key) => String(values[key]));
+  }
+
+  // Thread info through the cache; invalidated on every event above
+  getThreadInfo(api, threadID) {
+    const cached = cache.getCachedThreadInfo(threadID);
+    if (cached) return Promise.resolve(cached);
+
+    return new Promise((resolve) => {
+      if (typeof api.getThreadInfo !== 'function') return resolve(null);
+
+      api.getThreadInfo(threadID, (err, info) => {
+        if (err || !info) return resolve(null);
+        cache.cacheThreadInfo(threadID, info);
+        resolve(info);
+      });
+    });
+  }
+
+  async getUsers(api, ids) {
+    const missing = ids.filter(id => !cache.getCachedUserInfo(id));
+
+    if (missing.length > 0 && typeof api.getUserInfo === 'function') {
+      const users = await new Promise(resolve => api.getUserInfo(missing, (err, ret) => resolve(err ? {} : ret || {})));
+      for (const [id, info] of Object.entries(users)) {
+        cache.cacheUserInfo(id, info);
+      }
+    }
+
+    return ids.map(id => ({ id, name: (cache.getCachedUserInfo(id) || {}).name || 'Someone' }));
+  }
+}
+
+module.exports = new ThreadEvents();
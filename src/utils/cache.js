@@ -100,6 +100,11 @@ class CacheManager {
     return this.get(`thread:${threadId}`);
   }
   
+  // Membership, name, admin and icon changes make the cached info stale
+  invalidateThreadInfo(threadId) {
+    return this.del(`thread:${threadId}`);
+  }
+  
   cacheCommandResult(command, args, result) {
     const key = `cmd:${command}:${JSON.stringify(args).hashCode()}`;
     return this.set(key, result, 60); // 1 minute
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Every module under src/commands/** that exports `name`, `category` and
+// `execute` (or an array of such definitions) becomes a chat command.
+// Modules without a category (e.g. the fun line providers) are skipped.
+class CommandRegistry {
+  constructor() {
+    this.commandsDir = path.join(__dirname, '../commands');
+    this.commands = new Map(); // name -> definition
+    this.aliases = new Map();  // alias -> name
+    this.loaded = false;
+  }
+
+  load() {
+    this.commands.clear();
+    this.aliases.clear();
+
+    for (const file of this.listCommandFiles(this.commandsDir)) {
+      this.loadFile(file);
+    }
+
+    this.loaded = true;
+    logger.info(`Command registry loaded: ${this.commands.size} commands, ${this.aliases.size} aliases`);
+    return this.commands.size;
+  }
+
+  listCommandFiles(dir) {
+    let files = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files = files.concat(this.listCommandFiles(fullPath));
+      } else if (entry.name.endsWith('.js')) {
+        files.push(fullPath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  loadFile(filePath) {
+    let exported;
+    try {
+      exported = require(filePath);
+    } catch (error) {
+      logger.error(`Failed to load command module ${path.relative(this.commandsDir, filePath)}:`, error.message);
+      return [];
+    }
+
+    const definitions = Array.isArray(exported) ? exported : [exported];
+    const registered = [];
+
+    for (const definition of definitions) {
+      if (!this.isCommandDefinition(definition)) continue;
+      this.register(definition, filePath);
+      registered.push(definition.name);
+    }
+
+    return registered;
+  }
+
+  isCommandDefinition(definition) {
+    return Boolean(
+      definition &&
+      typeof definition.name === 'string' &&
+      typeof definition.category === 'string' &&
+      typeof definition.execute === 'function'
+    );
+  }
+
+  register(definition, filePath = null) {
+    const name = definition.name.toLowerCase();
+
+    if (this.commands.has(name)) {
+      logger.warn(`Duplicate command "${name}" in ${filePath}, keeping the first one`);
+      return false;
+    }
+
+    definition.file = filePath;
+    this.commands.set(name, definition);
+
+    for (const alias of definition.aliases || []) {
+      const key = alias.toLowerCase();
+      if (this.commands.has(key) || this.aliases.has(key)) {
+        logger.warn(`Alias "${key}" of "${name}" is already taken`);
+        continue;
+      }
+      this.aliases.set(key, name);
+    }
+
+    return true;
+  }
+
+  // Re-require a changed module and swap its commands in. If the new
+  // version fails to load, the previous one stays registered.
+  reloadFile(filePath) {
+    const resolved = require.resolve(filePath);
+    const previous = require.cache[resolved];
+    delete require.cache[resolved];
+
+    let exported;
+    try {
+      exported = require(resolved);
+    } catch (error) {
+      if (previous) require.cache[resolved] = previous;
+      return { success: false, error: error.message };
+    }
+
+    const definitions = (Array.isArray(exported) ? exported : [exported])
+      .filter(definition => this.isCommandDefinition(definition));
+
+    const clash = definitions.find(definition => {
+      const owner = this.commands.get(definition.name.toLowerCase());
+      return owner && owner.file !== resolved;
+    });
+    if (clash) {
+      if (previous) require.cache[resolved] = previous;
+      return { success: false, error: `Command "${clash.name}" is already defined in another file` };
+    }
+
+    this.unregisterFile(resolved);
+    definitions.forEach(definition => this.register(definition, resolved));
+
+    return { success: true, commands: definitions.map(definition => definition.name) };
+  }
+
+  unloadFile(filePath) {
+    delete require.cache[filePath];
+    return this.unregisterFile(filePath);
+  }
+
+  unregisterFile(filePath) {
+    const removed = [];
+
+    for (const [name, definition] of this.commands.entries()) {
+      if (definition.file !== filePath) continue;
+      this.commands.delete(name);
+      removed.push(name);
+    }
+
+    for (const [alias, name] of this.aliases.entries()) {
+      if (removed.includes(name)) this.aliases.delete(alias);
+    }
+
+    return removed;
+  }
+
+  get(nameOrAlias) {
+    if (!this.loaded) this.load();
+    if (!nameOrAlias) return null;
+
+    const key = nameOrAlias.toLowerCase();
+    const name = this.aliases.get(key) || key;
+    return this.commands.get(name) || null;
+  }
+
+  has(nameOrAlias) {
+    return this.get(nameOrAlias) !== null;
+  }
+
+  getCategory(nameOrAlias) {
+    const command = this.get(nameOrAlias);
+    return command ? command.category : 'unknown';
+  }
+
+  list(category = null) {
+    if (!this.loaded) this.load();
+
+    const commands = Array.from(this.commands.values());
+    return category ? commands.filter(cmd => cmd.category === category) : commands;
+  }
+
+  // Plain data for help menus and the REST API
+  describe(command) {
+    return {
+      name: command.name,
+      aliases: command.aliases || [],
+      category: command.category,
+      description: command.description || '',
+      usage: command.usage || `!${command.name}`
+    };
+  }
+
+  groupByCategory() {
+    const groups = {};
+
+    for (const command of this.list()) {
+      if (!groups[command.category]) groups[command.category] = [];
+      groups[command.category].push(this.describe(command));
+    }
+
+    return groups;
+  }
+}
+
+module.exports = new CommandRegistry();
@@ -0,0 +1,151 @@
+const logger = require('./logger');
+const config = require('../../config/config.json');
+
+const DEFAULT_TIMEOUT = 60000;
+const CANCEL_WORDS = ['cancel', 'stop', 'no', 'বাতিল', 'না'];
+
+// Multi-step flows: a command asks a question and awaits the same user's
+// next message in that thread (or their reply to the prompt). Keyed by
+// thread + user, so one user's answer never lands in someone else's flow.
+class ConversationManager {
+  constructor() {
+    this.pending = new Map(); // `${threadID}:${userID}` -> waiter
+    this.decisions = new Map(); // `${threadID}:${userID}` -> { confirmed, asked }
+  }
+
+  key(threadID, userID) {
+    return `${threadID}:${userID}`;
+  }
+
+  // Resolves { ok, reason: 'reply' | 'timeout' | 'cancelled' | 'replaced', body, event }
+  waitForReply(threadID, userID, options = {}) {
+    const key = this.key(threadID, userID);
+
+    // A newer question replaces an older one
+    this.finish(key, { ok: false, reason: 'replaced' });
+
+    return new Promise((resolve) => {
+      this.pending.set(key, {
+        threadID: String(threadID),
+        userID: String(userID),
+        promptID: options.promptID || null,
+        filter: options.filter || null,
+        cancelWords: options.cancelWords || CANCEL_WORDS,
+        resolve,
+        timer: setTimeout(() => this.finish(key, { ok: false, reason: 'timeout' }), options.timeout || DEFAULT_TIMEOUT),
+        createdAt: Date.now()
+      });
+    });
+  }
+
+  finish(key, result) {
+    const waiter = this.pending.get(key);
+    if (!waiter) return false;
+
+    clearTimeout(waiter.timer);
+    this.pending.delete(key);
+    waiter.resolve(result);
+    return true;
+  }
+
+  // Called for every incoming message/reply; true when it answered a question
+  handle(event, prefix = null) {
+    const key = this.key(event.threadID, event.senderID);
+    const waiter = this.pending.get(key);
+    if (!waiter) return false;
+
+    const body = (event.body || '').trim();
+
+    if (waiter.cancelWords.includes(body.toLowerCase())) {
+      logger.debug('Conversation cancelled', { threadID: event.threadID, userID: event.senderID });
+      return this.finish(key, { ok: false, reason: 'cancelled', body, event });
+    }
+
+    // New commands run normally and leave the question open
+    if (prefix && body.startsWith(prefix)) return false;
+
+    // A reply to some other message is not an answer to this prompt
+    const replyTo = event.messageReply && event.messageReply.messageID;
+    if (replyTo && waiter.promptID && replyTo !== waiter.promptID) return false;
+
+    if (waiter.filter && !waiter.filter(event)) return false;
+
+    return this.finish(key, { ok: true, reason: 'reply', body, event });
+  }
+
+  // Send the prompt and remember its messageID so replies to it can be matched
+  sendPrompt(api, text, threadID) {
+    return new Promise((resolve) => {
+      const result = api.sendMessage(text, threadID, (err, info) => resolve(!err && info ? info.messageID : null));
+      if (result && typeof result.then === 'function') {
+        result.then(info => resolve(info ? info.messageID : null), () => resolve(null));
+      }
+    });
+  }
+
+  async ask(api, threadID, userID, prompt, options = {}) {
+    const promptID = await this.sendPrompt(api, prompt, threadID);
+    const reply = await this.waitForReply(threadID, userID, { ...options, promptID });
+
+    if (!reply.ok && reply.reason !== 'replaced' && options.notify !== false) {
+      api.sendMessage(reply.reason === 'timeout' ? '⌛ No reply in time, cancelled.' : '❎ Cancelled.', threadID);
+    }
+
+    return reply;
+  }
+
+  // Gate for destructive commands. Off when security.requireConfirmation is false.
+  async confirm(api, threadID, userID, prompt, options = {}) {
+    if (!config.security.requireConfirmation) return true;
+
+    const decision = this.decisions.get(this.key(threadID, userID));
+    if (decision) {
+      decision.asked = true;
+      return decision.confirmed;
+    }
+
+    const word = options.word || 'CONFIRM';
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const reply = await this.ask(
+      api,
+      threadID,
+      userID,
+      `${prompt}\n\nType **${word}** to proceed or **CANCEL** to abort (${Math.round(timeout / 1000)}s).`,
+      { ...options, timeout }
+    );
+
+    if (!reply.ok) return false;
+    if (reply.body.toUpperCase() === word.toUpperCase()) return true;
+
+    api.sendMessage('❎ Cancelled.', threadID);
+    return false;
+  }
+
+  // REST, WebSocket and webhook callers can't answer a prompt; they confirm up
+  // front and confirm() uses that answer for the command they run
+  decide(threadID, userID, confirmed) {
+    const decision = { confirmed: Boolean(confirmed), asked: false };
+    this.decisions.set(this.key(threadID, userID), decision);
+    return decision;
+  }
+
+  release(threadID, userID) {
+    this.decisions.delete(this.key(threadID, userID));
+  }
+
+  cancel(threadID, userID) {
+    return this.finish(this.key(threadID, userID), { ok: false, reason: 'cancelled' });
+  }
+
+  cancelAll() {
+    for (const key of Array.from(this.pending.keys())) {
+      this.finish(key, { ok: false, reason: 'cancelled' });
+    }
+  }
+
+  getPending() {
+    return Array.from(this.pending.values()).map(({ threadID, userID, createdAt }) => ({ threadID, userID, createdAt }));
+  }
+}
+
+module.exports = new ConversationManager();
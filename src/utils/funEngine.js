@@ -1,208 +1,680 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
-const { getRandomDelay, delay } = require('./delay');
+const delayManager = require('./delay');
+const stats = require('./stats');
+const threadSettings = require('./threadSettings');
+const stateStore = require('./stateStore');
+const funTemplate = require('./funTemplate');
+const config = require('../../config/config.json');
+
+const getRandomDelay = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+
+// Loops stopped for these reasons stay on disk so they can be resumed
+const RESUMABLE_REASONS = ['shutdown', 'restart', 'reconnect'];
 
 class FunEngine {
   constructor() {
-    this.activeFuns = new Map(); // threadId -> { type, interval, index, lines }
-    this.funTemplates = {};
+    this.activeFuns = new Map(); // threadId -> loop state, see startFun
+    this.funTemplates = {}; // funType -> normalized template, see funTemplate.js
+    this.funDir = path.join(__dirname, '../../data/fun-json');
+    this.stylesDir = path.join(__dirname, '../commands/fun');
+    this.listeners = {}; // event -> [listener], events: start, pause, resume, stop
     this.loadTemplates();
   }
   
   async loadTemplates() {
-    const funDir = path.join(__dirname, '../../data/fun-json');
-    
     try {
-      const files = await fs.readdir(funDir);
+      const files = await fs.readdir(this.funDir);
       const jsonFiles = files.filter(f => f.endsWith('.json'));
       
       for (const file of jsonFiles) {
-        const funType = path.basename(file, '.json');
-        const filePath = path.join(funDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        
-        try {
-          this.funTemplates[funType] = JSON.parse(content);
-          logger.info(`Loaded fun template: ${funType} (${this.funTemplates[funType].length} lines)`);
-        } catch (error) {
-          logger.error(`Error parsing ${file}:`, error);
-        }
+        await this.reloadTemplate(path.basename(file, '.json'));
       }
     } catch (error) {
       logger.error('Error loading fun templates:', error);
     }
   }
   
-  async startFun(api, threadId, funType, userId) {
+  // Parse and validate one template file, then swap it in. A broken file
+  // leaves the previously loaded lines in place.
+  async reloadTemplate(funType) {
+    const filePath = path.join(this.funDir, `${funType}.json`);
+    
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const result = funTemplate.parse(content);
+      
+      if (!result.valid) {
+        throw new Error(funTemplate.formatErrors(result.errors));
+      }
+      
+      const lineCount = result.template.entries.length;
+      this.funTemplates[funType] = result.template;
+      logger.info(`Loaded fun template: ${funType} (${lineCount} lines, v${result.template.version}, ${result.template.order})`);
+      return { success: true, lineCount };
+    } catch (error) {
+      logger.error(`Error loading fun template ${funType}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  removeTemplate(funType) {
+    if (!this.funTemplates[funType]) return false;
+    delete this.funTemplates[funType];
+    logger.info(`Removed fun template: ${funType}`);
+    return true;
+  }
+  
+  // Running loops read through this on every tick so reloads apply immediately
+  getTemplate(funType) {
+    return this.funTemplates[funType] || null;
+  }
+  
+  // One display string per entry (scenes joined), for counts and previews
+  getLines(funType) {
+    const template = this.getTemplate(funType);
+    return template ? funTemplate.getTexts(template) : null;
+  }
+  
+  // Optional per-type flavour (start text, message variations, periodic
+  // status lines) lives in src/commands/fun/<type>.js
+  getStyle(funType) {
+    try {
+      return require(path.join(this.stylesDir, funType));
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(listener);
+  }
+  
+  emit(event, data) {
+    for (const listener of this.listeners[event] || []) {
+      try {
+        listener(data);
+      } catch (error) {
+        logger.error(`Fun ${event} listener error:`, error.message);
+      }
+    }
+  }
+  
+  // "50" = stop after 50 messages, "30s" / "5m" / "1h" = stop after that long
+  parseLimit(value) {
+    const match = /^(\d+)([smh])?$/i.exec(String(value || '').trim());
+    if (!match || Number(match[1]) <= 0) return null;
+    
+    const amount = Number(match[1]);
+    if (!match[2]) return { maxMessages: amount };
+    
+    const multiplier = { s: 1, m: 60, h: 3600 }[match[2].toLowerCase()];
+    return { maxDuration: amount * multiplier };
+  }
+  
+  // Custom limits fall back to the thread's settings; config.funSettings caps
+  // every loop when autoStop is on
+  resolveLimits(threadId, options = {}) {
+    const global = config.funSettings;
+    const thread = threadSettings.get(threadId);
+    const autoStop = global.autoStop !== false;
+    
+    let maxMessages = options.maxMessages || (autoStop ? thread.funMaxMessages : null);
+    let maxDuration = options.maxDuration || (autoStop ? thread.funMaxDuration : null);
+    
+    if (autoStop) {
+      maxMessages = maxMessages ? Math.min(maxMessages, global.maxMessages) : global.maxMessages;
+      maxDuration = maxDuration ? Math.min(maxDuration, global.maxDuration) : global.maxDuration;
+    }
+    
+    return { maxMessages: maxMessages || null, maxDuration: maxDuration || null };
+  }
+  
+  checkLimits(fun) {
+    const { maxMessages, maxDuration } = fun.limits;
+    
+    if (maxMessages && fun.messageCount >= maxMessages) return 'max_messages';
+    if (maxDuration && this.getRunningSeconds(fun) >= maxDuration) return 'max_duration';
+    return null;
+  }
+  
+  async startFun(api, threadId, funType, userId, options = {}) {
     // Check if already running in this thread
     if (this.activeFuns.has(threadId)) {
       return { success: false, error: 'Fun already running in this thread' };
     }
     
     // Validate fun type
-    if (!this.funTemplates[funType]) {
+    const lines = this.getLines(funType);
+    if (!lines) {
       return { success: false, error: `Unknown fun type: ${funType}` };
     }
     
-    const lines = this.funTemplates[funType];
     if (lines.length === 0) {
       return { success: false, error: 'No lines available for this fun type' };
     }
     
-    let currentIndex = 0;
-    
-    // Create interval for sending messages
-    const interval = setInterval(async () => {
-      if (currentIndex >= lines.length) {
-        currentIndex = 0; // Loop back to start
-      }
-      
-      const line = lines[currentIndex];
-      currentIndex++;
-      
-      try {
-        // Send with typing indicator
-        await api.sendTypingIndicator(threadId);
-        await delay(getRandomDelay(200, 400)); // Typing delay
-        
-        // Send the message
-        await api.sendMessage(line, threadId);
-        
-        // Update stats
-        const stats = require('./stats');
-        stats.recordFunUsage(funType, userId);
-        
-      } catch (error) {
-        logger.error('Error sending fun message:', error);
-        
-        // If sending fails, stop the fun
-        this.stopFun(threadId);
-        api.sendMessage('❌ Error sending fun message. Fun stopped.', threadId);
-      }
-    }, getRandomDelay(300, 600)); // Message interval
+    // options.restore is a saved loop (see saveLoop) to continue where it left off
+    const saved = options.restore;
     
-    // Store active fun
-    this.activeFuns.set(threadId, {
+    const fun = {
+      threadId,
       type: funType,
-      interval,
-      index: currentIndex,
-      lines,
       userId,
-      startTime: Date.now(),
-      messageCount: 0
-    });
+      api,
+      status: 'running',
+      timer: null,
+      index: saved ? saved.index : 0,
+      messageCount: saved ? saved.messageCount : 0,
+      startTime: Date.now() - (saved ? saved.elapsed * 1000 : 0),
+      pausedAt: null,
+      pausedTotal: 0,
+      limits: saved ? saved.limits : this.resolveLimits(threadId, options),
+      run: 0,
+      context: {}
+    };
+    
+    if (saved && this.checkLimits(fun)) {
+      this.forgetLoop(threadId);
+      return { success: false, error: 'Saved fun has no budget left' };
+    }
+    
+    this.activeFuns.set(threadId, fun);
+    this.saveLoop(fun);
+    this.loadContext(fun).catch(error => logger.warn('Could not load fun context:', error.message));
+    this.schedule(fun, getRandomDelay(...config.funSettings.delayRange));
     
     logger.info('Fun started', {
       threadId,
       funType,
       userId,
-      totalLines: lines.length
+      totalLines: lines.length,
+      limits: fun.limits
+    });
+    
+    const info = this.describe(fun);
+    this.emit('start', info);
+    
+    return { success: true, message: `✅ ${funType} fun started!`, fun: info };
+  }
+  
+  // Each schedule starts a new run so a tick still waiting inside a scene
+  // can tell it was superseded by pause/resume
+  schedule(fun, wait) {
+    clearTimeout(fun.timer);
+    const run = ++fun.run;
+    fun.timer = setTimeout(() => this.tick(fun, run), wait);
+  }
+  
+  // A loop is still current only if it is the one registered for its thread
+  isCurrent(fun, run = fun.run) {
+    return this.activeFuns.get(fun.threadId) === fun && fun.status === 'running' && fun.run === run;
+  }
+  
+  // Fill {sender}, {thread} and {name} once per loop; until this resolves
+  // placeholders are sent as written
+  async loadContext(fun) {
+    const { api, threadId, userId } = fun;
+    const call = (method, ...args) => new Promise((resolve) => {
+      if (typeof api[method] !== 'function') return resolve(null);
+      const timer = setTimeout(() => resolve(null), 10000);
+      api[method](...args, (err, data) => {
+        clearTimeout(timer);
+        resolve(err ? null : data);
+      });
     });
     
-    return { success: true, message: `✅ ${funType} fun started!` };
+    const thread = await call('getThreadInfo', threadId);
+    const memberIds = ((thread && thread.participantIDs) || []).map(String);
+    const users = await call('getUserInfo', [...new Set([String(userId), ...memberIds])]) || {};
+    const nameOf = (id) => (users[id] && users[id].name) || null;
+    
+    fun.context = {
+      sender: nameOf(String(userId)),
+      thread: thread ? thread.threadName || thread.name || null : null,
+      members: memberIds.filter(id => id !== String(userId)).map(nameOf).filter(Boolean)
+    };
   }
   
-  stopFun(threadId) {
+  // Members joined or left: reload the names {name} picks from
+  refreshContext(threadId) {
+    const fun = this.activeFuns.get(threadId);
+    if (!fun) return false;
+    
+    this.loadContext(fun).catch(error => logger.warn('Could not refresh fun context:', error.message));
+    return true;
+  }
+  
+  async tick(fun, run) {
+    if (!this.isCurrent(fun, run)) return;
+    
+    const { api, threadId } = fun;
+    const style = this.getStyle(fun.type);
+    const template = this.getTemplate(fun.type);
+    
+    if (!template || template.entries.length === 0) {
+      this.stopFun(threadId, 'template_removed');
+      api.sendMessage(`⚠️ ${fun.type} template was removed. Fun stopped.`, threadId);
+      return;
+    }
+    
+    const entry = funTemplate.pick(template, fun.index);
+    
+    try {
+      for (const step of funTemplate.getSteps(entry)) {
+        if (step.delay) {
+          await delayManager.sleep(step.delay);
+          if (!this.isCurrent(fun, run)) return;
+        }
+        
+        const text = funTemplate.render(step.text, { ...fun.context, count: fun.messageCount + 1 });
+        const message = style.formatMessage ? style.formatMessage(text, fun.messageCount) : text;
+        await api.sendMessage(message, threadId);
+        
+        // Stopped or paused while the message was in flight
+        if (this.activeFuns.get(threadId) !== fun) return;
+        
+        fun.messageCount++;
+        stats.messageSent(threadId);
+        this.emit('progress', this.describe(fun));
+        
+        const status = style.getStatusMessage ? style.getStatusMessage(fun.messageCount, this.describe(fun)) : null;
+        if (status) {
+          await api.sendMessage(status, threadId);
+        }
+        
+        // A scene never runs past the message budget
+        if (this.checkLimits(fun) === 'max_messages' || !this.isCurrent(fun, run)) break;
+      }
+      
+      fun.index++;
+      this.saveLoop(fun);
+    } catch (error) {
+      logger.error('Error sending fun message:', error);
+      
+      // If sending fails, stop the fun
+      this.stopFun(threadId, 'error');
+      api.sendMessage('❌ Error sending fun message. Fun stopped.', threadId);
+      return;
+    }
+    
+    const limitReason = this.checkLimits(fun);
+    if (limitReason) {
+      this.autoStop(fun, limitReason);
+      return;
+    }
+    
+    const wait = await delayManager.funDelay(fun.messageCount);
+    if (this.isCurrent(fun, run)) {
+      this.schedule(fun, wait);
+    }
+  }
+  
+  autoStop(fun, reason) {
+    const result = this.stopFun(fun.threadId, reason);
+    if (!result.success) return;
+    
+    const { stats: summary, limits } = result;
+    const why = reason === 'max_messages'
+      ? `reached ${limits.maxMessages} messages`
+      : `ran for ${limits.maxDuration} seconds`;
+    
+    fun.api.sendMessage(
+      `⏰ ${summary.type.toUpperCase()} fun auto-stopped (${why})\n` +
+      `📊 Messages sent: ${summary.messagesSent}\n` +
+      `⏱️ Duration: ${summary.duration}s`,
+      fun.threadId
+    );
+  }
+  
+  pauseFun(threadId) {
+    const fun = this.activeFuns.get(threadId);
+    
+    if (!fun) {
+      return { success: false, error: 'No active fun in this thread' };
+    }
+    if (fun.status === 'paused') {
+      return { success: false, error: 'Fun is already paused' };
+    }
+    
+    clearTimeout(fun.timer);
+    fun.timer = null;
+    fun.status = 'paused';
+    fun.pausedAt = Date.now();
+    this.saveLoop(fun);
+    
+    logger.info('Fun paused', { threadId, type: fun.type });
+    
+    const info = this.describe(fun);
+    this.emit('pause', info);
+    return { success: true, fun: info };
+  }
+  
+  resumeFun(threadId) {
     const fun = this.activeFuns.get(threadId);
     
     if (!fun) {
       return { success: false, error: 'No active fun in this thread' };
     }
+    if (fun.status !== 'paused') {
+      return { success: false, error: 'Fun is not paused' };
+    }
+    
+    fun.pausedTotal += Date.now() - fun.pausedAt;
+    fun.pausedAt = null;
+    fun.status = 'running';
+    this.schedule(fun, getRandomDelay(...config.funSettings.delayRange));
+    this.saveLoop(fun);
+    
+    logger.info('Fun resumed', { threadId, type: fun.type });
     
-    // Clear interval
-    clearInterval(fun.interval);
+    const info = this.describe(fun);
+    this.emit('resume', info);
+    return { success: true, fun: info };
+  }
+  
+  // The single stop path: chat commands, REST routes and emergency stop all end here
+  stopFun(threadId, reason = 'manual') {
+    const fun = this.activeFuns.get(threadId);
+    
+    if (!fun) {
+      return { success: false, error: 'No active fun in this thread' };
+    }
+    
+    clearTimeout(fun.timer);
+    fun.timer = null;
+    fun.status = 'stopped';
     
     // Calculate stats
-    const duration = Date.now() - fun.startTime;
-    const stats = {
+    const summary = {
+      threadId,
       type: fun.type,
-      duration: Math.round(duration / 1000),
+      duration: this.getRunningSeconds(fun),
       messagesSent: fun.messageCount,
-      userId: fun.userId
+      userId: fun.userId,
+      reason,
+      stoppedAt: new Date().toISOString()
     };
     
     // Remove from active funs
     this.activeFuns.delete(threadId);
     
-    logger.info('Fun stopped', stats);
+    if (RESUMABLE_REASONS.includes(reason)) {
+      this.saveLoop(fun, { interruptedAt: summary.stoppedAt, reason });
+    } else {
+      this.forgetLoop(threadId);
+    }
+    
+    logger.info('Fun stopped', summary);
+    this.emit('stop', summary);
     
     return { 
       success: true, 
-      message: `⛔ Fun stopped.\nDuration: ${stats.duration}s\nMessages: ${stats.messagesSent}`,
-      stats 
+      message: `⛔ Fun stopped.\nDuration: ${summary.duration}s\nMessages: ${summary.messagesSent}`,
+      stats: summary,
+      limits: fun.limits
     };
   }
   
-  stopAllFuns() {
+  stopAllFuns(reason = 'stop_all') {
     const stopped = [];
     
-    for (const [threadId, fun] of this.activeFuns.entries()) {
-      clearInterval(fun.interval);
-      stopped.push({
-        threadId,
-        type: fun.type,
-        duration: Date.now() - fun.startTime
-      });
+    for (const threadId of Array.from(this.activeFuns.keys())) {
+      const result = this.stopFun(threadId, reason);
+      if (result.success) stopped.push(result.stats);
     }
     
-    this.activeFuns.clear();
-    
-    logger.warn('All funs stopped', { stoppedCount: stopped.length });
+    logger.warn('All funs stopped', { stoppedCount: stopped.length, reason });
     return stopped;
   }
   
+  stopFunsByType(funType, reason = 'stop_type') {
+    const threadIds = Array.from(this.activeFuns.values())
+      .filter(fun => fun.type === funType)
+      .map(fun => fun.threadId);
+    
+    return threadIds.map(threadId => this.stopFun(threadId, reason).stats);
+  }
+  
+  // Persisted loops: written on every change so even a hard crash leaves
+  // the last position on disk
+  getSavedLoops() {
+    return stateStore.get('funLoops', {});
+  }
+  
+  saveLoop(fun, extra = {}) {
+    const loops = this.getSavedLoops();
+    
+    loops[fun.threadId] = {
+      threadId: fun.threadId,
+      type: fun.type,
+      userId: fun.userId,
+      index: fun.index,
+      messageCount: fun.messageCount,
+      elapsed: this.getRunningSeconds(fun),
+      limits: fun.limits,
+      paused: fun.status === 'paused' || Boolean(fun.pausedAt),
+      savedAt: new Date().toISOString(),
+      ...extra
+    };
+    
+    stateStore.set('funLoops', loops);
+  }
+  
+  forgetLoop(threadId) {
+    const loops = this.getSavedLoops();
+    if (!loops[threadId]) return false;
+    
+    delete loops[threadId];
+    stateStore.set('funLoops', loops);
+    return true;
+  }
+  
+  // Saved loops that are not running in this process
+  getInterrupted() {
+    return Object.values(this.getSavedLoops())
+      .filter(loop => !this.activeFuns.has(loop.threadId));
+  }
+  
+  describeRemaining(loop) {
+    const parts = [];
+    if (loop.limits.maxMessages) parts.push(`${Math.max(loop.limits.maxMessages - loop.messageCount, 0)} messages`);
+    if (loop.limits.maxDuration) parts.push(`${Math.max(loop.limits.maxDuration - loop.elapsed, 0)}s`);
+    return parts.length > 0 ? parts.join(' / ') : 'no limit';
+  }
+  
+  async resumeInterrupted(api, threadId) {
+    const loop = this.getSavedLoops()[threadId];
+    
+    if (!loop || this.activeFuns.has(threadId)) {
+      return { success: false, error: 'No interrupted fun for this thread' };
+    }
+    
+    const result = await this.startFun(api, threadId, loop.type, loop.userId, { restore: loop });
+    if (!result.success) return result;
+    
+    if (loop.paused) this.pauseFun(threadId);
+    
+    api.sendMessage(
+      `▶️ ${loop.type.toUpperCase()} fun resumed after a restart ` +
+      `(${loop.messageCount} sent, ${this.describeRemaining(loop)} left)` +
+      (loop.paused ? `\n⏸️ Still paused, use ${threadSettings.getPrefix(threadId)}resumefun to continue.` : ''),
+      threadId
+    );
+    
+    logger.info('Fun resumed after restart', { threadId, type: loop.type, index: loop.index });
+    return { success: true, fun: this.getFun(threadId) };
+  }
+  
+  // Called once the bot is logged in. Depending on funSettings.autoResume the
+  // loops are restarted right away or the thread is told how to resume them.
+  async restoreInterrupted(api) {
+    const { autoResume = false, resumeWindow = 3600 } = config.funSettings;
+    const restored = [];
+    
+    for (const loop of this.getInterrupted()) {
+      const age = (Date.now() - new Date(loop.interruptedAt || loop.savedAt).getTime()) / 1000;
+      if (age > resumeWindow) {
+        this.forgetLoop(loop.threadId);
+        logger.info('Dropped stale interrupted fun', { threadId: loop.threadId, type: loop.type });
+        continue;
+      }
+      
+      if (autoResume) {
+        const result = await this.resumeInterrupted(api, loop.threadId);
+        if (result.success) restored.push(loop.threadId);
+        continue;
+      }
+      
+      if (!loop.offered) {
+        api.sendMessage(
+          `⚠️ ${loop.type.toUpperCase()} fun was interrupted by a restart ` +
+          `(${loop.messageCount} sent, ${this.describeRemaining(loop)} left).\n` +
+          `▶️ An admin can type ${threadSettings.getPrefix(loop.threadId)}funresume here to continue it.`,
+          loop.threadId
+        );
+        this.markOffered(loop.threadId);
+      }
+    }
+    
+    return restored;
+  }
+  
+  markOffered(threadId) {
+    const loops = this.getSavedLoops();
+    if (!loops[threadId]) return;
+    
+    loops[threadId].offered = true;
+    stateStore.set('funLoops', loops);
+  }
+  
+  // Seconds spent running, not counting time spent paused
+  getRunningSeconds(fun) {
+    const pausedNow = fun.pausedAt ? Date.now() - fun.pausedAt : 0;
+    return Math.round((Date.now() - fun.startTime - fun.pausedTotal - pausedNow) / 1000);
+  }
+  
+  describe(fun) {
+    const lines = this.getLines(fun.type) || [];
+    
+    return {
+      threadId: fun.threadId,
+      type: fun.type,
+      status: fun.status,
+      runningFor: this.getRunningSeconds(fun),
+      messagesSent: fun.messageCount,
+      loopsCompleted: lines.length > 0 ? Math.floor(fun.index / lines.length) : 0,
+      userId: fun.userId,
+      startedAt: new Date(fun.startTime).toISOString(),
+      limits: fun.limits
+    };
+  }
+  
+  isActive(threadId) {
+    return this.activeFuns.has(threadId);
+  }
+  
+  getFun(threadId) {
+    const fun = this.activeFuns.get(threadId);
+    return fun ? this.describe(fun) : null;
+  }
+  
   getActiveFuns() {
-    const active = [];
-    
-    for (const [threadId, fun] of this.activeFuns.entries()) {
-      active.push({
-        threadId,
-        type: fun.type,
-        runningFor: Math.round((Date.now() - fun.startTime) / 1000),
-        messagesSent: fun.messageCount,
-        userId: fun.userId
-      });
+    return Array.from(this.activeFuns.values()).map(fun => this.describe(fun));
+  }
+  
+  // Validate the changed template and write it back in its own format
+  async saveTemplate(funType, template) {
+    const data = funTemplate.serialize(template);
+    const result = funTemplate.validate(data);
+    
+    if (!result.valid) {
+      return { success: false, error: funTemplate.formatErrors(result.errors) };
     }
     
-    return active;
+    const filePath = path.join(this.funDir, `${funType}.json`);
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    this.funTemplates[funType] = result.template;
+    
+    return { success: true, totalLines: result.template.entries.length };
   }
   
-  async addFunLine(funType, line) {
-    if (!this.funTemplates[funType]) {
-      // Create new fun type
-      this.funTemplates[funType] = [];
+  async addFunLine(funType, line, weight = 1) {
+    // Unknown types start as a new legacy-style template
+    const template = this.getTemplate(funType) || { version: 0, order: 'sequential', entries: [] };
+    const entries = [...template.entries, { text: line, weight }];
+    
+    const result = await this.saveTemplate(funType, { ...template, entries });
+    if (result.success) {
+      logger.info('Fun line added', { funType, line: line.substring(0, 50) });
     }
     
-    this.funTemplates[funType].push(line);
+    return result;
+  }
+  
+  // Plain lines only; scenes are edited in the file
+  async editFunLine(funType, index, line) {
+    const template = this.getTemplate(funType);
+    if (!template) {
+      return { success: false, error: 'Fun type not found' };
+    }
+    
+    if (!Number.isInteger(index) || index < 0 || index >= template.entries.length) {
+      return { success: false, error: 'Invalid line index' };
+    }
+    
+    if (template.entries[index].scene) {
+      return { success: false, error: 'Line is a scene; edit the template file to change it' };
+    }
+    
+    const oldLine = template.entries[index].text;
+    const entries = template.entries.map((entry, i) => (i === index ? { ...entry, text: line } : entry));
+    
+    const result = await this.saveTemplate(funType, { ...template, entries });
+    if (!result.success) return result;
     
-    // Save to file
-    const filePath = path.join(__dirname, `../../data/fun-json/${funType}.json`);
-    await fs.writeFile(filePath, JSON.stringify(this.funTemplates[funType], null, 2));
+    logger.info('Fun line edited', { funType, index, line: line.substring(0, 50) });
+    
+    return { ...result, oldLine };
+  }
+  
+  // Every entry with a rendered sample, for editors and previews
+  getTemplateLines(funType) {
+    const template = this.getTemplate(funType);
+    if (!template) return null;
     
-    logger.info('Fun line added', { funType, line: line.substring(0, 50) });
+    const sample = { sender: 'You', thread: 'This group', members: ['Alex', 'Sam', 'Rafi'] };
     
-    return { success: true, totalLines: this.funTemplates[funType].length };
+    return template.entries.map((entry, index) => ({
+      index,
+      text: entry.text !== undefined ? entry.text : null,
+      scene: entry.scene ? entry.scene.map(step => ({ ...step })) : null,
+      weight: entry.weight,
+      preview: funTemplate.getSteps(entry).map(step => funTemplate.render(step.text, { ...sample, count: index + 1 }))
+    }));
   }
   
   async removeFunLine(funType, index) {
-    if (!this.funTemplates[funType]) {
+    const template = this.getTemplate(funType);
+    if (!template) {
       return { success: false, error: 'Fun type not found' };
     }
     
-    if (index < 0 || index >= this.funTemplates[funType].length) {
+    if (!Number.isInteger(index) || index < 0 || index >= template.entries.length) {
       return { success: false, error: 'Invalid line index' };
     }
     
-    const removedLine = this.funTemplates[funType].splice(index, 1)[0];
+    const removedLine = funTemplate.getTexts(template)[index];
+    const entries = template.entries.filter((entry, i) => i !== index);
     
-    // Save to file
-    const filePath = path.join(__dirname, `../../data/fun-json/${funType}.json`);
-    await fs.writeFile(filePath, JSON.stringify(this.funTemplates[funType], null, 2));
+    const result = await this.saveTemplate(funType, { ...template, entries });
+    if (!result.success) return result;
     
     logger.info('Fun line removed', { funType, index, line: removedLine.substring(0, 50) });
     
-    return { success: true, removedLine, totalLines: this.funTemplates[funType].length };
+    return { ...result, removedLine };
   }
   
   getFunTypes() {
@@ -210,14 +682,18 @@ class FunEngine {
   }
   
   getFunInfo(funType) {
-    if (!this.funTemplates[funType]) {
+    const template = this.getTemplate(funType);
+    if (!template) {
       return null;
     }
     
     return {
       type: funType,
-      lineCount: this.funTemplates[funType].length,
-      sample: this.funTemplates[funType].slice(0, 3)
+      version: template.version,
+      order: template.order,
+      lineCount: template.entries.length,
+      scenes: template.entries.filter(entry => entry.scene).length,
+      sample: funTemplate.getTexts(template).slice(0, 3)
     };
   }
   
@@ -226,8 +702,10 @@ class FunEngine {
     
     return {
       activeFuns: active.length,
+      pausedFuns: active.filter(fun => fun.status === 'paused').length,
+      messagesSent: active.reduce((sum, fun) => sum + fun.messagesSent, 0),
       availableTypes: this.getFunTypes().length,
-      totalLines: Object.values(this.funTemplates).reduce((sum, lines) => sum + lines.length, 0),
+      totalLines: Object.values(this.funTemplates).reduce((sum, template) => sum + template.entries.length, 0),
       activeDetails: active
     };
   }
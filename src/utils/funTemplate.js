@@ -0,0 +1,307 @@
+const validator = require('./validator');
+
+const SCHEMA_VERSION = 1;
+const ORDERS = ['sequential', 'random'];
+const PLACEHOLDERS = ['name', 'sender', 'thread', 'count'];
+const MAX_STEP_DELAY = 60000;
+
+// data/fun-json/*.json. Two shapes are accepted:
+//   legacy: ["line", "line", ...]  (sequential, every line weight 1)
+//   v1:     { "version": 1, "order": "random", "lines": [
+//             "plain line {name}",
+//             { "text": "rare line", "weight": 0.2 },
+//             { "scene": ["step one", { "text": "step two", "delay": 1500 }], "weight": 2 } ] }
+// Both are normalized to { version, order, entries } before the engine sees them.
+class FunTemplate {
+  constructor() {
+    this.version = SCHEMA_VERSION;
+    this.placeholders = PLACEHOLDERS;
+  }
+
+  // Parse and validate file content; errors carry the line they point at
+  parse(content) {
+    const parsed = validator.parseJSON(content);
+    if (!parsed.valid) {
+      return { valid: false, errors: [{ line: parsed.line, path: '', message: parsed.error }] };
+    }
+
+    return this.validate(parsed.data, content);
+  }
+
+  validate(data, content = null) {
+    const errors = [];
+    const add = (path, message) => errors.push({ path, message });
+
+    let lines = data;
+
+    if (!Array.isArray(data)) {
+      if (!data || typeof data !== 'object') {
+        add('', 'Template must be an array of lines or an object with "lines"');
+        return this.result(errors, content);
+      }
+
+      for (const key of Object.keys(data)) {
+        if (!['version', 'order', 'lines'].includes(key)) add(key, `Unknown field "${key}"`);
+      }
+      if (!Number.isInteger(data.version) || data.version < 1 || data.version > SCHEMA_VERSION) {
+        add('version', `version must be a whole number from 1 to ${SCHEMA_VERSION}`);
+      }
+      if (data.order !== undefined && !ORDERS.includes(data.order)) {
+        add('order', `order must be one of: ${ORDERS.join(', ')}`);
+      }
+
+      lines = data.lines;
+      if (!Array.isArray(lines)) {
+        add('lines', 'lines must be an array');
+        return this.result(errors, content);
+      }
+    }
+
+    const base = Array.isArray(data) ? '' : 'lines';
+    if (lines.length === 0) add(base, 'Template needs at least one line');
+
+    lines.forEach((entry, index) => this.validateEntry(entry, `${base}[${index}]`, add));
+
+    return this.result(errors, content, errors.length === 0 ? this.normalize(data) : null);
+  }
+
+  validateEntry(entry, path, add) {
+    if (typeof entry === 'string') {
+      this.validateText(entry, path, add);
+      return;
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      add(path, 'Line must be a string or an object with "text" or "scene"');
+      return;
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (!['text', 'scene', 'weight'].includes(key)) add(`${path}.${key}`, `Unknown field "${key}"`);
+    }
+
+    if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight > 0)) {
+      add(`${path}.weight`, 'weight must be a number above 0');
+    }
+
+    if ((entry.text === undefined) === (entry.scene === undefined)) {
+      add(path, 'Line needs exactly one of "text" or "scene"');
+      return;
+    }
+
+    if (entry.text !== undefined) {
+      this.validateText(entry.text, `${path}.text`, add);
+      return;
+    }
+
+    if (!Array.isArray(entry.scene) || entry.scene.length === 0) {
+      add(`${path}.scene`, 'scene must be a non-empty array of steps');
+      return;
+    }
+
+    entry.scene.forEach((step, index) => {
+      const stepPath = `${path}.scene[${index}]`;
+
+      if (typeof step === 'string') {
+        this.validateText(step, stepPath, add);
+        return;
+      }
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        add(stepPath, 'Scene step must be a string or { "text", "delay" }');
+        return;
+      }
+
+      for (const key of Object.keys(step)) {
+        if (!['text', 'delay'].includes(key)) add(`${stepPath}.${key}`, `Unknown field "${key}"`);
+      }
+      this.validateText(step.text, `${stepPath}.text`, add);
+      if (step.delay !== undefined && !(Number.isInteger(step.delay) && step.delay >= 0 && step.delay <= MAX_STEP_DELAY)) {
+        add(`${stepPath}.delay`, `delay must be milliseconds between 0 and ${MAX_STEP_DELAY}`);
+      }
+    });
+  }
+
+  validateText(text, path, add) {
+    if (typeof text !== 'string' || !text.trim()) {
+      add(path, 'Text must be a non-empty string');
+      return;
+    }
+
+    for (const [, name] of text.matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(name)) {
+        add(path, `Unknown placeholder {${name}} (use ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+      }
+    }
+  }
+
+  result(errors, content, template = null) {
+    const lineMap = content ? this.locate(content) : {};
+
+    for (const error of errors) {
+      error.line = this.lineFor(lineMap, error.path);
+    }
+
+    return { valid: errors.length === 0, errors, template };
+  }
+
+  // Missing fields point at the closest parent that exists
+  lineFor(lineMap, path) {
+    let current = path;
+    while (current && lineMap[current] === undefined) {
+      const parent = current.replace(/(\.\w+|\[\d+\])$/, '');
+      current = parent === current ? '' : parent;
+    }
+    return lineMap[current] || null;
+  }
+
+  formatErrors(errors) {
+    return errors
+      .map(error => `${error.line ? `line ${error.line}: ` : ''}${error.path ? `${error.path} - ` : ''}${error.message}`)
+      .join('\n');
+  }
+
+  // Map each value's path (e.g. "lines[3].weight") to the line it starts on.
+  // Only called on content JSON.parse already accepted.
+  locate(content) {
+    const lines = {};
+    let pos = 0;
+    let line = 1;
+
+    const skip = () => {
+      while (pos < content.length && /[\s,:]/.test(content[pos])) {
+        if (content[pos] === '\n') line++;
+        pos++;
+      }
+    };
+
+    const readString = () => {
+      const start = pos++;
+      while (content[pos] !== '"') pos += content[pos] === '\\' ? 2 : 1;
+      pos++;
+      return JSON.parse(content.slice(start, pos));
+    };
+
+    const readValue = (path) => {
+      skip();
+      lines[path] = line;
+      const char = content[pos];
+
+      if (char === '{' || char === '[') {
+        const close = char === '{' ? '}' : ']';
+        let index = 0;
+        pos++;
+        skip();
+
+        while (content[pos] !== close) {
+          if (char === '{') {
+            const key = readString();
+            readValue(path ? `${path}.${key}` : key);
+          } else {
+            readValue(`${path}[${index++}]`);
+          }
+          skip();
+        }
+        pos++;
+      } else if (char === '"') {
+        readString();
+      } else {
+        while (pos < content.length && !/[\s,\]}]/.test(content[pos])) pos++;
+      }
+    };
+
+    readValue('');
+    return lines;
+  }
+
+  normalize(data) {
+    const legacy = Array.isArray(data);
+    const lines = legacy ? data : data.lines;
+
+    return {
+      version: legacy ? 0 : data.version,
+      order: legacy ? 'sequential' : (data.order || 'sequential'),
+      entries: lines.map(entry => {
+        if (typeof entry === 'string') return { text: entry, weight: 1 };
+
+        const weight = entry.weight || 1;
+        if (entry.text !== undefined) return { text: entry.text, weight };
+
+        return {
+          scene: entry.scene.map(step => (typeof step === 'string' ? { text: step, delay: 0 } : { text: step.text, delay: step.delay || 0 })),
+          weight
+        };
+      })
+    };
+  }
+
+  // Back to file form; legacy files stay plain arrays while they can
+  serialize(template) {
+    const simple = template.entries.every(entry => entry.text !== undefined && entry.weight === 1);
+    if (template.version === 0 && simple) {
+      return template.entries.map(entry => entry.text);
+    }
+
+    return {
+      version: template.version || SCHEMA_VERSION,
+      order: template.order,
+      lines: template.entries.map(entry => {
+        if (entry.text !== undefined) {
+          return entry.weight === 1 ? entry.text : { text: entry.text, weight: entry.weight };
+        }
+
+        const scene = entry.scene.map(step => (step.delay ? { text: step.text, delay: step.delay } : step.text));
+        return entry.weight === 1 ? { scene } : { scene, weight: entry.weight };
+      })
+    };
+  }
+
+  // Sequential templates walk the entries in order; random ones draw by weight
+  pick(template, index) {
+    const { entries } = template;
+
+    if (template.order !== 'random') {
+      return entries[index % entries.length];
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = Math.random() * total;
+
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+
+  // Steps to send for one entry: a plain line is a one-step scene
+  getSteps(entry) {
+    return entry.scene || [{ text: entry.text, delay: 0 }];
+  }
+
+  // One display string per entry, for counts and previews
+  getTexts(template) {
+    return template.entries.map(entry => (entry.scene ? entry.scene.map(step => step.text).join(' ➜ ') : entry.text));
+  }
+
+  // {name} is a random member of the thread, {sender} whoever started the fun
+  render(text, context = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => {
+      switch (key) {
+        case 'name': {
+          const members = context.members || [];
+          return members.length > 0 ? members[Math.floor(Math.random() * members.length)] : (context.sender || match);
+        }
+        case 'sender':
+          return context.sender || match;
+        case 'thread':
+          return context.thread || match;
+        case 'count':
+          return String(context.count !== undefined ? context.count : match);
+        default:
+          return match;
+      }
+    });
+  }
+}
+
+module.exports = new FunTemplate();
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../../config/config.json');
+const threadSettings = require('./threadSettings');
+const messageFeed = require('../system/messageFeed');
+
+const DEFAULTS = {
+  enabled: false,
+  retentionDays: 30,
+  maxMessagesPerThread: 5000
+};
+const MAX_BODY = 5000;
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Optional local history of every message the bot sees or sends, one
+// append-only JSONL file per thread under data/messages/. Off unless
+// config.messageStore.enabled is true. Retention is the thread's
+// messageRetentionDays setting (default config.messageStore.retentionDays;
+// 0 keeps nothing); files are also capped at maxMessagesPerThread. Bodies
+// are stored as sent; callers that show them outside the bot redact them.
+class MessageStore {
+  constructor() {
+    this.options = { ...DEFAULTS, ...(config.messageStore || {}) };
+    this.dir = path.join(__dirname, '../../data/messages');
+    this.timer = null;
+    this.started = false;
+  }
+
+  isEnabled() {
+    return this.options.enabled === true;
+  }
+
+  // Subscribe to the message feed and start the retention sweep
+  start() {
+    if (!this.isEnabled() || this.started) return false;
+    this.started = true;
+
+    messageFeed.on((record, rawBody) => this.record(record, rawBody));
+
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.timer.unref();
+
+    logger.info('Message store enabled', { dir: this.dir, retentionDays: this.options.retentionDays });
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Thread IDs are numeric; anything else can't reach the file system
+  fileFor(threadId) {
+    const id = String(threadId);
+    return /^[\w-]+$/.test(id) ? path.join(this.dir, `${id}.jsonl`) : null;
+  }
+
+  getRetentionDays(threadId) {
+    return threadSettings.get(threadId).messageRetentionDays;
+  }
+
+  record(record, rawBody = '') {
+    const file = this.fileFor(record.threadId);
+    if (!file || this.getRetentionDays(record.threadId) === 0) return false;
+
+    const entry = {
+      id: record.messageId,
+      threadId: record.threadId,
+      senderId: record.senderId,
+      direction: record.direction,
+      body: String(rawBody).slice(0, MAX_BODY),
+      attachments: record.attachments,
+      replyTo: record.replyTo || null,
+      timestamp: record.timestamp
+    };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      return true;
+    } catch (error) {
+      logger.error('Failed to store message:', error.message);
+      return false;
+    }
+  }
+
+  // Oldest first; unreadable lines (a crash mid-append) are skipped
+  read(threadId) {
+    const file = this.fileFor(threadId);
+    if (!file || !fs.existsSync(file)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // partial line
+      }
+    }
+    return entries;
+  }
+
+  // Every word of q must appear in the body (case-insensitive). Newest first.
+  search(threadId, options = {}) {
+    const words = String(options.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+    const before = options.before ? new Date(options.before).getTime() : null;
+
+    const matches = this.read(threadId).filter(entry => {
+      if (options.senderId && entry.senderId !== String(options.senderId)) return false;
+      if (before && new Date(entry.timestamp).getTime() >= before) return false;
+
+      const body = entry.body.toLowerCase();
+      return words.every(word => body.includes(word));
+    });
+
+    return {
+      total: matches.length,
+      messages: matches.slice(-limit).reverse()
+    };
+  }
+
+  // Drop what the thread's retention no longer allows, then cap the count
+  prune(threadId) {
+    const file = this.fileFor(threadId);
+    if (!file || !fs.existsSync(file)) return 0;
+
+    const days = this.getRetentionDays(threadId);
+    const cutoff = Date.now() - days * DAY;
+    const entries = this.read(threadId);
+    const kept = days === 0
+      ? []
+      : entries
+        .filter(entry => new Date(entry.timestamp).getTime() >= cutoff)
+        .slice(-this.options.maxMessagesPerThread);
+
+    if (kept.length === entries.length) return 0;
+
+    try {
+      if (kept.length === 0) {
+        fs.unlinkSync(file);
+      } else {
+        const tmpPath = `${file}.tmp`;
+        fs.writeFileSync(tmpPath, kept.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        fs.renameSync(tmpPath, file);
+      }
+    } catch (error) {
+      logger.error('Failed to prune message store:', { threadId, error: error.message });
+      return 0;
+    }
+
+    return entries.length - kept.length;
+  }
+
+  sweep() {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    let removed = 0;
+    for (const file of fs.readdirSync(this.dir)) {
+      if (file.endsWith('.jsonl')) removed += this.prune(path.basename(file, '.jsonl'));
+    }
+
+    if (removed > 0) logger.info('Message store pruned', { removed });
+    return removed;
+  }
+}
+
+module.exports = new MessageStore();
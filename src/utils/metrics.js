@@ -130,9 +130,7 @@ class MetricsCollector {
         this.setActiveThreads(global.activeThreads);
       }
       
-      if (global.funIntervals) {
-        this.setFunLoopsActive(Object.keys(global.funIntervals).length);
-      }
+      this.setFunLoopsActive(require('./funEngine').getActiveFuns().length);
     }, 30000);
     
     logger.info('Periodic metrics updates started');
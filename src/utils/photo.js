@@ -231,6 +231,15 @@ class PhotoManager {
                 return;
             }
 
+            // Admin photos are local files and can be streamed directly
+            if (!/^https?:\/\//.test(photoUrl)) {
+                await api.sendMessage({
+                    body: message,
+                    attachment: fs.createReadStream(photoUrl)
+                }, threadID);
+                return;
+            }
+
             // Download photo temporarily
             const tempPath = path.join(__dirname, '../../temp_photo.jpg');
             await this.downloadPhoto(photoUrl, tempPath);
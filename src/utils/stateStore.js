@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const SCHEMA_VERSION = 1;
+
+// Runtime state that must survive restarts (admins, prefix, per-thread
+// settings, blocked users). Values stored here win over config/config.json;
+// a field that was never set returns null so callers fall back to config.
+class StateStore {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/state.json');
+    this.state = this.load();
+  }
+
+  defaults() {
+    return {
+      version: SCHEMA_VERSION,
+      admins: null,
+      prefix: null,
+      threads: {},      // threadID -> settings
+      blockedUsers: {}, // userID -> { reason, blockedAt, expiresAt? }
+      updatedAt: null
+    };
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return this.defaults();
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Keep the unreadable file around instead of overwriting it on next save
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      try {
+        fs.renameSync(this.filePath, corruptPath);
+      } catch (renameError) {
+        logger.error('Could not move corrupt state file:', renameError.message);
+      }
+      logger.error(`State file unreadable, moved to ${corruptPath}:`, error.message);
+      return this.defaults();
+    }
+
+    // Written by a newer build (e.g. before a rollback). The file is fine, so
+    // leave it where it is and refuse to start rather than run on defaults
+    if ((data.version || 0) > SCHEMA_VERSION) {
+      const message = `${this.filePath} uses state schema v${data.version}, but this build only supports ` +
+        `v${SCHEMA_VERSION}. Run the newer build again, or restore a state file written by this one.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    return this.migrate(data);
+  }
+
+  migrate(data) {
+    const version = data.version || 0;
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`State schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+    }
+
+    // v0 -> v1: unversioned files only ever held these top-level fields
+    const migrated = { ...this.defaults(), ...data, version: SCHEMA_VERSION };
+
+    if (version < SCHEMA_VERSION) {
+      logger.info(`Migrated state file from v${version} to v${SCHEMA_VERSION}`);
+    }
+
+    return migrated;
+  }
+
+  // Write to a temp file and rename over the old one so a crash mid-write
+  // never leaves a half-written state file behind.
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    const tmpPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      return true;
+    } catch (error) {
+      logger.error('Failed to save state:', error.message);
+      return false;
+    }
+  }
+
+  // Generic sections for features that need their own persisted data
+  get(section, fallback = null) {
+    return this.state[section] !== undefined ? this.state[section] : fallback;
+  }
+
+  set(section, value) {
+    this.state[section] = value;
+    return this.save();
+  }
+
+  // Admins
+  getAdmins() {
+    return this.state.admins ? [...this.state.admins] : null;
+  }
+
+  setAdmins(admins) {
+    this.state.admins = [...new Set(admins.map(String))];
+    this.save();
+    return this.getAdmins();
+  }
+
+  addAdmin(userID, defaults = []) {
+    const admins = this.getAdmins() || [...defaults];
+    if (admins.includes(String(userID))) return false;
+
+    admins.push(String(userID));
+    this.setAdmins(admins);
+    return true;
+  }
+
+  removeAdmin(userID, defaults = []) {
+    const admins = this.getAdmins() || [...defaults];
+    if (!admins.includes(String(userID))) return false;
+
+    this.setAdmins(admins.filter(id => id !== String(userID)));
+    return true;
+  }
+
+  // Prefix
+  getPrefix() {
+    return this.state.prefix;
+  }
+
+  setPrefix(prefix) {
+    this.state.prefix = prefix;
+    return this.save();
+  }
+
+  // Per-thread settings
+  getThreadSettings(threadID) {
+    return { ...(this.state.threads[threadID] || {}) };
+  }
+
+  setThreadSettings(threadID, changes) {
+    const settings = { ...this.getThreadSettings(threadID), ...changes };
+
+    // null means "back to default"
+    for (const key of Object.keys(settings)) {
+      if (settings[key] === null) delete settings[key];
+    }
+
+    if (Object.keys(settings).length === 0) {
+      delete this.state.threads[threadID];
+    } else {
+      this.state.threads[threadID] = settings;
+    }
+
+    this.save();
+    return this.getThreadSettings(threadID);
+  }
+
+  getAllThreadSettings() {
+    return { ...this.state.threads };
+  }
+
+  // Block list
+  getBlockedUsers() {
+    return { ...this.state.blockedUsers };
+  }
+
+  blockUser(userID, reason, expiresAt = null) {
+    this.state.blockedUsers[String(userID)] = {
+      reason,
+      blockedAt: new Date().toISOString(),
+      ...(expiresAt ? { expiresAt } : {})
+    };
+    return this.save();
+  }
+
+  unblockUser(userID) {
+    if (!this.state.blockedUsers[String(userID)]) return false;
+    delete this.state.blockedUsers[String(userID)];
+    return this.save();
+  }
+}
+
+module.exports = new StateStore();
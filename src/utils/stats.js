@@ -18,7 +18,8 @@ class StatsManager {
             groups: new Set(),
             commandUsage: {},
             dailyStats: {},
-            hourlyStats: {}
+            hourlyStats: {},
+            threads: {}
         };
         
         this.init();
@@ -35,6 +36,15 @@ class StatsManager {
                 // Convert arrays back to Sets
                 if (saved.users) this.stats.users = new Set(saved.users);
                 if (saved.groups) this.stats.groups = new Set(saved.groups);
+                
+                for (const day of Object.values(this.stats.dailyStats)) {
+                    day.activeUsers = new Set(Array.isArray(day.activeUsers) ? day.activeUsers : []);
+                    day.activeGroups = new Set(Array.isArray(day.activeGroups) ? day.activeGroups : []);
+                }
+                for (const usage of Object.values(this.stats.commandUsage)) {
+                    if ('users' in usage) usage.users = new Set(Array.isArray(usage.users) ? usage.users : []);
+                    if ('threads' in usage) usage.threads = new Set(Array.isArray(usage.threads) ? usage.threads : []);
+                }
             }
             
             this.stats.startTime = this.stats.startTime || new Date().toISOString();
@@ -52,7 +62,11 @@ class StatsManager {
                 groups: Array.from(this.stats.groups)
             };
             
-            await fs.writeJson(this.statsFile, toSave, { spaces: 2 });
+            // Nested Sets (daily active users, command users) are saved as arrays too
+            await fs.writeJson(this.statsFile, toSave, {
+                spaces: 2,
+                replacer: (key, value) => (value instanceof Set ? Array.from(value) : value)
+            });
         } catch (error) {
             logger.error('Failed to save stats:', error);
         }
@@ -72,6 +86,7 @@ class StatsManager {
         
         this.updateDailyStats('messagesSent');
         this.updateHourlyStats('messagesSent');
+        this.trackThread(threadID, 'messagesSent');
     }
 
     messageReceived(threadID, userID = null) {
@@ -83,10 +98,14 @@ class StatsManager {
         
         this.updateDailyStats('messagesReceived');
         this.updateHourlyStats('messagesReceived');
+        this.trackThread(threadID, 'messagesReceived');
+        
+        if (userID) this.addActiveUser(userID);
+        if (threadID) this.addActiveGroup(threadID);
     }
 
     // Command stats
-    commandExecuted(command, userID, success = true) {
+    commandExecuted(command, userID, success = true, threadID = null) {
         this.stats.commandsExecuted++;
         
         if (!this.stats.commandUsage[command]) {
@@ -111,6 +130,7 @@ class StatsManager {
         
         this.updateDailyStats('commandsExecuted');
         this.updateHourlyStats('commandsExecuted');
+        this.trackThread(threadID, 'commandsExecuted');
         
         // Auto-save every 10 commands
         if (this.stats.commandsExecuted % 10 === 0) {
@@ -192,6 +212,38 @@ class StatsManager {
         }
     }
 
+    // Per-thread daily counters for the dashboard's thread explorer
+    trackThread(threadID, metric) {
+        if (!threadID) return;
+        
+        const today = moment().format('YYYY-MM-DD');
+        const thread = this.stats.threads[threadID] || (this.stats.threads[threadID] = { daily: {}, lastActivity: null });
+        const day = thread.daily[today] || (thread.daily[today] = {
+            messagesReceived: 0,
+            messagesSent: 0,
+            commandsExecuted: 0
+        });
+        
+        day[metric]++;
+        thread.lastActivity = new Date().toISOString();
+    }
+
+    getThreadStats(threadID, days = 14) {
+        const thread = this.stats.threads[threadID] || { daily: {}, lastActivity: null };
+        const daily = [];
+        const totals = { messagesReceived: 0, messagesSent: 0, commandsExecuted: 0 };
+        
+        for (let i = days - 1; i >= 0; i--) {
+            const date = moment().subtract(i, 'days').format('YYYY-MM-DD');
+            const day = thread.daily[date] || { messagesReceived: 0, messagesSent: 0, commandsExecuted: 0 };
+            
+            daily.push({ date, ...day });
+            for (const metric of Object.keys(totals)) totals[metric] += day[metric];
+        }
+        
+        return { threadId: threadID, lastActivity: thread.lastActivity, totals, daily };
+    }
+
     // Add active user/group
     addActiveUser(userID) {
         const today = moment().format('YYYY-MM-DD');
@@ -251,7 +303,7 @@ class StatsManager {
                 uptime: {
                     days: uptime.days(),
                     hours: uptime.hours(),
-                    minutes: uptine.minutes(),
+                    minutes: uptime.minutes(),
                     seconds: uptime.seconds()
                 },
                 startTime: this.stats.startTime,
@@ -347,7 +399,8 @@ class StatsManager {
             groups: new Set(),
             commandUsage: {},
             dailyStats: {},
-            hourlyStats: {}
+            hourlyStats: {},
+            threads: {}
         };
         
         this.save();
@@ -454,6 +507,17 @@ class StatsManager {
                 }
             }
             
+            for (const [threadID, thread] of Object.entries(this.stats.threads)) {
+                for (const date in thread.daily) {
+                    if (moment(date, 'YYYY-MM-DD').isBefore(cutoff)) {
+                        delete thread.daily[date];
+                    }
+                }
+                if (Object.keys(thread.daily).length === 0) {
+                    delete this.stats.threads[threadID];
+                }
+            }
+            
             // Clean hourly stats (keep 7 days)
             const hourlyCutoff = moment().subtract(7, 'days');
             for (const hour in this.stats.hourlyStats) {
@@ -0,0 +1,176 @@
+const config = require('../../config/config.json');
+const settings = require('../../config/settings.json');
+const stateStore = require('./stateStore');
+
+const LANGUAGES = ['bn', 'en'];
+const WELCOME_PHOTOS = ['none', 'owner', 'admin'];
+
+// Commands a thread can never disable, so admins can't lock themselves out
+const ALWAYS_ALLOWED = ['help', 'settings'];
+
+// Per-thread overrides on top of config.json. Only keys that differ from the
+// global defaults are stored; everything else falls through.
+class ThreadSettings {
+  constructor() {
+    this.schema = {
+      prefix: { type: 'string', description: 'Command prefix (single character)' },
+      language: { type: 'enum', options: LANGUAGES, description: 'Reply language' },
+      allowedCommands: { type: 'list', description: 'Only these commands may run (empty = all)' },
+      disabledCommands: { type: 'list', description: 'Commands blocked in this thread' },
+      funEnabled: { type: 'boolean', description: 'Allow fun loops' },
+      funMaxDuration: { type: 'number', min: 10, max: 86400, description: 'Fun auto-stop after N seconds' },
+      funMaxMessages: { type: 'number', min: 1, max: 100000, description: 'Fun auto-stop after N messages' },
+      welcomeEnabled: { type: 'boolean', description: 'Greet members who join or leave' },
+      welcomeMessage: { type: 'text', max: 500, description: 'Join message: {name} {thread} {count} {author}' },
+      goodbyeMessage: { type: 'text', max: 500, description: 'Leave message: {name} {thread} {count} {author}' },
+      welcomePhoto: { type: 'enum', options: WELCOME_PHOTOS, description: 'Photo attached to welcome messages' },
+      messageRetentionDays: { type: 'number', min: 0, max: 3650, description: 'Days of message history to keep (0 = none)' }
+    };
+  }
+
+  getDefaults(globalPrefix = null) {
+    return {
+      prefix: globalPrefix || stateStore.getPrefix() || config.prefix || '!',
+      language: LANGUAGES.includes(config.language) ? config.language : 'bn',
+      allowedCommands: [],
+      disabledCommands: [],
+      funEnabled: settings.features.funEnabled !== false,
+      funMaxDuration: config.funSettings.maxDuration,
+      funMaxMessages: config.funSettings.maxMessages,
+      welcomeEnabled: settings.features.welcomeMessage !== false,
+      welcomeMessage: '👋 Welcome {name} to {thread}! You are member #{count}.',
+      goodbyeMessage: '👋 {name} left {thread}. {count} members remain.',
+      welcomePhoto: 'none',
+      messageRetentionDays: (config.messageStore || {}).retentionDays ?? 30
+    };
+  }
+
+  getOverrides(threadID) {
+    return stateStore.getThreadSettings(threadID);
+  }
+
+  // Effective settings: defaults with the thread's overrides applied
+  get(threadID, globalPrefix = null) {
+    return { ...this.getDefaults(globalPrefix), ...this.getOverrides(threadID) };
+  }
+
+  getPrefix(threadID, globalPrefix = null) {
+    return this.get(threadID, globalPrefix).prefix;
+  }
+
+  getLanguage(threadID) {
+    return this.get(threadID).language;
+  }
+
+  // Validate and coerce incoming values (chat strings or JSON from the API)
+  validate(changes) {
+    const errors = [];
+    const data = {};
+
+    for (const [key, value] of Object.entries(changes || {})) {
+      const rule = this.schema[key];
+      if (!rule) {
+        errors.push(`Unknown setting: ${key}`);
+        continue;
+      }
+
+      // null resets the key to the global default
+      if (value === null) {
+        data[key] = null;
+        continue;
+      }
+
+      switch (rule.type) {
+        case 'string':
+          if (typeof value !== 'string' || value.length !== 1 || /\s/.test(value)) {
+            errors.push('prefix must be a single non-space character');
+          } else {
+            data[key] = value;
+          }
+          break;
+
+        case 'text':
+          if (typeof value !== 'string' || !value.trim() || value.length > rule.max) {
+            errors.push(`${key} must be text up to ${rule.max} characters`);
+          } else {
+            data[key] = value.trim();
+          }
+          break;
+
+        case 'enum':
+          if (!rule.options.includes(String(value).toLowerCase())) {
+            errors.push(`${key} must be one of: ${rule.options.join(', ')}`);
+          } else {
+            data[key] = String(value).toLowerCase();
+          }
+          break;
+
+        case 'boolean': {
+          const parsed = this.parseBoolean(value);
+          if (parsed === null) {
+            errors.push(`${key} must be on/off`);
+          } else {
+            data[key] = parsed;
+          }
+          break;
+        }
+
+        case 'number': {
+          const num = Number(value);
+          if (!Number.isInteger(num) || num < rule.min || num > rule.max) {
+            errors.push(`${key} must be a whole number between ${rule.min} and ${rule.max}`);
+          } else {
+            data[key] = num;
+          }
+          break;
+        }
+
+        case 'list': {
+          const list = Array.isArray(value) ? value : String(value).split(',');
+          data[key] = [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+          break;
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors, data };
+  }
+
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).toLowerCase();
+    if (['on', 'true', 'yes', '1', 'enable'].includes(normalized)) return true;
+    if (['off', 'false', 'no', '0', 'disable'].includes(normalized)) return false;
+    return null;
+  }
+
+  update(threadID, changes) {
+    const result = this.validate(changes);
+    if (!result.valid) return { success: false, errors: result.errors };
+
+    stateStore.setThreadSettings(threadID, result.data);
+    return { success: true, settings: this.get(threadID) };
+  }
+
+  reset(threadID) {
+    const keys = Object.keys(this.getOverrides(threadID));
+    const cleared = Object.fromEntries(keys.map(key => [key, null]));
+    stateStore.setThreadSettings(threadID, cleared);
+    return this.get(threadID);
+  }
+
+  isCommandAllowed(threadID, commandName) {
+    if (ALWAYS_ALLOWED.includes(commandName)) return true;
+
+    const { allowedCommands, disabledCommands } = this.get(threadID);
+    if (disabledCommands.includes(commandName)) return false;
+    if (allowedCommands.length > 0 && !allowedCommands.includes(commandName)) return false;
+    return true;
+  }
+
+  isFunAllowed(threadID) {
+    return this.get(threadID).funEnabled;
+  }
+}
+
+module.exports = new ThreadSettings();
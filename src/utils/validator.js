@@ -61,6 +61,18 @@ class Validator {
         return this.regexPatterns.command.test(command);
     }
 
+    // Validate a command name or argument typed in chat
+    isValidCommandInput(input, minLength = 0, maxLength = 500) {
+        if (typeof input !== 'string') return false;
+        if (input.length < minLength || input.length > maxLength) return false;
+
+        // Markup and control characters never belong in a command
+        if (/<\s*\/?\s*script|javascript:/i.test(input)) return false;
+        if (/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/.test(input)) return false;
+
+        return true;
+    }
+
     // Validate image file
     async isValidImage(filePath) {
         try {
@@ -109,15 +121,54 @@ class Validator {
         }
     }
 
-    // Validate JSON file
-    async isValidJSON(filePath) {
+    // Parse JSON text, reporting the line of a syntax error
+    parseJSON(content) {
         try {
-            const content = await fs.readFile(filePath, 'utf8');
-            JSON.parse(content);
-            return { valid: true };
+            return { valid: true, data: JSON.parse(content) };
+        } catch (error) {
+            let line = null;
+            const lineMatch = /line (\d+)/.exec(error.message);
+            const positionMatch = /position (\d+)/.exec(error.message);
+
+            if (lineMatch) {
+                line = Number(lineMatch[1]);
+            } else if (positionMatch) {
+                line = content.slice(0, Number(positionMatch[1])).split('\n').length;
+            } else if (/end of JSON input/.test(error.message)) {
+                line = content.split('\n').length;
+            }
+
+            return { valid: false, error: `Invalid JSON format: ${error.message}`, line };
+        }
+    }
+
+    // Validate JSON file. With { schema: 'fun' } the fun template rules are
+    // checked too; every error comes back with its line number.
+    async isValidJSON(filePath, options = {}) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
         } catch (error) {
-            return { valid: false, error: 'Invalid JSON format' };
+            return { valid: false, error: error.message, errors: [] };
+        }
+
+        if (options.schema === 'fun') {
+            const funTemplate = require('./funTemplate');
+            const result = funTemplate.parse(content);
+            return result.valid
+                ? { valid: true, template: result.template }
+                : { valid: false, error: funTemplate.formatErrors(result.errors), errors: result.errors };
+        }
+
+        const parsed = this.parseJSON(content);
+        if (!parsed.valid) {
+            return {
+                valid: false,
+                error: parsed.error,
+                errors: [{ line: parsed.line, path: '', message: parsed.error }]
+            };
         }
+        return { valid: true };
     }
 
     // Validate appstate.json
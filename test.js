@@ -56,6 +56,41 @@ class BotTester {
     }
 }
 
+// Unit tests under tests/unit are written describe/it style; each `it`
+// becomes one test here, with the beforeEach/afterEach hooks of its suites
+function addUnitTests(tester, dir = 'tests/unit') {
+    const suites = [];
+    const hooks = () => suites.reduce((all, suite) => ({
+        before: [...all.before, ...suite.beforeEach],
+        after: [...suite.afterEach, ...all.after]
+    }), { before: [], after: [] });
+
+    global.describe = (name, body) => {
+        suites.push({ name, beforeEach: [], afterEach: [] });
+        body();
+        suites.pop();
+    };
+    global.beforeEach = (hook) => suites[suites.length - 1].beforeEach.push(hook);
+    global.afterEach = (hook) => suites[suites.length - 1].afterEach.push(hook);
+    global.it = (name, body) => {
+        const { before, after } = hooks();
+        const context = { timeout() {} };
+
+        tester.addTest(`${suites.map(suite => suite.name).join(' › ')} › ${name}`, async () => {
+            for (const hook of before) await hook.call(context);
+            try {
+                await body.call(context);
+            } finally {
+                for (const hook of after) await hook.call(context);
+            }
+        });
+    };
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.test.js')).sort()) {
+        require(path.resolve(dir, file));
+    }
+}
+
 async function runTestSuite() {
     const tester = new BotTester();
 
@@ -261,6 +296,8 @@ async function runTestSuite() {
         }
     });
 
+    addUnitTests(tester);
+
     // Run all tests
     await tester.runTests();
 
@@ -280,7 +317,15 @@ async function runTestSuite() {
     console.log('  2. npm run login (if not logged in)');
     console.log('  3. npm start');
     console.log('\n💡 Or use the quick script: ./run.sh');
+
+    return tester.failed;
 }
 
 // Run test suite
-runTestSuite().catch(console.error);
\ No newline at end of file
+// Exit explicitly: loaded modules keep timers running
+runTestSuite()
+    .then(failed => process.exit(failed > 0 ? 1 : 0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiKeys = require('../../server/middleware/apiKeys');
+const stateStore = require('../../src/utils/stateStore');
+
+describe('API Keys', () => {
+  let tmpDir;
+  let saves;
+  const originalSave = stateStore.save;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+
+    saves = 0;
+    stateStore.save = function () {
+      saves++;
+      return originalSave.call(this);
+    };
+  });
+
+  afterEach(() => {
+    stateStore.save = originalSave;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Last used', () => {
+    it('should save lastUsedAt once a minute even for a key in constant use', () => {
+      const { key, apiKey } = apiKeys.create({ name: 'CI', scopes: ['status:read'] }, '100000000601');
+
+      saves = 0;
+      assert.strictEqual(apiKeys.verify(key).valid, true);
+      assert.strictEqual(apiKeys.verify(key).valid, true);
+      assert.strictEqual(saves, 1);
+
+      // A minute on, with the key used in between
+      apiKeys.lastSaved.set(apiKey.id, Date.now() - 61 * 1000);
+      apiKeys.verify(key);
+      assert.strictEqual(saves, 2);
+
+      const saved = JSON.parse(fs.readFileSync(stateStore.filePath, 'utf8'));
+      assert.strictEqual(saved.apiKeys[apiKey.id].lastUsedAt, stateStore.get('apiKeys')[apiKey.id].lastUsedAt);
+    });
+  });
+});
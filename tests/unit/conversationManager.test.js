@@ -0,0 +1,92 @@
+const assert = require('assert');
+const conversations = require('../../src/utils/conversationManager');
+const config = require('../../config/config.json');
+
+// Mock Facebook API that records what was sent
+const createMockApi = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMessage: (message, threadId) => {
+      sent.push({ message, threadId });
+      return Promise.resolve({ messageID: `mid.${sent.length}` });
+    }
+  };
+};
+
+const message = (body, extra = {}) => ({ threadID: 't1', senderID: 'u1', body, ...extra });
+
+describe('Conversation Manager', () => {
+  afterEach(() => {
+    conversations.cancelAll();
+  });
+
+  it('should resolve with the same user\'s next message in the thread', async () => {
+    const pending = conversations.waitForReply('t1', 'u1');
+
+    assert.strictEqual(conversations.handle(message('hello', { senderID: 'u2' })), false);
+    assert.strictEqual(conversations.handle(message('hello')), true);
+
+    const reply = await pending;
+    assert.strictEqual(reply.ok, true);
+    assert.strictEqual(reply.body, 'hello');
+  });
+
+  it('should let commands through and stop on cancel words', async () => {
+    const pending = conversations.waitForReply('t1', 'u1');
+
+    assert.strictEqual(conversations.handle(message('!help'), '!'), false);
+    assert.strictEqual(conversations.handle(message('Cancel'), '!'), true);
+
+    const reply = await pending;
+    assert.strictEqual(reply.reason, 'cancelled');
+  });
+
+  it('should time out', async () => {
+    const reply = await conversations.waitForReply('t1', 'u1', { timeout: 20 });
+
+    assert.strictEqual(reply.ok, false);
+    assert.strictEqual(reply.reason, 'timeout');
+    assert.deepStrictEqual(conversations.getPending(), []);
+  });
+
+  it('should only accept replies to the prompt it sent', async () => {
+    const api = createMockApi();
+    const pending = conversations.ask(api, 't1', 'u1', 'Which one?');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(conversations.handle(message('2', { messageReply: { messageID: 'mid.other' } })), false);
+    assert.strictEqual(conversations.handle(message('1', { messageReply: { messageID: 'mid.1' } })), true);
+
+    const reply = await pending;
+    assert.strictEqual(reply.body, '1');
+  });
+
+  it('should not prompt unless operators opt in', async () => {
+    const api = createMockApi();
+
+    assert.strictEqual(config.security.requireConfirmation, false);
+    assert.strictEqual(await conversations.confirm(api, 't1', 'u1', 'Delete?'), true);
+    assert.deepStrictEqual(api.sent, []);
+  });
+
+  it('should confirm only on the expected word', async () => {
+    const api = createMockApi();
+    const { requireConfirmation } = config.security;
+    config.security.requireConfirmation = true;
+
+    try {
+      const yes = conversations.confirm(api, 't1', 'u1', 'Delete?', { word: 'DELETE' });
+      await new Promise(resolve => setImmediate(resolve));
+      conversations.handle(message('delete'));
+      assert.strictEqual(await yes, true);
+
+      const no = conversations.confirm(api, 't1', 'u1', 'Delete?', { word: 'DELETE' });
+      await new Promise(resolve => setImmediate(resolve));
+      conversations.handle(message('maybe'));
+      assert.strictEqual(await no, false);
+    } finally {
+      config.security.requireConfirmation = requireConfirmation;
+    }
+  });
+});
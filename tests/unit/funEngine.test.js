@@ -0,0 +1,198 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const funEngine = require('../../src/utils/funEngine');
+const stateStore = require('../../src/utils/stateStore');
+const funTemplate = require('../../src/utils/funTemplate');
+const threadSettings = require('../../src/utils/threadSettings');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Mock Facebook API that records what was sent
+const createMockApi = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMessage: (message, threadId) => {
+      sent.push({ message, threadId });
+      return Promise.resolve();
+    }
+  };
+};
+
+describe('Fun Engine', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    // Saved loops go to a throwaway state file
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fun-engine-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+
+    funEngine.stopAllFuns('test_reset');
+    funEngine.funTemplates.testfun = funTemplate.normalize(['line one', 'line two']);
+  });
+
+  afterEach(() => {
+    funEngine.stopAllFuns('test_reset');
+    delete funEngine.funTemplates.testfun;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Scheduling', () => {
+    it('should refuse a second loop in the same thread', async () => {
+      const api = createMockApi();
+      const first = await funEngine.startFun(api, 't1', 'testfun', 'u1');
+      const second = await funEngine.startFun(api, 't1', 'testfun', 'u1');
+
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(second.success, false);
+    });
+
+    it('should reject unknown fun types', async () => {
+      const result = await funEngine.startFun(createMockApi(), 't1', 'nope', 'u1');
+      assert.strictEqual(result.success, false);
+    });
+
+    it('should count messages actually sent', async function () {
+      this.timeout(5000);
+      const api = createMockApi();
+      await funEngine.startFun(api, 't1', 'testfun', 'u1');
+
+      await sleep(1500);
+      const fun = funEngine.getFun('t1');
+
+      assert(fun.messagesSent > 0, 'Should have sent at least one line');
+      assert.strictEqual(fun.messagesSent, api.sent.length);
+    });
+  });
+
+  describe('Pause and stop', () => {
+    it('should not send while paused and continue after resume', async function () {
+      this.timeout(5000);
+      const api = createMockApi();
+      await funEngine.startFun(api, 't1', 'testfun', 'u1');
+
+      assert.strictEqual(funEngine.pauseFun('t1').success, true);
+      await sleep(1000);
+      assert.strictEqual(api.sent.length, 0);
+      assert.strictEqual(funEngine.getFun('t1').status, 'paused');
+
+      assert.strictEqual(funEngine.resumeFun('t1').success, true);
+      await sleep(1500);
+      assert(api.sent.length > 0, 'Should send again after resume');
+    });
+
+    it('should report a summary with the stop reason', async () => {
+      await funEngine.startFun(createMockApi(), 't1', 'testfun', 'u1');
+      const result = funEngine.stopFun('t1', 'manual');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.stats.reason, 'manual');
+      assert.strictEqual(funEngine.isActive('t1'), false);
+      assert.strictEqual(funEngine.stopFun('t1').success, false);
+    });
+
+    it('should stop every thread from one call', async () => {
+      await funEngine.startFun(createMockApi(), 't1', 'testfun', 'u1');
+      await funEngine.startFun(createMockApi(), 't2', 'testfun', 'u1');
+
+      const stopped = funEngine.stopAllFuns('emergency');
+
+      assert.strictEqual(stopped.length, 2);
+      assert.deepStrictEqual(funEngine.getActiveFuns(), []);
+    });
+  });
+
+  describe('Limits', () => {
+    it('should parse message counts and durations', () => {
+      assert.deepStrictEqual(funEngine.parseLimit('50'), { maxMessages: 50 });
+      assert.deepStrictEqual(funEngine.parseLimit('5m'), { maxDuration: 300 });
+      assert.deepStrictEqual(funEngine.parseLimit('30s'), { maxDuration: 30 });
+      assert.strictEqual(funEngine.parseLimit('0'), null);
+      assert.strictEqual(funEngine.parseLimit('soon'), null);
+    });
+
+    it('should never exceed the global caps', () => {
+      const limits = funEngine.resolveLimits('t1', { maxMessages: Number.MAX_SAFE_INTEGER });
+      assert(limits.maxMessages <= require('../../config/config.json').funSettings.maxMessages);
+    });
+
+    it('should apply the global caps to a thread without limits of its own', () => {
+      const { maxMessages, maxDuration } = require('../../config/config.json').funSettings;
+      const originalGet = threadSettings.get;
+      threadSettings.get = () => ({ funMaxMessages: null });
+
+      try {
+        assert.deepStrictEqual(funEngine.resolveLimits('900000000701'), { maxMessages, maxDuration });
+        assert.deepStrictEqual(funEngine.resolveLimits('900000000701', { maxMessages: 20 }), { maxMessages: 20, maxDuration });
+      } finally {
+        threadSettings.get = originalGet;
+      }
+    });
+
+    it('should auto-stop at the message limit and emit the reason', async function () {
+      this.timeout(10000);
+      const api = createMockApi();
+      const stopped = new Promise(resolve => funEngine.on('stop', summary => {
+        if (summary.threadId === 't1') resolve(summary);
+      }));
+
+      await funEngine.startFun(api, 't1', 'testfun', 'u1', { maxMessages: 2 });
+      const summary = await stopped;
+
+      assert.strictEqual(summary.reason, 'max_messages');
+      assert.strictEqual(summary.messagesSent, 2);
+      assert.strictEqual(funEngine.isActive('t1'), false);
+      assert(api.sent[api.sent.length - 1].message.includes('auto-stopped'));
+    });
+  });
+
+  describe('Restart recovery', () => {
+    it('should keep loops stopped by a shutdown and forget manual stops', async () => {
+      await funEngine.startFun(createMockApi(), 't1', 'testfun', 'u1');
+      await funEngine.startFun(createMockApi(), 't2', 'testfun', 'u1');
+
+      funEngine.stopFun('t1', 'manual');
+      funEngine.stopFun('t2', 'shutdown');
+
+      const interrupted = funEngine.getInterrupted();
+      assert.strictEqual(interrupted.length, 1);
+      assert.strictEqual(interrupted[0].threadId, 't2');
+      assert.strictEqual(interrupted[0].reason, 'shutdown');
+    });
+
+    it('should resume from the saved position with the remaining budget', async () => {
+      stateStore.set('funLoops', {
+        t1: {
+          threadId: 't1', type: 'testfun', userId: 'u1', index: 1, messageCount: 5,
+          elapsed: 20, limits: { maxMessages: 10, maxDuration: null }, paused: false,
+          savedAt: new Date().toISOString()
+        }
+      });
+
+      const api = createMockApi();
+      const result = await funEngine.resumeInterrupted(api, 't1');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.fun.messagesSent, 5);
+      assert(result.fun.runningFor >= 20);
+      assert(api.sent[0].message.includes('5 messages left'));
+      assert.deepStrictEqual(funEngine.getInterrupted(), []);
+    });
+
+    it('should drop saved loops older than the resume window', async () => {
+      stateStore.set('funLoops', {
+        t1: {
+          threadId: 't1', type: 'testfun', userId: 'u1', index: 0, messageCount: 0,
+          elapsed: 0, limits: { maxMessages: 10, maxDuration: null }, paused: false,
+          savedAt: new Date(0).toISOString()
+        }
+      });
+
+      await funEngine.restoreInterrupted(createMockApi());
+      assert.deepStrictEqual(funEngine.getSavedLoops(), {});
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const funTemplate = require('../../src/utils/funTemplate');
+
+describe('Fun Template', () => {
+  describe('Parsing', () => {
+    it('should accept legacy string arrays as sequential templates', () => {
+      const result = funTemplate.parse('["one", "two"]');
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.template.version, 0);
+      assert.strictEqual(result.template.order, 'sequential');
+      assert.deepStrictEqual(funTemplate.getTexts(result.template), ['one', 'two']);
+    });
+
+    it('should normalize weights and scenes', () => {
+      const result = funTemplate.parse(JSON.stringify({
+        version: 1,
+        order: 'random',
+        lines: ['plain', { text: 'rare', weight: 0.5 }, { scene: ['a', { text: 'b', delay: 1500 }] }]
+      }));
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.template.entries[1].weight, 0.5);
+      assert.deepStrictEqual(result.template.entries[2].scene, [
+        { text: 'a', delay: 0 },
+        { text: 'b', delay: 1500 }
+      ]);
+    });
+
+    it('should report the line of each schema error', () => {
+      const content = [
+        '{',
+        '  "version": 1,',
+        '  "lines": [',
+        '    "ok {name}",',
+        '    { "text": "bad {who}" },',
+        '    { "text": "heavy", "weight": -1 }',
+        '  ]',
+        '}'
+      ].join('\n');
+
+      const result = funTemplate.parse(content);
+      assert.strictEqual(result.valid, false);
+      assert.deepStrictEqual(result.errors.map(error => error.line), [5, 6]);
+      assert(result.errors[0].message.includes('{who}'));
+    });
+
+    it('should report the line of a syntax error', () => {
+      const result = funTemplate.parse('[\n  "one",\n  "two"\n  "three"\n]');
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.errors[0].line, 4);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should fill placeholders and leave unknown context as written', () => {
+      const text = funTemplate.render('{sender} vs {name} in {thread} #{count}', {
+        sender: 'Rana',
+        members: ['Karim'],
+        count: 3
+      });
+
+      assert.strictEqual(text, 'Rana vs Karim in {thread} #3');
+    });
+
+    it('should keep legacy files as plain arrays when saved', () => {
+      const template = funTemplate.normalize(['one']);
+      template.entries.push({ text: 'two', weight: 1 });
+
+      assert.deepStrictEqual(funTemplate.serialize(template), ['one', 'two']);
+    });
+  });
+});
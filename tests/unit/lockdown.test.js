@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lockdown = require('../../src/secure/lockdown');
+const guard = require('../../src/secure/guard');
+const roles = require('../../src/secure/roles');
+const CommandProcessor = require('../../src/middleware/commandProcessor');
+const stateStore = require('../../src/utils/stateStore');
+const auditLog = require('../../src/system/auditLog');
+const config = require('../../config/config.json');
+
+describe('Lockdown', () => {
+  let tmpDir;
+  let events;
+  const record = (name) => (state) => events.push({ name, state });
+  const onActivate = record('activate');
+  const onLift = record('lift');
+
+  beforeEach(() => {
+    // State and audit entries go to throwaway files
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lockdown-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+    auditLog.filePath = path.join(tmpDir, 'audit.jsonl');
+    auditLog.loaded = false;
+
+    events = [];
+    lockdown.on('activate', onActivate);
+    lockdown.on('lift', onLift);
+  });
+
+  afterEach(() => {
+    lockdown.removeListener('activate', onActivate);
+    lockdown.removeListener('lift', onLift);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should persist, audit and announce an activation', () => {
+    const result = lockdown.activate('Test emergency', { actor: '100000000201', channel: 'chat' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(lockdown.isActive(), true);
+    assert.strictEqual(stateStore.get('lockdown').reason, 'Test emergency');
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].name, 'activate');
+    assert.strictEqual(events[0].state.reason, 'Test emergency');
+
+    const { entries } = auditLog.query({ action: 'lockdown.activate' });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].actor, '100000000201');
+    assert.strictEqual(entries[0].details.trigger, 'manual');
+  });
+
+  it('should only let owners lift it', () => {
+    lockdown.activate('Test emergency');
+
+    const denied = lockdown.lift({ actor: '100000000201', channel: 'chat' });
+    assert.strictEqual(denied.success, false);
+    assert.strictEqual(lockdown.isActive(), true);
+    assert.strictEqual(auditLog.query({ action: 'lockdown.lift', result: 'denied' }).total, 1);
+
+    const lifted = lockdown.lift({ actor: String(config.ownerUID), channel: 'chat' });
+    assert.strictEqual(lifted.success, true);
+    assert.strictEqual(lockdown.isActive(), false);
+    assert.deepStrictEqual(events.map(event => event.name), ['activate', 'lift']);
+  });
+
+  describe('Automatic trigger', () => {
+    const users = ['100000000301', '100000000302', '100000000303', '100000000304'];
+    const api = { sendMessage: () => Promise.resolve() };
+    const send = (userId, args) => CommandProcessor.process(
+      api,
+      { senderID: userId, threadID: '900000000301', body: `!ping ${args.join(' ')}`, type: 'message' },
+      'ping',
+      args
+    );
+
+    beforeEach(() => {
+      guard.suspiciousActivities.clear();
+    });
+
+    afterEach(() => {
+      users.forEach(id => guard.unblockUser(id));
+      guard.suspiciousActivities.clear();
+    });
+
+    it('should lock down once code-execution payloads cross the threshold', async () => {
+      const { lockdownThreshold } = config.security;
+      let sent = 0;
+
+      for (const userId of users) {
+        for (let i = 0; i < 3 && sent < lockdownThreshold; i++, sent++) {
+          await send(userId, ["require('child_process')"]);
+        }
+      }
+
+      assert.strictEqual(sent, lockdownThreshold);
+      assert.strictEqual(lockdown.isActive(), true);
+      assert.strictEqual(lockdown.getState().trigger, 'automatic');
+      assert(events.some(event => event.name === 'activate'));
+      assert.strictEqual(auditLog.query({ action: 'lockdown.activate' }).entries[0].details.trigger, 'automatic');
+      assert(guard.isBlocked(users[0]), 'Repeat offenders are blocked too');
+    });
+
+    it('should not count ordinary argument text', async () => {
+      for (let i = 0; i < 3; i++) {
+        await send(users[0], ['spam|scam', 'Welcome', '&', 'enjoy;', 'process.']);
+      }
+
+      assert.strictEqual(guard.suspiciousActivities.size, 0);
+      assert(!guard.isBlocked(users[0]));
+    });
+
+    it('should trust moderators and admins like owners', async () => {
+      roles.setRole(users[1], 'moderator');
+
+      for (let i = 0; i < 3; i++) {
+        await send(users[1], ["require('child_process')"]);
+      }
+
+      assert.strictEqual(guard.suspiciousActivities.size, 0);
+      assert(!guard.isBlocked(users[1]));
+    });
+  });
+});
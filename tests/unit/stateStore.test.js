@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stateStore = require('../../src/utils/stateStore');
+
+describe('State Store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Persistence', () => {
+    it('should write atomically and reload the same state', () => {
+      stateStore.setPrefix('/');
+      stateStore.addAdmin('100000000001', []);
+
+      assert(!fs.existsSync(`${stateStore.filePath}.tmp`));
+
+      const reloaded = stateStore.load();
+      assert.strictEqual(reloaded.prefix, '/');
+      assert.deepStrictEqual(reloaded.admins, ['100000000001']);
+      assert.strictEqual(reloaded.version, 1);
+    });
+
+    it('should migrate an unversioned file', () => {
+      fs.writeFileSync(stateStore.filePath, JSON.stringify({ prefix: '#' }));
+
+      const migrated = stateStore.load();
+      assert.strictEqual(migrated.version, 1);
+      assert.strictEqual(migrated.prefix, '#');
+      assert.deepStrictEqual(migrated.threads, {});
+    });
+
+    it('should set aside a corrupt file instead of overwriting it', () => {
+      fs.writeFileSync(stateStore.filePath, '{ broken');
+
+      const state = stateStore.load();
+      assert.strictEqual(state.prefix, null);
+      assert(fs.readdirSync(tmpDir).some(f => f.startsWith('state.json.corrupt-')));
+    });
+
+    it('should refuse a newer schema and leave the file in place', () => {
+      const newer = JSON.stringify({ version: 99, prefix: '#', admins: ['100000000001'] });
+      fs.writeFileSync(stateStore.filePath, newer);
+
+      assert.throws(() => stateStore.load(), /schema v99/);
+      assert.strictEqual(fs.readFileSync(stateStore.filePath, 'utf8'), newer);
+      assert.deepStrictEqual(fs.readdirSync(tmpDir), ['state.json']);
+    });
+  });
+
+  describe('Admins', () => {
+    it('should start from config defaults on first change', () => {
+      assert.strictEqual(stateStore.getAdmins(), null);
+
+      stateStore.addAdmin('100000000002', ['100000000001']);
+      assert.deepStrictEqual(stateStore.getAdmins(), ['100000000001', '100000000002']);
+
+      assert.strictEqual(stateStore.removeAdmin('100000000001'), true);
+      assert.strictEqual(stateStore.removeAdmin('100000000001'), false);
+      assert.deepStrictEqual(stateStore.getAdmins(), ['100000000002']);
+    });
+  });
+
+  describe('Thread settings and blocks', () => {
+    it('should merge thread settings and drop null values', () => {
+      stateStore.setThreadSettings('111', { prefix: '?', language: 'en' });
+      stateStore.setThreadSettings('111', { prefix: null });
+
+      assert.deepStrictEqual(stateStore.getThreadSettings('111'), { language: 'en' });
+    });
+
+    it('should persist and remove blocked users', () => {
+      stateStore.blockUser('222', 'spam');
+      assert.strictEqual(stateStore.getBlockedUsers()['222'].reason, 'spam');
+
+      stateStore.unblockUser('222');
+      assert.deepStrictEqual(stateStore.getBlockedUsers(), {});
+    });
+  });
+});
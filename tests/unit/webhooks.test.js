@@ -0,0 +1,195 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const WebhookManager = require('../../server/routes/webhooks');
+const stateStore = require('../../src/utils/stateStore');
+const auditLog = require('../../src/system/auditLog');
+const registry = require('../../src/utils/commandRegistry');
+const conversations = require('../../src/utils/conversationManager');
+const config = require('../../config/config.json');
+
+describe('Webhooks', () => {
+  let tmpDir;
+  let manager;
+  let sent;
+
+  beforeEach(() => {
+    // Webhooks, deliveries and audit entries go to throwaway files
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+    auditLog.filePath = path.join(tmpDir, 'audit.jsonl');
+    auditLog.loaded = false;
+
+    sent = [];
+    manager = new WebhookManager({
+      api: { sendMessage: (message, threadId) => Promise.resolve(sent.push({ message, threadId })) }
+    });
+    manager.queue.filePath = path.join(tmpDir, 'deliveries.json');
+  });
+
+  afterEach(() => {
+    manager.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Express-shaped request/response pairs for the route handlers
+  const call = async (handler, req) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    await handler.call(manager, { params: {}, headers: {}, ...req }, res);
+    return res;
+  };
+
+  const signed = (webhook, body) => {
+    const rawBody = JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    return {
+      params: { id: webhook.id },
+      headers: {
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-nonce': nonce,
+        'x-webhook-signature': manager.queue.sign(webhook.secret, `${timestamp}.${nonce}.${rawBody}`)
+      },
+      body,
+      rawBody: Buffer.from(rawBody)
+    };
+  };
+
+  describe('Inbound commands', () => {
+    const threadId = '900000000501';
+    const creator = { uid: '100000000501', isOwner: false };
+    let webhook;
+
+    const runCommand = (command) => call(manager.receiveWebhook, signed(webhook, {
+      action: 'run_command',
+      data: { threadId, command }
+    }));
+
+    beforeEach(async () => {
+      const registered = await call(manager.registerWebhook, {
+        body: { url: 'https://example.com/hook', events: ['all'], actions: ['run_command'], threads: [threadId] },
+        user: creator
+      });
+      webhook = manager.webhooks.get(registered.body.webhookId);
+      await call(manager.updateWebhook, { params: { id: webhook.id }, body: { commands: ['ping', 'stopfun'] }, user: creator });
+    });
+
+    it('should run allowed commands as a plain user by default', async () => {
+      assert.strictEqual(manager.describe(webhook).role, 'user');
+
+      const ping = await runCommand('ping');
+      assert.strictEqual(ping.statusCode, 200);
+      assert.deepStrictEqual(sent, [{ message: '🏓 Pong!', threadId }]);
+
+      const stopfun = await runCommand('stopfun');
+      assert.strictEqual(stopfun.statusCode, 200);
+      assert(stopfun.body.result.response.includes('access required'), `Unexpected response: ${stopfun.body.result.response}`);
+
+      const notListed = await runCommand('help');
+      assert.strictEqual(notListed.statusCode, 403);
+
+      assert.strictEqual(auditLog.query({ action: 'webhook.run_command' }).total, 2);
+    });
+
+    it('should only let owners raise the role', async () => {
+      const denied = await call(manager.updateWebhook, { params: { id: webhook.id }, body: { role: 'moderator' }, user: creator });
+      assert.strictEqual(denied.statusCode, 403);
+      assert.strictEqual(webhook.role, 'user');
+
+      const invalid = await call(manager.updateWebhook, { params: { id: webhook.id }, body: { role: 'owner' }, user: { uid: '100000000502', isOwner: true } });
+      assert.strictEqual(invalid.statusCode, 400);
+
+      const raised = await call(manager.updateWebhook, { params: { id: webhook.id }, body: { role: 'moderator' }, user: { uid: '100000000502', isOwner: true } });
+      assert.strictEqual(raised.body.webhook.role, 'moderator');
+
+      const stopfun = await runCommand('stopfun');
+      assert.strictEqual(stopfun.statusCode, 200);
+      assert(sent.some(({ message }) => message.includes('No active fun')), 'Should have run the command');
+    });
+
+    describe('Confirmation', () => {
+      const { requireConfirmation } = config.security;
+
+      beforeEach(async () => {
+        config.security.requireConfirmation = true;
+        registry.get('ping'); // load the registry before adding to it
+        registry.register({
+          name: 'confirmtest',
+          category: 'normal',
+          role: 'user',
+          execute: async (api, threadID, args, bot, senderID) =>
+            (await conversations.confirm(api, threadID, senderID, 'Sure?')) ? '✅ Done' : undefined
+        });
+        await call(manager.updateWebhook, { params: { id: webhook.id }, body: { commands: ['confirmtest'] }, user: creator });
+      });
+
+      afterEach(() => {
+        config.security.requireConfirmation = requireConfirmation;
+        registry.commands.delete('confirmtest');
+      });
+
+      it('should refuse right away without confirm and run with it', async () => {
+        const started = Date.now();
+        const refused = await runCommand('confirmtest');
+        assert(Date.now() - started < 5000, 'Should not wait for a reply');
+        assert(refused.body.result.response.includes('needs confirmation'), `Unexpected response: ${refused.body.result.response}`);
+        assert.deepStrictEqual(conversations.getPending(), []);
+
+        const confirmed = await call(manager.receiveWebhook, signed(webhook, {
+          action: 'run_command',
+          data: { threadId, command: 'confirmtest', confirm: true }
+        }));
+        assert.strictEqual(confirmed.body.result.response, '✅ Done');
+      });
+    });
+  });
+
+  describe('Outbound deliveries', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should sign deliveries so the inbound check accepts them once', async () => {
+      const requests = [];
+      global.fetch = (url, options) => {
+        requests.push(options);
+        return Promise.resolve({ ok: true, status: 200 });
+      };
+
+      const webhook = { id: 'wh_test', url: 'https://example.com/hook', secret: 'shared-secret', active: true };
+      await manager.queue.send(webhook, { type: 'test', data: {} });
+
+      const { headers, body } = requests[0];
+      assert(headers['X-Webhook-Timestamp'] && headers['X-Webhook-Nonce']);
+
+      // The same headers, lower-cased as a receiving Express app sees them
+      const req = {
+        headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])),
+        rawBody: Buffer.from(body)
+      };
+      assert.deepStrictEqual(manager.verifyInbound(webhook, req), { valid: true });
+      assert.strictEqual(manager.verifyInbound(webhook, req).error, 'Nonce already used');
+    });
+
+    it('should persist when a custom webhook was last triggered', async () => {
+      global.fetch = () => Promise.resolve({ ok: true, status: 200 });
+
+      const webhook = { id: 'wh_saved', type: 'custom', url: 'https://example.com/hook', secret: 'shared-secret', events: ['all'], active: true };
+      manager.webhooks.set(webhook.id, webhook);
+      await manager.triggerWebhook(webhook, { type: 'test', data: {} });
+
+      // Saved on the throttle timer, or at the latest on stop
+      manager.stop();
+      assert.strictEqual(stateStore.get('webhooks').wh_saved.lastTriggered, webhook.lastTriggered);
+    });
+  });
+});
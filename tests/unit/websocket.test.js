@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebSocket = require('ws');
+const WebSocketServer = require('../../server/websocket');
+const stateStore = require('../../src/utils/stateStore');
+
+describe('WebSocket Server', () => {
+  let tmpDir;
+  let server;
+  let wsServer;
+  let received;
+  const clientId = 'test-client';
+  const uid = '100000000801';
+
+  const request = (type, payload) => wsServer.handleMessage(clientId, JSON.stringify({ type, ...payload }));
+  const lastOf = (type) => received.filter(message => message.type === type).pop();
+
+  beforeEach(() => {
+    // Admins go to a throwaway state file
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'websocket-'));
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+    stateStore.state = stateStore.defaults();
+    stateStore.addAdmin(uid, []);
+
+    server = http.createServer();
+    wsServer = new WebSocketServer(server, { isRunning: true });
+
+    received = [];
+    wsServer.clients.set(clientId, {
+      ws: { readyState: WebSocket.OPEN, send: (message) => received.push(JSON.parse(message)) },
+      subscriptions: new Set(),
+      threads: null,
+      userData: { uid, isAdmin: true, isOwner: false }
+    });
+  });
+
+  afterEach(() => {
+    wsServer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Channel permissions', () => {
+    it('should follow the live role, not the token claims', async () => {
+      await request('subscribe', { channels: ['user_activity', 'system_logs'] });
+      assert.deepStrictEqual(lastOf('subscribed').data.channels, ['user_activity']);
+
+      stateStore.removeAdmin(uid);
+
+      await request('subscribe', { channels: ['fun_updates'] });
+      assert.deepStrictEqual(lastOf('subscribed').data.denied, ['fun_updates']);
+    });
+
+    it('should drop privileged subscriptions once the role is gone', async () => {
+      await request('subscribe', { channels: ['user_activity'] });
+
+      wsServer.refreshPermissions(clientId);
+      assert.strictEqual(lastOf('unsubscribed'), undefined);
+
+      stateStore.removeAdmin(uid);
+      wsServer.refreshPermissions(clientId);
+
+      assert.deepStrictEqual(lastOf('unsubscribed').data, { channels: ['user_activity'], reason: 'role_changed' });
+      assert.strictEqual(wsServer.clients.get(clientId).subscriptions.size, 0);
+    });
+  });
+});